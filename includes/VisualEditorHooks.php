@@ -841,6 +841,7 @@ class VisualEditorHooks {
 		$preferences['visualeditor-hidesourceswitchpopup'] = $api;
 		$preferences['visualeditor-hidevisualswitchpopup'] = $api;
 		$preferences['visualeditor-hideusered'] = $api;
+		$preferences['visualeditor-summarysnippets'] = $api;
 		$preferences['visualeditor-findAndReplace-diacritic'] = $api;
 		$preferences['visualeditor-findAndReplace-findText'] = $api;
 		$preferences['visualeditor-findAndReplace-replaceText'] = $api;
@@ -982,11 +983,18 @@ class VisualEditorHooks {
 			->getLanguageConverter( $pageLanguage );
 
 		$fallbacks = $converter->getVariantFallbacks( $converter->getPreferredVariant() );
+		$variants = [];
+		if ( $converter->hasVariants() ) {
+			foreach ( $converter->getVariants() as $variant ) {
+				$variants[$variant] = (array)$converter->getVariantFallbacks( $variant );
+			}
+		}
 
 		$vars['wgVisualEditor'] = [
 			'pageLanguageCode' => $pageLanguage->getHtmlCode(),
 			'pageLanguageDir' => $pageLanguage->getDir(),
 			'pageVariantFallbacks' => $fallbacks,
+			'pageVariants' => $variants,
 		];
 	}
 
@@ -1040,6 +1048,7 @@ class VisualEditorHooks {
 			'svgMaxSize' => $coreConfig->get( 'SVGMaxSize' ),
 			'namespacesWithSubpages' => $coreConfig->get( 'NamespacesWithSubpages' ),
 			'specialBooksources' => urldecode( SpecialPage::getTitleFor( 'Booksources' )->getPrefixedURL() ),
+			'magicLinkTemplates' => $veConfig->get( 'VisualEditorMagicLinkTemplates' ),
 			'rebaserUrl' => $coreConfig->get( 'VisualEditorRebaserURL' ),
 			'restbaseUrl' => $coreConfig->get( 'VisualEditorRestbaseURL' ),
 			'fullRestbaseUrl' => $coreConfig->get( 'VisualEditorFullRestbaseURL' ),
@@ -28,6 +28,12 @@ ve.init.mw.CollabTarget = function VeInitMwCollabTarget( title, rebaserUrl, conf
 	this.title = title;
 	this.rebaserUrl = rebaserUrl;
 	this.importTitle = config.importTitle || null;
+	this.publishTitle = null;
+	this.saveDialog = null;
+	this.saveDeferred = null;
+	this.checkboxFields = null;
+	this.checkboxesByName = null;
+	this.$saveDialogOverlay = null;
 
 	// Parent constructor
 	ve.init.mw.CollabTarget.super.call( this, config );
@@ -67,6 +73,17 @@ ve.init.mw.CollabTarget.static.toolbarGroups = ve.init.mw.CollabTarget.static.to
 	return group.name !== 'reference';
 } );
 
+/**
+ * Maximum length of edit summaries, in code points
+ *
+ * Longer summaries are truncated by MediaWiki, which would cut off the attribution.
+ *
+ * @static
+ * @property {number}
+ * @inheritable
+ */
+ve.init.mw.CollabTarget.static.summaryCodePointLimit = 500;
+
 ve.init.mw.CollabTarget.static.importRules = ve.copy( ve.init.mw.CollabTarget.static.importRules );
 ve.init.mw.CollabTarget.static.importRules.external.blacklist[ 'link/mwExternal' ] = false;
 
@@ -149,6 +166,446 @@ ve.init.mw.CollabTarget.prototype.getPageName = function () {
 	return this.getImportTitle() || this.pageName;
 };
 
+/**
+ * Check if a title is the one the document was imported from
+ *
+ * @param {mw.Title} title
+ * @return {boolean}
+ */
+ve.init.mw.CollabTarget.prototype.isImportTitle = function ( title ) {
+	var importTitle = this.getImportTitle();
+	return !!importTitle && importTitle.getPrefixedText() === title.getPrefixedText();
+};
+
+/**
+ * Get the hidden meta item storing the metadata of the imported document, if there is one
+ *
+ * @return {ve.dm.MetaItem|null}
+ */
+ve.init.mw.CollabTarget.prototype.getImportMetaItem = function () {
+	var items = this.getSurface().getModel().getMetaList().getItemsInGroup( 'misc' );
+	return items.filter( function ( item ) {
+		return !!item.getAttribute( 'importedDocument' );
+	} )[ 0 ] || null;
+};
+
+/**
+ * Store the metadata of the imported document in the document, so other clients can publish too
+ */
+ve.init.mw.CollabTarget.prototype.updateImportMetaItem = function () {
+	var surfaceModel = this.getSurface().getModel(),
+		item = this.getImportMetaItem();
+
+	if ( !item ) {
+		return;
+	}
+	surfaceModel.change( ve.dm.TransactionBuilder.static.newFromAttributeChanges(
+		surfaceModel.getDocument(),
+		item.getOuterRange().start,
+		{ importedDocument: {
+			title: this.importTitle.toString(),
+			etag: this.etag,
+			baseTimeStamp: this.baseTimeStamp,
+			startTimeStamp: this.startTimeStamp,
+			revid: this.revid
+		} }
+	) );
+};
+
+/**
+ * Check if a transaction imported the document, or updated the metadata of the imported document
+ *
+ * @param {ve.dm.Transaction} tx
+ * @return {boolean}
+ */
+ve.init.mw.CollabTarget.prototype.isImportTransaction = function ( tx ) {
+	return tx.operations.some( function ( op ) {
+		return ( op.type === 'attribute' && op.key === 'importedDocument' ) ||
+			( op.type === 'replace' && op.insert.some( function ( item ) {
+				return !!ve.getProp( item, 'attributes', 'importedDocument' );
+			} ) );
+	} );
+};
+
+/**
+ * Get the contributions of each author to the document, derived from the document's history
+ *
+ * Authors are identified by name, as the same person gets a new author ID each time they join.
+ * Content inserted when importing the document is not attributed to anyone, as it is already
+ * attributed in the history of the page it was imported from.
+ *
+ * @return {Object[]} Contributions, most characters inserted first, with the author's `name`, the
+ *  number of `characters` they inserted and the number of `transactions` they made
+ */
+ve.init.mw.CollabTarget.prototype.getAuthorContributions = function () {
+	var surfaceModel = this.getSurface().getModel(),
+		synchronizer = surfaceModel.synchronizer,
+		transactions = surfaceModel.getDocument().completeHistory.transactions,
+		contributions = {},
+		start = 0;
+
+	// The import is complete once its metadata has been stored
+	while (
+		start < transactions.length && this.importTitle &&
+		!this.isImportTransaction( transactions[ start ] )
+	) {
+		start++;
+	}
+	if ( start === transactions.length ) {
+		start = 0;
+	}
+
+	transactions.slice( start ).forEach( function ( tx ) {
+		if ( tx.authorId === undefined || tx.authorId === null || this.isImportTransaction( tx ) ) {
+			return;
+		}
+		var authorData = synchronizer && synchronizer.getAuthorData( tx.authorId ),
+			name = authorData && authorData.name ||
+				ve.msg( 'visualeditor-rebase-client-unnamed-author', tx.authorId ),
+			contribution = contributions[ name ] = contributions[ name ] ||
+				{ name: name, characters: 0, transactions: 0 };
+
+		contribution.transactions++;
+		tx.operations.forEach( function ( op ) {
+			if ( op.type === 'replace' ) {
+				contribution.characters += op.insert.filter( function ( item ) {
+					return typeof item === 'string' || Array.isArray( item );
+				} ).length;
+			}
+		} );
+	}, this );
+
+	return Object.keys( contributions ).map( function ( name ) {
+		return contributions[ name ];
+	} ).sort( function ( a, b ) {
+		return b.characters - a.characters || b.transactions - a.transactions;
+	} );
+};
+
+/**
+ * Get an edit summary crediting all authors of the document
+ *
+ * If crediting everyone by name would exceed the limit, only the main authors are named, and the
+ * others are counted.
+ *
+ * @param {number} [limit] Maximum length in code points, defaults to #summaryCodePointLimit
+ * @return {string} Attribution, empty if nobody contributed to the document. Names as many
+ *  authors as fit, but is never empty if somebody did, even if it exceeds the limit.
+ */
+ve.init.mw.CollabTarget.prototype.getAttributionSummary = function ( limit ) {
+	var named, attribution,
+		mwString = require( 'mediawiki.String' ),
+		contributions = this.getAuthorContributions(),
+		authors = contributions.map( function ( contribution ) {
+			return ve.msg(
+				'visualeditor-rebase-client-attribution-author',
+				contribution.name,
+				mw.language.convertNumber( contribution.characters ),
+				mw.language.convertNumber( contribution.transactions )
+			);
+		} );
+
+	if ( limit === undefined ) {
+		limit = this.constructor.static.summaryCodePointLimit;
+	}
+	for ( named = authors.length; named >= 0; named-- ) {
+		attribution = ve.msg(
+			'visualeditor-rebase-client-attribution',
+			authors.slice( 0, named ).concat( named < authors.length ? [
+				ve.msg(
+					'visualeditor-rebase-client-attribution-others',
+					mw.language.convertNumber( authors.length - named ),
+					authors.length - named
+				)
+			] : [] ).join( ve.msg( 'comma-separator' ) ),
+			authors.length
+		);
+		if ( mwString.codePointLength( attribution ) <= limit ) {
+			break;
+		}
+	}
+	return authors.length ? attribution : '';
+};
+
+/**
+ * Add the attribution of all authors to an edit summary
+ *
+ * The attribution is shortened to fit in the edit summary limit (see #getAttributionSummary).
+ * If the edit summary doesn't even leave room for the shortest attribution, the summary is
+ * truncated instead, as crediting all authors is required.
+ *
+ * @param {string} summary Edit summary
+ * @return {string} Edit summary including the attribution
+ */
+ve.init.mw.CollabTarget.prototype.addAttribution = function ( summary ) {
+	var mwString = require( 'mediawiki.String' ),
+		limit = this.constructor.static.summaryCodePointLimit,
+		separator = ve.msg( 'semicolon-separator' ),
+		attribution;
+
+	summary = summary.trim();
+	if ( !summary ) {
+		return this.getAttributionSummary();
+	}
+	attribution = this.getAttributionSummary(
+		limit - mwString.codePointLength( summary + separator )
+	);
+	if ( !attribution ) {
+		return summary;
+	}
+	summary = mwString.trimCodePointLength(
+		'',
+		summary,
+		limit - mwString.codePointLength( separator + attribution )
+	).newVal.trim();
+
+	return [ summary, attribution ].filter( Boolean ).join( separator );
+};
+
+/**
+ * Submit wikitext to a page's edit form, mimicking a traditional edit
+ *
+ * If the page is the one the document was imported from, the imported revision is used as the
+ * base revision, so that MediaWiki can detect edit conflicts.
+ *
+ * @param {mw.Title} title Page to edit
+ * @param {string} wikitext Wikitext to submit
+ * @param {Object} [fields] Additional form fields, e.g. `wpDiff` or `wpSave`
+ */
+ve.init.mw.CollabTarget.prototype.submit = function ( title, wikitext, fields ) {
+	var key,
+		$form = $( '<form>' )
+			.attr( { method: 'post', enctype: 'multipart/form-data' } )
+			.addClass( 'oo-ui-element-hidden' ),
+		submitUrl = ( new mw.Uri( title.getUrl() ) )
+			.extend( {
+				action: 'submit',
+				veswitched: 1
+			} ),
+		params = ve.extendObject( {
+			format: 'text/x-wiki',
+			model: 'wikitext',
+			wpTextbox1: wikitext,
+			wpEditToken: mw.user.tokens.get( 'csrfToken' ),
+			// MediaWiki function-verification parameters, mostly relevant to the
+			// classic editpage, but still required here:
+			wpUnicodeCheck: 'ℳ𝒲♥𝓊𝓃𝒾𝒸ℴ𝒹ℯ',
+			wpUltimateParam: true
+		}, fields );
+
+	if ( this.isImportTitle( title ) ) {
+		params = ve.extendObject( {
+			oldid: this.revid,
+			basetimestamp: this.baseTimeStamp,
+			starttimestamp: this.startTimeStamp,
+			wpEdittime: this.baseTimeStamp,
+			wpStarttime: this.startTimeStamp
+		}, params );
+	}
+	// Add params as hidden fields
+	for ( key in params ) {
+		$form.append( $( '<input>' ).attr( { type: 'hidden', name: key, value: params[ key ] } ) );
+	}
+	// Submit the form
+	// Firefox requires the form to be attached
+	$form.attr( 'action', submitUrl ).appendTo( 'body' ).trigger( 'submit' );
+};
+
+/**
+ * Show the save dialog, to publish the document to a page
+ *
+ * @param {mw.Title} title Page to publish to
+ */
+ve.init.mw.CollabTarget.prototype.showPublishDialog = function ( title ) {
+	var target = this,
+		dialogs = this.getSurface().getDialogs();
+
+	this.publishTitle = title;
+
+	if ( !this.checkboxesByName ) {
+		this.$saveDialogOverlay = $( '<div>' ).addClass( 'oo-ui-window-overlay' );
+		var checkboxes = mw.libs.ve.targetLoader.createCheckboxFields(
+			mw.user.isAnon() ? {} : {
+				wpWatchthis: {
+					id: 'wpWatchthis',
+					'label-message': 'watchthis',
+					tooltip: 'watch',
+					default: !!(
+						+mw.user.options.get( 'watchdefault' ) ||
+						+mw.user.options.get( 'watchcreations' )
+					)
+				}
+			},
+			{ $overlay: this.$saveDialogOverlay }
+		);
+		this.checkboxFields = checkboxes.checkboxFields;
+		this.checkboxesByName = checkboxes.checkboxesByName;
+	}
+
+	dialogs.getWindow( 'mwSave' ).then( function ( win ) {
+		if ( !target.saveDialog ) {
+			target.saveDialog = win;
+			target.saveDialog.connect( target, {
+				save: 'onSaveDialogSave',
+				resolve: 'onSaveDialogResolveConflict'
+			} );
+			target.saveDialog.$element.append( target.$saveDialogOverlay );
+		}
+		var attribution = target.getAttributionSummary();
+		dialogs.openWindow( 'mwSave', {
+			checkboxFields: target.checkboxFields,
+			checkboxesByName: target.checkboxesByName,
+			saveButtonLabel: ve.msg(
+				'visualeditor-rebase-client-publish-to',
+				title.getPrefixedText()
+			)
+		} ).opened.then( function () {
+			if ( attribution ) {
+				// Let the authors know their names will be published
+				target.saveDialog.showMessage(
+					'attribution',
+					ve.msg( 'visualeditor-rebase-client-attribution-notice', attribution ),
+					{ type: 'notice' }
+				);
+			}
+		} );
+	} );
+};
+
+/**
+ * Get edit API options from the save dialog
+ *
+ * @return {Object} Save options for submission to the MediaWiki API
+ */
+ve.init.mw.CollabTarget.prototype.getSaveOptions = function () {
+	var options = {
+		summary: this.addAttribution( this.saveDialog.editSummaryInput.getValue() ),
+		assert: mw.user.isAnon() ? 'anon' : 'user'
+	};
+	if ( this.checkboxesByName.wpWatchthis ) {
+		options.watchlist = this.checkboxesByName.wpWatchthis.isSelected() ? 'watch' : 'unwatch';
+	}
+	return options;
+};
+
+/**
+ * Handle save events from the save dialog
+ *
+ * Publishing to the page the document was imported from is based on the imported revision, so
+ * the API detects conflicting edits made to the page since. Publishing to any other existing page
+ * replaces it, which has to be confirmed first.
+ *
+ * @param {jQuery.Deferred} saveDeferred Deferred object to resolve/reject when the save
+ *  succeeds/fails
+ */
+ve.init.mw.CollabTarget.prototype.onSaveDialogSave = function ( saveDeferred ) {
+	var target = this,
+		title = this.publishTitle,
+		isImport = this.isImportTitle( title ),
+		data = ve.extendObject( { page: title.getPrefixedText() }, this.getSaveOptions() );
+
+	this.saveDeferred = saveDeferred;
+
+	if ( isImport ) {
+		ve.extendObject( data, {
+			oldid: this.revid,
+			basetimestamp: this.baseTimeStamp,
+			starttimestamp: this.startTimeStamp,
+			etag: this.etag
+		} );
+	}
+
+	var existsPromise = isImport || this.saveDialog.messages.overwrite ?
+		ve.createDeferred().resolve( false ).promise() :
+		this.getContentApi().get( {
+			action: 'query',
+			titles: title.getPrefixedText(),
+			formatversion: 2
+		} ).then( function ( response ) {
+			return !ve.getProp( response, 'query', 'pages', 0, 'missing' );
+		} );
+
+	existsPromise.then( function ( exists ) {
+		if ( exists ) {
+			target.saveDialog.showMessage(
+				'overwrite',
+				ve.msg( 'visualeditor-rebase-client-publish-overwrite', title.getPrefixedText() )
+			);
+			target.saveDialog.popPending();
+			return;
+		}
+		return mw.libs.ve.targetSaver.saveDoc(
+			target.getSurface().getDom(),
+			data,
+			{ api: target.getContentApi() }
+		).then( target.saveComplete.bind( target, title ) );
+	} ).fail( this.saveFail.bind( this ) );
+};
+
+/**
+ * Handle a successful publish request
+ *
+ * @param {mw.Title} title Page published to
+ * @param {Object} data API response data
+ */
+ve.init.mw.CollabTarget.prototype.saveComplete = function ( title, data ) {
+	if ( this.isImportTitle( title ) && data.newrevid !== undefined ) {
+		// Further edits are based on the published revision, whose HTML we don't have
+		this.revid = data.newrevid;
+		this.baseTimeStamp = this.startTimeStamp = data.newtimestamp;
+		this.etag = null;
+		this.updateImportMetaItem();
+	}
+	this.saveDeferred.resolve();
+	this.saveDialog.close();
+	mw.notify(
+		$( '<span>' ).append( ve.htmlMsg(
+			'visualeditor-rebase-client-publish-success',
+			$( '<a>' ).attr( 'href', title.getUrl() ).text( title.getPrefixedText() )
+		) ),
+		{ type: 'success' }
+	);
+};
+
+/**
+ * Handle an unsuccessful publish request
+ *
+ * @param {string} code Error code
+ * @param {Object} [data] API response data
+ */
+ve.init.mw.CollabTarget.prototype.saveFail = function ( code, data ) {
+	if ( code === 'editconflict' ) {
+		this.saveDialog.popPending();
+		this.saveDialog.swapPanel( 'conflict' );
+		return;
+	}
+	this.saveDeferred.reject( [
+		new OO.ui.Error(
+			// HTTP failures may come without any response data
+			data ? ( new mw.Api() ).getErrorMessage( data ) : ve.msg( 'visualeditor-saveerror', code ),
+			{ recoverable: true }
+		)
+	] );
+};
+
+/**
+ * Handle resolve events from the save dialog
+ *
+ * Edit conflicts are resolved in the classic edit form.
+ */
+ve.init.mw.CollabTarget.prototype.onSaveDialogResolveConflict = function () {
+	var target = this,
+		title = this.publishTitle;
+
+	this.getWikitextFragment( this.getSurface().getModel().getDocument() )
+		.then( function ( wikitext ) {
+			target.submit( title, wikitext, {
+				wpSummary: target.getSaveOptions().summary,
+				wpSave: 1
+			} );
+		} );
+};
+
 /* Registration */
 
 ve.init.mw.targetFactory.register( ve.init.mw.CollabTarget );
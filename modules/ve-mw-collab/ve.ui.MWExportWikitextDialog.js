@@ -36,6 +36,12 @@ ve.ui.MWExportWikitextDialog.static.actions = [
 	{
 		label: OO.ui.deferMsg( 'visualeditor-dialog-action-done' ),
 		flags: [ 'safe', 'close' ]
+	},
+	{
+		action: 'publish',
+		label: OO.ui.deferMsg( 'visualeditor-rebase-client-publish' ),
+		title: OO.ui.deferMsg( 'visualeditor-rebase-client-publish-tooltip' ),
+		flags: [ 'primary', 'progressive' ]
 	}
 ];
 
@@ -114,12 +120,14 @@ ve.ui.MWExportWikitextDialog.prototype.getSetupProcess = function ( data ) {
 				surface = ve.init.target.getSurface(),
 				wikitextInput = this.wikitextLayout.textInput;
 			this.titleButton.setDisabled( true );
+			this.actions.setAbilities( { publish: false } );
 			this.wikitextLayout.textInput.pushPending();
 			ve.init.target.getWikitextFragment( surface.getModel().getDocument() ).then( function ( wikitext ) {
 				wikitextInput.setValue( wikitext.trim() );
 				wikitextInput.$input.scrollTop( 0 );
 				wikitextInput.popPending();
 				dialog.titleButton.setDisabled( false );
+				dialog.actions.setAbilities( { publish: true } );
 				dialog.updateSize();
 			}, function () {
 				// TODO: Display API errors
@@ -155,6 +163,25 @@ ve.ui.MWExportWikitextDialog.prototype.getReadyProcess = function ( data ) {
 		}, this );
 };
 
+/**
+ * @inheritdoc
+ */
+ve.ui.MWExportWikitextDialog.prototype.getActionProcess = function ( action ) {
+	if ( action === 'publish' ) {
+		return new OO.ui.Process( function () {
+			var title = this.titleInput.getMWTitle();
+			if ( !title ) {
+				this.titleInput.focus();
+				return;
+			}
+			return this.close( { action: action } ).closed.then( function () {
+				ve.init.target.showPublishDialog( title );
+			} );
+		}, this );
+	}
+	return ve.ui.MWExportWikitextDialog.super.prototype.getActionProcess.call( this, action );
+};
+
 /**
  * @inheritdoc
  */
@@ -169,45 +196,15 @@ ve.ui.MWExportWikitextDialog.prototype.getTeardownProcess = function ( data ) {
  * Export the document to a specific title
  */
 ve.ui.MWExportWikitextDialog.prototype.export = function () {
-	var key, $form, params,
-		wikitext = this.wikitextLayout.textInput.getValue(),
-		title = this.titleInput.getMWTitle(),
-		importTitle = ve.init.target.getImportTitle(),
-		submitUrl = ( new mw.Uri( title.getUrl() ) )
-			.extend( {
-				action: 'submit',
-				veswitched: 1
-			} );
-
-	$form = $( '<form>' ).attr( { method: 'post', enctype: 'multipart/form-data' } ).addClass( 'oo-ui-element-hidden' );
-	params = {
-		format: 'text/x-wiki',
-		model: 'wikitext',
-		wpTextbox1: wikitext,
-		wpEditToken: mw.user.tokens.get( 'csrfToken' ),
-		// MediaWiki function-verification parameters, mostly relevant to the
-		// classic editpage, but still required here:
-		wpUnicodeCheck: 'ℳ𝒲♥𝓊𝓃𝒾𝒸ℴ𝒹ℯ',
-		wpUltimateParam: true,
-		wpDiff: true
-	};
-	if (
-		importTitle && title &&
-		importTitle.toString() === title.toString()
-	) {
-		params = ve.extendObject( {
-			oldid: ve.init.target.revid,
-			basetimestamp: ve.init.target.baseTimeStamp,
-			starttimestamp: ve.init.target.startTimeStamp
-		}, params );
-	}
-	// Add params as hidden fields
-	for ( key in params ) {
-		$form.append( $( '<input>' ).attr( { type: 'hidden', name: key, value: params[ key ] } ) );
+	var title = this.titleInput.getMWTitle();
+	if ( !title ) {
+		this.titleInput.focus();
+		return;
 	}
-	// Submit the form, mimicking a traditional edit
-	// Firefox requires the form to be attached
-	$form.attr( 'action', submitUrl ).appendTo( 'body' ).trigger( 'submit' );
+	ve.init.target.submit( title, this.wikitextLayout.textInput.getValue(), {
+		wpSummary: ve.init.target.getAttributionSummary(),
+		wpDiff: true
+	} );
 };
 
 /* Registration */
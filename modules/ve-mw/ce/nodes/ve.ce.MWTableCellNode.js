@@ -0,0 +1,35 @@
+/*!
+ * VisualEditor ContentEditable MWTableCellNode class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * ContentEditable MediaWiki table cell node.
+ *
+ * @class
+ * @extends ve.ce.TableCellNode
+ * @mixins ve.ce.ClassAttributeNode
+ *
+ * @constructor
+ * @param {ve.dm.MWTableCellNode} model Model to observe
+ * @param {Object} [config] Configuration options
+ */
+ve.ce.MWTableCellNode = function VeCeMWTableCellNode() {
+	// Parent constructor
+	ve.ce.MWTableCellNode.super.apply( this, arguments );
+
+	// Mixin constructors
+	ve.ce.ClassAttributeNode.call( this );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ce.MWTableCellNode, ve.ce.TableCellNode );
+
+OO.mixinClass( ve.ce.MWTableCellNode, ve.ce.ClassAttributeNode );
+
+/* Registration */
+
+ve.ce.nodeFactory.register( ve.ce.MWTableCellNode );
@@ -94,7 +94,7 @@ ve.ce.MWTableNode.prototype.updateSortableHeaders = function () {
 		// ends up saving this change, it will be loaded anyway to render the real sortable table.
 		mw.loader.load( 'jquery.tablesorter' );
 
-		cellModels = this.getTablesorterHeaderCells();
+		cellModels = this.model.getTablesorterHeaderCells();
 		cellViews = cellModels.map( function ( cellModel ) {
 			return view.getNodeFromOffset( cellModel.getOffset() - view.model.getOffset() );
 		} );
@@ -112,43 +112,6 @@ ve.ce.MWTableNode.prototype.updateSortableHeaders = function () {
 	this.updateOverlay();
 };
 
-/**
- * Find the last of header rows with maximum number of cells (minimum number of colspans) and return
- * all of its cells. These are the cells that serve as sortable headers in jQuery Tablesorter.
- * This algorithm is exactly the same, see the buildHeaders() function in jquery.tablesorter.js.
- *
- * @private
- * @return {ve.dm.TableCellNode[]}
- */
-ve.ce.MWTableNode.prototype.getTablesorterHeaderCells = function () {
-	var
-		matrix = this.model.getMatrix(),
-		longestRow = [],
-		longestRowLength = 0,
-		i, l, matrixCells, isAllHeaders, rowLength, cellModels;
-
-	for ( i = 0, l = matrix.getRowCount(); i < l; i++ ) {
-		matrixCells = matrix.getRow( i );
-		cellModels = OO.unique( matrixCells.map( function ( matrixCell ) {
-			return matrixCell && matrixCell.getOwner().node;
-		} ) );
-		isAllHeaders = cellModels.every( function ( cellModel ) {
-			return cellModel && cellModel.getAttribute( 'style' ) === 'header';
-		} );
-		if ( !isAllHeaders ) {
-			// This is the end of table head (thead), stop looking further
-			break;
-		}
-		rowLength = cellModels.length;
-		if ( rowLength >= longestRowLength ) {
-			longestRowLength = rowLength;
-			longestRow = cellModels;
-		}
-	}
-
-	return longestRow;
-};
-
 /* Registration */
 
 ve.ce.nodeFactory.register( ve.ce.MWTableNode );
@@ -140,9 +140,9 @@ ve.ce.MWTransclusionNode.static.filterRendering = function ( contentNodes ) {
  */
 ve.ce.MWTransclusionNode.prototype.generateContents = function ( config ) {
 	var xhr, deferred = ve.createDeferred();
-	xhr = ve.init.target.parseWikitextFragment(
+	// Renderings are batched with other nodes' and cached, see ve.init.mw.TransclusionRenderScheduler
+	xhr = ve.init.mw.transclusionRenderScheduler.render(
 		( config && config.wikitext ) || this.model.getWikitext(),
-		true,
 		this.getModel().getDocument()
 	)
 		.done( this.onParseSuccess.bind( this, deferred ) )
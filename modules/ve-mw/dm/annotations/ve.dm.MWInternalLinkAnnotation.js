@@ -192,6 +192,52 @@ ve.dm.MWInternalLinkAnnotation.static.getFragment = function ( original ) {
 	return title.getFragment();
 };
 
+/**
+ * Get the anchors of the sections of a document, which links can point to as fragments
+ *
+ * Anchors are in the parser's format, e.g. 'Early_life'. Headings loaded from Parsoid keep
+ * their `id` unless their text has been edited since. Other headings get an anchor generated
+ * from their text, numbered if it is already taken, e.g. 'Notes_2'.
+ *
+ * @static
+ * @param {ve.dm.Document} doc
+ * @return {string[]} Anchors
+ */
+ve.dm.MWInternalLinkAnnotation.static.getDocumentAnchors = function ( doc ) {
+	var toAnchor = function ( text ) {
+			return text.trim().replace( /\s+/g, '_' );
+		},
+		used = {},
+		headings = doc.getNodesByType( 'mwHeading', true ).map( function ( node ) {
+			var domElements = node.getOriginalDomElements( doc.getStore() ),
+				text = toAnchor( doc.data.getText( true, node.getRange() ) ),
+				id = domElements[ 0 ] && domElements[ 0 ].nodeType === Node.ELEMENT_NODE &&
+					toAnchor( domElements[ 0 ].textContent ) === text &&
+					domElements[ 0 ].getAttribute( 'id' );
+
+			if ( id ) {
+				used[ id ] = true;
+			}
+			return { text: text, id: id };
+		} );
+
+	// Parsoid's ids are reserved first, so generated anchors don't collide with later headings
+	return headings.map( function ( heading ) {
+		var anchor = heading.text,
+			count = 1;
+
+		if ( heading.id ) {
+			return heading.id;
+		}
+		while ( Object.prototype.hasOwnProperty.call( used, anchor ) ) {
+			count++;
+			anchor = heading.text + '_' + count;
+		}
+		used[ anchor ] = true;
+		return anchor;
+	} );
+};
+
 ve.dm.MWInternalLinkAnnotation.static.describeChange = function ( key, change ) {
 	if ( key === 'title' ) {
 		return ve.htmlMsg( 'visualeditor-changedesc-link-href', this.wrapText( 'del', change.from ), this.wrapText( 'ins', change.to ) );
@@ -320,6 +320,119 @@ ve.dm.MWTemplateModel.prototype.addPromptedParameters = function () {
 	return addedCount;
 };
 
+/**
+ * Add all parameters of a documented parameter set that are not already part of the template.
+ * Parameters are considered present when they are used via one of their aliases.
+ *
+ * @param {number} index Index of the set as returned by
+ *  {@see ve.dm.MWTemplateSpecModel#getParameterSets}
+ * @return {number} Number of parameters added
+ */
+ve.dm.MWTemplateModel.prototype.addParameterSet = function ( index ) {
+	var set = this.spec.getParameterSets()[ index ],
+		addedCount = 0;
+
+	if ( !set ) {
+		return addedCount;
+	}
+
+	for ( var i = 0; i < set.params.length; i++ ) {
+		var name = set.params[ i ];
+		if ( !this.hasParameter( name ) ) {
+			this.addParameter( new ve.dm.MWParameterModel( this, name ) );
+			addedCount++;
+		}
+	}
+
+	return addedCount;
+};
+
+/**
+ * Fill in parameters from a source object, using one of the documented parameter maps. See
+ * https://www.mediawiki.org/wiki/Extension:TemplateData#Maps_object
+ *
+ * Depending on the map, source values are expected to be strings, arrays of strings (e.g. a list
+ * of keywords mapped to "keyword1", "keyword2", …) or arrays of string arrays (e.g. a list of
+ * [ last name, first name ] pairs mapped to "last1", "first1", "last2", …). Empty source values
+ * are ignored, existing parameters are overwritten.
+ *
+ * @param {string} mapName Name of the map as used in {@see ve.dm.MWTemplateSpecModel#getMaps}
+ * @param {Object} source Source data, e.g. a citation as returned by Citoid
+ * @return {number} Number of parameters changed or added
+ */
+ve.dm.MWTemplateModel.prototype.applyParameterMap = function ( mapName, source ) {
+	var map = this.spec.getMaps()[ mapName ],
+		template = this,
+		changedCount = 0;
+
+	function setValue( name, value ) {
+		if ( typeof name !== 'string' || value === undefined || value === null ) {
+			return;
+		}
+		value = String( value ).trim();
+		if ( !value ) {
+			return;
+		}
+
+		var param = template.findParameter( name );
+		if ( !param ) {
+			template.addParameter( new ve.dm.MWParameterModel( template, name, value ) );
+			changedCount++;
+		} else if ( param.getValue() !== value ) {
+			param.setValue( value );
+			changedCount++;
+		}
+	}
+
+	if ( !map || !source ) {
+		return changedCount;
+	}
+
+	Object.keys( map ).forEach( function ( key ) {
+		var target = map[ key ],
+			value = source[ key ];
+
+		if ( !Array.isArray( target ) ) {
+			setValue( target, Array.isArray( value ) ? value.join( ', ' ) : value );
+			return;
+		}
+
+		value = Array.isArray( value ) ? value : [ value ];
+		target.forEach( function ( names, i ) {
+			if ( !Array.isArray( names ) ) {
+				setValue( names, value[ i ] );
+				return;
+			}
+			var values = Array.isArray( value[ i ] ) ? value[ i ] : [ value[ i ] ];
+			names.forEach( function ( name, j ) {
+				setValue( name, values[ j ] );
+			} );
+		} );
+	} );
+
+	return changedCount;
+};
+
+/**
+ * Find a parameter by its name or any of its aliases.
+ *
+ * @private
+ * @param {string} name Parameter name or alias
+ * @return {ve.dm.MWParameterModel|undefined}
+ */
+ve.dm.MWTemplateModel.prototype.findParameter = function ( name ) {
+	var params = this.params,
+		primaryName = this.spec.getPrimaryParameterName( name ),
+		names = [ primaryName ].concat( this.spec.getParameterAliases( primaryName ) );
+
+	for ( var i = 0; i < names.length; i++ ) {
+		if ( names[ i ] in params ) {
+			return params[ names[ i ] ];
+		}
+	}
+	return undefined;
+};
+
 /**
  * Set original data, to be used as a base for serialization.
  *
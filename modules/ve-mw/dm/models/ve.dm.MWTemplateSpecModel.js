@@ -76,8 +76,8 @@ ve.dm.MWTemplateSpecModel.static.getLocalValue = function ( stringOrObject, lang
  *  given, the TemplateData API makes sure this contains the same parameters as `params`.
  * @param {Object.<string,Object>} [data.params] Template param specs keyed by param name
  * @param {{label:(string|Object.<string,string>),params:string[]}[]} [data.sets] List of parameter
- *  sets, i.e. parameters that belong together (whatever that means, this feature is underspecified
- *  and unused)
+ *  sets, i.e. parameters that belong together and are typically used together, e.g. the fields
+ *  of a journal vs. a book citation
  * @param {Object.<string,Object.<string,string|string[]|string[][]>>} [data.maps] Source to target
  *  parameter mappings for consumers like Citoid or gadgets
  */
@@ -424,3 +424,13 @@ ve.dm.MWTemplateSpecModel.prototype.getParameterSets = function () {
 ve.dm.MWTemplateSpecModel.prototype.getMaps = function () {
 	return this.templateData.maps || {};
 };
+
+/**
+ * @param {{label:(string|Object.<string,string>),params:string[]}} set As returned by
+ *  {@see getParameterSets}
+ * @param {string} [languageCode]
+ * @return {string} Descriptive label of the parameter set
+ */
+ve.dm.MWTemplateSpecModel.prototype.getParameterSetLabel = function ( set, languageCode ) {
+	return this.constructor.static.getLocalValue( set.label, languageCode ) || set.params.join( ', ' );
+};
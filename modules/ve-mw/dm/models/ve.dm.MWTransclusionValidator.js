@@ -0,0 +1,164 @@
+/*!
+ * VisualEditor DataModel MWTransclusionValidator class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Checks all template invocations in a document against their TemplateData documentation, the same
+ * way {@see ve.ui.MWTemplateDialog} does for a single template while it's open.
+ *
+ * Templates without TemplateData are skipped, as there is nothing to check them against.
+ *
+ * @class
+ *
+ * @constructor
+ * @param {ve.dm.Document} doc Document to check
+ */
+ve.dm.MWTransclusionValidator = function VeDmMWTransclusionValidator( doc ) {
+	// Properties
+	this.doc = doc;
+	this.checkSuggestedValues =
+		!!mw.config.get( 'wgVisualEditorConfig' ).transclusionDialogSuggestedValues;
+};
+
+OO.initClass( ve.dm.MWTransclusionValidator );
+
+/* Methods */
+
+/**
+ * Get all transclusion nodes in the document, in document order.
+ *
+ * @private
+ * @return {ve.dm.MWTransclusionNode[]}
+ */
+ve.dm.MWTransclusionValidator.prototype.getTransclusionNodes = function () {
+	var doc = this.doc,
+		nodes = [];
+
+	Object.keys( ve.dm.modelRegistry.registry ).forEach( function ( type ) {
+		if ( ve.dm.modelRegistry.lookup( type ).prototype instanceof ve.dm.MWTransclusionNode ) {
+			ve.batchPush( nodes, doc.getNodesByType( type ) );
+		}
+	} );
+
+	return nodes.sort( function ( a, b ) {
+		return a.getOffset() - b.getOffset();
+	} );
+};
+
+/**
+ * Check all templates in the document.
+ *
+ * TemplateData for all templates is requested in a single batch before the individual
+ * transclusions are checked.
+ *
+ * @return {jQuery.Promise} Promise resolved with a list of issues in document order, in the
+ *  format of #validateTemplate, each with the `node` the template is in
+ */
+ve.dm.MWTransclusionValidator.prototype.validate = function () {
+	var validator = this,
+		doc = this.doc,
+		nodes = this.getTransclusionNodes(),
+		templateParts = [];
+
+	nodes.forEach( function ( node ) {
+		var mwData = node.getAttribute( 'mw' ) || {};
+		( mwData.parts || [] ).forEach( function ( part ) {
+			if ( part.template ) {
+				templateParts.push( { template: part.template } );
+			}
+		} );
+	} );
+
+	if ( !templateParts.length ) {
+		return ve.createDeferred().resolve( [] ).promise();
+	}
+
+	// Warm up the TemplateData cache, so the individual transclusions don't need to ask again
+	return new ve.dm.MWTransclusionModel( doc ).load( { parts: templateParts } ).then( function () {
+		return ve.promiseAll( nodes.map( function ( node ) {
+			var transclusion = new ve.dm.MWTransclusionModel( doc );
+			return transclusion.load( ve.copy( node.getAttribute( 'mw' ) ) ).then( function () {
+				var issues = [];
+				transclusion.getParts().forEach( function ( part ) {
+					if ( part instanceof ve.dm.MWTemplateModel ) {
+						ve.batchPush( issues, validator.validateTemplate( part ) );
+					}
+				} );
+				issues.forEach( function ( issue ) {
+					issue.node = node;
+				} );
+				return issues;
+			} );
+		} ) );
+	} ).then( function () {
+		var issues = [];
+		for ( var i = 0; i < arguments.length; i++ ) {
+			ve.batchPush( issues, arguments[ i ] );
+		}
+		return issues;
+	} );
+};
+
+/**
+ * Check a single template invocation against its specification.
+ *
+ * @param {ve.dm.MWTemplateModel} template
+ * @return {Object[]} Issues
+ * @return {string} return.type One of "required", "deprecated", "unknown" or "suggestedvalue"
+ * @return {ve.dm.MWTemplateModel} return.template Template with the issue
+ * @return {string} return.name Parameter name as used in the template, or the primary name of a
+ *  missing required parameter
+ */
+ve.dm.MWTransclusionValidator.prototype.validateTemplate = function ( template ) {
+	var spec = template.getSpec(),
+		params = template.getParameters(),
+		issues = [];
+
+	if ( !spec.isDocumented() ) {
+		return issues;
+	}
+
+	spec.getDocumentedParameterOrder().forEach( function ( name ) {
+		if ( !spec.isParameterRequired( name ) ) {
+			return;
+		}
+		var names = [ name ].concat( spec.getParameterAliases( name ) ),
+			isBlank = names.every( function ( alias ) {
+				return !params[ alias ] || !params[ alias ].getValue().trim();
+			} );
+		if ( isBlank ) {
+			issues.push( { type: 'required', template: template, name: name } );
+		}
+	} );
+
+	for ( var name in params ) {
+		// Skip placeholders
+		if ( !name ) {
+			continue;
+		}
+		// Note: Every parameter used in the template is known to the spec, see
+		// ve.dm.MWTemplateSpecModel#fillFromTemplate. Only documented ones are expected.
+		if ( !spec.isParameterDocumented( name ) ) {
+			issues.push( { type: 'unknown', template: template, name: name } );
+			continue;
+		}
+		if ( spec.isParameterDeprecated( name ) ) {
+			issues.push( { type: 'deprecated', template: template, name: name } );
+		}
+		var value = params[ name ].getValue().trim(),
+			suggestedValues = spec.getParameterSuggestedValues( name );
+		if (
+			this.checkSuggestedValues &&
+			value &&
+			suggestedValues.length &&
+			suggestedValues.indexOf( value ) === -1
+		) {
+			issues.push( { type: 'suggestedvalue', template: template, name: name } );
+		}
+	}
+
+	return issues;
+};
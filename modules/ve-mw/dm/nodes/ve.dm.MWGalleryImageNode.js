@@ -41,12 +41,26 @@ ve.dm.MWGalleryImageNode.static.matchFunction = function ( element ) {
 ve.dm.MWGalleryImageNode.static.parentNodeTypes = [ 'mwGallery' ];
 
 ve.dm.MWGalleryImageNode.static.toDataElement = function ( domElements, converter ) {
-	var li, img, captionNode, caption, filename, dataElement, figureInline;
+	var li, img, captionNode, caption, filename, dataElement, figureInline, resource, href, targetData;
 
 	// TODO: Improve handling of missing files. See 'isError' in MWBlockImageNode#toDataElement
 	li = domElements[ 0 ];
 	img = li.querySelector( 'img,audio,video,span[resource]' );
 	figureInline = img.parentNode.parentNode;
+	resource = './' + mw.libs.ve.normalizeParsoidResourceName( img.getAttribute( 'resource' ) );
+
+	// Images link to their description page, unless the link was changed with the 'link' option
+	href = img.parentNode.nodeName.toLowerCase() === 'a' ? img.parentNode.getAttribute( 'href' ) : null;
+	if ( href ) {
+		// Convert absolute URLs to relative if the href refers to a page on this wiki
+		targetData = mw.libs.ve.getTargetDataFromHref( href, converter.getTargetHtmlDocument() );
+		if ( targetData.isInternal ) {
+			href = './' + targetData.rawTitle;
+		}
+		if ( mw.libs.ve.normalizeParsoidResourceName( href ) === mw.libs.ve.normalizeParsoidResourceName( resource ) ) {
+			href = null;
+		}
+	}
 
 	// Get caption (may be missing for mode="packed-hover" galleries)
 	captionNode = li.querySelector( '.gallerytext' );
@@ -73,7 +87,7 @@ ve.dm.MWGalleryImageNode.static.toDataElement = function ( domElements, converte
 	dataElement = {
 		type: this.name,
 		attributes: {
-			resource: './' + mw.libs.ve.normalizeParsoidResourceName( img.getAttribute( 'resource' ) ),
+			resource: resource,
 			altText: img.getAttribute( 'alt' ),
 			// 'src' for images, 'poster' for video/audio
 			src: img.getAttribute( 'src' ) || img.getAttribute( 'poster' ),
@@ -82,6 +96,9 @@ ve.dm.MWGalleryImageNode.static.toDataElement = function ( domElements, converte
 			tagName: figureInline.nodeName.toLowerCase()
 		}
 	};
+	if ( href ) {
+		dataElement.attributes.href = href;
+	}
 
 	return [ dataElement ]
 		.concat( caption )
@@ -107,8 +124,9 @@ ve.dm.MWGalleryImageNode.static.toDomElements = function ( data, doc ) {
 	thumbDiv.classList.add( 'thumb' );
 	innerDiv.setAttribute( 'typeof', 'mw:Image' );
 
-	// TODO: Support editing the link
-	// a.setAttribute( 'href', model.attributes.src );
+	if ( model.attributes.href ) {
+		a.setAttribute( 'href', model.attributes.href );
+	}
 
 	img.setAttribute( 'resource', model.attributes.resource );
 	img.setAttribute( 'src', model.attributes.src );
@@ -166,6 +166,8 @@ ve.dm.MWLanguageVariantNode.static.toDomElements = function ( dataElement, doc,
  * @param {boolean} [opts.describeAll=false] Treat all rules as if the
  *   "describe" flag was set. This displays every language and its associated
  *   text, not just the one appropriate for the current user.
+ * @param {string} [opts.variant] Variant to show the text for, instead of
+ *   the current user's variant
  */
 ve.dm.MWLanguageVariantNode.static.processVariants = function ( container, opts ) {
 	var self = this;
@@ -190,6 +192,8 @@ ve.dm.MWLanguageVariantNode.static.processVariants = function ( container, opts
  * @param {boolean} [opts.describeAll=false] Treat all rules as if the
  *   "describe" flag was set. This displays every language and its associated
  *   text, not just the one appropriate for the current user.
+ * @param {string} [opts.variant] Variant to show the text for, instead of
+ *   the current user's variant
  * @return {HTMLElement} el
  */
 ve.dm.MWLanguageVariantNode.static.insertPreviewElements = function ( element, variantInfo, opts ) {
@@ -213,6 +217,8 @@ ve.dm.MWLanguageVariantNode.static.insertPreviewElements = function ( element, v
  * @param {boolean} [opts.describeAll=false] Treat all rules as if the
  *   "describe" flag was set. This displays every language and its associated
  *   text, not just the one appropriate for the current user.
+ * @param {string} [opts.variant] Variant to show the text for, instead of
+ *   the current user's variant
  * @return {string} HTML string
  */
 ve.dm.MWLanguageVariantNode.static.getPreviewHtml = function ( variantInfo, opts ) {
@@ -240,10 +246,10 @@ ve.dm.MWLanguageVariantNode.static.getPreviewHtml = function ( variantInfo, opts
 	} else {
 		var languageIndex;
 		if ( variantInfo.twoway && variantInfo.twoway.length ) {
-			languageIndex = this.matchLanguage( variantInfo.twoway );
+			languageIndex = this.matchLanguage( variantInfo.twoway, opts && opts.variant );
 			return variantInfo.twoway[ languageIndex ].t;
 		} else if ( variantInfo.oneway && variantInfo.oneway.length ) {
-			languageIndex = this.matchLanguage( variantInfo.oneway );
+			languageIndex = this.matchLanguage( variantInfo.oneway, opts && opts.variant );
 			return variantInfo.oneway[ languageIndex ].t;
 		}
 	}
@@ -275,17 +281,49 @@ ve.dm.MWLanguageVariantNode.static.cloneElement = function () {
  * @static
  * @param {Object[]} [items] An array of objects, each of which have a field
  *  named `l` equal to a language code.
+ * @param {string} [variant] Variant to match instead of the current user's variant
  * @return {number} The index in `items` with the most appropriate language
  *  code.
  */
-ve.dm.MWLanguageVariantNode.static.matchLanguage = function ( items ) {
-	var userVariant = mw.config.get( 'wgUserVariant' ),
-		fallbacks = mw.config.get( 'wgVisualEditor' ).pageVariantFallbacks,
-		languageCodes =
-			( userVariant ? [ userVariant ] : [] ).concat( fallbacks || [] ),
-		code,
-		i,
-		j;
+ve.dm.MWLanguageVariantNode.static.matchLanguage = function ( items, variant ) {
+	var index = this.findLanguage( items, this.getLanguageCodes( variant ) );
+	// Bail: just show the first item.
+	return index === -1 ? 0 : index;
+};
+
+/**
+ * Get the language codes to match rules against for a variant, most
+ * appropriate first.
+ *
+ * @static
+ * @private
+ * @param {string} [variant] Variant, defaults to the current user's variant
+ * @return {string[]} The variant and its fallbacks
+ */
+ve.dm.MWLanguageVariantNode.static.getLanguageCodes = function ( variant ) {
+	var fallbacks,
+		conf = mw.config.get( 'wgVisualEditor' );
+	if ( variant ) {
+		fallbacks = ( conf.pageVariants || {} )[ variant ];
+	} else {
+		variant = mw.config.get( 'wgUserVariant' );
+		fallbacks = conf.pageVariantFallbacks;
+	}
+	return ( variant ? [ variant ] : [] ).concat( fallbacks || [] );
+};
+
+/**
+ * Find the item for the first of a list of language codes which has one.
+ *
+ * @static
+ * @private
+ * @param {Object[]} items An array of objects, each of which have a field
+ *  named `l` equal to a language code.
+ * @param {string[]} languageCodes Language codes, most appropriate first
+ * @return {number} The index in `items`, or -1 if none of the codes match
+ */
+ve.dm.MWLanguageVariantNode.static.findLanguage = function ( items, languageCodes ) {
+	var i, j, code;
 	for ( j = 0; j < languageCodes.length; j++ ) {
 		code = languageCodes[ j ].toLowerCase();
 		for ( i = 0; i < items.length; i++ ) {
@@ -297,8 +335,136 @@ ve.dm.MWLanguageVariantNode.static.matchLanguage = function ( items ) {
 			}
 		}
 	}
-	// Bail: just show the first item.
-	return 0;
+	return -1;
+};
+
+/**
+ * Add the page-wide conversions of a language variant rule to a
+ * conversion table.
+ *
+ * Two-way rules convert the text for every other variant to the text for
+ * the chosen variant. One-way rules convert their source text to the text
+ * for the chosen variant. Other kinds of rule only affect their own text.
+ *
+ * @static
+ * @param {Object.<string,string>} table Conversion table, text to convert
+ *  mapped to its conversion
+ * @param {Object} variantInfo Language variant information object.
+ * @param {string} variant Variant to convert to
+ * @return {Object.<string,string>} The conversion table
+ */
+ve.dm.MWLanguageVariantNode.static.addConversionRules = function ( table, variantInfo, variant ) {
+	var index, code, target,
+		languageCodes = this.getLanguageCodes( variant );
+
+	function getText( html ) {
+		return ve.createDocumentFromHtml( html ).body.textContent;
+	}
+
+	if ( variantInfo.twoway && variantInfo.twoway.length ) {
+		index = this.findLanguage( variantInfo.twoway, languageCodes );
+		if ( index !== -1 ) {
+			target = getText( variantInfo.twoway[ index ].t );
+			variantInfo.twoway.forEach( function ( item, i ) {
+				var text = getText( item.t );
+				if ( i !== index && text && text !== target ) {
+					table[ text ] = target;
+				}
+			} );
+		}
+	} else if ( variantInfo.oneway && variantInfo.oneway.length ) {
+		index = this.findLanguage( variantInfo.oneway, languageCodes );
+		if ( index !== -1 ) {
+			// A rule can convert several source texts for the same variant
+			code = variantInfo.oneway[ index ].l.toLowerCase();
+			variantInfo.oneway.forEach( function ( item ) {
+				var text = getText( item.f );
+				if ( item.l.toLowerCase() === code && text ) {
+					table[ text ] = getText( item.t );
+				}
+			} );
+		}
+	}
+	return table;
+};
+
+/**
+ * Convert text using a conversion table.
+ *
+ * The longest matching text is converted first, and converted text is not
+ * converted again.
+ *
+ * @static
+ * @param {string} text Text to convert
+ * @param {Object.<string,string>} table Conversion table, see #addConversionRules
+ * @return {string} Converted text
+ */
+ve.dm.MWLanguageVariantNode.static.convertText = function ( text, table ) {
+	var keys = Object.keys( table ).sort( function ( a, b ) {
+		return b.length - a.length;
+	} );
+	if ( !keys.length ) {
+		return text;
+	}
+	return text.replace( new RegExp( keys.map( mw.util.escapeRegExp ).join( '|' ), 'g' ), function ( match ) {
+		return table[ match ];
+	} );
+};
+
+/**
+ * Convert the contents of an element to a language variant, applying all of
+ * the language variant rules in it.
+ *
+ * Each rule is replaced with its output for the variant, as with
+ * #processVariants. Hidden rules and rules with the "add" flag apply to the
+ * rest of the text too, as they do when the page is viewed.
+ *
+ * @static
+ * @param {HTMLElement} container Container element to convert
+ * @param {string} variant Variant to convert to
+ */
+ve.dm.MWLanguageVariantNode.static.convertToVariant = function ( container, variant ) {
+	var self = this,
+		table = {};
+
+	function isRule( element ) {
+		return element.getAttribute( 'typeof' ) === 'mw:LanguageVariant' &&
+			element.hasAttribute( 'data-mw-variant' );
+	}
+
+	function convertNode( node ) {
+		var variantInfo;
+		if ( node.nodeType === Node.TEXT_NODE ) {
+			node.data = self.convertText( node.data, table );
+		} else if ( node.nodeType === Node.ELEMENT_NODE ) {
+			if ( isRule( node ) ) {
+				variantInfo = JSON.parse( node.getAttribute( 'data-mw-variant' ) );
+				// Only filter rules for this variant let the page-wide rules
+				// convert their text
+				if ( !variantInfo.filter || self.findLanguage(
+					variantInfo.filter.l.map( function ( l ) {
+						return { l: l };
+					} ),
+					[ variant ]
+				) === -1 ) {
+					return;
+				}
+			}
+			Array.prototype.forEach.call( node.childNodes, convertNode );
+		}
+	}
+
+	Array.prototype.forEach.call( container.querySelectorAll( '[typeof="mw:LanguageVariant"]' ), function ( element ) {
+		var variantInfo;
+		if ( isRule( element ) ) {
+			variantInfo = self.migrateFieldNames( JSON.parse( element.getAttribute( 'data-mw-variant' ) ) );
+			if ( element.tagName === 'META' || variantInfo.add ) {
+				self.addConversionRules( table, variantInfo, variant );
+			}
+		}
+	} );
+	this.processVariants( container, { variant: variant } );
+	Array.prototype.forEach.call( container.childNodes, convertNode );
 };
 
 /* Methods */
@@ -94,6 +94,35 @@ ve.dm.MWMagicLinkNode.static.validateContent = function ( content, optType ) {
 	return true;
 };
 
+/**
+ * Test that the check digit of a magic link's number is correct.
+ *
+ * Only ISBNs have a check digit, other types of magic link always pass.
+ *
+ * @param {string} content
+ *   The content string to test.
+ * @return {boolean}
+ *   True if the content string is a magic link with a correct (or no) check
+ *   digit.
+ */
+ve.dm.MWMagicLinkNode.static.validateChecksum = function ( content ) {
+	var type = ve.dm.MWMagicLinkType.static.fromContent( content );
+	return !!type && type.hasValidChecksum();
+};
+
+/**
+ * Return the content of a magic link in its preferred form, e.g. an
+ * ISBN-10 converted to an ISBN-13, or `null` if it is already in its
+ * preferred form or can't be converted.
+ *
+ * @param {string} content
+ * @return {string|null}
+ */
+ve.dm.MWMagicLinkNode.static.normalizeContent = function ( content ) {
+	var type = ve.dm.MWMagicLinkType.static.fromContent( content );
+	return type && type.getNormalizedContent();
+};
+
 /**
  * Test that a proposed content string and href is valid for a magic link.
  *
@@ -203,7 +232,7 @@ ve.dm.MWMagicLinkNode.prototype.getMagicType = function () {
 ve.dm.MWMagicLinkNode.prototype.getCode = function () {
 	var content = this.element.attributes.content,
 		type = ve.dm.MWMagicLinkType.static.fromContent( content );
-	return type.num;
+	return type.code;
 };
 
 /**
@@ -259,6 +288,23 @@ ve.dm.MWMagicLinkType.prototype.getCode = function () {
  * @inheritdoc ve.dm.MWMagicLinkNode#getHref
  */
 
+/**
+ * Return true if the check digit of the code is correct, or the code
+ * has no check digit.
+ *
+ * @return {boolean}
+ */
+ve.dm.MWMagicLinkType.prototype.hasValidChecksum = function () {
+	return true;
+};
+
+/**
+ * @inheritdoc ve.dm.MWMagicLinkNode#normalizeContent
+ */
+ve.dm.MWMagicLinkType.prototype.getNormalizedContent = function () {
+	return null;
+};
+
 /**
  * Return true if the given href is appropriate for this magic link.
  *
@@ -340,6 +386,54 @@ ve.dm.MWMagicLinkIsbnType.prototype.getCode = function () {
 	return isbnCode.toUpperCase();
 };
 
+/**
+ * Calculate the check digit of an ISBN.
+ *
+ * @static
+ * @param {string} digits The digits of an ISBN-10 or ISBN-13 without its check digit,
+ *  i.e. 9 or 12 digits
+ * @return {string} Check digit, `'X'` for 10 in an ISBN-10
+ */
+ve.dm.MWMagicLinkIsbnType.static.getCheckDigit = function ( digits ) {
+	var i, sum = 0;
+	if ( digits.length === 9 ) {
+		// ISBN-10: weights 10 down to 2, modulo 11
+		for ( i = 0; i < 9; i++ ) {
+			sum += ( 10 - i ) * +digits.charAt( i );
+		}
+		sum = ( 11 - sum % 11 ) % 11;
+		return sum === 10 ? 'X' : String( sum );
+	}
+	// ISBN-13: alternating weights 1 and 3, modulo 10
+	for ( i = 0; i < 12; i++ ) {
+		sum += ( i % 2 ? 3 : 1 ) * +digits.charAt( i );
+	}
+	return String( ( 10 - sum % 10 ) % 10 );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.MWMagicLinkIsbnType.prototype.hasValidChecksum = function () {
+	return this.constructor.static.getCheckDigit( this.code.slice( 0, -1 ) ) === this.code.slice( -1 );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.dm.MWMagicLinkIsbnType.prototype.getNormalizedContent = function () {
+	var matches, digits, separator;
+	if ( this.code.length !== 10 || !this.hasValidChecksum() ) {
+		return null;
+	}
+	// Keep the separators, replacing the ISBN-10 check digit
+	matches = /^(ISBN[^-0-9]+)([\s\S]+)[0-9Xx]$/.exec( this.content );
+	separator = /[-\t \u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/.exec( matches[ 2 ] );
+	digits = '978' + this.code.slice( 0, 9 );
+	return matches[ 1 ] + '978' + ( separator ? separator[ 0 ] : '' ) + matches[ 2 ] +
+		this.constructor.static.getCheckDigit( digits );
+};
+
 /**
  * @inheritdoc
  */
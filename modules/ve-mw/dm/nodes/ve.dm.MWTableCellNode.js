@@ -0,0 +1,98 @@
+/*!
+ * VisualEditor DataModel MWTableCellNode class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * DataModel MediaWiki table cell node.
+ *
+ * Replaces the core table cell node, to model how jquery.tablesorter sorts the cell: header cells
+ * can be `unsortable` or have a `sortType`, and any cell can have a `sortValue` to sort by instead
+ * of its content.
+ *
+ * @class
+ * @extends ve.dm.TableCellNode
+ * @mixins ve.dm.ClassAttributeNode
+ *
+ * @constructor
+ * @param {Object} [element] Reference to element in linear model
+ * @param {ve.dm.Node[]} [children]
+ */
+ve.dm.MWTableCellNode = function VeDmMWTableCellNode() {
+	// Parent constructor
+	ve.dm.MWTableCellNode.super.apply( this, arguments );
+
+	// Mixin constructors
+	ve.dm.ClassAttributeNode.call( this );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.dm.MWTableCellNode, ve.dm.TableCellNode );
+
+OO.mixinClass( ve.dm.MWTableCellNode, ve.dm.ClassAttributeNode );
+
+/* Static Properties */
+
+// Keeps the name 'tableCell', so it replaces the core node
+
+/**
+ * Sort types supported by jquery.tablesorter, for the `data-sort-type` attribute
+ *
+ * @static
+ * @property {string[]}
+ */
+ve.dm.MWTableCellNode.static.sortTypes = [ 'number', 'date', 'isoDate', 'currency', 'text' ];
+
+ve.dm.MWTableCellNode.static.classAttributes = {
+	unsortable: { unsortable: true }
+};
+
+ve.dm.MWTableCellNode.static.preserveHtmlAttributes = function ( attribute ) {
+	var attributes = [ 'class', 'data-sort-type', 'data-sort-value' ];
+	return attributes.indexOf( attribute ) === -1 &&
+		ve.dm.MWTableCellNode.super.static.preserveHtmlAttributes( attribute );
+};
+
+ve.dm.MWTableCellNode.static.toDataElement = function ( domElements ) {
+	// Parent method
+	var dataElement = ve.dm.MWTableCellNode.super.static.toDataElement.apply( this, arguments ),
+		attributes = dataElement.attributes = dataElement.attributes || {},
+		sortType = domElements[ 0 ].getAttribute( 'data-sort-type' ),
+		sortValue = domElements[ 0 ].getAttribute( 'data-sort-value' );
+
+	this.setClassAttributes( attributes, domElements[ 0 ].getAttribute( 'class' ) );
+
+	if ( sortType !== null ) {
+		attributes.sortType = sortType;
+	}
+	if ( sortValue !== null ) {
+		attributes.sortValue = sortValue;
+	}
+	return dataElement;
+};
+
+ve.dm.MWTableCellNode.static.toDomElements = function ( dataElement ) {
+	// Parent method
+	var elements = ve.dm.MWTableCellNode.super.static.toDomElements.apply( this, arguments ),
+		attributes = dataElement.attributes || {},
+		classAttr = this.getClassAttrFromAttributes( attributes );
+
+	if ( classAttr ) {
+		// eslint-disable-next-line mediawiki/class-doc
+		elements[ 0 ].className = classAttr;
+	}
+	if ( attributes.sortType ) {
+		elements[ 0 ].setAttribute( 'data-sort-type', attributes.sortType );
+	}
+	if ( attributes.sortValue !== undefined && attributes.sortValue !== null ) {
+		elements[ 0 ].setAttribute( 'data-sort-value', attributes.sortValue );
+	}
+	return elements;
+};
+
+/* Registration */
+
+ve.dm.modelRegistry.register( ve.dm.MWTableCellNode );
@@ -88,6 +88,44 @@ ve.dm.MWTableNode.static.sanitize = function ( dataElement ) {
 	ve.setProp( dataElement, 'attributes', 'wikitable', true );
 };
 
+/* Methods */
+
+/**
+ * Find the last of header rows with maximum number of cells (minimum number of colspans) and return
+ * all of its cells. These are the cells that serve as sortable headers in jQuery Tablesorter.
+ * This algorithm is exactly the same, see the buildHeaders() function in jquery.tablesorter.js.
+ *
+ * @return {ve.dm.TableCellNode[]}
+ */
+ve.dm.MWTableNode.prototype.getTablesorterHeaderCells = function () {
+	var
+		matrix = this.getMatrix(),
+		longestRow = [],
+		longestRowLength = 0,
+		i, l, matrixCells, isAllHeaders, rowLength, cellModels;
+
+	for ( i = 0, l = matrix.getRowCount(); i < l; i++ ) {
+		matrixCells = matrix.getRow( i );
+		cellModels = OO.unique( matrixCells.map( function ( matrixCell ) {
+			return matrixCell && matrixCell.getOwner().node;
+		} ) );
+		isAllHeaders = cellModels.every( function ( cellModel ) {
+			return cellModel && cellModel.getAttribute( 'style' ) === 'header';
+		} );
+		if ( !isAllHeaders ) {
+			// This is the end of table head (thead), stop looking further
+			break;
+		}
+		rowLength = cellModels.length;
+		if ( rowLength >= longestRowLength ) {
+			longestRowLength = rowLength;
+			longestRow = cellModels;
+		}
+	}
+
+	return longestRow;
+};
+
 /* Registration */
 
 ve.dm.modelRegistry.register( ve.dm.MWTableNode );
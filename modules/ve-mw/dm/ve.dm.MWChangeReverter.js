@@ -0,0 +1,139 @@
+/*!
+ * VisualEditor DataModel MWChangeReverter class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Reverts individual changes shown in a visual diff of a surface's document.
+ *
+ * Changes are traced back to the transactions in the document's history which made them, by
+ * comparing the range of the change with the range each transaction modified, translated to the
+ * current state of the document. These transactions are then reversed and rebased onto the current
+ * state of the document. A transaction which made several changes at once (e.g. a paste) is
+ * reverted as a whole.
+ *
+ * @class
+ *
+ * @constructor
+ * @param {ve.dm.Surface} surface Surface model
+ */
+ve.dm.MWChangeReverter = function VeDmMWChangeReverter( surface ) {
+	// Properties
+	this.surface = surface;
+	// Ranges modified by the transactions in #getTransactions, translated to the current state of
+	// the document, up to the length of the history they have been computed for
+	this.transactionRanges = [];
+};
+
+/* Inheritance */
+
+OO.initClass( ve.dm.MWChangeReverter );
+
+/* Methods */
+
+/**
+ * Get all transactions which have been applied to the document
+ *
+ * @return {ve.dm.Transaction[]}
+ */
+ve.dm.MWChangeReverter.prototype.getTransactions = function () {
+	return this.surface.getDocument().completeHistory.transactions;
+};
+
+/**
+ * Get the range each transaction in the document's history modified
+ *
+ * Ranges are translated over the transactions applied after them, so they point to the current
+ * state of the document. Only transactions applied since the last call need to be translated over.
+ *
+ * @private
+ * @return {Array.<ve.Range|null>} Ranges, or null for transactions which didn't modify anything
+ */
+ve.dm.MWChangeReverter.prototype.getTransactionRanges = function () {
+	var doc = this.surface.getDocument(),
+		transactions = this.getTransactions();
+
+	for ( var i = this.transactionRanges.length; i < transactions.length; i++ ) {
+		var tx = transactions[ i ];
+		for ( var j = 0; j < i; j++ ) {
+			if ( this.transactionRanges[ j ] ) {
+				this.transactionRanges[ j ] = tx.translateRange( this.transactionRanges[ j ] );
+			}
+		}
+		this.transactionRanges.push( tx.getModifiedRange( doc ) );
+	}
+	return this.transactionRanges;
+};
+
+/**
+ * Find the transactions which made a change
+ *
+ * Transactions which modified content that has been removed since are found at the range of the
+ * removal, so they are reverted along with it.
+ *
+ * @param {ve.Range|null} range Range of the change in the document, collapsed for removed content,
+ *  or null if not known
+ * @return {number[]} Indexes of the transactions in #getTransactions, in order
+ */
+ve.dm.MWChangeReverter.prototype.findTransactions = function ( range ) {
+	var indexes = [];
+
+	if ( !range ) {
+		return indexes;
+	}
+	this.getTransactionRanges().forEach( function ( txRange, i ) {
+		if ( txRange && (
+			// Collapsed ranges touching the change are part of it
+			( txRange.isCollapsed() || range.isCollapsed() ) ?
+				txRange.start <= range.end && txRange.end >= range.start :
+				txRange.start < range.end && txRange.end > range.start
+		) ) {
+			indexes.push( i );
+		}
+	} );
+	return indexes;
+};
+
+/**
+ * Revert transactions from the document's history
+ *
+ * Each transaction is reversed, and rebased over the transactions applied after it which aren't
+ * reverted along with it. If this conflicts with a later transaction, nothing is reverted.
+ *
+ * @param {number[]} indexes Indexes of the transactions in #getTransactions
+ * @return {boolean} The transactions were reverted
+ */
+ve.dm.MWChangeReverter.prototype.revert = function ( indexes ) {
+	var surface = this.surface,
+		historyLength = this.getTransactions().length;
+
+	surface.pushStaging();
+	// Start with the latest, so each transaction applies to a document where the later ones have
+	// been reverted already. It is rebased over the other later transactions, but neither over the
+	// reverted ones nor their reversals, which cancel each other out.
+	var success = indexes.slice().sort( function ( a, b ) {
+		return b - a;
+	} ).every( function ( index ) {
+		var transactions = this.getTransactions(),
+			tx = transactions[ index ].reversed();
+
+		for ( var i = index + 1; tx && i < historyLength; i++ ) {
+			if ( indexes.indexOf( i ) === -1 ) {
+				tx = ve.dm.Change.static.rebaseTransactions( tx, transactions[ i ] )[ 0 ];
+			}
+		}
+		if ( tx && !tx.isNoOp() ) {
+			surface.change( tx );
+		}
+		return !!tx;
+	}, this );
+
+	if ( success ) {
+		surface.applyStaging();
+	} else {
+		surface.popStaging();
+	}
+	return success;
+};
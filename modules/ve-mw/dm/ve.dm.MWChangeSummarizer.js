@@ -0,0 +1,208 @@
+/*!
+ * VisualEditor DataModel MWChangeSummarizer class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Summarizes changes to a document in a few words, e.g. "added 2 citations, updated {{Infobox}},
+ * +category X", meant to be proposed as an edit summary.
+ *
+ * Only inserted and removed elements are considered, as well as changes to the template
+ * invocations of transclusion nodes. Insertions and removals of the same kind cancel each other
+ * out.
+ *
+ * @class
+ *
+ * @constructor
+ * @param {ve.dm.Transaction[]} [transactions] Transactions to summarize, e.g. from
+ *  ve.dm.Surface#getHistory
+ */
+ve.dm.MWChangeSummarizer = function VeDmMWChangeSummarizer( transactions ) {
+	// Properties
+	this.counts = {};
+	this.templates = {};
+	this.updatedTemplates = {};
+	this.categories = {};
+
+	// Initialization
+	( transactions || [] ).forEach( this.addTransaction.bind( this ) );
+};
+
+/* Inheritance */
+
+OO.initClass( ve.dm.MWChangeSummarizer );
+
+/* Static Properties */
+
+/**
+ * Groups of element types that are counted, keyed by element type. Each group needs a pair of
+ * messages named `visualeditor-autosummary-<group>-added` and `…-removed`.
+ *
+ * Extensions can add their own types.
+ *
+ * @static
+ * @property {Object.<string,string>}
+ */
+ve.dm.MWChangeSummarizer.static.countedTypes = {
+	mwBlockImage: 'images',
+	mwInlineImage: 'images',
+	mwReference: 'citations'
+};
+
+/* Static Methods */
+
+/**
+ * Create a summarizer for all changes currently applied to a surface.
+ *
+ * @static
+ * @param {ve.dm.Surface} surfaceModel
+ * @return {ve.dm.MWChangeSummarizer}
+ */
+ve.dm.MWChangeSummarizer.static.newFromSurface = function ( surfaceModel ) {
+	var transactions = [];
+	surfaceModel.getHistory().forEach( function ( state ) {
+		ve.batchPush( transactions, state.transactions );
+	} );
+	return new this( transactions );
+};
+
+/**
+ * Get the names of all templates in the data of a transclusion.
+ *
+ * @static
+ * @param {Object} [mwData] Value of the `mw` attribute of a transclusion node
+ * @return {string[]} Template names as written in the wikitext
+ */
+ve.dm.MWChangeSummarizer.static.getTemplateNames = function ( mwData ) {
+	return ( mwData && mwData.parts || [] ).map( function ( part ) {
+		return part.template && part.template.target.wt && part.template.target.wt.trim();
+	} ).filter( Boolean );
+};
+
+/* Methods */
+
+/**
+ * Add the changes of a transaction.
+ *
+ * @param {ve.dm.Transaction} tx
+ */
+ve.dm.MWChangeSummarizer.prototype.addTransaction = function ( tx ) {
+	var summarizer = this;
+
+	tx.operations.forEach( function ( op ) {
+		if ( op.type === 'replace' ) {
+			op.remove.forEach( function ( item ) {
+				summarizer.addElement( item, -1 );
+			} );
+			op.insert.forEach( function ( item ) {
+				summarizer.addElement( item, 1 );
+			} );
+		} else if ( op.type === 'attribute' && op.key === 'mw' && op.from && op.to ) {
+			summarizer.constructor.static.getTemplateNames( op.to ).forEach( function ( name ) {
+				summarizer.updatedTemplates[ name ] = true;
+			} );
+		}
+	} );
+};
+
+/**
+ * Count an inserted or removed item of linear data.
+ *
+ * @private
+ * @param {Object|Array|string} item Item of linear data
+ * @param {number} delta 1 when inserted, -1 when removed
+ */
+ve.dm.MWChangeSummarizer.prototype.addElement = function ( item, delta ) {
+	if ( !ve.isPlainObject( item ) || !item.type || item.type.charAt( 0 ) === '/' ) {
+		return;
+	}
+
+	var counts = this.counts,
+		templates = this.templates,
+		group = this.constructor.static.countedTypes[ item.type ];
+
+	if ( group ) {
+		counts[ group ] = ( counts[ group ] || 0 ) + delta;
+	}
+	if ( item.attributes && item.attributes.mw && item.attributes.mw.parts ) {
+		this.constructor.static.getTemplateNames( item.attributes.mw ).forEach( function ( name ) {
+			templates[ name ] = ( templates[ name ] || 0 ) + delta;
+		} );
+	}
+	if ( item.type === 'mwCategory' && item.attributes.category ) {
+		var title = mw.Title.newFromText( item.attributes.category ),
+			name = title ? title.getMainText() : item.attributes.category;
+		this.categories[ name ] = ( this.categories[ name ] || 0 ) + delta;
+	}
+};
+
+/**
+ * Get the summary of all changes.
+ *
+ * @return {string} Summary, empty if there is nothing to summarize
+ */
+ve.dm.MWChangeSummarizer.prototype.getSummary = function () {
+	var group, name,
+		counts = this.counts,
+		parts = [],
+		templates = { added: [], updated: [], removed: [] },
+		categories = { added: [], removed: [] };
+
+	function pushList( key, list, format ) {
+		if ( list.length ) {
+			// The following messages are used here:
+			// * visualeditor-autosummary-templates-added
+			// * visualeditor-autosummary-templates-updated
+			// * visualeditor-autosummary-templates-removed
+			// * visualeditor-autosummary-categories-added
+			// * visualeditor-autosummary-categories-removed
+			parts.push( ve.msg( key, list.map( format ).join( ve.msg( 'comma-separator' ) ), list.length ) );
+		}
+	}
+
+	for ( group in counts ) {
+		if ( counts[ group ] ) {
+			// The following messages are used here:
+			// * visualeditor-autosummary-citations-added
+			// * visualeditor-autosummary-citations-removed
+			// * visualeditor-autosummary-images-added
+			// * visualeditor-autosummary-images-removed
+			parts.push( ve.msg(
+				'visualeditor-autosummary-' + group + ( counts[ group ] > 0 ? '-added' : '-removed' ),
+				Math.abs( counts[ group ] )
+			) );
+		}
+	}
+
+	for ( name in this.templates ) {
+		if ( this.templates[ name ] > 0 ) {
+			templates.added.push( name );
+		} else if ( this.templates[ name ] < 0 ) {
+			templates.removed.push( name );
+		}
+	}
+	for ( name in this.updatedTemplates ) {
+		// Templates that have been added or removed as a whole are not also listed as updated
+		if ( !this.templates[ name ] ) {
+			templates.updated.push( name );
+		}
+	}
+	for ( name in this.categories ) {
+		if ( this.categories[ name ] ) {
+			categories[ this.categories[ name ] > 0 ? 'added' : 'removed' ].push( name );
+		}
+	}
+
+	function formatTemplate( templateName ) {
+		return '{{' + templateName + '}}';
+	}
+	pushList( 'visualeditor-autosummary-templates-added', templates.added, formatTemplate );
+	pushList( 'visualeditor-autosummary-templates-updated', templates.updated, formatTemplate );
+	pushList( 'visualeditor-autosummary-templates-removed', templates.removed, formatTemplate );
+	pushList( 'visualeditor-autosummary-categories-added', categories.added, String );
+	pushList( 'visualeditor-autosummary-categories-removed', categories.removed, String );
+
+	return parts.join( ve.msg( 'comma-separator' ) );
+};
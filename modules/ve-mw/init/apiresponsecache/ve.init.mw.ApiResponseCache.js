@@ -11,12 +11,20 @@
  * Used to queue up lists of items centrally to get information about in batches
  *  of requests.
  *
+ * Results can optionally be persisted in a storage, so they survive page reloads. This is
+ * enabled for subclasses that set a {@see #static-storageKey}, when a storage is given.
+ *
  * @class
  * @extends OO.EventEmitter
  * @constructor
  * @param {mw.Api} [api] API object to use. Defaults to new mw.Api()
+ * @param {Object} [config] Configuration options
+ * @cfg {ve.init.Storage} [storage] Storage to persist results in, e.g. from
+ *  ve.init.Platform#createLocalStorage
  */
-ve.init.mw.ApiResponseCache = function VeInitMwApiResponseCache( api ) {
+ve.init.mw.ApiResponseCache = function VeInitMwApiResponseCache( api, config ) {
+	config = config || {};
+
 	// Mixin constructor
 	OO.EventEmitter.call( this );
 
@@ -33,12 +41,55 @@ ve.init.mw.ApiResponseCache = function VeInitMwApiResponseCache( api ) {
 	this.queue = [];
 
 	this.schedule = ve.debounce( this.processQueue.bind( this ), 0 );
+
+	// Keys are page names that have been restored from the storage
+	this.storedNames = {};
+
+	// Keys are page names, values are data objects to write to the storage, or null to remove them
+	this.storageChanges = {};
+
+	this.storage = this.constructor.static.storageKey && config.storage || null;
+	if ( this.storage ) {
+		this.scheduleSaveToStorage = ve.debounce( this.saveToStorage.bind( this ), 1000 );
+		this.restoreFromStorage();
+	}
 };
 
 /* Inheritance */
 
 OO.mixinClass( ve.init.mw.ApiResponseCache, OO.EventEmitter );
 
+/* Static properties */
+
+/**
+ * Key to persist results under, see the `storage` config option. Persistence is disabled if null.
+ *
+ * Subclasses that store different data than their parent class must use a different key.
+ *
+ * @static
+ * @property {string|null}
+ * @inheritable
+ */
+ve.init.mw.ApiResponseCache.static.storageKey = null;
+
+/**
+ * Time in seconds persisted results are used for, before they are requested again
+ *
+ * @static
+ * @property {number}
+ * @inheritable
+ */
+ve.init.mw.ApiResponseCache.static.storageTtl = 86400;
+
+/**
+ * Maximum number of persisted results. The oldest ones are dropped first.
+ *
+ * @static
+ * @property {number}
+ * @inheritable
+ */
+ve.init.mw.ApiResponseCache.static.storageMaxEntries = 500;
+
 /* Static methods */
 
 /**
@@ -110,7 +161,8 @@ ve.init.mw.ApiResponseCache.prototype.getCached = function ( name ) {
  */
 
 /**
- * Add entries to the cache. Does not overwrite already-set entries.
+ * Add entries to the cache. Does not overwrite already-set entries, except for entries restored
+ * from the storage, which are considered outdated by new data.
  *
  * @param {Object} entries Object keyed by page title, with the values being data objects
  * @fires add
@@ -124,11 +176,121 @@ ve.init.mw.ApiResponseCache.prototype.set = function ( entries ) {
 		if ( this.deferreds[ name ].state() === 'pending' ) {
 			this.deferreds[ name ].resolve( entries[ name ] );
 			this.cacheValues[ name ] = entries[ name ];
+		} else if ( Object.prototype.hasOwnProperty.call( this.storedNames, name ) ) {
+			// The stored value has already been resolved, replace it for future lookups
+			this.deferreds[ name ] = ve.createDeferred().resolve( entries[ name ] );
+			this.cacheValues[ name ] = entries[ name ];
+		} else {
+			continue;
+		}
+		delete this.storedNames[ name ];
+		if ( this.storage ) {
+			this.storageChanges[ name ] = this.isPersistable( name ) ? entries[ name ] : null;
+			this.scheduleSaveToStorage();
 		}
 	}
 	this.emit( 'add', Object.keys( entries ) );
 };
 
+/**
+ * Check if the data for a name should be persisted in the storage.
+ *
+ * @protected
+ * @param {string} name Normalized page title
+ * @return {boolean}
+ */
+ve.init.mw.ApiResponseCache.prototype.isPersistable = function () {
+	return true;
+};
+
+/**
+ * Get the storage key, which is specific to the wiki.
+ *
+ * @private
+ * @return {string}
+ */
+ve.init.mw.ApiResponseCache.prototype.getStorageKey = function () {
+	return this.constructor.static.storageKey + '-' + mw.config.get( 'wgWikiID' );
+};
+
+/**
+ * Read all persisted entries that haven't expired yet.
+ *
+ * @private
+ * @return {Object.<string,{time:number,data:Object}>} Entries keyed by page name, with the time
+ *  in seconds they have been stored at
+ */
+ve.init.mw.ApiResponseCache.prototype.readStorage = function () {
+	var name,
+		stored = this.storage.getObject( this.getStorageKey() ),
+		minTime = Date.now() / 1000 - this.constructor.static.storageTtl,
+		entries = {};
+
+	if ( !ve.isPlainObject( stored ) ) {
+		return entries;
+	}
+	for ( name in stored ) {
+		if ( stored[ name ] && stored[ name ].time > minTime ) {
+			entries[ name ] = stored[ name ];
+		}
+	}
+	return entries;
+};
+
+/**
+ * Restore persisted entries, so they can be used without waiting for an API request.
+ *
+ * @private
+ */
+ve.init.mw.ApiResponseCache.prototype.restoreFromStorage = function () {
+	var name,
+		entries = this.readStorage();
+
+	for ( name in entries ) {
+		if ( !Object.prototype.hasOwnProperty.call( this.deferreds, name ) ) {
+			this.deferreds[ name ] = ve.createDeferred().resolve( entries[ name ].data );
+			this.cacheValues[ name ] = entries[ name ].data;
+			this.storedNames[ name ] = true;
+		}
+	}
+};
+
+/**
+ * Write pending changes to the storage, dropping expired and the oldest entries when there are
+ * too many.
+ *
+ * Entries are merged with what is currently persisted, as other instances (e.g. in other tabs)
+ * might have written to the same storage in the meantime.
+ *
+ * @private
+ */
+ve.init.mw.ApiResponseCache.prototype.saveToStorage = function () {
+	var name,
+		entries = this.readStorage(),
+		time = Date.now() / 1000,
+		maxEntries = this.constructor.static.storageMaxEntries;
+
+	for ( name in this.storageChanges ) {
+		if ( this.storageChanges[ name ] === null ) {
+			delete entries[ name ];
+		} else {
+			entries[ name ] = { time: time, data: this.storageChanges[ name ] };
+		}
+	}
+	this.storageChanges = {};
+
+	var names = Object.keys( entries );
+	if ( names.length > maxEntries ) {
+		names.sort( function ( a, b ) {
+			return entries[ a ].time - entries[ b ].time;
+		} ).slice( 0, names.length - maxEntries ).forEach( function ( oldName ) {
+			delete entries[ oldName ];
+		} );
+	}
+
+	this.storage.setObject( this.getStorageKey(), entries );
+};
+
 /**
  * Get an API request promise to deal with a list of titles
  *
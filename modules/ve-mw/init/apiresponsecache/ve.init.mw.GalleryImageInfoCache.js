@@ -12,6 +12,7 @@
  * @extends ve.init.mw.ImageInfoCache
  * @constructor
  * @param {mw.Api} [api]
+ * @param {Object} [config]
  */
 ve.init.mw.GalleryImageInfoCache = function VeInitMwGalleryImageInfoCache() {
 	// Parent constructor
@@ -22,6 +23,10 @@ ve.init.mw.GalleryImageInfoCache = function VeInitMwGalleryImageInfoCache() {
 
 OO.inheritClass( ve.init.mw.GalleryImageInfoCache, ve.init.mw.ImageInfoCache );
 
+/* Static properties */
+
+ve.init.mw.GalleryImageInfoCache.static.storageKey = 've-galleryimageinfocache';
+
 /* Methods */
 
 /**
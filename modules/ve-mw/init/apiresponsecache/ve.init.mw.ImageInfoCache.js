@@ -12,6 +12,7 @@
  * @extends ve.init.mw.ApiResponseCache
  * @constructor
  * @param {mw.Api} [api]
+ * @param {Object} [config]
  */
 ve.init.mw.ImageInfoCache = function VeInitMwImageInfoCache() {
 	// Parent constructor
@@ -22,6 +23,10 @@ ve.init.mw.ImageInfoCache = function VeInitMwImageInfoCache() {
 
 OO.inheritClass( ve.init.mw.ImageInfoCache, ve.init.mw.ApiResponseCache );
 
+/* Static properties */
+
+ve.init.mw.ImageInfoCache.static.storageKey = 've-imageinfocache';
+
 /* Static methods */
 
 /**
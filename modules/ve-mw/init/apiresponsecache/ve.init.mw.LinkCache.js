@@ -12,6 +12,7 @@
  * @extends ve.init.mw.ApiResponseCache
  * @constructor
  * @param {mw.Api} [api]
+ * @param {Object} [config]
  */
 ve.init.mw.LinkCache = function VeInitMwLinkCache() {
 	// Parent constructor
@@ -22,6 +23,13 @@ ve.init.mw.LinkCache = function VeInitMwLinkCache() {
 
 OO.inheritClass( ve.init.mw.LinkCache, ve.init.mw.ApiResponseCache );
 
+/* Static properties */
+
+ve.init.mw.LinkCache.static.storageKey = 've-linkcache';
+
+// Pages are created and deleted all the time, don't show outdated link colors for too long
+ve.init.mw.LinkCache.static.storageTtl = 3600;
+
 /* Static methods */
 
 /**
@@ -147,6 +155,14 @@ ve.init.mw.LinkCache.prototype.setMissing = function ( entries ) {
 	this.set( missingEntries );
 };
 
+/**
+ * @inheritdoc
+ */
+ve.init.mw.LinkCache.prototype.isPersistable = function ( name ) {
+	// Missing link data comes with the page HTML, and might just be assumed
+	return name.indexOf( '_missing/' ) !== 0;
+};
+
 /**
  * @inheritdoc
  */
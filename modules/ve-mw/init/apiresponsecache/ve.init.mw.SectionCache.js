@@ -0,0 +1,170 @@
+/*!
+ * VisualEditor MediaWiki Initialization SectionCache class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Caches the section anchors of pages, which links can point to as fragments.
+ *
+ * Redirects are followed, so the anchors of a redirect are those of its target. Anchors that
+ * aren't section headings (e.g. added by templates) aren't known, nor are the anchors of pages
+ * that couldn't be parsed, which are null.
+ *
+ * @class
+ * @extends ve.init.mw.ApiResponseCache
+ * @constructor
+ * @param {mw.Api} [api]
+ * @param {Object} [config]
+ */
+ve.init.mw.SectionCache = function VeInitMwSectionCache() {
+	// Parent constructor
+	ve.init.mw.SectionCache.super.apply( this, arguments );
+
+	// Titles waiting for a request, see #queueRequest
+	this.requestQueue = [];
+	this.activeRequests = 0;
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.init.mw.SectionCache, ve.init.mw.ApiResponseCache );
+
+/* Static properties */
+
+ve.init.mw.SectionCache.static.storageKey = 've-sectioncache';
+
+// Sections are edited all the time, don't report outdated missing anchors for too long
+ve.init.mw.SectionCache.static.storageTtl = 3600;
+
+/**
+ * Maximum number of parse requests sent at the same time
+ *
+ * @static
+ * @property {number}
+ * @inheritable
+ */
+ve.init.mw.SectionCache.static.maxActiveRequests = 4;
+
+/* Static methods */
+
+/**
+ * Normalize an anchor or link fragment for comparison purposes.
+ *
+ * Anchors use underscores where fragments of titles use spaces.
+ *
+ * @static
+ * @param {string} anchor Anchor or fragment
+ * @return {string}
+ */
+ve.init.mw.SectionCache.static.normalizeAnchor = function ( anchor ) {
+	return anchor.replace( /_/g, ' ' ).trim();
+};
+
+/**
+ * @inheritdoc
+ */
+ve.init.mw.SectionCache.static.processPage = function ( page ) {
+	return {
+		missing: !!page.missing,
+		anchors: page.unknown ? null : page.anchors || []
+	};
+};
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.init.mw.SectionCache.prototype.isPersistable = function ( name ) {
+	// Failures are likely temporary
+	return this.getCached( name ).anchors !== null;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.init.mw.SectionCache.prototype.getRequestPromise = function ( subqueue ) {
+	// Sections can only be parsed one page at a time
+	return ve.promiseAll( subqueue.map( this.queueRequest.bind( this ) ) ).then( function () {
+		// Same format as a query response, for #processQueue
+		return { query: { pages: Array.prototype.slice.call( arguments ) } };
+	} );
+};
+
+/**
+ * Queue a request for the sections of a page
+ *
+ * At most `maxActiveRequests` requests are sent at the same time, the others wait for them
+ * to finish.
+ *
+ * @private
+ * @param {string} title Normalized page title
+ * @return {jQuery.Promise} Promise resolved with the page in the format of a query response
+ *  (see #static-processPage), never rejected
+ */
+ve.init.mw.SectionCache.prototype.queueRequest = function ( title ) {
+	var deferred = ve.createDeferred();
+
+	this.requestQueue.push( { title: title, deferred: deferred } );
+	this.sendRequests();
+	return deferred.promise();
+};
+
+/**
+ * Send queued requests, as long as not too many are active
+ *
+ * @private
+ */
+ve.init.mw.SectionCache.prototype.sendRequests = function () {
+	var item,
+		cache = this;
+
+	while (
+		this.requestQueue.length &&
+		this.activeRequests < this.constructor.static.maxActiveRequests
+	) {
+		item = this.requestQueue.shift();
+		this.activeRequests++;
+		this.requestSections( item.title )
+			.done( item.deferred.resolve )
+			.always( function () {
+				cache.activeRequests--;
+				cache.sendRequests();
+			} );
+	}
+};
+
+/**
+ * Request the sections of a page
+ *
+ * @private
+ * @param {string} title Normalized page title
+ * @return {jQuery.Promise} Promise resolved with the page in the format of a query response,
+ *  with `unknown` set if the request failed
+ */
+ve.init.mw.SectionCache.prototype.requestSections = function ( title ) {
+	return this.api.get( {
+		action: 'parse',
+		page: title,
+		prop: 'sections',
+		redirects: true,
+		formatversion: 2
+	} ).then( function ( response ) {
+		var sections = ve.getProp( response, 'parse', 'sections' ) || [];
+		return {
+			title: title,
+			anchors: sections.map( function ( section ) {
+				return section.anchor;
+			} )
+		};
+	}, function ( code ) {
+		// Failures of one page don't affect the others in its group
+		return ve.createDeferred().resolve(
+			code === 'missingtitle' ?
+				{ title: title, missing: true } :
+				{ title: title, unknown: true }
+		).promise();
+	} );
+};
@@ -82,6 +82,7 @@ ve.init.mw.ArticleTarget = function VeInitMwArticleTarget( config ) {
 	};
 
 	this.preparedCacheKeyPromise = null;
+	this.scheduleStoreDraft = ve.debounce( this.storeDraft.bind( this ), 1000 );
 	this.clearState();
 
 	// Initialization
@@ -125,6 +126,11 @@ OO.inheritClass( ve.init.mw.ArticleTarget, ve.init.mw.Target );
  * @event serializeError
  */
 
+/**
+ * @event previewVariant
+ * @param {string|null} variant Variant the page is being viewed as, see #setPreviewVariant
+ */
+
 /**
  * @event serializeComplete
  * Fired when serialization is complete
@@ -184,6 +190,21 @@ ve.init.mw.ArticleTarget.static.parseDocument = function ( documentString, mode,
 	return ve.init.mw.ArticleTarget.super.static.parseDocument.call( this, documentString, mode, section, onlySection );
 };
 
+/**
+ * Apply the changes stored in a draft, like autosave restores its changes
+ *
+ * @static
+ * @param {ve.dm.Surface} surfaceModel Surface model of the draft's content
+ * @param {string} id Draft ID
+ * @throws {Error} If the changes don't apply
+ */
+ve.init.mw.ArticleTarget.static.applyDraftChanges = function ( surfaceModel, id ) {
+	ve.init.platform.draftStore.getChanges( id ).forEach( function ( data ) {
+		ve.dm.Change.static.deserialize( data ).applyTo( surfaceModel, true );
+		surfaceModel.breakpoint();
+	} );
+};
+
 /**
  * Build DOM for the redirect page subtitle (#redirectsub).
  *
@@ -326,6 +347,11 @@ ve.init.mw.ArticleTarget.prototype.loadSuccess = function ( response ) {
 		// Properties that don't come from the API
 		this.initialSourceRange = data.initialSourceRange;
 		this.recovered = data.recovered;
+		if ( data.draftId ) {
+			// Keep saving to this session's draft after switching modes, or restore a draft
+			this.draftId = data.draftId;
+			this.restoringDraft = !!data.restoringDraft;
+		}
 
 		// Parse data this not available in RESTBase
 		if ( !this.parseMetadata( response ) ) {
@@ -497,9 +523,9 @@ ve.init.mw.ArticleTarget.prototype.surfaceReady = function () {
 /**
  * @inheritdoc
  */
-ve.init.mw.ArticleTarget.prototype.storeDocState = function ( html ) {
+ve.init.mw.ArticleTarget.prototype.getDocState = function () {
 	var mode = this.getSurface().getMode();
-	this.getSurface().getModel().storeDocState( {
+	return {
 		request: {
 			pageName: this.getPageName(),
 			mode: mode,
@@ -515,12 +541,360 @@ ve.init.mw.ArticleTarget.prototype.storeDocState = function ( html ) {
 			protectedClasses: this.protectedClasses,
 			basetimestamp: this.baseTimeStamp,
 			starttimestamp: this.startTimeStamp,
+			// Revision the stored changes are based on, see #checkRecoveredRevision
 			oldid: this.revid,
 			canEdit: this.canEdit,
 			checkboxesDef: this.checkboxesDef,
-			checkboxesMessages: this.checkboxesMessages
+			checkboxesMessages: this.checkboxesMessages,
+			draftId: this.draftId
 		}
-	}, html );
+	};
+};
+
+/**
+ * @inheritdoc
+ */
+ve.init.mw.ArticleTarget.prototype.initAutosave = function () {
+	var drafts,
+		target = this,
+		surfaceModel = this.getSurface().getModel(),
+		// The loaded content, before any recovered changes are applied
+		baseHistoryLength = surfaceModel.getDocument().completeHistory.getLength();
+
+	// Parent method
+	ve.init.mw.ArticleTarget.super.prototype.initAutosave.apply( this, arguments );
+
+	// Drafts outlive the session, so changes can be recovered in a later one, e.g. after the
+	// tab was closed. Each session keeps its own draft, which survives switching modes.
+	this.draftId = this.draftId || ve.init.mw.DraftStore.static.generateId();
+	if ( this.restoringDraft ) {
+		// The loaded content is the draft's, only its changes need to be restored
+		this.restoringDraft = false;
+		try {
+			this.constructor.static.applyDraftChanges( surfaceModel, this.draftId );
+		} catch ( e ) {
+			mw.log.warn( e );
+			ve.init.platform.notify(
+				ve.msg( 'visualeditor-autosave-not-recovered-text' ),
+				ve.msg( 'visualeditor-autosave-not-recovered-title' ),
+				{ type: 'error' }
+			);
+		}
+		// The restored draft may still be in use by its session in another tab, so continue in a
+		// copy of it, instead of both sessions appending their changes to the same draft
+		this.draftId = ve.init.mw.DraftStore.static.generateId();
+		this.draftContentStored = false;
+		this.draftStoredChange = baseHistoryLength;
+		this.storeDraft();
+	} else {
+		this.draftContentStored = false;
+		this.draftStoredChange = baseHistoryLength;
+		if ( this.fromEditedState || this.recovered ) {
+			this.storeDraft();
+		}
+	}
+	surfaceModel.connect( this, { undoStackChange: 'scheduleStoreDraft' } );
+
+	if ( this.recovered ) {
+		// The recovered changes are this session's, don't offer other drafts on top of them
+		this.draftsOffered = true;
+		this.checkRecoveredRevision();
+	}
+	if ( !this.draftsOffered ) {
+		this.draftsOffered = true;
+		drafts = ve.init.platform.draftStore.getDrafts( this.getPageName() )
+			.filter( function ( draft ) {
+				return draft.id !== target.draftId && draft.section === target.section;
+			} );
+		if ( drafts.length ) {
+			this.showDraftRecovery( drafts );
+		}
+	}
+};
+
+/**
+ * Check if the page was edited since the revision recovered changes are based on
+ *
+ * If it was, ask what to do with the changes, instead of silently continuing to edit the
+ * old revision.
+ *
+ * @return {jQuery.Promise} Promise resolved when the check is done
+ */
+ve.init.mw.ArticleTarget.prototype.checkRecoveredRevision = function () {
+	var target = this,
+		baseRevId = this.revid;
+
+	if ( !baseRevId ) {
+		// New page
+		return ve.createDeferred().resolve().promise();
+	}
+	return this.getContentApi().get( {
+		action: 'query',
+		prop: 'info',
+		titles: this.getPageName(),
+		formatversion: 2
+	} ).then( function ( response ) {
+		var latestRevId = ve.getProp( response, 'query', 'pages', 0, 'lastrevid' );
+		if (
+			latestRevId && latestRevId !== baseRevId &&
+			// Check the surface hasn't been replaced in the meantime
+			target.revid === baseRevId && target.getSurface()
+		) {
+			return target.showRecoveredConflict();
+		}
+	}, function () {
+		// Not knowing about newer revisions is no reason to give up the recovered changes,
+		// edit conflicts are still detected when saving
+		return ve.createDeferred().resolve().promise();
+	} );
+};
+
+/**
+ * Ask what to do with recovered changes based on an outdated revision
+ *
+ * Modified documents can be merged into the latest revision when publishing, see
+ * #mergeRecoveredChangesOnSave.
+ *
+ * @return {jQuery.Promise} Promise resolved when the user has chosen
+ */
+ve.init.mw.ArticleTarget.prototype.showRecoveredConflict = function () {
+	var target = this,
+		canMerge = this.fromEditedState || this.getSurface().getModel().hasBeenModified(),
+		actions = [
+			{
+				action: 'accept',
+				label: ve.msg( 'visualeditor-autosave-modified-prompt-accept' ),
+				flags: canMerge ? [] : [ 'primary', 'progressive' ]
+			},
+			{
+				action: 'reject',
+				label: ve.msg( 'visualeditor-autosave-modified-prompt-reject' ),
+				flags: 'destructive'
+			}
+		];
+
+	if ( canMerge ) {
+		actions.unshift( {
+			action: 'merge',
+			label: ve.msg( 'visualeditor-autosave-modified-prompt-merge' ),
+			flags: [ 'primary', 'progressive' ]
+		} );
+	}
+
+	// This prompt will throw off all of our timing data, so just disable tracking
+	// for this session
+	ve.track = function () {};
+
+	return OO.ui.getWindowManager().openWindow( 'message', {
+		title: ve.msg( 'visualeditor-autosave-modified-prompt-title' ),
+		message: canMerge ?
+			ve.msg( 'visualeditor-autosave-modified-prompt-merge-message' ) :
+			ve.msg( 'visualeditor-autosave-modified-prompt-message' ),
+		actions: actions
+	} ).closed.then( function ( data ) {
+		var action = data && data.action;
+		if ( action === 'merge' ) {
+			target.mergeRecoveredChangesOnSave();
+		} else if ( action === 'reject' ) {
+			// Drop the recovered changes and load the latest revision
+			target.clearDocState();
+			target.reloadSurface( target.getDefaultMode() );
+		}
+		// Otherwise keep editing the old revision, saving will run into an edit conflict
+	} );
+};
+
+/**
+ * Publish recovered changes, merging them into the latest revision of the page
+ *
+ * The changes aren't merged in the editor. Once the user confirms saving, they are submitted
+ * the same way as when resolving an edit conflict (see #onSaveDialogResolveConflict), where
+ * MediaWiki's edit conflict handling merges them into the latest revision if they don't overlap
+ * with the changes made since, and shows both versions to resolve the conflict manually if
+ * they do.
+ */
+ve.init.mw.ArticleTarget.prototype.mergeRecoveredChangesOnSave = function () {
+	this.mergingRecoveredChanges = true;
+	this.showSaveDialog();
+};
+
+/**
+ * Save the changes made to the current document in this session's draft
+ *
+ * Like autosave, the loaded content is stored once, and then only the changes made since the
+ * last call.
+ */
+ve.init.mw.ArticleTarget.prototype.storeDraft = function () {
+	var surface = this.getSurface(),
+		summary = this.saveDialog && this.saveDialog.editSummaryInput.getValue().trim(),
+		draftStore = ve.init.platform.draftStore,
+		draft, doc, change;
+
+	// Check the surface hasn't been destroyed, or the draft discarded, since this was scheduled
+	if (
+		!surface || !this.draftId ||
+		!surface.getModel().hasBeenModified() && !this.fromEditedState
+	) {
+		return;
+	}
+	draft = {
+		id: this.draftId,
+		pageName: this.getPageName(),
+		name: summary || null,
+		mode: surface.getMode(),
+		section: this.section,
+		baseRevId: this.revid,
+		state: this.getDocState()
+	};
+	if ( !this.draftContentStored ) {
+		if ( !draftStore.save( draft, this.originalHtml ) ) {
+			this.onAutosaveFailed();
+			return;
+		}
+		this.draftContentStored = true;
+	}
+	doc = surface.getModel().getDocument();
+	change = doc.getChangeSince( this.draftStoredChange );
+	if ( change.isEmpty() ) {
+		return;
+	}
+	if ( draftStore.addChange( draft, change.serialize() ) ) {
+		this.draftStoredChange = doc.completeHistory.getLength();
+	} else {
+		this.onAutosaveFailed();
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+ve.init.mw.ArticleTarget.prototype.clearDocState = function () {
+	// Parent method
+	ve.init.mw.ArticleTarget.super.prototype.clearDocState.apply( this, arguments );
+
+	// The edit was saved or deliberately abandoned, so its draft isn't needed any more
+	if ( this.draftId ) {
+		ve.init.platform.draftStore.remove( this.draftId );
+		this.draftId = null;
+	}
+};
+
+/**
+ * Offer to restore drafts from earlier sessions
+ *
+ * @param {Object[]} drafts Draft descriptions, see ve.init.mw.DraftStore#save
+ */
+ve.init.mw.ArticleTarget.prototype.showDraftRecovery = function ( drafts ) {
+	var target = this;
+	this.getSurface().dialogs.openWindow( 'mwDraftRecovery', { drafts: drafts } )
+		.closed.then( function ( data ) {
+			if ( data && data.action === 'restore' ) {
+				target.restoreDraft( data.draft );
+			}
+		} );
+};
+
+/**
+ * Replace the document with a draft from an earlier session
+ *
+ * Editing continues from the revision the draft is based on, in a copy of the draft, see
+ * #initAutosave.
+ *
+ * @param {Object} draft Draft description, see ve.init.mw.DraftStore#save
+ */
+ve.init.mw.ArticleTarget.prototype.restoreDraft = function ( draft ) {
+	var content = ve.init.platform.draftStore.getContent( draft.id );
+
+	if ( content === null ) {
+		ve.init.platform.notify(
+			ve.msg( 'visualeditor-autosave-not-recovered-text' ),
+			ve.msg( 'visualeditor-autosave-not-recovered-title' ),
+			{ type: 'error' }
+		);
+		return;
+	}
+
+	// This session's own draft is superseded by the restored one
+	ve.init.platform.draftStore.remove( this.draftId );
+	this.reloadSurface( draft.mode, ve.createDeferred().resolve( {
+		visualeditor: ve.extendObject( {}, draft.state.response, {
+			content: content,
+			fromEditedState: true,
+			draftId: draft.id,
+			// Apply the draft's changes to the content once the surface is ready, see #initAutosave
+			restoringDraft: true
+		} )
+	} ).promise() );
+};
+
+/**
+ * Get the document of a draft, with its changes applied
+ *
+ * @param {Object} draft Draft description, see ve.init.mw.DraftStore#save
+ * @return {ve.dm.Document|null} Document, null if the draft's content is missing
+ */
+ve.init.mw.ArticleTarget.prototype.getDraftDocument = function ( draft ) {
+	var doc, htmlDoc,
+		content = ve.init.platform.draftStore.getContent( draft.id ),
+		section = ( draft.mode === 'source' || this.enableVisualSectionEditing ) ? draft.section : null;
+
+	if ( content === null ) {
+		return null;
+	}
+	// Build the document like when the draft was edited, see #loadSuccess, so the changes apply
+	htmlDoc = this.constructor.static.parseDocument( content, draft.mode, section );
+	if ( draft.mode === 'visual' ) {
+		mw.libs.ve.stripRestbaseIds( htmlDoc );
+	}
+	doc = this.createModelFromDom( htmlDoc, draft.mode );
+	this.constructor.static.applyDraftChanges( new ve.dm.Surface( doc ), draft.id );
+	return doc;
+};
+
+/**
+ * Get a visual diff of a draft against the current revision of the page
+ *
+ * @param {Object} draft Draft description, see ve.init.mw.DraftStore#save
+ * @return {jQuery.Promise} Promise resolving with a generator for a ve.dm.VisualDiff visual diff
+ */
+ve.init.mw.ArticleTarget.prototype.getDraftVisualDiffGeneratorPromise = function ( draft ) {
+	var target = this;
+
+	return mw.loader.using( 'ext.visualEditor.diffLoader' ).then( function () {
+		var newDocPromise,
+			doc = target.getDraftDocument( draft );
+
+		if ( !doc ) {
+			return ve.createDeferred().reject().promise();
+		}
+		if ( draft.mode === 'source' ) {
+			// Source mode always fetches the whole document, like in #getVisualDiffGeneratorPromise
+			newDocPromise = target.getContentApi().post( {
+				action: 'visualeditor',
+				paction: 'parse',
+				page: target.getPageName(),
+				wikitext: doc.data.getSourceText(),
+				section: draft.section,
+				stash: 0,
+				pst: true
+			} ).then( function ( response ) {
+				return mw.libs.ve.diffLoader.getModelFromResponse( response, null );
+			} );
+		} else {
+			newDocPromise = ve.createDeferred().resolve( doc ).promise();
+		}
+		return mw.libs.ve.diffLoader.getVisualDiffGeneratorPromise(
+			target.currentRevisionId ?
+				mw.libs.ve.diffLoader.fetchRevision(
+					target.currentRevisionId, target.getPageName()
+				) :
+				// The page doesn't exist yet, so compare to an empty document
+				ve.createDeferred().resolve(
+					mw.libs.ve.diffLoader.getModelFromResponse( { visualeditor: { content: '' } }, null )
+				).promise(),
+			newDocPromise
+		);
+	} );
 };
 
 /**
@@ -965,6 +1339,32 @@ ve.init.mw.ArticleTarget.prototype.onSaveDialogRetry = function () {
 	}
 };
 
+/**
+ * Handle jump events from the save dialog.
+ *
+ * Closes the dialog, then selects the given range and scrolls it into view.
+ *
+ * @param {ve.Range} range Range to select
+ */
+ve.init.mw.ArticleTarget.prototype.onSaveDialogJump = function ( range ) {
+	var surface = this.getSurface();
+
+	this.saveDialog.close().closed.then( function () {
+		surface.getModel().setLinearSelection( range );
+		surface.getView().focus();
+		surface.scrollSelectionIntoView();
+	} );
+};
+
+/**
+ * Handle revert events from the save dialog.
+ *
+ * The diff has been cleared by the change to the document, so show the updated one.
+ */
+ve.init.mw.ArticleTarget.prototype.onSaveDialogRevert = function () {
+	this.onSaveDialogReview();
+};
+
 /**
  * Handle dialog close events.
  *
@@ -1030,7 +1430,16 @@ ve.init.mw.ArticleTarget.prototype.clearState = function () {
 	this.remoteNotices = [];
 	this.localNoticeMessages = [];
 	this.recovered = false;
+	this.autosaveFailed = false;
+	this.draftId = null;
+	this.draftsOffered = false;
+	this.restoringDraft = false;
+	this.draftContentStored = false;
+	this.draftStoredChange = 0;
+	this.mergingRecoveredChanges = false;
 	this.teardownPromise = null;
+	this.previewVariant = null;
+	this.variantPreview = null;
 };
 
 /**
@@ -1277,6 +1686,10 @@ ve.init.mw.ArticleTarget.prototype.onSaveDialogSave = function ( saveDeferred )
 			new OO.ui.HtmlSnippet( ve.init.platform.getParsedMessage( 'missingsummary' ) )
 		);
 		this.saveDialog.popPending();
+	} else if ( this.mergingRecoveredChanges ) {
+		// The changes are based on an outdated revision, see #mergeRecoveredChangesOnSave
+		this.emit( 'saveInitiated' );
+		this.onSaveDialogResolveConflict();
 	} else {
 		this.emit( 'saveInitiated' );
 		this.startSave( saveOptions );
@@ -1657,6 +2070,7 @@ ve.init.mw.ArticleTarget.prototype.teardown = function () {
 			this.$saveAccessKeyElements = null;
 		}
 		if ( surface ) {
+			this.setPreviewVariant( null );
 			// Disconnect history listener
 			surface.getModel().disconnect( this );
 		}
@@ -1824,6 +2238,8 @@ ve.init.mw.ArticleTarget.prototype.showSaveDialog = function ( action, checkboxN
 				preview: 'onSaveDialogPreview',
 				resolve: 'onSaveDialogResolveConflict',
 				retry: 'onSaveDialogRetry',
+				jump: 'onSaveDialogJump',
+				revert: 'onSaveDialogRevert',
 				close: 'onSaveDialogClose'
 			} );
 
@@ -1878,8 +2294,15 @@ ve.init.mw.ArticleTarget.prototype.showSaveDialog = function ( action, checkboxN
  * @return {Object} Opening data
  */
 ve.init.mw.ArticleTarget.prototype.getSaveDialogOpeningData = function () {
-	var mode = this.getSurface().getMode();
+	var mode = this.getSurface().getMode(),
+		surfaceModel = this.getSurface().getModel();
 	return {
+		templateIssuesPromise: mode === 'visual' ?
+			new ve.dm.MWTransclusionValidator( surfaceModel.getDocument() ).validate() :
+			null,
+		autoSummary: mode === 'visual' ?
+			ve.dm.MWChangeSummarizer.static.newFromSurface( surfaceModel ).getSummary() :
+			'',
 		canPreview: mode === 'source',
 		canReview: !( mode === 'source' && this.section === 'new' ),
 		sectionTitle: this.sectionTitle && this.sectionTitle.getValue(),
@@ -2195,6 +2618,7 @@ ve.init.mw.ArticleTarget.prototype.switchToWikitextSection = function ( section,
  * @param {jQuery.Promise} [dataPromise] Data promise, if any
  */
 ve.init.mw.ArticleTarget.prototype.reloadSurface = function ( newMode, dataPromise ) {
+	this.setPreviewVariant( null );
 	this.setDefaultMode( newMode );
 	this.clearDiff();
 	// Create progress - will be discarded when surface is destroyed.
@@ -2206,6 +2630,54 @@ ve.init.mw.ArticleTarget.prototype.reloadSurface = function ( newMode, dataPromi
 	this.load( dataPromise );
 };
 
+/**
+ * Get the language variant the page is being viewed as.
+ *
+ * @return {string|null} Variant code, or null if the page is being edited
+ */
+ve.init.mw.ArticleTarget.prototype.getPreviewVariant = function () {
+	return this.previewVariant;
+};
+
+/**
+ * View the page as it reads in a language variant, or go back to editing it.
+ *
+ * The surface is replaced with a rendering of the document with all of its
+ * language variant rules applied for the variant, and is read-only until
+ * editing resumes.
+ *
+ * @param {string|null} variant Variant code, or null to go back to editing
+ * @fires previewVariant
+ */
+ve.init.mw.ArticleTarget.prototype.setPreviewVariant = function ( variant ) {
+	var surface = this.getSurface();
+
+	variant = variant || null;
+	if ( !surface || variant === this.previewVariant ) {
+		return;
+	}
+	if ( variant ) {
+		if ( !this.variantPreview ) {
+			this.variantPreview = new ve.ui.MWLanguageVariantPreviewWidget();
+			this.variantPreview.connect( this, {
+				variant: 'setPreviewVariant',
+				close: [ 'setPreviewVariant', null ]
+			} );
+			surface.getView().$element.addClass( 'oo-ui-element-hidden' )
+				.before( this.variantPreview.$element );
+			surface.setReadOnly( true );
+		}
+		this.variantPreview.render( surface.getModel().getDocument(), variant );
+	} else {
+		this.variantPreview.$element.remove();
+		this.variantPreview = null;
+		surface.getView().$element.removeClass( 'oo-ui-element-hidden' );
+		surface.setReadOnly( !this.canEdit );
+	}
+	this.previewVariant = variant;
+	this.emit( 'previewVariant', variant );
+};
+
 /**
  * Display the given redirect subtitle and redirect page content header on the page.
  *
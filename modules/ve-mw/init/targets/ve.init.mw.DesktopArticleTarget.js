@@ -108,7 +108,7 @@ ve.init.mw.DesktopArticleTarget.static.actionGroups = [
 		title: ve.msg( 'visualeditor-pagemenu-tooltip' ),
 		label: ve.msg( 'visualeditor-pagemenu-tooltip' ),
 		invisibleLabel: true,
-		include: [ 'meta', 'categories', 'settings', 'advancedSettings', 'languages', 'templatesUsed', 'changeDirectionality', 'findAndReplace' ]
+		include: [ 'meta', 'categories', 'settings', 'advancedSettings', 'languages', 'templatesUsed', 'magicLinks', 'linkReport', 'languageVariantPreview', 'languageVariantRules', 'changeDirectionality', 'findAndReplace' ]
 	},
 	{
 		name: 'editMode',
@@ -24,6 +24,7 @@ ve.init.mw.Target = function VeInitMwTarget( config ) {
 	this.active = false;
 	this.pageName = mw.config.get( 'wgRelevantPageName' );
 	this.recovered = false;
+	this.autosaveFailed = false;
 	this.fromEditedState = false;
 	this.originalHtml = null;
 
@@ -450,7 +451,32 @@ ve.init.mw.Target.prototype.initAutosave = function () {
 	}
 	// Start auto-saving transactions
 	surfaceModel.startStoringChanges();
-	// TODO: Listen to autosaveFailed event to notify user
+	surfaceModel.connect( this, { autosaveFailed: 'onAutosaveFailed' } );
+};
+
+/**
+ * Handle autosave failures, e.g. when the storage is full
+ */
+ve.init.mw.Target.prototype.onAutosaveFailed = function () {
+	// Only notify once per session, later changes fail for the same reason
+	if ( this.autosaveFailed ) {
+		return;
+	}
+	this.autosaveFailed = true;
+	ve.init.platform.notify(
+		ve.msg( 'visualeditor-autosave-failed-text' ),
+		ve.msg( 'visualeditor-autosave-failed-title' ),
+		{ type: 'error', autoHide: false }
+	);
+};
+
+/**
+ * Get the state needed to restore the current document, stored alongside its HTML
+ *
+ * @return {Object} Document state
+ */
+ve.init.mw.Target.prototype.getDocState = function () {
+	return { mode: this.getSurface().getMode() };
 };
 
 /**
@@ -459,8 +485,7 @@ ve.init.mw.Target.prototype.initAutosave = function () {
  * @param {string} [html] Document HTML, will generate from current state if not provided
  */
 ve.init.mw.Target.prototype.storeDocState = function ( html ) {
-	var mode = this.getSurface().getMode();
-	this.getSurface().getModel().storeDocState( { mode: mode }, html );
+	this.getSurface().getModel().storeDocState( this.getDocState(), html );
 };
 
 /**
@@ -478,6 +503,10 @@ ve.init.mw.Target.prototype.clearDocState = function () {
 ve.init.mw.Target.prototype.teardown = function () {
 	// If target is closed cleanly (after save or deliberate close) then remove autosave state
 	this.clearDocState();
+	// Renderings depend on the page and templates, which can change before the next edit
+	if ( ve.init.mw.transclusionRenderScheduler ) {
+		ve.init.mw.transclusionRenderScheduler.clear();
+	}
 
 	// Parent method
 	return ve.init.mw.Target.super.prototype.teardown.call( this );
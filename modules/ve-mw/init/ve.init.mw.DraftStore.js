@@ -0,0 +1,390 @@
+/*!
+ * VisualEditor MediaWiki Initialization DraftStore class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Store for drafts of unsaved edits.
+ *
+ * Each editing session keeps its own draft, so sessions in different tabs don't overwrite each
+ * other's. The drafts of a wiki are listed in an index, and their contents are stored
+ * separately, so the index can be read without loading all of them. Like autosave, a draft's
+ * content is the document it is based on, and the changes made to it are appended as they are
+ * made.
+ *
+ * Other tabs can write to the index at the same time, so it is merged with what is currently
+ * stored on each write, and drafts which got lost from it by a concurrent write are restored.
+ *
+ * @class
+ *
+ * @constructor
+ * @param {ve.init.ListStorage} storage Storage to keep drafts in, e.g. from
+ *  ve.init.Platform#createLocalStorage
+ */
+ve.init.mw.DraftStore = function VeInitMwDraftStore( storage ) {
+	this.storage = storage;
+
+	// Descriptions of the drafts saved by this instance, keyed by ID
+	this.ownDrafts = {};
+
+	window.addEventListener( 'storage', this.onStorage.bind( this ) );
+};
+
+/* Inheritance */
+
+OO.initClass( ve.init.mw.DraftStore );
+
+/* Static properties */
+
+/**
+ * Key to store drafts under
+ *
+ * @static
+ * @property {string}
+ * @inheritable
+ */
+ve.init.mw.DraftStore.static.storageKey = 've-drafts';
+
+/**
+ * Time in seconds drafts are kept for since they were last saved
+ *
+ * @static
+ * @property {number}
+ * @inheritable
+ */
+ve.init.mw.DraftStore.static.ttl = 30 * 86400;
+
+/**
+ * Maximum number of drafts kept per page. The oldest ones are dropped first.
+ *
+ * @static
+ * @property {number}
+ * @inheritable
+ */
+ve.init.mw.DraftStore.static.maxDraftsPerPage = 5;
+
+/**
+ * Maximum number of other drafts dropped to make space when writing a draft
+ *
+ * @static
+ * @property {number}
+ * @inheritable
+ */
+ve.init.mw.DraftStore.static.maxDroppedDrafts = 10;
+
+/* Static methods */
+
+/**
+ * Generate an ID for a new draft
+ *
+ * @static
+ * @return {string}
+ */
+ve.init.mw.DraftStore.static.generateId = function () {
+	return Date.now().toString( 36 ) + '-' + Math.random().toString( 36 ).slice( 2, 10 );
+};
+
+/**
+ * Drop expired drafts, and the oldest drafts of pages with too many
+ *
+ * @static
+ * @param {Object[]} drafts Draft descriptions
+ * @param {number} now Current time in seconds
+ * @return {Object[]} Drafts to keep, newest first
+ */
+ve.init.mw.DraftStore.static.pruneDrafts = function ( drafts, now ) {
+	var maxDraftsPerPage = this.maxDraftsPerPage,
+		minTime = now - this.ttl,
+		counts = {};
+
+	return drafts
+		.filter( function ( draft ) {
+			return draft.timestamp > minTime;
+		} )
+		.sort( function ( a, b ) {
+			return b.timestamp - a.timestamp;
+		} )
+		.filter( function ( draft ) {
+			counts[ draft.pageName ] = ( counts[ draft.pageName ] || 0 ) + 1;
+			return counts[ draft.pageName ] <= maxDraftsPerPage;
+		} );
+};
+
+/* Methods */
+
+/**
+ * Get the storage key of the draft index, which is specific to the wiki.
+ *
+ * @private
+ * @return {string}
+ */
+ve.init.mw.DraftStore.prototype.getIndexKey = function () {
+	return this.constructor.static.storageKey + '-' + mw.config.get( 'wgWikiID' );
+};
+
+/**
+ * Get the storage key of a draft's content
+ *
+ * @private
+ * @param {string} id Draft ID
+ * @return {string}
+ */
+ve.init.mw.DraftStore.prototype.getContentKey = function ( id ) {
+	return this.getIndexKey() + '-' + id;
+};
+
+/**
+ * Get the storage key of the list of a draft's changes
+ *
+ * @private
+ * @param {string} id Draft ID
+ * @return {string}
+ */
+ve.init.mw.DraftStore.prototype.getChangesKey = function ( id ) {
+	return this.getContentKey( id ) + '-changes';
+};
+
+/**
+ * Read the descriptions of all stored drafts
+ *
+ * @private
+ * @return {Object[]}
+ */
+ve.init.mw.DraftStore.prototype.readIndex = function () {
+	var drafts = this.storage.getObject( this.getIndexKey() );
+	return Array.isArray( drafts ) ? drafts.filter( ve.isPlainObject ) : [];
+};
+
+/**
+ * Modify the index of drafts
+ *
+ * The index is read right before it is written, so changes made by other tabs are kept. This
+ * instance's own drafts are restored if a concurrent write lost them. Expired drafts, and the
+ * oldest drafts of pages with too many, are dropped along with their contents.
+ *
+ * @private
+ * @param {Function} callback Function modifying the drafts, given the stored ones and
+ *  returning the ones to store
+ * @return {boolean} The index was written
+ */
+ve.init.mw.DraftStore.prototype.updateIndex = function ( callback ) {
+	var id, kept,
+		store = this,
+		drafts = this.readIndex(),
+		stored = drafts.map( function ( draft ) {
+			return draft.id;
+		} );
+
+	for ( id in this.ownDrafts ) {
+		if ( stored.indexOf( id ) === -1 && this.getContent( id ) !== null ) {
+			drafts.push( this.ownDrafts[ id ] );
+		}
+	}
+	drafts = callback( drafts );
+	kept = this.constructor.static.pruneDrafts( drafts, Date.now() / 1000 );
+	drafts.forEach( function ( dropped ) {
+		if ( kept.indexOf( dropped ) === -1 ) {
+			store.removeData( dropped.id );
+		}
+	} );
+	return this.storage.setObject( this.getIndexKey(), kept );
+};
+
+/**
+ * Remove the content and changes of a draft, and forget it was saved by this instance
+ *
+ * @private
+ * @param {string} id Draft ID
+ */
+ve.init.mw.DraftStore.prototype.removeData = function ( id ) {
+	delete this.ownDrafts[ id ];
+	this.storage.remove( this.getContentKey( id ) );
+	this.storage.removeList( this.getChangesKey( id ) );
+};
+
+/**
+ * Write a draft, dropping the oldest other drafts if the storage is full
+ *
+ * Gives up, removing the draft, once #static-maxDroppedDrafts drafts were dropped, or if
+ * dropping drafts doesn't free any space, e.g. because the index can't be written at all.
+ *
+ * @private
+ * @param {Object} draft Draft description, see #save
+ * @param {Function} write Function writing the draft's data, returning false if it didn't fit
+ * @return {boolean} The draft was written
+ */
+ve.init.mw.DraftStore.prototype.writeDraft = function ( draft, write ) {
+	var oldest,
+		store = this,
+		droppedIds = [],
+		description = ve.extendObject( {}, draft, { timestamp: Date.now() / 1000 } );
+
+	function writeIndex() {
+		return store.updateIndex( function ( drafts ) {
+			return drafts.filter( function ( stored ) {
+				return stored.id !== draft.id;
+			} ).concat( description );
+		} );
+	}
+
+	this.ownDrafts[ draft.id ] = description;
+	while ( !( write() && writeIndex() ) ) {
+		// Drop the oldest draft of any page to make space. A draft still listed after it was
+		// dropped couldn't be removed from the index, so it isn't tried again.
+		oldest = this.readIndex().filter( function ( stored ) {
+			return stored.id !== draft.id && droppedIds.indexOf( stored.id ) === -1;
+		} ).sort( function ( a, b ) {
+			return a.timestamp - b.timestamp;
+		} )[ 0 ];
+		if ( !oldest || droppedIds.length >= this.constructor.static.maxDroppedDrafts ) {
+			this.remove( draft.id );
+			return false;
+		}
+		droppedIds.push( oldest.id );
+		this.remove( oldest.id );
+	}
+	return true;
+};
+
+/**
+ * Handle storage events from other tabs
+ *
+ * Drafts which disappear from the index while their content is still stored were lost by
+ * concurrent writes, as removed drafts have their content removed first. They are added back.
+ *
+ * @private
+ * @param {StorageEvent} e Storage event
+ */
+ve.init.mw.DraftStore.prototype.onStorage = function ( e ) {
+	var oldDrafts, ownIds,
+		store = this,
+		storedIds = this.readIndex().map( function ( draft ) {
+			return draft.id;
+		} );
+
+	function isLost( id ) {
+		return storedIds.indexOf( id ) === -1 && store.getContent( id ) !== null;
+	}
+
+	if ( e.key !== this.getIndexKey() ) {
+		return;
+	}
+	try {
+		oldDrafts = JSON.parse( e.oldValue );
+	} catch ( err ) {}
+	oldDrafts = ( Array.isArray( oldDrafts ) ? oldDrafts : [] ).filter( function ( draft ) {
+		return ve.isPlainObject( draft ) && !store.ownDrafts[ draft.id ] && isLost( draft.id );
+	} );
+	ownIds = Object.keys( this.ownDrafts ).filter( isLost );
+
+	if ( oldDrafts.length || ownIds.length ) {
+		// Own drafts are added back by #updateIndex
+		this.updateIndex( function ( drafts ) {
+			return drafts.concat( oldDrafts );
+		} );
+	}
+};
+
+/**
+ * Get the drafts of a page that haven't expired yet
+ *
+ * @param {string} pageName
+ * @return {Object[]} Draft descriptions, newest first, see #save
+ */
+ve.init.mw.DraftStore.prototype.getDrafts = function ( pageName ) {
+	return this.constructor.static.pruneDrafts( this.readIndex(), Date.now() / 1000 )
+		.filter( function ( draft ) {
+			return draft.pageName === pageName;
+		} );
+};
+
+/**
+ * Get the content of a draft
+ *
+ * @param {string} id Draft ID
+ * @return {string|null} HTML or wikitext of the document the draft's changes apply to,
+ *  depending on the draft's mode, null if it's missing
+ */
+ve.init.mw.DraftStore.prototype.getContent = function ( id ) {
+	var content = this.storage.get( this.getContentKey( id ) );
+	return typeof content === 'string' ? content : null;
+};
+
+/**
+ * Get the changes made to the content of a draft
+ *
+ * @param {string} id Draft ID
+ * @return {Object[]} Serialized changes, see ve.dm.Change#serialize
+ */
+ve.init.mw.DraftStore.prototype.getChanges = function ( id ) {
+	return this.storage.getList( this.getChangesKey( id ) ).map( function ( change ) {
+		return JSON.parse( change );
+	} );
+};
+
+/**
+ * Save a draft, replacing an earlier version with the same ID
+ *
+ * The changes of the earlier version are dropped, as they don't apply to the new content. If
+ * the storage is full, the oldest drafts are dropped until the draft fits.
+ *
+ * @param {Object} draft Draft description
+ * @param {string} draft.id Draft ID, see #static-generateId
+ * @param {string} draft.pageName Page name
+ * @param {string|null} draft.name Name given to the draft, e.g. its edit summary
+ * @param {string} draft.mode Editor mode, 'visual' or 'source'
+ * @param {string|null} draft.section Section being edited
+ * @param {number} [draft.baseRevId] Revision the draft is based on
+ * @param {Object} draft.state Document state needed to restore the draft
+ * @param {string} content HTML or wikitext, depending on the mode, of the document the
+ *  draft's changes will apply to
+ * @return {boolean} The draft was saved
+ */
+ve.init.mw.DraftStore.prototype.save = function ( draft, content ) {
+	var store = this;
+
+	this.storage.removeList( this.getChangesKey( draft.id ) );
+	return this.writeDraft( draft, function () {
+		return store.storage.set( store.getContentKey( draft.id ), content );
+	} );
+};
+
+/**
+ * Add a change to a saved draft, and update its description
+ *
+ * If the storage is full, the oldest other drafts are dropped until the change fits.
+ *
+ * @param {Object} draft Draft description, see #save
+ * @param {Object} change Serialized change, see ve.dm.Change#serialize
+ * @return {boolean} The change was added
+ */
+ve.init.mw.DraftStore.prototype.addChange = function ( draft, change ) {
+	var added = false,
+		store = this,
+		changeString = JSON.stringify( change );
+
+	return this.writeDraft( draft, function () {
+		// Don't add the change again when retrying after dropping other drafts
+		if ( !added ) {
+			added = store.storage.appendToList( store.getChangesKey( draft.id ), changeString );
+		}
+		return added;
+	} );
+};
+
+/**
+ * Remove a draft
+ *
+ * @param {string} id Draft ID
+ */
+ve.init.mw.DraftStore.prototype.remove = function ( id ) {
+	// Remove the data first, so other tabs don't consider the draft lost, see #onStorage
+	this.removeData( id );
+	this.updateIndex( function ( drafts ) {
+		return drafts.filter( function ( draft ) {
+			return draft.id !== id;
+		} );
+	} );
+};
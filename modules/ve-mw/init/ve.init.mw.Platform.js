@@ -27,9 +27,13 @@ ve.init.mw.Platform = function VeInitMwPlatform() {
 		'i'
 	);
 	this.parsedMessages = {};
-	this.linkCache = new ve.init.mw.LinkCache();
-	this.imageInfoCache = new ve.init.mw.ImageInfoCache();
-	this.galleryImageInfoCache = new ve.init.mw.GalleryImageInfoCache();
+
+	var cacheConfig = { storage: this.createLocalStorage() };
+	this.linkCache = new ve.init.mw.LinkCache( undefined, cacheConfig );
+	this.sectionCache = new ve.init.mw.SectionCache( undefined, cacheConfig );
+	this.imageInfoCache = new ve.init.mw.ImageInfoCache( undefined, cacheConfig );
+	this.galleryImageInfoCache = new ve.init.mw.GalleryImageInfoCache( undefined, cacheConfig );
+	this.draftStore = new ve.init.mw.DraftStore( cacheConfig.storage );
 };
 
 /* Inheritance */
@@ -0,0 +1,159 @@
+/*!
+ * VisualEditor Initialization spam blacklist save error handler class
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Save error handler for edits rejected by the SpamBlacklist extension.
+ *
+ * Finds the blocked external links in the document, and offers to select or remove them right
+ * from the save dialog.
+ *
+ * @class
+ * @extends ve.init.mw.SaveErrorHandler
+ *
+ * @constructor
+ */
+ve.init.mw.SpamBlacklistSaveErrorHandler = function () {};
+
+/* Inheritance */
+
+OO.inheritClass( ve.init.mw.SpamBlacklistSaveErrorHandler, ve.init.mw.SaveErrorHandler );
+
+/* Static properties */
+
+ve.init.mw.SpamBlacklistSaveErrorHandler.static.name = 'spamBlacklist';
+
+/* Static methods */
+
+/**
+ * Get the blocked URLs from an API response
+ *
+ * @static
+ * @param {Object} data API response from action=visualeditoredit
+ * @return {string[]} Blocked URLs, or the parts of them that matched the blacklist
+ */
+ve.init.mw.SpamBlacklistSaveErrorHandler.static.getMatches = function ( data ) {
+	var matches = [];
+	( data.errors || [] ).forEach( function ( error ) {
+		if ( error.code === 'spamblacklist' ) {
+			ve.batchPush( matches, ve.getProp( error, 'data', 'spamblacklist', 'matches' ) || [] );
+		}
+	} );
+	return OO.unique( matches );
+};
+
+/**
+ * Check if a URL matches one of the blocked URLs
+ *
+ * Protocols are ignored, as the blacklist matches URLs regardless of their protocol.
+ *
+ * @static
+ * @param {string} href URL to check
+ * @param {string[]} matches Blocked URLs as returned by #getMatches
+ * @return {boolean}
+ */
+ve.init.mw.SpamBlacklistSaveErrorHandler.static.isBlocked = function ( href, matches ) {
+	function normalize( url ) {
+		return url.toLowerCase().replace( /^(?:[a-z][a-z0-9+.-]*:)?\/+/, '' );
+	}
+
+	href = normalize( href );
+	return matches.some( function ( match ) {
+		match = normalize( match );
+		return !!match && href.indexOf( match ) !== -1;
+	} );
+};
+
+/**
+ * Find external links to blocked URLs in a document
+ *
+ * Links generated by templates or extensions can't be found this way.
+ *
+ * @static
+ * @param {ve.dm.Document} doc Document to search
+ * @param {string[]} matches Blocked URLs as returned by #getMatches
+ * @return {Object[]} List of objects with the `range` and the `annotation` of each link
+ */
+ve.init.mw.SpamBlacklistSaveErrorHandler.static.findLinks = function ( doc, matches ) {
+	var handler = this,
+		data = doc.data,
+		links = [];
+
+	for ( var i = 0, len = data.getLength(); i < len; i++ ) {
+		var annotation = data.getAnnotationsFromOffset( i ).get().filter( function ( ann ) {
+			return ann instanceof ve.dm.MWExternalLinkAnnotation &&
+				handler.isBlocked( ann.getHref(), matches );
+		} )[ 0 ];
+		if ( annotation ) {
+			var range = data.getAnnotatedRangeFromOffset( i, annotation );
+			links.push( { range: range, annotation: annotation } );
+			// Continue after the link
+			i = range.end - 1;
+		}
+	}
+	return links;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.init.mw.SpamBlacklistSaveErrorHandler.static.matchFunction = function ( data ) {
+	return this.getMatches( data ).length > 0;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.init.mw.SpamBlacklistSaveErrorHandler.static.process = function ( data, target ) {
+	var surfaceModel = target.getSurface().getModel(),
+		links = this.findLinks( surfaceModel.getDocument(), this.getMatches( data ) ),
+		$msg = target.extractErrorMessages( data );
+
+	if ( !links.length ) {
+		target.showSaveError( $msg.add(
+			$( '<p>' ).text( ve.msg( 'visualeditor-saveerror-spamblacklist-notfound' ) )
+		), false );
+		return;
+	}
+
+	var $list = $( '<ul>' ).addClass( 've-init-mw-spamBlacklistSaveErrorHandler-links' ),
+		removeButton = new OO.ui.ButtonWidget( {
+			label: ve.msg( 'visualeditor-saveerror-spamblacklist-remove', links.length ),
+			flags: [ 'destructive' ]
+		} );
+
+	links.forEach( function ( link ) {
+		var selectButton = new OO.ui.ButtonWidget( {
+			framed: false,
+			flags: [ 'progressive' ],
+			label: ve.msg( 'visualeditor-saveerror-spamblacklist-select' )
+		} );
+		selectButton.on( 'click', function () {
+			target.onSaveDialogJump( link.range );
+		} );
+		$list.append( $( '<li>' ).append(
+			$( '<code>' ).text( link.annotation.getHref() ),
+			' ',
+			selectButton.$element
+		) );
+	} );
+
+	removeButton.on( 'click', function () {
+		links.forEach( function ( link ) {
+			surfaceModel.getLinearFragment( link.range ).annotateContent( 'clear', link.annotation );
+		} );
+		$list.find( '.oo-ui-buttonElement' ).remove();
+		removeButton.setDisabled( true ).setLabel(
+			ve.msg( 'visualeditor-saveerror-spamblacklist-removed', links.length )
+		);
+	} );
+
+	// Allow to try again after the links have been removed
+	target.showSaveError( $msg.add( $list ).add( removeButton.$element ), true );
+};
+
+/* Registration */
+
+ve.init.mw.saveErrorHandlerFactory.register( ve.init.mw.SpamBlacklistSaveErrorHandler );
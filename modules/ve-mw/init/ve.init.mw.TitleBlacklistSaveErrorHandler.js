@@ -0,0 +1,71 @@
+/*!
+ * VisualEditor Initialization title blacklist save error handler class
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see http://ve.mit-license.org
+ */
+
+/**
+ * Save error handler for edits rejected by the TitleBlacklist extension.
+ *
+ * Shows the blacklist entry the page title matched, as the title can't be changed from within the
+ * editor.
+ *
+ * @class
+ * @extends ve.init.mw.SaveErrorHandler
+ *
+ * @constructor
+ */
+ve.init.mw.TitleBlacklistSaveErrorHandler = function () {};
+
+/* Inheritance */
+
+OO.inheritClass( ve.init.mw.TitleBlacklistSaveErrorHandler, ve.init.mw.SaveErrorHandler );
+
+/* Static properties */
+
+ve.init.mw.TitleBlacklistSaveErrorHandler.static.name = 'titleBlacklist';
+
+/* Static methods */
+
+/**
+ * Get the title blacklist error from an API response
+ *
+ * @static
+ * @param {Object} data API response from action=visualeditoredit
+ * @return {Object|undefined} Error object
+ */
+ve.init.mw.TitleBlacklistSaveErrorHandler.static.getError = function ( data ) {
+	return ( data.errors || [] ).filter( function ( error ) {
+		return error.code.indexOf( 'titleblacklist-forbidden' ) === 0;
+	} )[ 0 ];
+};
+
+/**
+ * @inheritdoc
+ */
+ve.init.mw.TitleBlacklistSaveErrorHandler.static.matchFunction = function ( data ) {
+	return !!this.getError( data );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.init.mw.TitleBlacklistSaveErrorHandler.static.process = function ( data, target ) {
+	var pattern = ve.getProp( this.getError( data ), 'data', 'line' ),
+		$msg = target.extractErrorMessages( data );
+
+	if ( pattern ) {
+		$msg = $msg.add( $( '<p>' ).append(
+			ve.msg( 'visualeditor-saveerror-titleblacklist-pattern' ),
+			' ',
+			$( '<code>' ).text( pattern )
+		) );
+	}
+
+	// Trying again won't help, the title stays the same
+	target.showSaveError( $msg, false );
+};
+
+/* Registration */
+
+ve.init.mw.saveErrorHandlerFactory.register( ve.init.mw.TitleBlacklistSaveErrorHandler );
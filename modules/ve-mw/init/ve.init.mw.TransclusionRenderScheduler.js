@@ -0,0 +1,394 @@
+/*!
+ * VisualEditor MediaWiki Initialization TransclusionRenderScheduler class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Scheduler for rendering wikitext fragments of transclusions.
+ *
+ * Fragments requested in the same tick are rendered together in as few parse requests as
+ * possible, identical fragments are only rendered once, and successful renderings are cached
+ * until the target is torn down.
+ *
+ * Fragments in a batch share the parser state, so only those that can't affect each other are
+ * batched: fragments using references or page-level magic words are rendered on their own (see
+ * #static-isBatchable), and batches whose rendering turns out to contain references are rendered
+ * again one fragment at a time (see #static-splitBatchContent).
+ *
+ * @class
+ *
+ * @constructor
+ */
+ve.init.mw.TransclusionRenderScheduler = function VeInitMwTransclusionRenderScheduler() {
+	// Keys are from #getKey, values are response data of successful renderings
+	this.cache = {};
+
+	// Keys are from #getKey, values are request objects that are queued or being rendered
+	this.requests = {};
+
+	// Request objects waiting to be sent
+	this.queue = [];
+
+	this.schedule = ve.debounce( this.processQueue.bind( this ), 0 );
+};
+
+/* Inheritance */
+
+OO.initClass( ve.init.mw.TransclusionRenderScheduler );
+
+/* Static properties */
+
+/**
+ * Attribute marking the wrapper of each fragment in a batched parse
+ *
+ * @static
+ * @property {string}
+ * @inheritable
+ */
+ve.init.mw.TransclusionRenderScheduler.static.markerAttribute = 'data-ve-render-batch';
+
+/**
+ * Maximum number of fragments rendered in one parse request
+ *
+ * @static
+ * @property {number}
+ * @inheritable
+ */
+ve.init.mw.TransclusionRenderScheduler.static.maxBatchSize = 50;
+
+/**
+ * Pattern matching wikitext that changes the parser state shared by all fragments in a batch
+ *
+ * This covers references (numbered across the parse, and listed at its end), behavior
+ * switches and page-level magic words.
+ *
+ * @static
+ * @property {RegExp}
+ * @inheritable
+ */
+ve.init.mw.TransclusionRenderScheduler.static.unbatchablePattern = new RegExp( [
+	'<\\s*\\/?\\s*(ref|references)\\b',
+	'#tag\\s*:\\s*(ref|references)\\b',
+	'__[A-Z_]+__',
+	'\\{\\{\\s*(DISPLAYTITLE|DEFAULTSORT|DEFAULTSORTKEY|DEFAULTCATEGORYSORT)\\s*:'
+].join( '|' ), 'i' );
+
+/**
+ * Selector matching renderings of references
+ *
+ * Templates can produce references without the fragment's wikitext showing it, e.g. through
+ * `{{#tag:ref}}`.
+ *
+ * @static
+ * @property {string}
+ * @inheritable
+ */
+ve.init.mw.TransclusionRenderScheduler.static.referenceSelector =
+	'.reference, .mw-ref, .mw-references-wrap, ol.references';
+
+/* Static methods */
+
+/**
+ * Get the key identifying the rendering of a wikitext fragment
+ *
+ * @static
+ * @param {string} pageName Page the fragment is rendered for
+ * @param {string} wikitext
+ * @return {string}
+ */
+ve.init.mw.TransclusionRenderScheduler.static.getKey = function ( pageName, wikitext ) {
+	// Page names can't contain line breaks
+	return pageName + '\n' + wikitext;
+};
+
+/**
+ * Check if a wikitext fragment can be rendered in a batch with other fragments
+ *
+ * @static
+ * @param {string} wikitext
+ * @return {boolean} The fragment doesn't change the parser state, see #unbatchablePattern
+ */
+ve.init.mw.TransclusionRenderScheduler.static.isBatchable = function ( wikitext ) {
+	return !this.unbatchablePattern.test( wikitext );
+};
+
+/**
+ * Get the wikitext rendering several fragments at once
+ *
+ * Each fragment is wrapped in a marked element, see #splitBatchContent. The line break after
+ * the opening tag ends any block context, so paragraphs are wrapped as if the fragment was
+ * parsed on its own.
+ *
+ * @static
+ * @param {string[]} wikitexts
+ * @return {string}
+ */
+ve.init.mw.TransclusionRenderScheduler.static.getBatchWikitext = function ( wikitexts ) {
+	var attribute = this.markerAttribute;
+	return wikitexts.map( function ( wikitext, i ) {
+		// Line breaks keep block syntax like tables and lists at the start of a line
+		return '<div ' + attribute + '="' + i + '">\n' + wikitext + '\n</div>';
+	} ).join( '\n' );
+};
+
+/**
+ * Split the rendering of a batch into the renderings of its fragments
+ *
+ * Fragments can have unbalanced markup that leaks into the other fragments' wrappers, or render
+ * references, numbered across the batch; in both cases the batch can't be split reliably.
+ *
+ * @static
+ * @param {string} html Rendering of the wikitext from #getBatchWikitext
+ * @param {number} count Number of fragments in the batch
+ * @return {string[]|null} HTML of each fragment, null if the batch can't be split
+ */
+ve.init.mw.TransclusionRenderScheduler.static.splitBatchContent = function ( html, count ) {
+	var attribute = this.markerAttribute,
+		doc = ve.createDocumentFromHtml( html ),
+		markers = Array.prototype.slice.call( doc.body.querySelectorAll( '[' + attribute + ']' ) ),
+		styles = {};
+
+	if (
+		markers.length !== count ||
+		markers.some( function ( marker, i ) {
+			return marker.getAttribute( attribute ) !== String( i ) ||
+				$( marker ).parents( '[' + attribute + ']' ).length;
+		} ) ||
+		doc.body.querySelector( this.referenceSelector )
+	) {
+		return null;
+	}
+
+	// TemplateStyles are only included once per parse, later uses link to the first one
+	$( doc.body ).find( 'style[data-mw-deduplicate]' ).each( function () {
+		var key = this.getAttribute( 'data-mw-deduplicate' );
+		styles[ key ] = styles[ key ] || this;
+	} );
+
+	var contents = markers.map( function ( marker ) {
+		var ownStyles = {};
+		$( marker ).find( 'style[data-mw-deduplicate]' ).each( function () {
+			ownStyles[ this.getAttribute( 'data-mw-deduplicate' ) ] = true;
+		} );
+		$( marker ).find( 'link[rel~="mw-deduplicated-inline-style"]' ).each( function () {
+			var key = ( this.getAttribute( 'href' ) || '' ).replace( /^mw-data:/, '' );
+			if ( styles[ key ] && !ownStyles[ key ] ) {
+				this.parentNode.replaceChild( styles[ key ].cloneNode( true ), this );
+				ownStyles[ key ] = true;
+			}
+		} );
+		return marker.innerHTML;
+	} );
+
+	// Anything left outside of the markers leaked out of a fragment
+	markers.forEach( function ( marker ) {
+		marker.parentNode.removeChild( marker );
+	} );
+	if ( /\S/.test( doc.body.textContent ) || $( doc.body ).find( '*' ).not( 'p, section' ).length ) {
+		return null;
+	}
+
+	return contents;
+};
+
+/* Methods */
+
+/**
+ * Render a wikitext fragment
+ *
+ * The promise is resolved with response data in the format of
+ * ve.init.mw.Target#parseWikitextFragment.
+ *
+ * @param {string} wikitext
+ * @param {ve.dm.Document} [doc] Document to render for, defaults to current surface's
+ * @return {jQuery.Promise} Abortable promise
+ */
+ve.init.mw.TransclusionRenderScheduler.prototype.render = function ( wikitext, doc ) {
+	var scheduler = this,
+		pageName = ve.init.target.getPageName( doc ),
+		key = this.constructor.static.getKey( pageName, wikitext ),
+		deferred = ve.createDeferred(),
+		request = this.requests[ key ];
+
+	if ( Object.prototype.hasOwnProperty.call( this.cache, key ) ) {
+		return deferred.resolve( this.cache[ key ] ).promise( { abort: function () {} } );
+	}
+
+	if ( !request ) {
+		request = this.requests[ key ] = {
+			key: key,
+			wikitext: wikitext,
+			pageName: pageName,
+			doc: doc,
+			deferred: ve.createDeferred(),
+			users: 0,
+			batch: null,
+			xhr: null
+		};
+		this.queue.push( request );
+		this.schedule();
+	}
+	request.users++;
+	request.deferred.done( deferred.resolve ).fail( deferred.reject );
+
+	return deferred.promise( {
+		abort: function () {
+			if ( deferred.state() === 'pending' ) {
+				deferred.reject();
+				scheduler.release( request );
+			}
+		}
+	} );
+};
+
+/**
+ * Forget cached renderings, e.g. when the target is torn down
+ *
+ * Renderings still in progress are delivered, but not cached.
+ */
+ve.init.mw.TransclusionRenderScheduler.prototype.clear = function () {
+	this.cache = {};
+	this.requests = {};
+};
+
+/**
+ * Stop waiting for a request, aborting it if nobody else is waiting for it
+ *
+ * @private
+ * @param {Object} request
+ */
+ve.init.mw.TransclusionRenderScheduler.prototype.release = function ( request ) {
+	request.users--;
+	if ( request.users > 0 || request.deferred.state() !== 'pending' ) {
+		return;
+	}
+
+	delete this.requests[ request.key ];
+	var index = this.queue.indexOf( request );
+	if ( index !== -1 ) {
+		this.queue.splice( index, 1 );
+	} else if (
+		request.xhr &&
+		request.batch.every( function ( batchRequest ) {
+			return batchRequest.users === 0;
+		} )
+	) {
+		request.xhr.abort();
+	}
+};
+
+/**
+ * Send the queued requests, batched by the page they are rendered for
+ *
+ * Requests that can't be batched (see #static-isBatchable) are sent on their own.
+ *
+ * @private
+ */
+ve.init.mw.TransclusionRenderScheduler.prototype.processQueue = function () {
+	var pageName, i,
+		scheduler = this,
+		maxBatchSize = this.constructor.static.maxBatchSize,
+		batches = {};
+
+	this.queue.splice( 0 ).forEach( function ( request ) {
+		if ( !scheduler.constructor.static.isBatchable( request.wikitext ) ) {
+			scheduler.sendBatch( [ request ] );
+			return;
+		}
+		batches[ request.pageName ] = batches[ request.pageName ] || [];
+		batches[ request.pageName ].push( request );
+	} );
+
+	for ( pageName in batches ) {
+		for ( i = 0; i < batches[ pageName ].length; i += maxBatchSize ) {
+			this.sendBatch( batches[ pageName ].slice( i, i + maxBatchSize ) );
+		}
+	}
+};
+
+/**
+ * Render a batch of requests in one parse request
+ *
+ * If the rendering of a batch can't be split, its requests are sent again one by one.
+ *
+ * @private
+ * @param {Object[]} batch Requests for the same page
+ */
+ve.init.mw.TransclusionRenderScheduler.prototype.sendBatch = function ( batch ) {
+	var xhr,
+		scheduler = this;
+
+	if ( batch.length === 1 ) {
+		xhr = ve.init.target.parseWikitextFragment( batch[ 0 ].wikitext, true, batch[ 0 ].doc )
+			.done( function ( response ) {
+				scheduler.complete( batch[ 0 ], response );
+			} );
+	} else {
+		xhr = ve.init.target.parseWikitextFragment(
+			this.constructor.static.getBatchWikitext( batch.map( function ( request ) {
+				return request.wikitext;
+			} ) ),
+			true,
+			batch[ 0 ].doc
+		)
+			.done( function ( response ) {
+				var contents = ve.getProp( response, 'visualeditor', 'result' ) === 'success' &&
+					scheduler.constructor.static.splitBatchContent(
+						response.visualeditor.content,
+						batch.length
+					);
+
+				if ( !contents ) {
+					batch.forEach( function ( request ) {
+						if ( request.users > 0 ) {
+							scheduler.sendBatch( [ request ] );
+						}
+					} );
+					return;
+				}
+				batch.forEach( function ( request, i ) {
+					scheduler.complete( request, {
+						visualeditor: { result: 'success', content: contents[ i ] }
+					} );
+				} );
+			} );
+	}
+
+	xhr.fail( function () {
+		batch.forEach( function ( request ) {
+			if ( scheduler.requests[ request.key ] === request ) {
+				delete scheduler.requests[ request.key ];
+			}
+			request.deferred.reject();
+		} );
+	} );
+
+	batch.forEach( function ( request ) {
+		request.batch = batch;
+		request.xhr = xhr;
+	} );
+};
+
+/**
+ * Finish a request with the response data of its rendering
+ *
+ * @private
+ * @param {Object} request
+ * @param {Object} response Response data
+ */
+ve.init.mw.TransclusionRenderScheduler.prototype.complete = function ( request, response ) {
+	// Requests are forgotten when the cache is cleared, see #clear
+	if ( this.requests[ request.key ] === request ) {
+		delete this.requests[ request.key ];
+		if ( ve.getProp( response, 'visualeditor', 'result' ) === 'success' ) {
+			this.cache[ request.key ] = response;
+		}
+	}
+	request.deferred.resolve( response );
+};
+
+/* Initialization */
+
+ve.init.mw.transclusionRenderScheduler = new ve.init.mw.TransclusionRenderScheduler();
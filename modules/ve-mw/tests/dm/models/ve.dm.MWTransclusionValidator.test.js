@@ -0,0 +1,95 @@
+/*!
+ * VisualEditor DataModel MWTransclusionValidator tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+( function () {
+	QUnit.module( 've.dm.MWTransclusionValidator' );
+
+	/**
+	 * @param {Object.<string,string>} params Parameter values keyed by name
+	 * @param {Object} [templateData]
+	 * @return {ve.dm.MWTemplateModel}
+	 */
+	function newTemplateModel( params, templateData ) {
+		const doc = ve.dm.Document.static.newBlankDocument(),
+			transclusion = new ve.dm.MWTransclusionModel( doc ),
+			data = { target: { href: './Template:Test', wt: 'Test' }, params: {} };
+
+		Object.keys( params ).forEach( ( name ) => {
+			data.params[ name ] = { wt: params[ name ] };
+		} );
+
+		const template = ve.dm.MWTemplateModel.newFromData( transclusion, data );
+		if ( templateData ) {
+			template.getSpec().setTemplateData( templateData );
+		}
+		return template;
+	}
+
+	function getIssues( template ) {
+		const validator = new ve.dm.MWTransclusionValidator(
+			ve.dm.Document.static.newBlankDocument()
+		);
+		validator.checkSuggestedValues = true;
+		return validator.validateTemplate( template ).map( ( issue ) => issue.type + ':' + issue.name );
+	}
+
+	QUnit.test( 'Undocumented templates are skipped', ( assert ) => {
+		const template = newTemplateModel( { foo: 'Foo', bar: '' } );
+
+		assert.deepEqual( getIssues( template ), [] );
+	} );
+
+	QUnit.test( 'Required parameters', ( assert ) => {
+		const templateData = { params: {
+			present: { required: true },
+			blank: { required: true },
+			missing: { required: true },
+			viaAlias: { required: true, aliases: [ 'alias' ] },
+			optional: {}
+		} };
+
+		assert.deepEqual(
+			getIssues( newTemplateModel( { present: 'x', blank: ' ', alias: 'y' }, templateData ) ),
+			[ 'required:blank', 'required:missing' ]
+		);
+	} );
+
+	QUnit.test( 'Deprecated and unknown parameters', ( assert ) => {
+		const templateData = { params: {
+			old: { deprecated: 'Use "new" instead' },
+			new: {}
+		} };
+
+		assert.deepEqual(
+			getIssues( newTemplateModel( { old: 'a', new: 'b', typo: 'c' }, templateData ) ),
+			[ 'deprecated:old', 'unknown:typo' ]
+		);
+	} );
+
+	QUnit.test( 'Suggested values', ( assert ) => {
+		const templateData = { params: {
+			ok: { suggestedvalues: [ 'yes', 'no' ] },
+			bad: { suggestedvalues: [ 'yes', 'no' ] },
+			empty: { suggestedvalues: [ 'yes', 'no' ] }
+		} };
+
+		assert.deepEqual(
+			getIssues( newTemplateModel( { ok: ' yes', bad: 'maybe', empty: '' }, templateData ) ),
+			[ 'suggestedvalue:bad' ]
+		);
+	} );
+
+	QUnit.test( 'validate() on a document without templates', ( assert ) => {
+		const validator = new ve.dm.MWTransclusionValidator(
+			ve.dm.Document.static.newBlankDocument()
+		);
+
+		return validator.validate().then( ( issues ) => {
+			assert.deepEqual( issues, [] );
+		} );
+	} );
+}() );
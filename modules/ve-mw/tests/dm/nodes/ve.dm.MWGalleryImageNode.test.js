@@ -0,0 +1,61 @@
+/*!
+ * VisualEditor DataModel MWGalleryImageNode tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.dm.MWGalleryImageNode' );
+
+/* Tests */
+
+QUnit.test( 'Link targets', ( assert ) => {
+	const getGalleryHtml = ( resource, href ) => '<ul typeof="mw:Extension/gallery" data-mw=\'{"attrs":{},"body":{"extsrc":""},"name":"gallery"}\'>' +
+			'<li class="gallerybox"><div class="thumb"><span typeof="mw:Image">' +
+				'<a' + ( href ? ' href="' + href + '"' : '' ) + '><img resource="' + resource + '" src="' + ve.ce.minImgDataUri + '" height="120" width="120"/></a>' +
+			'</span></div><div class="gallerytext">Foo</div></li>' +
+		'</ul>',
+		cases = [
+			{
+				msg: 'Link to the file description page',
+				href: './File:Foo.jpg',
+				expected: undefined,
+				expectedHref: null
+			},
+			{
+				msg: 'Link to the file description page, encoded differently',
+				resource: './File:Foo_bar.jpg',
+				href: './File:Foo%20bar.jpg',
+				expected: undefined,
+				expectedHref: null
+			},
+			{
+				msg: 'Link to a page',
+				href: './Main_Page',
+				expected: './Main_Page',
+				expectedHref: './Main_Page'
+			},
+			{
+				msg: 'Link to an external URL',
+				href: 'https://example.org/',
+				expected: 'https://example.org/',
+				expectedHref: 'https://example.org/'
+			},
+			{
+				msg: 'No link',
+				href: null,
+				expected: undefined,
+				expectedHref: null
+			}
+		];
+
+	cases.forEach( ( caseItem ) => {
+		const doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( getGalleryHtml( caseItem.resource || './File:Foo.jpg', caseItem.href ) ) ),
+			image = doc.data.getData().filter( ( item ) => item.type === 'mwGalleryImage' )[ 0 ];
+
+		assert.strictEqual( image.attributes.href, caseItem.expected, caseItem.msg + ': href attribute' );
+
+		const a = ve.dm.converter.getDomFromModel( doc ).querySelector( '.gallerybox a' );
+		assert.strictEqual( a.getAttribute( 'href' ), caseItem.expectedHref, caseItem.msg + ': round-trips' );
+	} );
+} );
@@ -0,0 +1,161 @@
+/*!
+ * VisualEditor DataModel MWLanguageVariantNode tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.dm.MWLanguageVariantNode', QUnit.newMwEnvironment( {
+	beforeEach() {
+		mw.config.set( 'wgVisualEditor', ve.extendObject( {}, mw.config.get( 'wgVisualEditor' ), {
+			pageVariants: {
+				zh: [],
+				'zh-hans': [],
+				'zh-hant': [],
+				'zh-tw': [ 'zh-hant' ]
+			}
+		} ) );
+		ve.test.utils.mwEnvironment.beforeEach.call( this );
+	},
+	afterEach: ve.test.utils.mwEnvironment.afterEach
+} ) );
+
+/* Tests */
+
+QUnit.test( 'addConversionRules', ( assert ) => {
+	const twoway = {
+			twoway: [
+				{ l: 'zh-hans', t: '计算机' },
+				{ l: 'zh-hant', t: '電腦' }
+			]
+		},
+		cases = [
+			{
+				variantInfo: twoway,
+				variant: 'zh-hant',
+				expected: { 计算机: '電腦' },
+				msg: 'Two-way rule converts the other variants'
+			},
+			{
+				variantInfo: twoway,
+				variant: 'zh-tw',
+				expected: { 计算机: '電腦' },
+				msg: 'Two-way rule uses the variant\'s fallbacks'
+			},
+			{
+				variantInfo: twoway,
+				variant: 'zh',
+				expected: {},
+				msg: 'Two-way rule without the variant converts nothing'
+			},
+			{
+				variantInfo: {
+					twoway: [
+						{ l: 'zh-hans', t: '<b>软件</b>' },
+						{ l: 'zh-hant', t: '<b>軟體</b>' }
+					]
+				},
+				variant: 'zh-hans',
+				expected: { 軟體: '软件' },
+				msg: 'Rules convert the text of their HTML'
+			},
+			{
+				variantInfo: {
+					oneway: [
+						{ f: '计算机', l: 'zh-hans', t: '电脑' },
+						{ f: '計算機', l: 'zh-hans', t: '电脑' },
+						{ f: '计算机', l: 'zh-hant', t: '電腦' }
+					]
+				},
+				variant: 'zh-hans',
+				expected: { 计算机: '电脑', 計算機: '电脑' },
+				msg: 'One-way rule converts the source texts for the variant'
+			},
+			{
+				variantInfo: { filter: { l: [ 'zh-hans' ], t: '计算机' } },
+				variant: 'zh-hans',
+				expected: {},
+				msg: 'Filter rule converts nothing'
+			}
+		];
+
+	cases.forEach( ( caseItem ) => {
+		assert.deepEqual(
+			ve.dm.MWLanguageVariantNode.static.addConversionRules( {}, caseItem.variantInfo, caseItem.variant ),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
+
+QUnit.test( 'convertText', ( assert ) => {
+	const cases = [
+		{
+			text: 'ab a b',
+			table: { ab: 'X', a: 'Y', b: 'Z' },
+			expected: 'X Y Z',
+			msg: 'Longest text is converted first'
+		},
+		{
+			text: 'ab',
+			table: { a: 'b', b: 'c' },
+			expected: 'bc',
+			msg: 'Converted text is not converted again'
+		},
+		{
+			text: 'a.b a-b',
+			table: { 'a.b': 'X' },
+			expected: 'X a-b',
+			msg: 'Text is matched literally'
+		},
+		{
+			text: 'ab',
+			table: {},
+			expected: 'ab',
+			msg: 'Empty table'
+		}
+	];
+
+	cases.forEach( ( caseItem ) => {
+		assert.strictEqual(
+			ve.dm.MWLanguageVariantNode.static.convertText( caseItem.text, caseItem.table ),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
+
+QUnit.test( 'convertToVariant', ( assert ) => {
+	const html = '<p>计算机 ' +
+			'<span typeof="mw:LanguageVariant" data-mw-variant=\'{"twoway":[{"l":"zh-hans","t":"软件"},{"l":"zh-hant","t":"軟體"}]}\'></span> ' +
+			'<span typeof="mw:LanguageVariant" data-mw-variant=\'{"filter":{"l":["zh-hant"],"t":"计算机"}}\'></span> ' +
+			'<span typeof="mw:LanguageVariant" data-mw-variant=\'{"filter":{"l":["zh-hans"],"t":"计算机"}}\'></span> ' +
+			'<span typeof="mw:LanguageVariant" data-mw-variant=\'{"disabled":{"t":"计算机"}}\'></span> ' +
+			'<span typeof="mw:LanguageVariant" data-mw-variant=\'{"add":true,"twoway":[{"l":"zh-hans","t":"网络"},{"l":"zh-hant","t":"網路"}]}\'></span> ' +
+			'网络</p>' +
+			'<meta typeof="mw:LanguageVariant" data-mw-variant=\'{"twoway":[{"l":"zh-hans","t":"计算机"},{"l":"zh-hant","t":"電腦"}]}\'>',
+		cases = [
+			{
+				variant: 'zh-hant',
+				expected: '電腦 軟體 電腦 计算机 计算机 網路 網路',
+				msg: 'Rules are applied for the variant'
+			},
+			{
+				variant: 'zh-tw',
+				expected: '電腦 軟體 计算机 计算机 计算机 網路 網路',
+				msg: 'Rules are applied for the variant\'s fallbacks, filters only for the variant'
+			},
+			{
+				variant: 'zh-hans',
+				expected: '计算机 软件 计算机 计算机 计算机 网络 网络',
+				msg: 'Rules are applied for the original variant'
+			}
+		];
+
+	cases.forEach( ( caseItem ) => {
+		const container = document.createElement( 'div' );
+		container.innerHTML = html;
+		ve.dm.MWLanguageVariantNode.static.convertToVariant( container, caseItem.variant );
+		assert.strictEqual( container.textContent, caseItem.expected, caseItem.msg );
+	} );
+} );
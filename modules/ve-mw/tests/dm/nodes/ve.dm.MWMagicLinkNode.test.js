@@ -0,0 +1,51 @@
+/*!
+ * VisualEditor DataModel MWMagicLinkNode tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.dm.MWMagicLinkNode', ve.test.utils.mwEnvironment );
+
+/* Tests */
+
+QUnit.test( 'validateChecksum', ( assert ) => {
+	const cases = [
+		{ content: 'ISBN 0-306-40615-2', expected: true, msg: 'ISBN-10' },
+		{ content: 'ISBN 0-306-40615-3', expected: false, msg: 'ISBN-10 with a wrong check digit' },
+		{ content: 'ISBN 080442957X', expected: true, msg: 'ISBN-10 with X as check digit' },
+		{ content: 'ISBN 978-0-306-40615-7', expected: true, msg: 'ISBN-13' },
+		{ content: 'ISBN 9780306406158', expected: false, msg: 'ISBN-13 with a wrong check digit' },
+		{ content: 'ISBN 978030640615X', expected: false, msg: 'ISBN-13 with X as check digit' },
+		{ content: 'PMID 1234', expected: true, msg: 'PMIDs have no check digit' },
+		{ content: 'RFC 1234', expected: true, msg: 'RFCs have no check digit' },
+		{ content: 'Foo', expected: false, msg: 'Not a magic link' }
+	];
+
+	cases.forEach( ( caseItem ) => {
+		assert.strictEqual(
+			ve.dm.MWMagicLinkNode.static.validateChecksum( caseItem.content ),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
+
+QUnit.test( 'normalizeContent', ( assert ) => {
+	const cases = [
+		{ content: 'ISBN 0306406152', expected: 'ISBN 9780306406157', msg: 'ISBN-10' },
+		{ content: 'ISBN 0-306-40615-2', expected: 'ISBN 978-0-306-40615-7', msg: 'ISBN-10 with dashes' },
+		{ content: 'ISBN 0 8044 2957 X', expected: 'ISBN 978 0 8044 2957 3', msg: 'ISBN-10 with spaces and X as check digit' },
+		{ content: 'ISBN 0-306-40615-3', expected: null, msg: 'ISBN-10 with a wrong check digit' },
+		{ content: 'ISBN 978-0-306-40615-7', expected: null, msg: 'ISBN-13' },
+		{ content: 'PMID 1234', expected: null, msg: 'PMID' }
+	];
+
+	cases.forEach( ( caseItem ) => {
+		assert.strictEqual(
+			ve.dm.MWMagicLinkNode.static.normalizeContent( caseItem.content ),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
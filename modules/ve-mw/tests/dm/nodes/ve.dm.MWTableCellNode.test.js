@@ -0,0 +1,88 @@
+/*!
+ * VisualEditor DataModel MWTableCellNode tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.dm.MWTableCellNode' );
+
+/* Tests */
+
+QUnit.test( 'Sort attributes', ( assert ) => {
+	const doc = ve.createDocumentFromHtml( '' ),
+		cases = [
+			{
+				msg: 'Unsortable header cell with other classes',
+				html: '<th class="foo unsortable">Foo</th>',
+				attributes: { unsortable: true },
+				expected: {
+					class: 'foo unsortable',
+					'data-sort-type': null,
+					'data-sort-value': null
+				}
+			},
+			{
+				msg: 'Header cell with sort type',
+				html: '<th data-sort-type="number">Foo</th>',
+				attributes: { sortType: 'number' },
+				expected: {
+					class: null,
+					'data-sort-type': 'number',
+					'data-sort-value': null
+				}
+			},
+			{
+				msg: 'Data cell with sort value',
+				html: '<td data-sort-value="10">ten</td>',
+				attributes: { sortValue: '10' },
+				expected: {
+					class: null,
+					'data-sort-type': null,
+					'data-sort-value': '10'
+				}
+			}
+		];
+
+	cases.forEach( ( caseItem ) => {
+		const $table = $( '<table>' ).append( $( '<tr>' ).html( caseItem.html ) ),
+			cell = $table.find( 'th, td' )[ 0 ],
+			dataElement = ve.dm.MWTableCellNode.static.toDataElement( [ cell ] );
+
+		Object.keys( caseItem.attributes ).forEach( ( key ) => {
+			assert.strictEqual( dataElement.attributes[ key ], caseItem.attributes[ key ], caseItem.msg + ': ' + key );
+		} );
+
+		const element = ve.dm.MWTableCellNode.static.toDomElements( dataElement, doc )[ 0 ];
+		Object.keys( caseItem.expected ).forEach( ( name ) => {
+			assert.strictEqual( element.getAttribute( name ), caseItem.expected[ name ], caseItem.msg + ': ' + name + ' round-trips' );
+		} );
+	} );
+
+	const element = ve.dm.MWTableCellNode.static.toDomElements( {
+		type: 'tableCell',
+		attributes: {
+			style: 'header',
+			originalClasses: 'foo unsortable',
+			unrecognizedClasses: [ 'foo' ],
+			unsortable: false,
+			sortType: undefined
+		}
+	}, doc )[ 0 ];
+	assert.strictEqual( element.getAttribute( 'class' ), 'foo', 'Removing unsortable keeps other classes' );
+	assert.strictEqual(
+		ve.dm.MWTableCellNode.static.preserveHtmlAttributes( 'class' ),
+		false,
+		'Original class isn\'t restored'
+	);
+	assert.strictEqual(
+		ve.dm.MWTableCellNode.static.preserveHtmlAttributes( 'colspan' ),
+		false,
+		'Original colspan isn\'t restored'
+	);
+	assert.strictEqual(
+		ve.dm.MWTableCellNode.static.preserveHtmlAttributes( 'style' ),
+		true,
+		'Other attributes are restored'
+	);
+} );
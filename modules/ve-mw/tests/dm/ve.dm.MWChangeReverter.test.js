@@ -0,0 +1,41 @@
+/*!
+ * VisualEditor DataModel MWChangeReverter tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.dm.MWChangeReverter', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'findTransactions & revert', ( assert ) => {
+	const doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '<p>Foo</p><p>Bar</p>' ) ),
+		surface = new ve.dm.Surface( doc ),
+		reverter = new ve.dm.MWChangeReverter( surface ),
+		getText = () => doc.data.getText( false, doc.getDocumentRange() );
+
+	surface.change( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 4, [ 'X' ] ) );
+	surface.change( ve.dm.TransactionBuilder.static.newFromInsertion( doc, 7, [ 'Y' ] ) );
+	surface.change( ve.dm.TransactionBuilder.static.newFromRemoval( doc, new ve.Range( 6, 12 ) ) );
+	assert.strictEqual( getText(), 'FooX', 'edited' );
+
+	const txCount = reverter.getTransactions().length;
+
+	assert.deepEqual( reverter.findTransactions( new ve.Range( 1, 5 ) ), [ txCount - 3 ], 'change found by range' );
+	assert.deepEqual(
+		reverter.findTransactions( new ve.Range( 6 ) ),
+		[ txCount - 2, txCount - 1 ],
+		'removal found, along with the changes to the removed content'
+	);
+	assert.deepEqual( reverter.findTransactions( new ve.Range( 1, 4 ) ), [], 'nothing found' );
+	assert.deepEqual( reverter.findTransactions( null ), [], 'nothing found without a range' );
+
+	assert.strictEqual( reverter.revert( [ txCount - 2, txCount - 1 ] ), true );
+	assert.strictEqual( getText(), 'FooXBar', 'removal reverted' );
+	assert.deepEqual(
+		reverter.findTransactions( new ve.Range( 1, 5 ) ),
+		[ txCount - 3 ],
+		'ranges are translated over the reversal'
+	);
+	assert.strictEqual( reverter.revert( [ txCount - 3 ] ), true );
+	assert.strictEqual( getText(), 'FooBar', 'earlier insertion reverted, later ones kept' );
+} );
@@ -0,0 +1,101 @@
+/*!
+ * VisualEditor DataModel MWChangeSummarizer tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+( function () {
+	function transclusion( ...names ) {
+		return {
+			type: 'mwTransclusionBlock',
+			attributes: { mw: { parts: names.map( ( name ) => ( {
+				template: { target: { wt: name }, params: {} }
+			} ) ) } }
+		};
+	}
+
+	function category( name ) {
+		return { type: 'mwCategory', attributes: { category: 'Category:' + name } };
+	}
+
+	function replace( remove, insert ) {
+		return { operations: [ { type: 'retain', length: 3 }, { type: 'replace', remove, insert } ] };
+	}
+
+	QUnit.module( 've.dm.MWChangeSummarizer', QUnit.newMwEnvironment( {
+		messages: {
+			'comma-separator': ', ',
+			'visualeditor-autosummary-categories-added': '+category $1',
+			'visualeditor-autosummary-categories-removed': '-category $1',
+			'visualeditor-autosummary-citations-added': 'added $1 citations',
+			'visualeditor-autosummary-images-removed': 'removed $1 images',
+			'visualeditor-autosummary-templates-added': 'added $1',
+			'visualeditor-autosummary-templates-removed': 'removed $1',
+			'visualeditor-autosummary-templates-updated': 'updated $1'
+		}
+	} ) );
+
+	[
+		{
+			msg: 'No changes',
+			transactions: [],
+			expected: ''
+		},
+		{
+			msg: 'Text changes only',
+			transactions: [ replace( [ 'a' ], [ 'b', 'c' ] ) ],
+			expected: ''
+		},
+		{
+			msg: 'Counted types',
+			transactions: [
+				replace( [], [ { type: 'mwReference' }, { type: '/mwReference' } ] ),
+				replace( [], [ { type: 'mwReference' }, { type: '/mwReference' } ] ),
+				replace( [ { type: 'mwBlockImage' }, { type: '/mwBlockImage' } ], [] )
+			],
+			expected: 'added 2 citations, removed 1 images'
+		},
+		{
+			msg: 'Insertion and removal cancel out',
+			transactions: [
+				replace( [], [ { type: 'mwReference' }, { type: '/mwReference' } ] ),
+				replace( [ { type: 'mwReference' }, { type: '/mwReference' } ], [] )
+			],
+			expected: ''
+		},
+		{
+			msg: 'Templates',
+			transactions: [
+				replace( [], [ transclusion( 'Infobox', 'Cn' ) ] ),
+				replace( [ transclusion( 'Old' ) ], [] ),
+				{ operations: [ {
+					type: 'attribute',
+					key: 'mw',
+					from: transclusion( 'Stub' ).attributes.mw,
+					to: transclusion( 'Stub' ).attributes.mw
+				} ] },
+				{ operations: [ {
+					type: 'attribute',
+					key: 'mw',
+					from: transclusion( 'Infobox' ).attributes.mw,
+					to: transclusion( 'Infobox' ).attributes.mw
+				} ] }
+			],
+			expected: 'added {{Infobox}}, {{Cn}}, updated {{Stub}}, removed {{Old}}'
+		},
+		{
+			msg: 'Categories',
+			transactions: [
+				replace( [], [ category( 'Foo' ), { type: '/mwCategory' }, category( 'Bar' ), { type: '/mwCategory' } ] ),
+				replace( [ category( 'Baz' ), { type: '/mwCategory' } ], [] )
+			],
+			expected: '+category Foo, Bar, -category Baz'
+		}
+	].forEach( ( { msg, transactions, expected } ) => {
+		QUnit.test( msg, ( assert ) => {
+			const summarizer = new ve.dm.MWChangeSummarizer( transactions );
+			assert.strictEqual( summarizer.getSummary(), expected );
+		} );
+	} );
+}() );
@@ -177,3 +177,40 @@ QUnit.test( 'getFragment', ( assert ) => {
 		assert.strictEqual( ve.dm.MWInternalLinkAnnotation.static.getFragment( cases[ i ].original ), cases[ i ].expected, cases[ i ].msg );
 	}
 } );
+
+QUnit.test( 'getDocumentAnchors', ( assert ) => {
+	const getDocumentAnchors = ve.dm.MWInternalLinkAnnotation.static.getDocumentAnchors,
+		cases = [
+			{
+				html: '<h2>Early <i>life</i></h2><p>a</p><h2>Career</h2><h3>Notes</h3><h2>Career</h2>',
+				expected: [ 'Early_life', 'Career', 'Notes', 'Career_2' ],
+				msg: 'Anchors generated from the text, repeated headings numbered'
+			},
+			{
+				html: '<h2 id="Early_life">Early <i>life</i></h2><h2 id="Career">Career</h2>' +
+					'<h2 id="Career_2_2">Career</h2><h2 id="Career_2">Career 2</h2>',
+				expected: [ 'Early_life', 'Career', 'Career_2_2', 'Career_2' ],
+				msg: 'Parsoid ids used'
+			},
+			{
+				html: '<h2 id="Career">Career</h2><h2>Career</h2><h2 id="Career_2">Career 2</h2>',
+				expected: [ 'Career', 'Career_3', 'Career_2' ],
+				msg: 'Generated anchors don\'t collide with Parsoid ids of later headings'
+			}
+		];
+
+	cases.forEach( ( caseItem ) => {
+		const doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( caseItem.html ) );
+		assert.deepEqual( getDocumentAnchors( doc ), caseItem.expected, caseItem.msg );
+	} );
+
+	const edited = ve.dm.converter.getModelFromDom(
+		ve.createDocumentFromHtml( '<h2 id="Career">Career</h2><h2 id="Notes">Notes</h2>' )
+	);
+	edited.commit( ve.dm.TransactionBuilder.static.newFromInsertion( edited, 14, [ 'S' ] ) );
+	assert.deepEqual(
+		getDocumentAnchors( edited ),
+		[ 'Career', 'NotesS' ],
+		'Edited headings get an anchor generated from their new text'
+	);
+} );
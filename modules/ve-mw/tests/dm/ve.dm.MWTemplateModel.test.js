@@ -67,6 +67,68 @@
 		assert.strictEqual( template.hasParameter( 'alternative-bar' ), true );
 	} );
 
+	QUnit.test( 'addParameterSet', ( assert ) => {
+		const template = newTemplateModel();
+		template.getSpec().setTemplateData( {
+			params: {
+				foo: {},
+				journal: { aliases: [ 'empty' ] },
+				volume: {},
+				isbn: {}
+			},
+			sets: [
+				{ label: 'Journal', params: [ 'foo', 'journal', 'volume' ] },
+				{ label: 'Book', params: [ 'isbn' ] }
+			]
+		} );
+
+		assert.strictEqual( template.addParameterSet( 0 ), 1, 'present and aliased parameters are skipped' );
+		assert.strictEqual( template.hasParameter( 'volume' ), true );
+		assert.strictEqual( template.getParameter( 'journal' ), undefined );
+		assert.strictEqual( template.addParameterSet( 0 ), 0, 'adding the same set twice does nothing' );
+		assert.strictEqual( template.addParameterSet( 2 ), 0, 'unknown sets are ignored' );
+	} );
+
+	QUnit.test( 'applyParameterMap', ( assert ) => {
+		const template = newTemplateModel();
+		template.getSpec().setTemplateData( {
+			params: {
+				title: { aliases: [ 'foo' ] }
+			},
+			maps: {
+				citoid: {
+					title: 'title',
+					url: 'url',
+					tags: [ 'keyword1', 'keyword2' ],
+					author: [ [ 'last1', 'first1' ], [ 'last2', 'first2' ] ],
+					ignored: 'empty'
+				}
+			}
+		} );
+
+		const changed = template.applyParameterMap( 'citoid', {
+			title: 'Title',
+			url: ' https://example.com ',
+			tags: [ 'a' ],
+			author: [ [ 'Doe', 'Jane' ], [ 'Roe' ] ],
+			ignored: ''
+		} );
+
+		assert.strictEqual( changed, 6 );
+		assert.strictEqual( template.getParameter( 'foo' ).getValue(), 'Title', 'aliases are reused' );
+		assert.strictEqual( template.getParameter( 'title' ), undefined );
+		assert.strictEqual( template.getParameter( 'url' ).getValue(), 'https://example.com' );
+		assert.strictEqual( template.getParameter( 'keyword1' ).getValue(), 'a' );
+		assert.strictEqual( template.hasParameter( 'keyword2' ), false );
+		assert.strictEqual( template.getParameter( 'last1' ).getValue(), 'Doe' );
+		assert.strictEqual( template.getParameter( 'first1' ).getValue(), 'Jane' );
+		assert.strictEqual( template.getParameter( 'last2' ).getValue(), 'Roe' );
+		assert.strictEqual( template.hasParameter( 'first2' ), false );
+		assert.strictEqual( template.getParameter( 'empty' ).getValue(), '', 'empty values are ignored' );
+
+		assert.strictEqual( template.applyParameterMap( 'unknown', { title: 'Title' } ), 0 );
+	} );
+
 	QUnit.test( 'serialize input parameters', ( assert ) => {
 		const template = newTemplateModel();
 
@@ -0,0 +1,85 @@
+/*!
+ * VisualEditor MediaWiki Initialization ApiResponseCache tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+( function () {
+	QUnit.module( 've.init.mw.ApiResponseCache' );
+
+	function newStorage( stored ) {
+		const data = {};
+		data[ 've-linkcache-' + mw.config.get( 'wgWikiID' ) ] = stored;
+		return {
+			data,
+			getObject: ( key ) => data[ key ],
+			setObject: ( key, value ) => {
+				data[ key ] = value;
+				return true;
+			}
+		};
+	}
+
+	QUnit.test( 'Restoring from the storage', ( assert ) => {
+		const now = Date.now() / 1000,
+			storage = newStorage( {
+				Fresh: { time: now - 60, data: { missing: true } },
+				Expired: { time: now - 7200, data: { missing: true } }
+			} ),
+			cache = new ve.init.mw.LinkCache( {}, { storage } );
+
+		assert.deepEqual( cache.getCached( 'Fresh' ), { missing: true }, 'fresh entries are restored' );
+		assert.strictEqual( cache.getCached( 'Expired' ), undefined, 'expired entries are ignored' );
+
+		const withoutStorage = new ve.init.mw.LinkCache( {} );
+		assert.strictEqual( withoutStorage.getCached( 'Fresh' ), undefined, 'persistence is optional' );
+	} );
+
+	QUnit.test( 'Saving to the storage', ( assert ) => {
+		const now = Date.now() / 1000,
+			storage = newStorage( {
+				Stored: { time: now - 60, data: { missing: true } }
+			} ),
+			key = 've-linkcache-' + mw.config.get( 'wgWikiID' ),
+			cache = new ve.init.mw.LinkCache( {}, { storage } );
+
+		cache.set( {
+			Stored: { missing: false },
+			New: { missing: false },
+			'_missing/Other': { missing: true }
+		} );
+		assert.deepEqual( cache.getCached( 'Stored' ), { missing: false }, 'stored entries are invalidated by set' );
+		cache.get( 'Stored' ).done( ( data ) => {
+			assert.deepEqual( data, { missing: false }, 'get returns the new data of invalidated entries' );
+		} );
+
+		cache.saveToStorage();
+		assert.deepEqual(
+			Object.keys( storage.data[ key ] ).sort(),
+			[ 'New', 'Stored' ],
+			'entries are persisted, missing link data is not'
+		);
+		assert.deepEqual( storage.data[ key ].Stored.data, { missing: false } );
+	} );
+
+	QUnit.test( 'Storage size limit', ( assert ) => {
+		const now = Date.now() / 1000,
+			storage = newStorage( {
+				Old: { time: now - 120, data: {} },
+				Older: { time: now - 180, data: {} }
+			} ),
+			key = 've-linkcache-' + mw.config.get( 'wgWikiID' ),
+			cache = new ve.init.mw.LinkCache( {}, { storage } );
+
+		cache.constructor.static.storageMaxEntries = 2;
+		try {
+			cache.set( { New: {} } );
+			cache.saveToStorage();
+		} finally {
+			delete cache.constructor.static.storageMaxEntries;
+		}
+
+		assert.deepEqual( Object.keys( storage.data[ key ] ).sort(), [ 'New', 'Old' ], 'oldest entries are dropped' );
+	} );
+}() );
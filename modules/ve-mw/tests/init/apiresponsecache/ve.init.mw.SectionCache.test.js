@@ -0,0 +1,94 @@
+/*!
+ * VisualEditor MediaWiki Initialization SectionCache tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.init.mw.SectionCache' );
+
+QUnit.test( 'normalizeAnchor', ( assert ) => {
+	const cache = ve.init.mw.SectionCache;
+
+	assert.strictEqual( cache.static.normalizeAnchor( 'Early_life' ), 'Early life', 'underscores' );
+	assert.strictEqual( cache.static.normalizeAnchor( ' Early life ' ), 'Early life', 'trimmed' );
+} );
+
+QUnit.test( 'get', ( assert ) => {
+	const requested = [],
+		api = {
+			get: ( params ) => {
+				requested.push( params.page );
+				if ( params.page === 'Missing' ) {
+					return ve.createDeferred().reject( 'missingtitle' ).promise();
+				}
+				return ve.createDeferred().resolve( { parse: { sections: [
+					{ anchor: 'Early_life' },
+					{ anchor: 'Career' }
+				] } } ).promise();
+			}
+		},
+		cache = new ve.init.mw.SectionCache( api );
+
+	return ve.promiseAll( [
+		cache.get( 'Foo' ),
+		cache.get( 'Missing' ),
+		cache.get( 'foo' )
+	] ).then( ( foo, missing, foo2 ) => {
+		assert.deepEqual( foo, { missing: false, anchors: [ 'Early_life', 'Career' ] }, 'anchors' );
+		assert.deepEqual( missing, { missing: true, anchors: [] }, 'missing page' );
+		assert.strictEqual( foo2, foo, 'titles are normalized' );
+		assert.deepEqual( requested, [ 'Foo', 'Missing' ], 'one request per page' );
+	} );
+} );
+
+QUnit.test( 'get (failures)', ( assert ) => {
+	const api = {
+			get: ( params ) => {
+				if ( params.page === 'Broken' ) {
+					return ve.createDeferred().reject( 'http' ).promise();
+				}
+				return ve.createDeferred().resolve( { parse: { sections: [
+					{ anchor: 'Career' }
+				] } } ).promise();
+			}
+		},
+		cache = new ve.init.mw.SectionCache( api );
+
+	return ve.promiseAll( [ cache.get( 'Foo' ), cache.get( 'Broken' ) ] ).then( ( foo, broken ) => {
+		assert.deepEqual( foo, { missing: false, anchors: [ 'Career' ] }, 'other pages of the group' );
+		assert.deepEqual( broken, { missing: false, anchors: null }, 'anchors unknown' );
+		assert.strictEqual( cache.isPersistable( 'Broken' ), false, 'failure not persisted' );
+	} );
+} );
+
+QUnit.test( 'get (concurrent requests)', ( assert ) => {
+	const requests = [],
+		api = {
+			get: ( params ) => {
+				const deferred = ve.createDeferred();
+				requests.push( { page: params.page, deferred: deferred } );
+				return deferred.promise();
+			}
+		},
+		cache = new ve.init.mw.SectionCache( api ),
+		maxActiveRequests = ve.init.mw.SectionCache.static.maxActiveRequests,
+		titles = [];
+
+	for ( let i = 0; i <= maxActiveRequests; i++ ) {
+		titles.push( 'Page ' + i );
+	}
+	const promise = ve.promiseAll( titles.map( ( title ) => cache.get( title ) ) );
+	cache.processQueue();
+
+	assert.strictEqual( requests.length, maxActiveRequests, 'requests are limited' );
+	requests[ 0 ].deferred.resolve( { parse: { sections: [] } } );
+	assert.strictEqual( requests.length, maxActiveRequests + 1, 'next request sent when one is done' );
+	requests.slice( 1 ).forEach( ( request ) => {
+		request.deferred.resolve( { parse: { sections: [] } } );
+	} );
+
+	return promise.then( function () {
+		assert.strictEqual( arguments.length, titles.length, 'all pages resolved' );
+	} );
+} );
@@ -0,0 +1,136 @@
+/*!
+ * VisualEditor MediaWiki Initialization ArticleTarget tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.init.mw.ArticleTarget', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'checkRecoveredRevision', ( assert ) => {
+	const checkRecoveredRevision = ve.init.mw.ArticleTarget.prototype.checkRecoveredRevision,
+		makeTarget = ( revid, getPromise ) => {
+			const target = {
+				revid: revid,
+				conflicts: 0,
+				requests: 0,
+				getPageName: () => 'Foo',
+				getSurface: () => ( {} ),
+				getContentApi: () => ( {
+					get: () => {
+						target.requests++;
+						return getPromise;
+					}
+				} ),
+				showRecoveredConflict: () => {
+					target.conflicts++;
+				}
+			};
+			return target;
+		},
+		latest = ( revid ) => ve.createDeferred().resolve(
+			{ query: { pages: [ { title: 'Foo', lastrevid: revid } ] } }
+		).promise(),
+		newPage = makeTarget( 0, latest( 1 ) ),
+		current = makeTarget( 1, latest( 1 ) ),
+		outdated = makeTarget( 1, latest( 2 ) ),
+		failed = makeTarget( 1, ve.createDeferred().reject( 'http' ).promise() );
+
+	return ve.promiseAll( [
+		checkRecoveredRevision.call( newPage ),
+		checkRecoveredRevision.call( current ),
+		checkRecoveredRevision.call( outdated ),
+		checkRecoveredRevision.call( failed )
+	] ).then( () => {
+		assert.strictEqual( newPage.requests, 0, 'new page: not checked' );
+		assert.strictEqual( current.conflicts, 0, 'latest revision: no prompt' );
+		assert.strictEqual( outdated.conflicts, 1, 'outdated revision: prompt shown' );
+		assert.strictEqual( failed.conflicts, 0, 'failed request: recovered changes kept' );
+	} );
+} );
+
+QUnit.test( 'showRecoveredConflict', function ( assert ) {
+	const showRecoveredConflict = ve.init.mw.ArticleTarget.prototype.showRecoveredConflict,
+		windowManager = {},
+		track = this.sandbox.stub( ve, 'track' ),
+		cases = [
+			{
+				msg: 'merge',
+				modified: true,
+				action: 'merge',
+				expectedActions: [ 'merge', 'accept', 'reject' ],
+				expectedMessage: ve.msg( 'visualeditor-autosave-modified-prompt-merge-message' ),
+				expectedCalls: [ 'mergeRecoveredChangesOnSave' ]
+			},
+			{
+				msg: 'accept',
+				modified: true,
+				action: 'accept',
+				expectedActions: [ 'merge', 'accept', 'reject' ],
+				expectedMessage: ve.msg( 'visualeditor-autosave-modified-prompt-merge-message' ),
+				expectedCalls: []
+			},
+			{
+				msg: 'reject',
+				modified: true,
+				action: 'reject',
+				expectedActions: [ 'merge', 'accept', 'reject' ],
+				expectedMessage: ve.msg( 'visualeditor-autosave-modified-prompt-merge-message' ),
+				expectedCalls: [ 'clearDocState', 'reloadSurface visual' ]
+			},
+			{
+				msg: 'unmodified document, nothing to merge',
+				modified: false,
+				action: 'accept',
+				expectedActions: [ 'accept', 'reject' ],
+				expectedMessage: ve.msg( 'visualeditor-autosave-modified-prompt-message' ),
+				expectedCalls: []
+			}
+		];
+
+	this.sandbox.stub( OO.ui, 'getWindowManager' ).returns( windowManager );
+
+	return cases.reduce( ( promise, caseItem ) => promise.then( () => {
+		const calls = [],
+			target = {
+				fromEditedState: false,
+				getSurface: () => ( {
+					getModel: () => ( { hasBeenModified: () => caseItem.modified } )
+				} ),
+				getDefaultMode: () => 'visual',
+				mergeRecoveredChangesOnSave: () => calls.push( 'mergeRecoveredChangesOnSave' ),
+				clearDocState: () => calls.push( 'clearDocState' ),
+				reloadSurface: ( mode ) => calls.push( 'reloadSurface ' + mode )
+			};
+		let opened;
+
+		windowManager.openWindow = ( name, data ) => {
+			opened = data;
+			return { closed: ve.createDeferred().resolve( { action: caseItem.action } ).promise() };
+		};
+		return showRecoveredConflict.call( target ).then( () => {
+			assert.deepEqual(
+				opened.actions.map( ( action ) => action.action ),
+				caseItem.expectedActions,
+				caseItem.msg + ': actions'
+			);
+			assert.strictEqual( opened.message, caseItem.expectedMessage, caseItem.msg + ': message' );
+			assert.deepEqual( calls, caseItem.expectedCalls, caseItem.msg + ': result' );
+		} );
+	} ), ve.createDeferred().resolve().promise() ).then( () => {
+		assert.notStrictEqual( ve.track, track, 'tracking is disabled' );
+	} );
+} );
+
+QUnit.test( 'mergeRecoveredChangesOnSave', ( assert ) => {
+	const target = {
+		saveDialogShown: 0,
+		showSaveDialog: () => {
+			target.saveDialogShown++;
+		}
+	};
+
+	ve.init.mw.ArticleTarget.prototype.mergeRecoveredChangesOnSave.call( target );
+	assert.strictEqual( target.mergingRecoveredChanges, true, 'saving resolves an edit conflict' );
+	assert.strictEqual( target.saveDialogShown, 1, 'save dialog shown' );
+} );
@@ -0,0 +1,300 @@
+/*!
+ * VisualEditor MediaWiki Initialization CollabTarget tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.init.mw.CollabTarget', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'getAuthorContributions', ( assert ) => {
+	const insert = ( authorId, text ) => ( {
+			authorId: authorId,
+			operations: [
+				{ type: 'retain', length: 1 },
+				{ type: 'replace', remove: [], insert: text.split( '' ) }
+			]
+		} ),
+		importTx = {
+			authorId: 1,
+			operations: [ { type: 'replace', remove: [], insert: [
+				{ type: 'alienMeta', attributes: { importedDocument: { title: 'Foo' } } },
+				'x', 'y', 'z'
+			] } ]
+		},
+		names = { 1: 'Alice', 2: 'Bob', 4: 'Alice' },
+		transactions = [
+			insert( 1, 'imported' ),
+			importTx,
+			insert( 1, 'abc' ),
+			insert( 2, 'd' ),
+			insert( 2, 'e' ),
+			insert( 3, 'fgh' ),
+			insert( 4, 'i' ),
+			{ authorId: null, operations: [ { type: 'replace', remove: [], insert: [ 'j' ] } ] }
+		],
+		// Target without a surface, only its document's history is needed
+		target = Object.create( ve.init.mw.CollabTarget.prototype );
+
+	target.importTitle = null;
+	target.getSurface = () => ( {
+		getModel: () => ( {
+			synchronizer: {
+				getAuthorData: ( authorId ) => ( { name: names[ authorId ] || '' } )
+			},
+			getDocument: () => ( { completeHistory: { transactions: transactions } } )
+		} )
+	} );
+
+	assert.deepEqual(
+		target.getAuthorContributions(),
+		[
+			{ name: 'Alice', characters: 12, transactions: 3 },
+			{
+				name: ve.msg( 'visualeditor-rebase-client-unnamed-author', 3 ),
+				characters: 3,
+				transactions: 1
+			},
+			{ name: 'Bob', characters: 2, transactions: 2 }
+		],
+		'without import: all contributions, authors rejoining under the same name are merged'
+	);
+
+	target.importTitle = mw.Title.newFromText( 'Foo' );
+	assert.deepEqual(
+		target.getAuthorContributions().map( ( contribution ) => contribution.name ),
+		[ 'Alice', ve.msg( 'visualeditor-rebase-client-unnamed-author', 3 ), 'Bob' ],
+		'with import: names'
+	);
+	assert.deepEqual(
+		target.getAuthorContributions()[ 0 ],
+		{ name: 'Alice', characters: 4, transactions: 2 },
+		'with import: imported content is not attributed'
+	);
+} );
+
+QUnit.test( 'addAttribution', ( assert ) => {
+	const mwString = require( 'mediawiki.String' ),
+		limit = ve.init.mw.CollabTarget.static.summaryCodePointLimit,
+		separator = ve.msg( 'semicolon-separator' ),
+		makeTarget = ( contributions ) => {
+			const target = Object.create( ve.init.mw.CollabTarget.prototype );
+			target.getAuthorContributions = () => contributions;
+			return target;
+		},
+		author = ( name ) => ( { name: name, characters: 10, transactions: 1 } ),
+		formatAuthor = ( contribution ) => ve.msg(
+			'visualeditor-rebase-client-attribution-author',
+			contribution.name,
+			mw.language.convertNumber( contribution.characters ),
+			mw.language.convertNumber( contribution.transactions )
+		),
+		two = [ author( 'Alice' ), author( 'Bob' ) ],
+		twoAttribution = ve.msg(
+			'visualeditor-rebase-client-attribution',
+			two.map( formatAuthor ).join( ve.msg( 'comma-separator' ) ),
+			2
+		),
+		many = [];
+
+	for ( let i = 0; i < 50; i++ ) {
+		many.push( author( 'Author with a long name ' + i ) );
+	}
+
+	assert.strictEqual( makeTarget( [] ).addAttribution( ' Fix ' ), 'Fix', 'no authors' );
+	assert.strictEqual( makeTarget( two ).addAttribution( ' ' ), twoAttribution, 'no summary' );
+	assert.strictEqual(
+		makeTarget( two ).addAttribution( 'Fix' ),
+		'Fix' + separator + twoAttribution,
+		'summary and attribution'
+	);
+
+	const shortened = makeTarget( many ).addAttribution( 'Fix' );
+	assert.ok( mwString.codePointLength( shortened ) <= limit, 'many authors: within the limit' );
+	assert.strictEqual( shortened.indexOf( 'Fix' + separator ), 0, 'many authors: summary kept' );
+	assert.notStrictEqual(
+		shortened.indexOf( formatAuthor( many[ 0 ] ) ),
+		-1,
+		'many authors: main authors named'
+	);
+	assert.strictEqual(
+		shortened.indexOf( formatAuthor( many[ 49 ] ) ),
+		-1,
+		'many authors: least active authors not named'
+	);
+	const others = 50 - ( shortened.match( /Author with a long name/g ) || [] ).length;
+	assert.ok(
+		shortened.endsWith( ve.msg(
+			'visualeditor-rebase-client-attribution-others',
+			mw.language.convertNumber( others ),
+			others
+		) ),
+		'many authors: others counted'
+	);
+
+	const truncated = makeTarget( two ).addAttribution( 'x'.repeat( limit ) );
+	assert.ok( mwString.codePointLength( truncated ) <= limit, 'long summary: within the limit' );
+	assert.ok(
+		truncated.endsWith( separator + ve.msg(
+			'visualeditor-rebase-client-attribution',
+			ve.msg( 'visualeditor-rebase-client-attribution-others', mw.language.convertNumber( 2 ), 2 ),
+			2
+		) ),
+		'long summary: truncated, authors counted'
+	);
+} );
+
+QUnit.test( 'onSaveDialogSave (imported page)', function ( assert ) {
+	const target = Object.create( ve.init.mw.CollabTarget.prototype ),
+		saveDeferred = ve.createDeferred(),
+		calls = [],
+		saveDoc = this.sandbox.stub( mw.libs.ve.targetSaver, 'saveDoc' ).returns(
+			ve.createDeferred().resolve( { newrevid: 2, newtimestamp: '20200102000000' } ).promise()
+		);
+
+	this.sandbox.stub( mw, 'notify' );
+	ve.extendObject( target, {
+		importTitle: mw.Title.newFromText( 'Foo' ),
+		publishTitle: mw.Title.newFromText( 'Foo' ),
+		revid: 1,
+		baseTimeStamp: '20200101000000',
+		startTimeStamp: '20200101000001',
+		etag: 'W/"1/abc"',
+		checkboxesByName: {},
+		saveDialog: {
+			messages: {},
+			editSummaryInput: { getValue: () => 'Summary' },
+			close: () => calls.push( 'close' )
+		},
+		getAuthorContributions: () => [],
+		getSurface: () => ( { getDom: () => 'dom' } ),
+		getContentApi: () => ( {
+			get: () => {
+				calls.push( 'query' );
+				return ve.createDeferred().reject().promise();
+			}
+		} ),
+		updateImportMetaItem: () => calls.push( 'updateImportMetaItem' )
+	} );
+
+	target.onSaveDialogSave( saveDeferred );
+
+	assert.strictEqual( saveDoc.firstCall.args[ 0 ], 'dom', 'document saved' );
+	assert.deepEqual(
+		saveDoc.firstCall.args[ 1 ],
+		{
+			page: 'Foo',
+			summary: 'Summary',
+			assert: mw.user.isAnon() ? 'anon' : 'user',
+			oldid: 1,
+			basetimestamp: '20200101000000',
+			starttimestamp: '20200101000001',
+			etag: 'W/"1/abc"'
+		},
+		'based on the imported revision'
+	);
+	assert.strictEqual( saveDeferred.state(), 'resolved', 'save completed' );
+	assert.deepEqual( calls, [ 'updateImportMetaItem', 'close' ], 'no overwrite check, metadata updated' );
+	assert.strictEqual( target.revid, 2, 'further edits based on the published revision' );
+	assert.strictEqual( target.baseTimeStamp, '20200102000000', 'base timestamp updated' );
+	assert.strictEqual( target.etag, null, 'etag of the published revision unknown' );
+} );
+
+QUnit.test( 'onSaveDialogSave (other page)', function ( assert ) {
+	const target = Object.create( ve.init.mw.CollabTarget.prototype ),
+		messages = [],
+		saveDoc = this.sandbox.stub( mw.libs.ve.targetSaver, 'saveDoc' ).returns(
+			ve.createDeferred().resolve( {} ).promise()
+		);
+
+	this.sandbox.stub( mw, 'notify' );
+	ve.extendObject( target, {
+		importTitle: mw.Title.newFromText( 'Foo' ),
+		publishTitle: mw.Title.newFromText( 'Bar' ),
+		revid: 1,
+		checkboxesByName: {},
+		saveDialog: {
+			messages: {},
+			editSummaryInput: { getValue: () => '' },
+			showMessage: ( name ) => {
+				messages.push( name );
+				target.saveDialog.messages[ name ] = true;
+			},
+			popPending: () => {},
+			close: () => {}
+		},
+		getAuthorContributions: () => [],
+		getSurface: () => ( { getDom: () => 'dom' } ),
+		getContentApi: () => ( {
+			get: () => ve.createDeferred().resolve(
+				{ query: { pages: [ { title: 'Bar' } ] } }
+			).promise()
+		} )
+	} );
+
+	target.onSaveDialogSave( ve.createDeferred() );
+	assert.deepEqual( messages, [ 'overwrite' ], 'existing page: overwrite warning' );
+	assert.strictEqual( saveDoc.callCount, 0, 'existing page: not saved before confirming' );
+
+	target.onSaveDialogSave( ve.createDeferred() );
+	assert.strictEqual( saveDoc.callCount, 1, 'saved after confirming' );
+	assert.strictEqual( saveDoc.firstCall.args[ 1 ].oldid, undefined, 'not based on a revision' );
+	assert.strictEqual( target.revid, 1, 'imported revision kept' );
+} );
+
+QUnit.test( 'saveFail', ( assert ) => {
+	const target = Object.create( ve.init.mw.CollabTarget.prototype ),
+		calls = [];
+
+	target.saveDialog = {
+		popPending: () => calls.push( 'popPending' ),
+		swapPanel: ( panel ) => calls.push( 'swapPanel ' + panel )
+	};
+
+	target.saveDeferred = ve.createDeferred();
+	target.saveFail( 'editconflict', { error: { code: 'editconflict' } } );
+	assert.deepEqual( calls, [ 'popPending', 'swapPanel conflict' ], 'edit conflict: conflict panel' );
+	assert.strictEqual( target.saveDeferred.state(), 'pending', 'edit conflict: save pending' );
+
+	target.saveDeferred = ve.createDeferred();
+	target.saveFail( 'http', {} );
+	const otherError = target.saveDeferred.then( null, ( errors ) => {
+		assert.ok( errors[ 0 ] instanceof OO.ui.Error, 'other errors: shown in the save dialog' );
+		assert.ok( errors[ 0 ].isRecoverable(), 'other errors: recoverable' );
+	} );
+
+	target.saveDeferred = ve.createDeferred();
+	target.saveFail( 'http' );
+	const noData = target.saveDeferred.then( null, ( errors ) => {
+		assert.strictEqual(
+			errors[ 0 ].getMessageText(),
+			ve.msg( 'visualeditor-saveerror', 'http' ),
+			'no response data: generic message'
+		);
+	} );
+
+	return ve.promiseAll( [ otherError, noData ] );
+} );
+
+QUnit.test( 'onSaveDialogResolveConflict', ( assert ) => {
+	const target = Object.create( ve.init.mw.CollabTarget.prototype ),
+		title = mw.Title.newFromText( 'Foo' ),
+		submitted = [];
+
+	ve.extendObject( target, {
+		publishTitle: title,
+		getSurface: () => ( { getModel: () => ( { getDocument: () => 'doc' } ) } ),
+		getWikitextFragment: () => ve.createDeferred().resolve( 'Wikitext' ).promise(),
+		getSaveOptions: () => ( { summary: 'Summary' } ),
+		submit: function () {
+			submitted.push( Array.prototype.slice.call( arguments ) );
+		}
+	} );
+
+	target.onSaveDialogResolveConflict();
+	assert.deepEqual(
+		submitted,
+		[ [ title, 'Wikitext', { wpSummary: 'Summary', wpSave: 1 } ] ],
+		'resolved in the classic edit form'
+	);
+} );
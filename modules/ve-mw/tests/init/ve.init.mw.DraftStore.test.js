@@ -0,0 +1,167 @@
+/*!
+ * VisualEditor MediaWiki Initialization DraftStore tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+( function () {
+	QUnit.module( 've.init.mw.DraftStore' );
+
+	function newStorage( quota ) {
+		const data = {},
+			set = ( key, value ) => {
+				const newData = ve.extendObject( {}, data, { [ key ]: value } );
+				if ( quota !== undefined && JSON.stringify( newData ).length > quota ) {
+					return false;
+				}
+				data[ key ] = value;
+				return true;
+			},
+			getListLength = ( key ) => data[ key + '__length' ] || 0;
+		return {
+			data,
+			get: ( key ) => data[ key ],
+			set,
+			getObject: ( key ) => data[ key ],
+			setObject: set,
+			remove: ( key ) => {
+				delete data[ key ];
+				return true;
+			},
+			appendToList: ( key, value ) => {
+				const length = getListLength( key );
+				return set( key + '__' + length, value ) && set( key + '__length', length + 1 );
+			},
+			getList: ( key ) => {
+				const list = [];
+				for ( let i = 0; i < getListLength( key ); i++ ) {
+					list.push( data[ key + '__' + i ] );
+				}
+				return list;
+			},
+			removeList: ( key ) => {
+				for ( let i = 0; i < getListLength( key ); i++ ) {
+					delete data[ key + '__' + i ];
+				}
+				delete data[ key + '__length' ];
+				return true;
+			}
+		};
+	}
+
+	function newDraft( id, pageName ) {
+		return { id, pageName, name: null, mode: 'visual', section: null, baseRevId: 1, state: {} };
+	}
+
+	QUnit.test( 'pruneDrafts', ( assert ) => {
+		const store = ve.init.mw.DraftStore,
+			maxDraftsPerPage = store.static.maxDraftsPerPage,
+			now = 100 * 86400,
+			drafts = [
+				{ id: 'expired', pageName: 'A', timestamp: now - store.static.ttl - 1 },
+				{ id: 'a1', pageName: 'A', timestamp: now - 3 },
+				{ id: 'a2', pageName: 'A', timestamp: now - 2 },
+				{ id: 'b1', pageName: 'B', timestamp: now - 1 },
+				{ id: 'a3', pageName: 'A', timestamp: now }
+			];
+
+		store.static.maxDraftsPerPage = 2;
+		try {
+			assert.deepEqual(
+				store.static.pruneDrafts( drafts, now ).map( ( draft ) => draft.id ),
+				[ 'a3', 'b1', 'a2' ],
+				'expired drafts and the oldest drafts of a page are dropped, newest first'
+			);
+		} finally {
+			store.static.maxDraftsPerPage = maxDraftsPerPage;
+		}
+	} );
+
+	QUnit.test( 'save/getDrafts/getContent/remove', ( assert ) => {
+		const storage = newStorage(),
+			store = new ve.init.mw.DraftStore( storage );
+
+		assert.strictEqual( store.save( newDraft( 'x', 'A' ), '<p>X</p>' ), true, 'saved' );
+		assert.strictEqual( store.save( newDraft( 'y', 'A' ), '<p>Y</p>' ), true, 'saved in another session' );
+		assert.strictEqual( store.save( newDraft( 'z', 'B' ), '<p>Z</p>' ), true, 'saved for another page' );
+		assert.strictEqual( store.save( newDraft( 'x', 'A' ), '<p>X2</p>' ), true, 'saved again' );
+
+		assert.deepEqual( store.getDrafts( 'A' ).map( ( draft ) => draft.id ).sort(), [ 'x', 'y' ], 'drafts of the page' );
+		assert.strictEqual( store.getContent( 'x' ), '<p>X2</p>', 'later version replaces the earlier one' );
+
+		store.remove( 'x' );
+		assert.deepEqual( store.getDrafts( 'A' ).map( ( draft ) => draft.id ), [ 'y' ], 'draft removed' );
+		assert.strictEqual( store.getContent( 'x' ), null, 'content removed' );
+	} );
+
+	QUnit.test( 'addChange/getChanges', ( assert ) => {
+		const storage = newStorage(),
+			store = new ve.init.mw.DraftStore( storage ),
+			draft = newDraft( 'x', 'A' );
+
+		store.save( draft, '<p>X</p>' );
+		assert.strictEqual( store.addChange( draft, { transactions: [ 1 ] } ), true, 'change added' );
+		assert.strictEqual( store.addChange( draft, { transactions: [ 2 ] } ), true, 'another change added' );
+		assert.deepEqual( store.getChanges( 'x' ), [ { transactions: [ 1 ] }, { transactions: [ 2 ] } ], 'changes in order' );
+
+		store.save( draft, '<p>X2</p>' );
+		assert.deepEqual( store.getChanges( 'x' ), [], 'saving new content drops the changes' );
+
+		store.addChange( draft, { transactions: [ 3 ] } );
+		store.remove( 'x' );
+		assert.deepEqual( store.getChanges( 'x' ), [], 'changes removed with the draft' );
+		assert.deepEqual( Object.keys( storage.data ), [ 've-drafts-' + mw.config.get( 'wgWikiID' ) ], 'nothing left behind' );
+	} );
+
+	QUnit.test( 'Concurrent writes', ( assert ) => {
+		const storage = newStorage(),
+			store = new ve.init.mw.DraftStore( storage ),
+			otherStore = new ve.init.mw.DraftStore( storage ),
+			key = 've-drafts-' + mw.config.get( 'wgWikiID' );
+
+		store.save( newDraft( 'x', 'A' ), '<p>X</p>' );
+		otherStore.save( newDraft( 'y', 'A' ), '<p>Y</p>' );
+		assert.deepEqual( store.getDrafts( 'A' ).map( ( draft ) => draft.id ).sort(), [ 'x', 'y' ], 'index is merged on write' );
+
+		// Another tab overwrites the index with an outdated version
+		const oldValue = JSON.stringify( storage.data[ key ] );
+		storage.data[ key ] = storage.data[ key ].filter( ( draft ) => draft.id === 'z' );
+		store.onStorage( { key, oldValue, newValue: '[]' } );
+		assert.deepEqual( store.getDrafts( 'A' ).map( ( draft ) => draft.id ).sort(), [ 'x', 'y' ], 'lost drafts are restored' );
+
+		otherStore.remove( 'y' );
+		store.onStorage( { key, oldValue: JSON.stringify( [ newDraft( 'y', 'A' ) ] ), newValue: '[]' } );
+		assert.deepEqual( store.getDrafts( 'A' ).map( ( draft ) => draft.id ), [ 'x' ], 'removed drafts are not restored' );
+	} );
+
+	QUnit.test( 'save (storage full)', ( assert ) => {
+		const storage = newStorage( 700 ),
+			store = new ve.init.mw.DraftStore( storage ),
+			key = 've-drafts-' + mw.config.get( 'wgWikiID' );
+
+		assert.strictEqual( store.save( newDraft( 'x', 'A' ), 'X'.repeat( 100 ) ), true, 'saved' );
+		assert.strictEqual( store.save( newDraft( 'y', 'B' ), 'Y'.repeat( 100 ) ), true, 'saved another' );
+		storage.data[ key ].find( ( draft ) => draft.id === 'x' ).timestamp -= 60;
+		assert.strictEqual( store.save( newDraft( 'z', 'C' ), 'Z'.repeat( 250 ) ), true, 'saved by dropping the oldest draft' );
+		assert.deepEqual( store.getDrafts( 'A' ), [], 'oldest draft dropped' );
+		assert.strictEqual( store.getContent( 'x' ), null, 'content of the oldest draft removed' );
+		assert.strictEqual( store.getContent( 'y' ), 'Y'.repeat( 100 ), 'newer draft kept' );
+
+		assert.strictEqual( store.save( newDraft( 'w', 'A' ), 'W'.repeat( 1000 ) ), false, 'not saved if it can\'t fit at all' );
+		assert.deepEqual( store.getDrafts( 'A' ), [], 'no draft listed' );
+		assert.strictEqual( store.getContent( 'w' ), null, 'no content left behind' );
+	} );
+
+	QUnit.test( 'save (index can\'t be written)', ( assert ) => {
+		const storage = newStorage(),
+			store = new ve.init.mw.DraftStore( storage );
+
+		store.save( newDraft( 'x', 'A' ), '<p>X</p>' );
+		store.save( newDraft( 'y', 'B' ), '<p>Y</p>' );
+		storage.setObject = () => false;
+
+		assert.strictEqual( store.save( newDraft( 'z', 'C' ), '<p>Z</p>' ), false, 'not saved' );
+		assert.strictEqual( store.getContent( 'z' ), null, 'no content left behind' );
+	} );
+}() );
@@ -0,0 +1,49 @@
+/*!
+ * VisualEditor MediaWiki Initialization SpamBlacklistSaveErrorHandler tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.init.mw.SpamBlacklistSaveErrorHandler' );
+
+QUnit.test( 'getMatches', ( assert ) => {
+	const handler = ve.init.mw.SpamBlacklistSaveErrorHandler;
+
+	assert.deepEqual( handler.static.getMatches( { errors: [
+		{ code: 'spamblacklist', data: { spamblacklist: { matches: [ 'spam.example', 'http://spam.test/x' ] } } },
+		{ code: 'spamblacklist', data: { spamblacklist: { matches: [ 'spam.example' ] } } },
+		{ code: 'hookaborted' }
+	] } ), [ 'spam.example', 'http://spam.test/x' ] );
+	assert.deepEqual( handler.static.getMatches( { errors: [ { code: 'hookaborted' } ] } ), [] );
+	assert.deepEqual( handler.static.getMatches( {} ), [] );
+} );
+
+QUnit.test( 'isBlocked', ( assert ) => {
+	const handler = ve.init.mw.SpamBlacklistSaveErrorHandler,
+		matches = [ 'https://spam.example/bad' ];
+
+	assert.strictEqual( handler.static.isBlocked( 'https://spam.example/bad/page', matches ), true );
+	assert.strictEqual( handler.static.isBlocked( 'http://SPAM.example/bad', matches ), true, 'ignores protocol and case' );
+	assert.strictEqual( handler.static.isBlocked( '//spam.example/bad', matches ), true, 'protocol-relative' );
+	assert.strictEqual( handler.static.isBlocked( 'https://spam.example/good', matches ), false );
+	assert.strictEqual( handler.static.isBlocked( 'https://example.org/', [ '' ] ), false, 'empty matches are ignored' );
+} );
+
+QUnit.test( 'findLinks', ( assert ) => {
+	const handler = ve.init.mw.SpamBlacklistSaveErrorHandler,
+		doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml(
+			'<p><a rel="mw:ExtLink" href="https://spam.example/x">ab</a>c' +
+			'<a rel="mw:ExtLink" href="https://example.org/">d</a>' +
+			'<a rel="mw:ExtLink" href="http://spam.example/y">ef</a></p>'
+		) ),
+		links = handler.static.findLinks( doc, [ 'spam.example' ] );
+
+	assert.deepEqual(
+		links.map( ( link ) => [ link.range.start, link.range.end, link.annotation.getHref() ] ),
+		[
+			[ 1, 3, 'https://spam.example/x' ],
+			[ 5, 7, 'http://spam.example/y' ]
+		]
+	);
+} );
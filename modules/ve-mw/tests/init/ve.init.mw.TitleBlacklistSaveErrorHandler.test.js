@@ -0,0 +1,43 @@
+/*!
+ * VisualEditor MediaWiki Initialization TitleBlacklistSaveErrorHandler tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.init.mw.TitleBlacklistSaveErrorHandler' );
+
+QUnit.test( 'getError/matchFunction', ( assert ) => {
+	const handler = ve.init.mw.TitleBlacklistSaveErrorHandler,
+		error = { code: 'titleblacklist-forbidden-edit', data: { line: 'Foo.* <casesensitive>' } };
+
+	assert.strictEqual(
+		handler.static.getError( { errors: [ { code: 'hookaborted' }, error ] } ),
+		error,
+		'error found among others'
+	);
+	assert.strictEqual( handler.static.getError( { errors: [ { code: 'hookaborted' } ] } ), undefined );
+	assert.strictEqual( handler.static.getError( {} ), undefined );
+	assert.strictEqual( handler.static.matchFunction( { errors: [ error ] } ), true );
+	assert.strictEqual( handler.static.matchFunction( { errors: [ { code: 'spamblacklist' } ] } ), false );
+} );
+
+QUnit.test( 'process', ( assert ) => {
+	const handler = ve.init.mw.TitleBlacklistSaveErrorHandler,
+		shown = [],
+		target = {
+			extractErrorMessages: () => $( '<p>' ).text( 'Forbidden' ),
+			showSaveError: ( $msg, allowReapply ) => shown.push( { $msg, allowReapply } )
+		};
+
+	handler.static.process( { errors: [
+		{ code: 'titleblacklist-forbidden-edit', data: { line: 'Foo.*' } }
+	] }, target );
+	assert.strictEqual( shown.length, 1, 'error shown' );
+	assert.strictEqual( shown[ 0 ].allowReapply, false, 'saving again isn\'t offered' );
+	assert.strictEqual( shown[ 0 ].$msg.first().text(), 'Forbidden', 'API error message shown' );
+	assert.strictEqual( shown[ 0 ].$msg.find( 'code' ).text(), 'Foo.*', 'matched entry shown' );
+
+	handler.static.process( { errors: [ { code: 'titleblacklist-forbidden-edit' } ] }, target );
+	assert.strictEqual( shown[ 1 ].$msg.length, 1, 'no matched entry given: only the API error shown' );
+} );
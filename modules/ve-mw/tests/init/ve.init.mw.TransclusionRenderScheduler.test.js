@@ -0,0 +1,165 @@
+/*!
+ * VisualEditor MediaWiki Initialization TransclusionRenderScheduler tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.init.mw.TransclusionRenderScheduler', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'isBatchable', ( assert ) => {
+	const scheduler = ve.init.mw.TransclusionRenderScheduler,
+		cases = [
+			{ wikitext: '{{Cite web|url=http://example.org}}', expected: true },
+			{ wikitext: '{{a|<ref>b</ref>}}', expected: false },
+			{ wikitext: '{{a|<ref name="b" />}}', expected: false },
+			{ wikitext: '<references />', expected: false },
+			{ wikitext: '{{#tag:ref|b}}', expected: false },
+			{ wikitext: '{{a}}__NOTOC__', expected: false },
+			{ wikitext: '{{DISPLAYTITLE:a}}', expected: false },
+			{ wikitext: '{{DEFAULTSORT:a}}', expected: false }
+		];
+
+	cases.forEach( ( caseItem ) => {
+		assert.strictEqual(
+			scheduler.static.isBatchable( caseItem.wikitext ),
+			caseItem.expected,
+			caseItem.wikitext
+		);
+	} );
+} );
+
+QUnit.test( 'getBatchWikitext', ( assert ) => {
+	const scheduler = ve.init.mw.TransclusionRenderScheduler;
+
+	assert.strictEqual(
+		scheduler.static.getBatchWikitext( [ '{{a}}', '{|\n|b\n|}' ] ),
+		'<div data-ve-render-batch="0">\n{{a}}\n</div>\n' +
+			'<div data-ve-render-batch="1">\n{|\n|b\n|}\n</div>'
+	);
+} );
+
+QUnit.test( 'splitBatchContent', ( assert ) => {
+	const scheduler = ve.init.mw.TransclusionRenderScheduler,
+		style = '<style data-mw-deduplicate="TemplateStyles:r1">.x{}</style>',
+		link = '<link rel="mw-deduplicated-inline-style" href="mw-data:TemplateStyles:r1">',
+		table = '<table><tbody><tr><td>B</td></tr></tbody></table>',
+		cases = [
+			{
+				html: '<section><div data-ve-render-batch="0">\n<span>A</span>\n</div>\n' +
+					'<div data-ve-render-batch="1">' + table + '</div></section>',
+				count: 2,
+				expected: [ '\n<span>A</span>\n', table ],
+				msg: 'Fragments are split'
+			},
+			{
+				html: '<div data-ve-render-batch="0">' + style + 'A</div>' +
+					'<div data-ve-render-batch="1">' + link + 'B' + link + '</div>',
+				count: 2,
+				expected: [ style + 'A', style + 'B' + link ],
+				msg: 'Deduplicated TemplateStyles are restored'
+			},
+			{
+				html: '<div data-ve-render-batch="0">A</div>',
+				count: 2,
+				expected: null,
+				msg: 'Missing fragment'
+			},
+			{
+				html: '<div data-ve-render-batch="0">' +
+					'<div>A<div data-ve-render-batch="1">B</div></div>' +
+					'</div>',
+				count: 2,
+				expected: null,
+				msg: 'Unclosed markup swallowing the next fragment'
+			},
+			{
+				html: '<div data-ve-render-batch="0">A</div>' +
+					'<div data-ve-render-batch="1">B<sup class="reference"><a href="#cite_note-1">[1]</a></sup></div>',
+				count: 2,
+				expected: null,
+				msg: 'References numbered across the batch'
+			},
+			{
+				html: '<div data-ve-render-batch="0">A</div>B<div data-ve-render-batch="1">C</div>',
+				count: 2,
+				expected: null,
+				msg: 'Content leaking out of a fragment'
+			}
+		];
+
+	cases.forEach( ( caseItem ) => {
+		assert.deepEqual(
+			scheduler.static.splitBatchContent( caseItem.html, caseItem.count ),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
+
+QUnit.test( 'render', function ( assert ) {
+	const scheduler = new ve.init.mw.TransclusionRenderScheduler(),
+		parse = this.sandbox.stub( ve.init.target, 'parseWikitextFragment' ).returns(
+			ve.createDeferred().resolve( { visualeditor: {
+				result: 'success',
+				content: '<div data-ve-render-batch="0">A</div><div data-ve-render-batch="1">B</div>'
+			} } ).promise( { abort: () => {} } )
+		),
+		getContent = ( response ) => response.visualeditor.content;
+
+	return ve.promiseAll( [
+		scheduler.render( '{{a}}' ).then( getContent ),
+		scheduler.render( '{{b}}' ).then( getContent ),
+		scheduler.render( '{{a}}' ).then( getContent )
+	] ).then( ( a, b, a2 ) => {
+		assert.deepEqual( [ a, b, a2 ], [ 'A', 'B', 'A' ], 'Renderings' );
+		assert.strictEqual( parse.callCount, 1, 'Identical fragments are rendered in one batch' );
+		assert.strictEqual(
+			parse.firstCall.args[ 0 ],
+			ve.init.mw.TransclusionRenderScheduler.static.getBatchWikitext( [ '{{a}}', '{{b}}' ] ),
+			'Batch wikitext'
+		);
+		return scheduler.render( '{{b}}' ).then( getContent );
+	} ).then( ( content ) => {
+		assert.strictEqual( content, 'B', 'Cached rendering' );
+		assert.strictEqual( parse.callCount, 1, 'Cached rendering is not requested again' );
+	} );
+} );
+
+QUnit.test( 'render (unbatchable fragments)', function ( assert ) {
+	const scheduler = new ve.init.mw.TransclusionRenderScheduler(),
+		parse = this.sandbox.stub( ve.init.target, 'parseWikitextFragment' ).callsFake(
+			( wikitext ) => ve.createDeferred().resolve( { visualeditor: {
+				result: 'success',
+				content: wikitext === '{{a}}' ? 'A' : 'B<sup class="reference">[1]</sup>'
+			} } ).promise( { abort: () => {} } )
+		),
+		getContent = ( response ) => response.visualeditor.content;
+
+	return ve.promiseAll( [
+		scheduler.render( '{{a}}' ).then( getContent ),
+		scheduler.render( '{{b|<ref>c</ref>}}' ).then( getContent )
+	] ).then( ( a, b ) => {
+		assert.deepEqual( [ a, b ], [ 'A', 'B<sup class="reference">[1]</sup>' ], 'Renderings' );
+		assert.deepEqual(
+			parse.args.map( ( args ) => args[ 0 ] ),
+			[ '{{b|<ref>c</ref>}}', '{{a}}' ],
+			'Fragments with references are rendered on their own'
+		);
+	} );
+} );
+
+QUnit.test( 'clear', function ( assert ) {
+	const scheduler = new ve.init.mw.TransclusionRenderScheduler(),
+		parse = this.sandbox.stub( ve.init.target, 'parseWikitextFragment' ).returns(
+			ve.createDeferred().resolve( { visualeditor: { result: 'success', content: 'A' } } )
+				.promise( { abort: () => {} } )
+		);
+
+	return scheduler.render( '{{a}}' ).then( () => {
+		scheduler.clear();
+		return scheduler.render( '{{a}}' );
+	} ).then( () => {
+		assert.strictEqual( parse.callCount, 2, 'Rendered again after clearing the cache' );
+	} );
+} );
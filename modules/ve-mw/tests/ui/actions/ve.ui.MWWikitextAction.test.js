@@ -0,0 +1,84 @@
+/*!
+ * VisualEditor UserInterface Actions MWWikitextAction tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.ui.MWWikitextAction' );
+
+/* Tests */
+
+QUnit.test( 'getIndentChange', ( assert ) => {
+	const cases = [
+		{
+			msg: 'Indent bullet',
+			text: '* Foo',
+			expected: { offset: 1, remove: 0, insert: '*' }
+		},
+		{
+			msg: 'Indent mixed list',
+			text: '#* Foo',
+			expected: { offset: 2, remove: 0, insert: '*' }
+		},
+		{
+			msg: 'Indent definition list term',
+			text: '; Foo',
+			expected: { offset: 1, remove: 0, insert: ':' }
+		},
+		{
+			msg: 'Outdent nested list',
+			text: '#:: Foo',
+			outdent: true,
+			expected: { offset: 2, remove: 1, insert: '' }
+		},
+		{
+			msg: 'Outdent top-level list item',
+			text: ':  Foo',
+			outdent: true,
+			expected: { offset: 0, remove: 3, insert: '' }
+		},
+		{
+			msg: 'Not a list item',
+			text: 'Foo * bar',
+			expected: null
+		}
+	];
+
+	cases.forEach( ( caseItem ) => {
+		assert.deepEqual(
+			ve.ui.MWWikitextAction.static.getIndentChange( caseItem.text, !!caseItem.outdent ),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
+
+QUnit.test( 'getTableLines', ( assert ) => {
+	const cases = [
+		{
+			msg: 'Tab-separated with header',
+			lines: [ 'A\tB', '', '1\t2 ' ],
+			header: true,
+			expected: [ '{| class="wikitable"', '! A !! B', '|-', '| 1 || 2', '|}' ]
+		},
+		{
+			msg: 'Comma-separated',
+			lines: [ 'a, b', 'c, d' ],
+			expected: [ '{| class="wikitable"', '| a || b', '|-', '| c || d', '|}' ]
+		},
+		{
+			msg: 'Uneven commas are treated as text',
+			lines: [ 'Foo, bar and baz', 'Quux' ],
+			expected: [ '{| class="wikitable"', '| Foo, bar and baz', '|-', '| Quux', '|}' ]
+		}
+	];
+
+	cases.forEach( ( caseItem ) => {
+		assert.deepEqual(
+			ve.ui.MWWikitextAction.static.getTableLines( caseItem.lines, caseItem.header ),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
@@ -0,0 +1,51 @@
+/*!
+ * VisualEditor UserInterface MWMagicLinkNodeContextItem tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.ui.MWMagicLinkNodeContextItem', QUnit.newMwEnvironment( {
+	beforeEach() {
+		this.resolvers = ve.ui.MWMagicLinkNodeContextItem.static.metadataResolvers;
+		this.cache = ve.ui.MWMagicLinkNodeContextItem.static.metadataCache;
+		ve.ui.MWMagicLinkNodeContextItem.static.metadataResolvers = {};
+		ve.ui.MWMagicLinkNodeContextItem.static.metadataCache = {};
+	},
+	afterEach() {
+		ve.ui.MWMagicLinkNodeContextItem.static.metadataResolvers = this.resolvers;
+		ve.ui.MWMagicLinkNodeContextItem.static.metadataCache = this.cache;
+	}
+} ) );
+
+QUnit.test( 'lookupMetadata', ( assert ) => {
+	const contextItem = ve.ui.MWMagicLinkNodeContextItem,
+		calls = [];
+
+	contextItem.static.metadataResolvers.PMID = ( code ) => {
+		calls.push( code );
+		if ( code === '404' ) {
+			return ve.createDeferred().reject().promise();
+		}
+		return ve.createDeferred().resolve( code === '1' ? { title: 'Foo', authors: [ 'Bar' ] } : null ).promise();
+	};
+
+	return Promise.all( [
+		contextItem.static.lookupMetadata( 'PMID', '1' ),
+		contextItem.static.lookupMetadata( 'PMID', '1' ),
+		contextItem.static.lookupMetadata( 'PMID', '2' ),
+		contextItem.static.lookupMetadata( 'PMID', '404' ),
+		contextItem.static.lookupMetadata( 'ISBN', '1' )
+	] ).then( ( results ) => {
+		assert.deepEqual( results[ 0 ], { title: 'Foo', authors: [ 'Bar' ] }, 'metadata from the resolver' );
+		assert.deepEqual( results[ 1 ], results[ 0 ], 'cached metadata' );
+		assert.strictEqual( results[ 2 ], null, 'unknown work' );
+		assert.strictEqual( results[ 3 ], null, 'failed lookup' );
+		assert.strictEqual( results[ 4 ], null, 'no resolver for the type' );
+		assert.deepEqual( calls, [ '1', '2', '404' ], 'resolver called once per code' );
+
+		return contextItem.static.lookupMetadata( 'PMID', '404' );
+	} ).then( () => {
+		assert.deepEqual( calls, [ '1', '2', '404', '404' ], 'failed lookups are retried' );
+	} );
+} );
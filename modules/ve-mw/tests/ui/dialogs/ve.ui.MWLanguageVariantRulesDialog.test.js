@@ -0,0 +1,85 @@
+/*!
+ * VisualEditor UserInterface MWLanguageVariantRulesDialog tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.ui.MWLanguageVariantRulesDialog', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'getPlainText', ( assert ) => {
+	const dialog = ve.ui.MWLanguageVariantRulesDialog;
+
+	assert.strictEqual( dialog.static.getPlainText( '计算机 &amp; 電腦' ), '计算机 & 電腦', 'text' );
+	assert.strictEqual( dialog.static.getPlainText( '' ), '', 'empty' );
+	assert.strictEqual( dialog.static.getPlainText( '<b>计算机</b>' ), null, 'markup' );
+} );
+
+QUnit.test( 'findProblems', ( assert ) => {
+	const dialog = ve.ui.MWLanguageVariantRulesDialog,
+		computer = { twoway: [ { l: 'zh-hans', t: '计算机' }, { l: 'zh-hant', t: '電腦' } ] },
+		software = { twoway: [ { l: 'zh-hans', t: '软件' }, { l: 'zh-hant', t: '軟體' } ] },
+		variantInfos = [
+			computer,
+			software,
+			ve.copy( computer ),
+			{ twoway: [ { l: 'zh-hans', t: '计算机' }, { l: 'zh-hant', t: '計算機' } ] },
+			{ oneway: [ { f: '软件', l: 'zh-hant', t: '軟件' } ] },
+			{ oneway: [ { f: '软件', l: 'zh-hk', t: '軟件' } ] },
+			{ filter: { l: [ 'zh-hans' ], t: '计算机' } }
+		];
+
+	assert.deepEqual(
+		dialog.static.findProblems( variantInfos ),
+		[
+			{ duplicateOf: null, conflicts: [ 3 ] },
+			{ duplicateOf: null, conflicts: [ 4 ] },
+			{ duplicateOf: 0, conflicts: [] },
+			{ duplicateOf: null, conflicts: [ 0 ] },
+			{ duplicateOf: null, conflicts: [ 1 ] },
+			{ duplicateOf: null, conflicts: [] },
+			{ duplicateOf: null, conflicts: [] }
+		]
+	);
+} );
+
+QUnit.test( 'parseGlossary', ( assert ) => {
+	const dialog = ve.ui.MWLanguageVariantRulesDialog;
+
+	assert.deepEqual(
+		dialog.static.parseGlossary( [
+			'zh-hans:计算机;zh-hant:電腦',
+			'',
+			' 计算机 => zh-tw : 電腦 ; 计算机=>zh-hk:電腦;',
+			'zh-hans:计算机',
+			'计算机=>zh-tw:電腦;zh-hans:计算机',
+			'zh-hans:A&B;zh-hant:<C>',
+			'计算机'
+		].join( '\n' ) ),
+		{
+			rules: [
+				{ twoway: [ { l: 'zh-hans', t: '计算机' }, { l: 'zh-hant', t: '電腦' } ] },
+				{ oneway: [ { f: '计算机', l: 'zh-tw', t: '電腦' }, { f: '计算机', l: 'zh-hk', t: '電腦' } ] },
+				{ twoway: [ { l: 'zh-hans', t: 'A&amp;B' }, { l: 'zh-hant', t: '&lt;C&gt;' } ] }
+			],
+			invalid: [ 4, 5, 7 ]
+		}
+	);
+} );
+
+QUnit.test( 'findGlossaryMatches', ( assert ) => {
+	const dialog = ve.ui.MWLanguageVariantRulesDialog,
+		doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml( '<p>计算机和電腦, 计算机科学</p>' ) ),
+		computer = { twoway: [ { l: 'zh-hans', t: '计算机' }, { l: 'zh-hant', t: '電腦' } ] },
+		science = { twoway: [ { l: 'zh-hans', t: '计算机科学' }, { l: 'zh-hant', t: '電腦科學' } ] },
+		matches = dialog.static.findGlossaryMatches( doc, [ computer, science ] );
+
+	assert.deepEqual(
+		matches.map( ( match ) => [ match.range.start, match.range.end, match.variantInfo ] ),
+		[
+			[ 1, 4, computer ],
+			[ 5, 7, computer ],
+			[ 9, 14, science ]
+		]
+	);
+} );
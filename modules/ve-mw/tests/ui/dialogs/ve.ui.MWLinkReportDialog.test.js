@@ -0,0 +1,79 @@
+/*!
+ * VisualEditor UserInterface MWLinkReportDialog tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.ui.MWLinkReportDialog', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'findLinks', ( assert ) => {
+	const dialog = ve.ui.MWLinkReportDialog,
+		doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml(
+			'<p><a rel="mw:WikiLink" href="./Foo">ab</a>c' +
+			'<a rel="mw:ExtLink" href="https://example.org/">d</a>' +
+			'<a rel="mw:WikiLink" href="./Bar">e</a><a rel="mw:WikiLink" href="./Baz#Qux">f</a></p>'
+		) ),
+		links = dialog.static.findLinks( doc );
+
+	assert.deepEqual(
+		links.map( ( link ) => [ link.range.start, link.range.end, link.annotation.getAttribute( 'normalizedTitle' ) ] ),
+		[
+			[ 1, 3, 'Foo' ],
+			[ 5, 6, 'Bar' ],
+			[ 6, 7, 'Baz#Qux' ]
+		]
+	);
+} );
+
+QUnit.test( 'getLinkStatus', ( assert ) => {
+	const dialog = ve.ui.MWLinkReportDialog,
+		link = ( title ) => ve.dm.MWInternalLinkAnnotation.static.newFromTitle( mw.Title.newFromText( title ) ),
+		anchors = [ 'Early_life', 'Career' ],
+		cases = [
+			{ title: 'Foo', data: { missing: false }, expected: null, msg: 'existing page' },
+			{ title: 'Foo', data: { missing: true }, expected: 'missing', msg: 'missing page' },
+			{ title: 'Special:Foo', data: { missing: true, known: true }, expected: null, msg: 'known page' },
+			{ title: 'Foo', data: { redirect: true }, expected: 'redirect', msg: 'redirect' },
+			{ title: 'Foo', data: { disambiguation: true }, expected: 'disambiguation', msg: 'disambiguation page' },
+			{ title: 'Main Page', data: {}, expected: 'selfLink', msg: 'self-link' },
+			{ title: 'Main Page#Career', data: {}, expected: null, msg: 'link to a section of the page itself' },
+			{ title: 'Foo#Early life', data: {}, expected: null, msg: 'existing section' },
+			{ title: 'Foo#Later life', data: {}, expected: 'missingSection', msg: 'missing section' },
+			{ title: 'Foo#Later life', data: {}, anchors: null, expected: null, msg: 'unknown sections' }
+		];
+
+	cases.forEach( ( caseItem ) => {
+		assert.strictEqual(
+			dialog.static.getLinkStatus(
+				link( caseItem.title ),
+				caseItem.data,
+				caseItem.anchors === undefined ? anchors : caseItem.anchors,
+				'Main_Page'
+			),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
+
+QUnit.test( 'getBypassTitle', ( assert ) => {
+	const dialog = ve.ui.MWLinkReportDialog,
+		link = ( title ) => ve.dm.MWInternalLinkAnnotation.static.newFromTitle( mw.Title.newFromText( title ) );
+
+	assert.strictEqual(
+		dialog.static.getBypassTitle( link( 'Foo' ), { from: 'Foo', to: 'Bar' } ).toText(),
+		'Bar',
+		'redirect'
+	);
+	assert.strictEqual(
+		dialog.static.getBypassTitle( link( 'Foo' ), { from: 'Foo', to: 'Bar', tofragment: 'Baz' } ).getFragment(),
+		'Baz',
+		'redirect to a section'
+	);
+	assert.strictEqual(
+		dialog.static.getBypassTitle( link( 'Foo#Qux' ), { from: 'Foo', to: 'Bar', tofragment: 'Baz' } ).getFragment(),
+		'Qux',
+		'the link\'s own fragment is kept'
+	);
+} );
@@ -0,0 +1,47 @@
+/*!
+ * VisualEditor UserInterface MWMagicLinksDialog tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.ui.MWMagicLinksDialog', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'getTemplateData', ( assert ) => {
+	const dialog = ve.ui.MWMagicLinksDialog;
+
+	assert.deepEqual(
+		dialog.static.getTemplateData( 'ISBN 0-306-40615-2', 'ISBN' ),
+		{
+			parts: [ {
+				template: {
+					target: { href: 'Template:ISBN', wt: 'ISBN' },
+					params: { 1: { wt: '0-306-40615-2' } }
+				}
+			} ]
+		},
+		'number is kept as written'
+	);
+	assert.deepEqual(
+		dialog.static.getTemplateData( 'PMID\u00A01234', 'Cite PubMed' ).parts[ 0 ].template.params,
+		{ 1: { wt: '1234' } },
+		'non-breaking space after the type'
+	);
+	assert.strictEqual( dialog.static.getTemplateData( 'Foo 1234', 'ISBN' ), null, 'not a magic link' );
+	assert.strictEqual( dialog.static.getTemplateData( 'RFC 1234', '[[' ), null, 'invalid template name' );
+} );
+
+QUnit.test( 'getReplacementWikitext', ( assert ) => {
+	const dialog = ve.ui.MWMagicLinksDialog;
+
+	assert.strictEqual(
+		dialog.static.getReplacementWikitext( 'RFC 1234', 'IETF RFC' ),
+		'{{IETF RFC|1=1234}}',
+		'template'
+	);
+	assert.strictEqual(
+		dialog.static.getReplacementWikitext( 'RFC 1234', null ),
+		'[' + mw.msg( 'rfcurl', '1234' ) + ' RFC 1234]',
+		'external link'
+	);
+} );
@@ -0,0 +1,116 @@
+QUnit.module( 've.ui.MWLanguagesPage', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'getLanguageItemFromHref & getHrefFromLanguageItem', ( assert ) => {
+	const interwikis = {
+			de: { prefix: 'de', url: 'https://de.example.org/wiki/$1', language: 'Deutsch' },
+			fr: { prefix: 'fr', url: 'https://fr.example.org/w/index.php?title=$1&variant=fr', language: 'français' }
+		},
+		page = ve.ui.MWLanguagesPage.static,
+		cases = [
+			{
+				msg: 'Simple article path',
+				href: 'https://de.example.org/wiki/Haus',
+				item: { lang: 'de', title: 'Haus' }
+			},
+			{
+				msg: 'Protocol-relative link, encoded title',
+				href: '//de.example.org/wiki/Gr%C3%BC%C3%9Fe_Stadt',
+				item: { lang: 'de', title: 'Grüße Stadt' },
+				expectedHref: 'https://de.example.org/wiki/Gr%C3%BC%C3%9Fe_Stadt'
+			},
+			{
+				msg: 'Title in the middle of the URL',
+				href: 'https://fr.example.org/w/index.php?title=Maison&variant=fr',
+				item: { lang: 'fr', title: 'Maison' }
+			},
+			{
+				msg: 'Unknown wiki',
+				href: 'https://it.example.org/wiki/Casa',
+				item: null
+			}
+		];
+
+	cases.forEach( ( caseItem ) => {
+		assert.deepEqual(
+			page.getLanguageItemFromHref( caseItem.href, interwikis ),
+			caseItem.item,
+			caseItem.msg + ': getLanguageItemFromHref'
+		);
+		if ( caseItem.item ) {
+			assert.strictEqual(
+				page.getHrefFromLanguageItem( caseItem.item, interwikis ),
+				caseItem.expectedHref || caseItem.href,
+				caseItem.msg + ': getHrefFromLanguageItem'
+			);
+		}
+	} );
+
+	assert.strictEqual(
+		page.getHrefFromLanguageItem( { lang: 'it', title: 'Casa' }, interwikis ),
+		null,
+		'No URL for languages without interwiki'
+	);
+} );
+
+QUnit.test( 've.ui.MWLanguageLinksWidget', ( assert ) => {
+	const widget = new ve.ui.MWLanguageLinksWidget(),
+		metaItem = {},
+		unknownMetaItem = {};
+	let changes = 0;
+
+	widget.on( 'change', () => {
+		changes++;
+	} );
+	widget.setLanguages( [ 'de', 'fr' ], {} );
+	widget.addLinks( [
+		{ lang: 'fr', title: 'Maison', metaItem: metaItem },
+		{ lang: '', title: 'https://it.example.org/wiki/Casa', metaItem: unknownMetaItem }
+	] );
+	assert.deepEqual(
+		widget.items.map( ( item ) => item.getValue() ),
+		[
+			{ lang: 'fr', title: 'Maison' },
+			{ lang: '', title: 'https://it.example.org/wiki/Casa' }
+		],
+		'Links are loaded'
+	);
+	assert.strictEqual( widget.items[ 1 ].titleInput.isDisabled(), true, 'Links to unknown wikis can\'t be edited' );
+
+	widget.onAddButtonClick();
+	assert.deepEqual( widget.items[ 2 ].getValue(), { lang: 'de', title: '' }, 'New link defaults to first language' );
+
+	widget.items[ 0 ].removeButton.emit( 'click' );
+	assert.deepEqual(
+		widget.getRemovedMetaItems( [ metaItem, unknownMetaItem ] ),
+		[ metaItem ],
+		'Removed meta items are reported'
+	);
+	assert.strictEqual( changes, 3, 'Change events are emitted' );
+} );
+
+QUnit.test( 'getLanguageInterwikis', function ( assert ) {
+	const page = ve.ui.MWLanguagesPage.static,
+		responses = [
+			ve.createDeferred().reject( 'http' ).promise(),
+			ve.createDeferred().resolve( { query: { interwikimap: [
+				{ prefix: 'de', url: 'https://de.example.org/wiki/$1', language: 'Deutsch' },
+				{ prefix: 'commons', url: 'https://commons.example.org/wiki/$1' }
+			] } } ).promise()
+		],
+		get = this.sandbox.stub().callsFake( () => responses.shift() );
+
+	this.sandbox.stub( ve.init.target, 'getContentApi' ).returns( { get } );
+	page.interwikisPromise = null;
+
+	return page.getLanguageInterwikis().then( ( interwikis ) => {
+		assert.deepEqual( interwikis, {}, 'failed load: no interwikis' );
+		return page.getLanguageInterwikis();
+	} ).then( ( interwikis ) => {
+		assert.deepEqual( Object.keys( interwikis ), [ 'de' ], 'loaded again after a failure' );
+		return page.getLanguageInterwikis();
+	} ).then( () => {
+		assert.strictEqual( get.callCount, 2, 'successful load is cached' );
+	} ).always( () => {
+		page.interwikisPromise = null;
+	} );
+} );
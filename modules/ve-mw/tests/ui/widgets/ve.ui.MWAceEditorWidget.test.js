@@ -0,0 +1,152 @@
+/*!
+ * VisualEditor UserInterface MWAceEditorWidget tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.ui.MWAceEditorWidget', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'getWikitextCompletionContext', ( assert ) => {
+	const cases = [
+		{
+			msg: 'Plain text',
+			text: 'Foo bar',
+			expected: null
+		},
+		{
+			msg: 'Start of a link',
+			text: 'Foo [[',
+			expected: { type: 'link', prefix: '' }
+		},
+		{
+			msg: 'Link target',
+			text: 'Foo [[Bar b',
+			expected: { type: 'link', prefix: 'Bar b' }
+		},
+		{
+			msg: 'Link to a category',
+			text: '[[:Category:F',
+			expected: { type: 'link', prefix: ':Category:F' }
+		},
+		{
+			msg: 'Link label',
+			text: '[[Foo|Ba',
+			expected: null
+		},
+		{
+			msg: 'Closed link',
+			text: '[[Foo]] ba',
+			expected: null
+		},
+		{
+			msg: 'Template name',
+			text: 'Foo {{Cite w',
+			expected: { type: 'template', prefix: 'Cite w' }
+		},
+		{
+			msg: 'Template parameter reference',
+			text: '{{{fo',
+			expected: null
+		},
+		{
+			msg: 'First parameter name',
+			text: '{{Cite web|ur',
+			expected: { type: 'parameter', prefix: 'ur', template: 'Cite web', parameters: [] }
+		},
+		{
+			msg: 'Parameter name after other parameters, ignoring whitespace',
+			text: '{{Cite web\n| url = http://example.com\n| positional [[a|b]]\n| ti',
+			expected: { type: 'parameter', prefix: 'ti', template: 'Cite web', parameters: [ 'url' ] }
+		},
+		{
+			msg: 'Parameter value',
+			text: '{{Cite web|url=http',
+			expected: null
+		},
+		{
+			msg: 'Parameter of the innermost template',
+			text: '{{Foo|a={{Bar|x=1}}|b={{Baz|',
+			expected: { type: 'parameter', prefix: '', template: 'Baz', parameters: [] }
+		},
+		{
+			msg: 'Parameter of the outer template after a nested one',
+			text: '{{Foo|a={{Bar|x=1}}|',
+			expected: { type: 'parameter', prefix: '', template: 'Foo', parameters: [ 'a' ] }
+		},
+		{
+			msg: 'Closed template',
+			text: '{{Foo|a}} b',
+			expected: null
+		}
+	];
+
+	cases.forEach( ( caseItem ) => {
+		assert.deepEqual(
+			ve.ui.MWAceEditorWidget.static.getWikitextCompletionContext( caseItem.text ),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
+
+QUnit.test( 'scanBrackets', ( assert ) => {
+	const cases = [
+		{
+			msg: 'Nested link in a template',
+			text: '{{a|[[b]]}}',
+			expected: {
+				pairs: [ { bracket: '[[', open: 4, close: 7 }, { bracket: '{{', open: 0, close: 9 } ],
+				unclosed: [],
+				unopened: []
+			}
+		},
+		{
+			msg: 'Template call of a template parameter',
+			text: '{{{{{1}}}}}',
+			expected: {
+				pairs: [ { bracket: '{{{', open: 2, close: 6 }, { bracket: '{{', open: 0, close: 9 } ],
+				unclosed: [],
+				unopened: []
+			}
+		},
+		{
+			msg: 'Mismatched brackets',
+			text: '{{a]] b]]',
+			expected: {
+				pairs: [],
+				unclosed: [ { bracket: '{{', offset: 0 } ],
+				unopened: [ { bracket: ']]', offset: 3 }, { bracket: ']]', offset: 7 } ]
+			}
+		},
+		{
+			msg: 'Comments, nowiki and single brackets are ignored',
+			text: '<!-- {{ --><nowiki>[[</nowiki>[http://example.com {{a}}]<nowiki/>',
+			expected: {
+				pairs: [ { bracket: '{{', open: 50, close: 53 } ],
+				unclosed: [],
+				unopened: []
+			}
+		}
+	];
+
+	cases.forEach( ( caseItem ) => {
+		assert.deepEqual(
+			ve.ui.MWAceEditorWidget.static.scanBrackets( caseItem.text ),
+			caseItem.expected,
+			caseItem.msg
+		);
+	} );
+} );
+
+QUnit.test( 'getStructureErrors', ( assert ) => {
+	const getOffsets = ( text, type ) => ve.ui.MWAceEditorWidget.static.getStructureErrors( text, type )
+		.map( ( error ) => error.offset );
+
+	assert.deepEqual( getOffsets( '{{a|b', null ), [], 'no check' );
+	assert.deepEqual( getOffsets( '{{a|[[b]]}}', 'wikitext' ), [], 'balanced wikitext' );
+	assert.deepEqual( getOffsets( 'a]] {{b', 'wikitext' ), [ 1, 4 ], 'unbalanced wikitext, in order' );
+	assert.deepEqual( getOffsets( '{ "a": [ 1, 2 ] }', 'json' ), [], 'valid JSON' );
+	assert.deepEqual( getOffsets( '', 'json' ), [], 'empty JSON' );
+	assert.strictEqual( getOffsets( '{ "a": [ 1, 2 }', 'json' ).length, 1, 'invalid JSON' );
+} );
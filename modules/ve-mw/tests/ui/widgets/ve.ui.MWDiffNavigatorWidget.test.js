@@ -0,0 +1,90 @@
+/*!
+ * VisualEditor UserInterface MWDiffNavigatorWidget tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.ui.MWDiffNavigatorWidget', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'getChangeElements', ( assert ) => {
+	const $document = $( '<div>' ).html(
+			'<p data-diff-action="change">a<span data-diff-action="insert">b</span></p>' +
+			'<ul data-diff-action="none"><li data-diff-action="insert">c</li></ul>' +
+			'<p>d</p>' +
+			'<p>e<ins data-diff-action="insert">f</ins> <del data-diff-action="remove">g</del></p>'
+		),
+		$changes = ve.ui.MWDiffNavigatorWidget.static.getChangeElements( $document );
+
+	assert.deepEqual( $changes.toArray().map( ( el ) => el.textContent ), [ 'ab', 'c', 'ef g' ], 'inline changes are represented by their paragraph' );
+} );
+
+QUnit.test( 'getDiffRanges', ( assert ) => {
+	const node = ( start, end ) => ( { getOuterRange: () => new ve.Range( start, end ) } ),
+		visualDiff = {
+			newDocChildren: [ node( 0, 5 ), node( 5, 10 ), node( 10, 15 ), node( 15, 20 ) ],
+			diff: { docDiff: {
+				// Old children: unchanged, removed, changed, removed, unchanged, removed
+				// New children: unchanged, changed, inserted, unchanged
+				oldToNew: { 0: { node: 0 }, 2: { node: 1, diff: {} }, 4: { node: 3 } },
+				newToOld: { 0: { node: 0 }, 1: { node: 2 }, 3: { node: 4 } },
+				remove: [ 1, 3, 5 ],
+				insert: [ 2 ]
+			} }
+		};
+
+	assert.deepEqual(
+		ve.ui.MWDiffNavigatorWidget.static.getDiffRanges( visualDiff )
+			.map( ( range ) => [ range.start, range.end ] ),
+		[ [ 5, 5 ], [ 5, 10 ], [ 10, 15 ], [ 15, 15 ], [ 20, 20 ] ],
+		'changed and inserted children, and where removed ones used to be'
+	);
+} );
+
+QUnit.test( 'getChanges & getSections', ( assert ) => {
+	const widget = ve.ui.MWDiffNavigatorWidget,
+		doc = ve.dm.converter.getModelFromDom( ve.createDocumentFromHtml(
+			'<p>Intro</p><h2>One</h2><p>Alpha beta</p><p>Gamma</p><h2>Two</h2><p>Delta</p>'
+		) ),
+		$document = $( '<div>' ).html(
+			'<div class="ve-ui-diffElement-doc-child-change"><p data-diff-action="insert">Intro</p></div>' +
+			'<h2>One</h2>' +
+			'<div class="ve-ui-diffElement-doc-child-change"><p data-diff-action="change">Alpha <del>x</del><ins>beta</ins></p></div>' +
+			'<div class="ve-ui-diffElement-doc-child-change"><p data-diff-action="remove">Removed</p></div>' +
+			'<p>Gamma</p><h2>Two</h2>' +
+			'<div class="ve-ui-diffElement-doc-child-change"><p data-diff-action="insert">Delta</p></div>' +
+			'<div><ol><li data-diff-action="insert">Reference</li></ol></div>'
+		),
+		wrappers = $document.children( '.ve-ui-diffElement-doc-child-change' ).toArray(),
+		ranges = [
+			new ve.Range( 0, 7 ), new ve.Range( 12, 24 ), new ve.Range( 24 ), new ve.Range( 36, 43 )
+		],
+		changes = widget.static.getChanges(
+			doc, widget.static.getChangeElements( $document ).toArray(), wrappers, ranges
+		),
+		getHeadingText = ( heading ) => heading && doc.data.getText( false, heading.getRange() );
+
+	assert.deepEqual(
+		changes.map( ( change ) => [
+			change.range && [ change.range.start, change.range.end ],
+			getHeadingText( change.heading )
+		] ),
+		[
+			[ [ 0, 7 ], null ],
+			[ [ 12, 24 ], 'One' ],
+			[ [ 24, 24 ], 'One' ],
+			[ [ 36, 43 ], 'Two' ],
+			[ null, 'Two' ]
+		],
+		'changes get the range of their wrapper, others borrow the section of the previous change'
+	);
+	assert.deepEqual(
+		widget.static.getSections( changes )
+			.map( ( section ) => [ getHeadingText( section.heading ), section.changes ] ),
+		[
+			[ null, [ 0 ] ],
+			[ 'One', [ 1, 2 ] ],
+			[ 'Two', [ 3, 4 ] ]
+		]
+	);
+} );
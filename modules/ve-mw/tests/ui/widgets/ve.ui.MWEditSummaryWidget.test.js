@@ -0,0 +1,44 @@
+/*!
+ * VisualEditor UserInterface MWEditSummaryWidget tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.ui.MWEditSummaryWidget', ve.test.utils.mwEnvironment );
+
+QUnit.test( 'toggleSnippet/setAutoSummary', function ( assert ) {
+	const widget = new ve.ui.MWEditSummaryWidget(),
+		userConfig = {},
+		getLabels = () => widget.getLookupMenuItems().then(
+			( items ) => items.map( ( item ) => item.getLabel() )
+		);
+
+	this.sandbox.stub( ve.init.platform, 'getUserConfig' ).callsFake( ( key ) => userConfig[ key ] );
+	this.sandbox.stub( ve.init.platform, 'setUserConfig' ).callsFake( ( key, value ) => {
+		userConfig[ key ] = value;
+	} );
+
+	return getLabels().then( ( labels ) => {
+		assert.deepEqual( labels, [], 'no suggestions' );
+
+		widget.toggleSnippet( 'Fix typo' );
+		return getLabels();
+	} ).then( ( labels ) => {
+		assert.deepEqual(
+			labels,
+			[ ve.msg( 'visualeditor-editsummary-suggestions-snippets' ), 'Fix typo' ],
+			'saved snippet suggested'
+		);
+
+		widget.toggleSnippet( 'Fix typo' );
+		widget.setAutoSummary( 'Auto' );
+		return getLabels();
+	} ).then( ( labels ) => {
+		assert.deepEqual(
+			labels,
+			[ ve.msg( 'visualeditor-editsummary-suggestions-auto' ), 'Auto' ],
+			'removed snippet no longer suggested, auto summary suggested'
+		);
+	} );
+} );
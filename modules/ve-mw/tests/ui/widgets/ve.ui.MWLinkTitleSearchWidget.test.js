@@ -0,0 +1,38 @@
+/*!
+ * VisualEditor UserInterface MWLinkTitleSearchWidget tests.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+QUnit.module( 've.ui.MWLinkTitleSearchWidget' );
+
+QUnit.test( 'splitFragment', ( assert ) => {
+	const widget = ve.ui.MWLinkTitleSearchWidget;
+
+	assert.deepEqual( widget.static.splitFragment( 'Foo#Bar' ), { title: 'Foo', fragment: 'Bar' }, 'title and fragment' );
+	assert.deepEqual( widget.static.splitFragment( 'Foo #' ), { title: 'Foo', fragment: '' }, 'empty fragment' );
+	assert.deepEqual( widget.static.splitFragment( '#Bar#Baz' ), { title: '', fragment: 'Bar#Baz' }, 'current page' );
+	assert.strictEqual( widget.static.splitFragment( 'Foo' ), null, 'no fragment' );
+} );
+
+QUnit.test( 'getAnchorSuggestions', ( assert ) => {
+	const widget = ve.ui.MWLinkTitleSearchWidget,
+		anchors = [ 'Early_life', 'Career', 'Later_career', 'Career_2', 'Career' ];
+
+	assert.deepEqual(
+		widget.static.getAnchorSuggestions( anchors, 'car', 10 ),
+		[ 'Career', 'Career 2', 'Later career' ],
+		'prefix matches first, duplicates removed'
+	);
+	assert.deepEqual(
+		widget.static.getAnchorSuggestions( anchors, 'later_c', 10 ),
+		[ 'Later career' ],
+		'underscores in the fragment'
+	);
+	assert.deepEqual(
+		widget.static.getAnchorSuggestions( anchors, '', 2 ),
+		[ 'Early life', 'Career' ],
+		'limit'
+	);
+} );
@@ -0,0 +1,42 @@
+QUnit.module( 've.ui.MWParameterDateInputWidget' );
+
+[
+	[ '2020-03-15', 'YYYY-MM-DD' ],
+	[ '15 March 2020', 'D MMMM YYYY' ],
+	[ 'March 15, 2020', 'MMMM D, YYYY' ],
+	[ '15 Mar 2020', 'D MMM YYYY' ],
+	[ '15.03.2020', 'DD.MM.YYYY' ],
+	[ ' 2020-03-15 ', 'YYYY-MM-DD' ],
+	[ '2020-02-30', null ],
+	[ '{{Start date|2020|3|15}}', null ],
+	[ 'yesterday', null ]
+].forEach( ( [ value, expected ] ) => QUnit.test( `detectFormat( ${value} )`, ( assert ) => {
+	const detected = ve.ui.MWParameterDateInputWidget.static.detectFormat( value );
+
+	assert.strictEqual( detected && detected.format, expected );
+} ) );
+
+QUnit.test( 'Unchanged values are returned verbatim', ( assert ) => {
+	const widget = new ve.ui.MWParameterDateInputWidget();
+
+	widget.setValue( '05 March 2020' );
+	assert.strictEqual( widget.getValue(), '05 March 2020' );
+	assert.strictEqual( widget.dateInput.getValue(), '2020-03-05' );
+} );
+
+[
+	[ '15 March 2020', 'D MMMM YYYY', '1 April 2021' ],
+	[ 'March 15, 2020', 'MMMM D, YYYY', 'April 1, 2021' ],
+	[ '', 'YYYY-MM-DD', '2021-04-01' ]
+].forEach( ( [ value, format, expected ] ) => QUnit.test( `Changed values keep the format ${format}`, ( assert ) => {
+	const widget = new ve.ui.MWParameterDateInputWidget();
+	let emitted;
+	widget.setValue( value );
+	widget.on( 'change', ( newValue ) => {
+		emitted = newValue;
+	} );
+
+	widget.dateInput.setValue( '2021-04-01' );
+	assert.strictEqual( widget.getValue(), expected );
+	assert.strictEqual( emitted, expected );
+} ) );
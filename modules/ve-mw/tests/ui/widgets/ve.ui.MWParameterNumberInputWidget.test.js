@@ -0,0 +1,17 @@
+QUnit.module( 've.ui.MWParameterNumberInputWidget' );
+
+[
+	[ '', true ],
+	[ '42', true ],
+	[ '-3.5', true ],
+	[ ' 1,234 ', true ],
+	[ 'forty-two', false ],
+	[ '{{formatnum:42}}', false ]
+].forEach( ( [ value, expected ] ) => QUnit.test( `isValidValue( ${value} )`, ( assert ) => {
+	const widget = new ve.ui.MWParameterNumberInputWidget();
+
+	assert.strictEqual( widget.isValidValue( value ), expected );
+	widget.setValue( value );
+	assert.strictEqual( widget.isValid(), expected );
+	assert.strictEqual( widget.getValue(), value, 'value is kept as typed' );
+} ) );
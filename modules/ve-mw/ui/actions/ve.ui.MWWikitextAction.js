@@ -26,7 +26,94 @@ OO.inheritClass( ve.ui.MWWikitextAction, ve.ui.Action );
 
 ve.ui.MWWikitextAction.static.name = 'mwWikitext';
 
-ve.ui.MWWikitextAction.static.methods = [ 'toggleWrapSelection', 'wrapSelection', 'wrapLine' ];
+ve.ui.MWWikitextAction.static.methods = [
+	'toggleWrapSelection', 'wrapSelection', 'wrapLine',
+	'indentLines', 'outdentLines', 'convertToTable', 'wrapTemplate'
+];
+
+/* Static Methods */
+
+/**
+ * Get the change to the list markers of a line which indents or outdents it
+ *
+ * Indenting repeats the last list marker (`*`, `#` or `:`), e.g. '#* Foo' -> '#** Foo'. Outdenting
+ * removes the last list marker, and any space after the marker if it was the only one.
+ *
+ * @static
+ * @param {string} text Text of the line
+ * @param {boolean} outdent Outdent the line
+ * @return {Object|null} Change with the `offset` in the line, the number of characters to `remove`
+ *  and the text to `insert`, or null if the line isn't a list item
+ */
+ve.ui.MWWikitextAction.static.getIndentChange = function ( text, outdent ) {
+	var markers,
+		matches = text.match( /^([*#:;]+)( *)/ );
+
+	if ( !matches ) {
+		return null;
+	}
+	markers = matches[ 1 ];
+	if ( !outdent ) {
+		return {
+			offset: markers.length,
+			remove: 0,
+			// Definition list terms are indented as definitions
+			insert: markers.slice( -1 ) === ';' ? ':' : markers.slice( -1 )
+		};
+	}
+	return {
+		offset: markers.length - 1,
+		remove: markers.length === 1 ? matches[ 0 ].length : 1,
+		insert: ''
+	};
+};
+
+/**
+ * Get the lines of a wikitext table with the contents of some lines of text
+ *
+ * Each line becomes a row. Cells are separated by tabs (e.g. text copied from a spreadsheet), or
+ * by commas if every line has the same number of them, otherwise each row has a single cell.
+ *
+ * @static
+ * @param {string[]} lines Lines of text, empty lines are skipped
+ * @param {boolean} [header] Make the first line a header row
+ * @return {string[]} Lines of wikitext
+ */
+ve.ui.MWWikitextAction.static.getTableLines = function ( lines, header ) {
+	var separator, commas,
+		table = [ '{| class="wikitable"' ];
+
+	lines = lines.filter( function ( line ) {
+		return line.trim() !== '';
+	} );
+	if ( lines.some( function ( line ) {
+		return line.indexOf( '\t' ) !== -1;
+	} ) ) {
+		separator = '\t';
+	} else {
+		commas = lines.map( function ( line ) {
+			return line.split( ',' ).length;
+		} );
+		if ( commas[ 0 ] > 1 && commas.every( function ( count ) {
+			return count === commas[ 0 ];
+		} ) ) {
+			separator = ',';
+		}
+	}
+
+	lines.forEach( function ( line, i ) {
+		var isHeader = header && i === 0,
+			cells = ( separator ? line.split( separator ) : [ line ] ).map( function ( cell ) {
+				return cell.trim();
+			} );
+		if ( i > 0 ) {
+			table.push( '|-' );
+		}
+		table.push( isHeader ? '! ' + cells.join( ' !! ' ) : '| ' + cells.join( ' || ' ) );
+	} );
+	table.push( '|}' );
+	return table;
+};
 
 /* Methods */
 
@@ -141,6 +228,149 @@ ve.ui.MWWikitextAction.prototype.wrapLine = function ( before, after, placeholde
 	return true;
 };
 
+/**
+ * Get the lines touched by the selection
+ *
+ * @private
+ * @param {ve.dm.SurfaceFragment} fragment
+ * @return {ve.dm.ContentBranchNode[]} Lines, in document order
+ */
+ve.ui.MWWikitextAction.prototype.getSelectedLines = function ( fragment ) {
+	var doc = fragment.getDocument(),
+		range = fragment.getSelection().getCoveringRange(),
+		lines = doc.getDocumentNode().children,
+		start = lines.indexOf( doc.getBranchNodeFromOffset( range.start ) ),
+		end = lines.indexOf( doc.getBranchNodeFromOffset( range.end ) );
+
+	if ( start === -1 || end === -1 ) {
+		return [];
+	}
+	// A selection of whole lines ends at the start of the next line
+	if ( end > start && range.end === lines[ end ].getRange().start ) {
+		end--;
+	}
+	return lines.slice( start, end + 1 );
+};
+
+/**
+ * Change the indentation of the selected list lines
+ *
+ * @private
+ * @param {boolean} outdent Outdent the lines
+ * @return {boolean} Action was executed
+ */
+ve.ui.MWWikitextAction.prototype.changeIndentation = function ( outdent ) {
+	var i, line, change, offset,
+		surfaceModel = this.surface.getModel(),
+		data = surfaceModel.getDocument().data,
+		originalFragment = surfaceModel.getFragment( null, false, true /* excludeInsertions */ ),
+		lines = this.getSelectedLines( originalFragment ),
+		changed = false;
+
+	// In reverse order, so changes don't affect the offsets of the lines still to change
+	for ( i = lines.length - 1; i >= 0; i-- ) {
+		line = lines[ i ];
+		change = this.constructor.static.getIndentChange(
+			data.getText( true, line.getRange() ), outdent
+		);
+		if ( change ) {
+			offset = line.getRange().start + change.offset;
+			if ( change.remove ) {
+				surfaceModel.getLinearFragment(
+					new ve.Range( offset, offset + change.remove ), true
+				).removeContent();
+			}
+			if ( change.insert ) {
+				surfaceModel.getLinearFragment( new ve.Range( offset ), true )
+					.insertContent( change.insert );
+			}
+			changed = true;
+		}
+	}
+	if ( changed ) {
+		originalFragment.select();
+	}
+	// Let the key press through outside of lists, e.g. to move the focus with tab
+	return changed;
+};
+
+/**
+ * Indent the selected list lines
+ *
+ * @return {boolean} Action was executed
+ */
+ve.ui.MWWikitextAction.prototype.indentLines = function () {
+	return this.changeIndentation( false );
+};
+
+/**
+ * Outdent the selected list lines
+ *
+ * @return {boolean} Action was executed
+ */
+ve.ui.MWWikitextAction.prototype.outdentLines = function () {
+	return this.changeIndentation( true );
+};
+
+/**
+ * Convert the selected lines into a table
+ *
+ * @param {boolean} [header] Make the first line a header row
+ * @return {boolean} Action was executed
+ */
+ve.ui.MWWikitextAction.prototype.convertToTable = function ( header ) {
+	var range, tableData,
+		surfaceModel = this.surface.getModel(),
+		fragment = surfaceModel.getFragment(),
+		data = surfaceModel.getDocument().data,
+		lines = this.getSelectedLines( fragment ),
+		text = lines.map( function ( line ) {
+			return data.getText( true, line.getRange() );
+		} );
+
+	if ( fragment.getSelection().isCollapsed() || !text.join( '' ).trim() ) {
+		return false;
+	}
+
+	tableData = [];
+	this.constructor.static.getTableLines( text, header ).forEach( function ( line ) {
+		tableData.push( { type: 'paragraph' } );
+		ve.batchPush( tableData, line.split( '' ) );
+		tableData.push( { type: '/paragraph' } );
+	} );
+	range = new ve.Range(
+		lines[ 0 ].getOuterRange().start,
+		lines[ lines.length - 1 ].getOuterRange().end
+	);
+	surfaceModel.getLinearFragment( range, true ).insertContent( tableData );
+	surfaceModel.getLinearFragment(
+		new ve.Range( range.start + 1, range.start + tableData.length - 1 )
+	).select();
+	return true;
+};
+
+/**
+ * Wrap the selection in a template call, as its first parameter
+ *
+ * The template name is selected afterwards, so it can be typed over.
+ *
+ * @param {string} [name] Template name, defaults to a placeholder
+ * @return {boolean} Action was executed
+ */
+ve.ui.MWWikitextAction.prototype.wrapTemplate = function ( name ) {
+	var wrappedFragment,
+		fragment = this.surface.getModel().getFragment( null, false, true /* excludeInsertions */ );
+
+	name = name || ve.msg( 'visualeditor-wikitext-template-name-placeholder' );
+	wrappedFragment = fragment.wrapText(
+		'{{' + name + '|', '}}',
+		OO.ui.deferMsg( 'visualeditor-wikitext-template-parameter-placeholder' ),
+		true
+	);
+	wrappedFragment.collapseToStart().adjustLinearSelection( -name.length - 1, -1 ).select();
+	return true;
+};
+
 /* Registration */
 
 ve.ui.actionFactory.register( ve.ui.MWWikitextAction );
@@ -37,6 +37,66 @@ ve.ui.MWMagicLinkNodeContextItem.static.modelClasses = [ ve.dm.MWMagicLinkNode ]
 
 ve.ui.MWMagicLinkNodeContextItem.static.clearable = false;
 
+/**
+ * Functions looking up the works magic links refer to, keyed by magic link type: 'ISBN', 'PMID' or
+ * 'RFC'.
+ *
+ * None are provided by default. Gadgets and extensions can add them, e.g.
+ *
+ *     ve.ui.MWMagicLinkNodeContextItem.static.metadataResolvers.PMID = function ( code ) {
+ *         return api.get( ... ).then( function ( data ) {
+ *             return { title: ..., authors: [ ... ] };
+ *         } );
+ *     };
+ *
+ * A resolver is called with the magic link's code, and returns a promise resolved with the work's
+ * `title` and `authors`, or null if the work isn't known.
+ *
+ * @static
+ * @property {Object.<string,Function>}
+ */
+ve.ui.MWMagicLinkNodeContextItem.static.metadataResolvers = {};
+
+/**
+ * Looked up metadata, keyed by magic link type and code
+ *
+ * @static
+ * @private
+ * @property {Object.<string,jQuery.Promise>}
+ */
+ve.ui.MWMagicLinkNodeContextItem.static.metadataCache = {};
+
+/* Static methods */
+
+/**
+ * Look up the work a magic link refers to, using the resolver for its type.
+ *
+ * @static
+ * @param {string} type Magic link type, 'ISBN', 'PMID' or 'RFC'
+ * @param {string} code Magic link code, e.g. the number of the ISBN
+ * @return {jQuery.Promise} Promise resolved with an object with the `title` and `authors` of the
+ *  work, or null if it isn't known or there is no resolver for the type
+ */
+ve.ui.MWMagicLinkNodeContextItem.static.lookupMetadata = function ( type, code ) {
+	var key = type + ':' + code,
+		cache = this.metadataCache,
+		resolver = this.metadataResolvers[ type ];
+
+	if ( !resolver ) {
+		return ve.createDeferred().resolve( null ).promise();
+	}
+	if ( !cache[ key ] ) {
+		cache[ key ] = resolver( code ).then( function ( metadata ) {
+			return metadata || null;
+		}, function () {
+			// Try again next time
+			delete cache[ key ];
+			return ve.createDeferred().resolve( null ).promise();
+		} );
+	}
+	return cache[ key ];
+};
+
 /* Methods */
 
 ve.ui.MWMagicLinkNodeContextItem.prototype.setup = function () {
@@ -66,6 +126,38 @@ ve.ui.MWMagicLinkNodeContextItem.prototype.renderBody = function () {
 	ve.ui.MWMagicLinkNodeContextItem.super.prototype.renderBody.apply( this, arguments );
 
 	this.$labelLayout.remove();
+	this.renderMetadata();
+};
+
+/**
+ * Render the title and authors of the work the magic link refers to, once they are looked up.
+ *
+ * @private
+ */
+ve.ui.MWMagicLinkNodeContextItem.prototype.renderMetadata = function () {
+	var context = this.context,
+		$metadata = $( '<div>' ).addClass( 've-ui-mwMagicLinkNodeContextItem-metadata' );
+
+	this.$body.append( $metadata );
+	this.constructor.static.lookupMetadata( this.model.getMagicType(), this.model.getCode() )
+		.then( function ( metadata ) {
+			if ( !metadata || !metadata.title ) {
+				return;
+			}
+			$metadata.append(
+				$( '<div>' )
+					.addClass( 've-ui-mwMagicLinkNodeContextItem-metadata-title' )
+					.text( metadata.title )
+			);
+			if ( metadata.authors && metadata.authors.length ) {
+				$metadata.append(
+					$( '<div>' )
+						.addClass( 've-ui-mwMagicLinkNodeContextItem-metadata-authors' )
+						.text( mw.language.listToText( metadata.authors ) )
+				);
+			}
+			context.updateDimensions();
+		} );
 };
 /* Registration */
 
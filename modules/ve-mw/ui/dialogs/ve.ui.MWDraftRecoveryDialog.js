@@ -0,0 +1,245 @@
+/*!
+ * VisualEditor user interface MWDraftRecoveryDialog class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/* global moment */
+
+/**
+ * Dialog for choosing a draft from an earlier editing session to restore.
+ *
+ * Each draft can be compared to the current revision of the page before restoring it, and
+ * drafts that aren't needed any more can be discarded.
+ *
+ * @class
+ * @extends OO.ui.ProcessDialog
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWDraftRecoveryDialog = function VeUiMWDraftRecoveryDialog( config ) {
+	// Parent constructor
+	ve.ui.MWDraftRecoveryDialog.super.call( this, config );
+
+	// Properties
+	this.drafts = [];
+	this.diffPromise = null;
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWDraftRecoveryDialog, OO.ui.ProcessDialog );
+
+/* Static Properties */
+
+ve.ui.MWDraftRecoveryDialog.static.name = 'mwDraftRecovery';
+
+ve.ui.MWDraftRecoveryDialog.static.title =
+	OO.ui.deferMsg( 'visualeditor-draftrecovery-title' );
+
+ve.ui.MWDraftRecoveryDialog.static.size = 'larger';
+
+ve.ui.MWDraftRecoveryDialog.static.actions = [
+	{
+		action: 'restore',
+		label: OO.ui.deferMsg( 'visualeditor-draftrecovery-action-restore' ),
+		flags: [ 'primary', 'progressive' ]
+	},
+	{
+		action: 'discard',
+		label: OO.ui.deferMsg( 'visualeditor-draftrecovery-action-discard' ),
+		flags: [ 'destructive' ]
+	},
+	{
+		label: OO.ui.deferMsg( 'visualeditor-draftrecovery-action-later' ),
+		flags: [ 'safe', 'close' ]
+	}
+];
+
+/* Static Methods */
+
+/**
+ * Get a description of when and how a draft was written
+ *
+ * @static
+ * @param {Object} draft Draft description, see ve.init.mw.DraftStore#save
+ * @return {string}
+ */
+ve.ui.MWDraftRecoveryDialog.static.getDraftDetails = function ( draft ) {
+	return ve.msg(
+		'visualeditor-draftrecovery-details',
+		moment( draft.timestamp * 1000 ).format( 'LLL' ),
+		// The following messages are used here:
+		// * visualeditor-draftrecovery-mode-source
+		// * visualeditor-draftrecovery-mode-visual
+		ve.msg( 'visualeditor-draftrecovery-mode-' + ( draft.mode === 'source' ? 'source' : 'visual' ) )
+	);
+};
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWDraftRecoveryDialog.prototype.getBodyHeight = function () {
+	return 500;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWDraftRecoveryDialog.prototype.initialize = function () {
+	// Parent method
+	ve.ui.MWDraftRecoveryDialog.super.prototype.initialize.call( this );
+
+	this.draftSelect = new OO.ui.SelectWidget( {
+		classes: [ 've-ui-mwDraftRecoveryDialog-drafts' ]
+	} );
+	this.$diff = $( '<div>' ).addClass( 've-ui-mwDraftRecoveryDialog-diff' );
+
+	this.draftSelect.connect( this, { select: 'onDraftSelect' } );
+
+	var panel = new OO.ui.PanelLayout( { padded: true, expanded: false } );
+	panel.$element.append(
+		$( '<p>' ).text( ve.msg( 'visualeditor-draftrecovery-intro' ) ),
+		this.draftSelect.$element,
+		this.$diff
+	);
+	this.$body.append( panel.$element );
+};
+
+/**
+ * @inheritdoc
+ * @param {Object} data Window opening data
+ * @param {Object[]} data.drafts Drafts to choose from, see ve.init.mw.DraftStore#save
+ */
+ve.ui.MWDraftRecoveryDialog.prototype.getSetupProcess = function ( data ) {
+	return ve.ui.MWDraftRecoveryDialog.super.prototype.getSetupProcess.call( this, data )
+		.next( function () {
+			this.drafts = data.drafts.slice();
+			this.populateDrafts();
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWDraftRecoveryDialog.prototype.getActionProcess = function ( action ) {
+	var selected = this.draftSelect.findSelectedItem();
+
+	if ( action === 'restore' && selected ) {
+		return new OO.ui.Process( function () {
+			this.close( { action: 'restore', draft: selected.getData() } );
+		}, this );
+	}
+	if ( action === 'discard' && selected ) {
+		return new OO.ui.Process( function () {
+			ve.init.platform.draftStore.remove( selected.getData().id );
+			this.drafts.splice( this.drafts.indexOf( selected.getData() ), 1 );
+			if ( this.drafts.length ) {
+				this.populateDrafts();
+			} else {
+				this.close( { action: 'discard' } );
+			}
+		}, this );
+	}
+	return ve.ui.MWDraftRecoveryDialog.super.prototype.getActionProcess.call( this, action );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWDraftRecoveryDialog.prototype.getTeardownProcess = function ( data ) {
+	return ve.ui.MWDraftRecoveryDialog.super.prototype.getTeardownProcess.call( this, data )
+		.first( function () {
+			this.diffPromise = null;
+			this.draftSelect.clearItems();
+			this.$diff.empty();
+		}, this );
+};
+
+/**
+ * List the drafts and select the newest one
+ */
+ve.ui.MWDraftRecoveryDialog.prototype.populateDrafts = function () {
+	var dialog = this;
+
+	this.draftSelect.clearItems().addItems( this.drafts.map( function ( draft ) {
+		return new OO.ui.OptionWidget( {
+			data: draft,
+			label: $( '<span>' ).append(
+				$( '<strong>' ).text( draft.name || ve.msg( 'visualeditor-draftrecovery-untitled' ) ),
+				' ',
+				$( '<span>' )
+					.addClass( 've-ui-mwDraftRecoveryDialog-details' )
+					.text( dialog.constructor.static.getDraftDetails( draft ) )
+			)
+		} );
+	} ) );
+	this.draftSelect.selectItem( this.draftSelect.items[ 0 ] );
+};
+
+/**
+ * Handle select events from the draft list
+ *
+ * @param {OO.ui.OptionWidget|null} item Selected item
+ */
+ve.ui.MWDraftRecoveryDialog.prototype.onDraftSelect = function ( item ) {
+	this.actions.setAbilities( { restore: !!item, discard: !!item } );
+	if ( item ) {
+		this.showDiff( item.getData() );
+	}
+};
+
+/**
+ * Show how a draft differs from the current revision of the page
+ *
+ * @param {Object} draft Draft description, see ve.init.mw.DraftStore#save
+ */
+ve.ui.MWDraftRecoveryDialog.prototype.showDiff = function ( draft ) {
+	var dialog = this,
+		target = ve.init.target,
+		promise = target.getDraftVisualDiffGeneratorPromise( draft ),
+		$notice = draft.baseRevId !== target.currentRevisionId ?
+			new OO.ui.MessageWidget( {
+				type: 'warning',
+				inline: true,
+				label: ve.msg( 'visualeditor-draftrecovery-outdated' )
+			} ).$element :
+			$( [] );
+
+	this.diffPromise = promise;
+	this.$diff.empty().append( $notice, new OO.ui.ProgressBarWidget().$element );
+
+	promise.then( function ( visualDiffGenerator ) {
+		if ( dialog.diffPromise !== promise ) {
+			return;
+		}
+		var visualDiff = visualDiffGenerator(),
+			diffElement = new ve.ui.DiffElement( visualDiff );
+		// The following classes are used here:
+		// * mw-content-ltr
+		// * mw-content-rtl
+		diffElement.$document.addClass( 'mw-body-content mw-parser-output mw-content-' + visualDiff.newDoc.getDir() );
+		ve.targetLinksToNewWindow( diffElement.$document[ 0 ] );
+		dialog.$diff.empty().append( $notice, diffElement.$element );
+	}, function () {
+		if ( dialog.diffPromise !== promise ) {
+			return;
+		}
+		dialog.$diff.empty().append(
+			$notice,
+			new OO.ui.MessageWidget( {
+				type: 'error',
+				inline: true,
+				label: ve.msg( 'visualeditor-draftrecovery-diff-error' )
+			} ).$element
+		);
+	} );
+};
+
+/* Registration */
+
+ve.ui.windowFactory.register( ve.ui.MWDraftRecoveryDialog );
@@ -68,6 +68,64 @@ ve.ui.MWGalleryDialog.static.excludeCommands = [
 	'gallery'
 ];
 
+/**
+ * Gallery options which apply to each mode, see #updateMwData
+ *
+ * @static
+ * @property {Object.<string,string[]>}
+ */
+ve.ui.MWGalleryDialog.static.modeOptions = {
+	traditional: [ 'widths', 'heights', 'perrow', 'showfilename' ],
+	nolines: [ 'widths', 'heights', 'perrow', 'showfilename' ],
+	packed: [ 'heights', 'showfilename' ],
+	'packed-overlay': [ 'heights', 'showfilename' ],
+	'packed-hover': [ 'heights', 'showfilename' ],
+	slideshow: [ 'showfilename', 'showthumbnails' ]
+};
+
+/**
+ * Get the gallery options which apply to a mode
+ *
+ * @static
+ * @param {string} mode Gallery mode
+ * @return {string[]} Option names, as used in the 'mw' attribute
+ */
+ve.ui.MWGalleryDialog.static.getModeOptions = function ( mode ) {
+	return this.modeOptions[ mode ] || this.modeOptions.traditional;
+};
+
+/**
+ * Get the link target of an image from the text of the link input
+ *
+ * @static
+ * @param {string} link Page title or URL, empty to link to the file description page
+ * @return {string|null} Link target, see ve.dm.MWGalleryImageNode
+ */
+ve.ui.MWGalleryDialog.static.getHrefFromLink = function ( link ) {
+	link = link.trim();
+	if ( !link ) {
+		return null;
+	}
+	if ( ve.init.platform.getExternalLinkUrlProtocolsRegExp().test( link ) ) {
+		return link;
+	}
+	return ve.dm.MWInternalLinkAnnotation.static.getHref( { attributes: { title: link } } );
+};
+
+/**
+ * Get the text to show in the link input for the link target of an image
+ *
+ * @static
+ * @param {string|null} href Link target, see ve.dm.MWGalleryImageNode
+ * @return {string} Page title or URL, empty if the image links to the file description page
+ */
+ve.ui.MWGalleryDialog.static.getLinkFromHref = function ( href ) {
+	if ( !href ) {
+		return '';
+	}
+	return href.slice( 0, 2 ) === './' ? mw.libs.ve.normalizeParsoidResourceName( href ) : href;
+};
+
 /**
  * Get the import rules for the surface widget in the dialog
  *
@@ -120,16 +178,18 @@ ve.ui.MWGalleryDialog.static.getImportRules = function () {
 ve.ui.MWGalleryDialog.prototype.initialize = function () {
 	var imagesTabPanel, optionsTabPanel,
 		imageListMenuLayout, imageListMenuPanel, imageListContentPanel,
-		modeField, captionField, widthsField, heightsField,
-		perrowField, showFilenameField, classesField, stylesField,
+		modeField, captionField, classesField, stylesField,
 		highlightedCaptionField, highlightedCaptionFieldset,
-		highlightedAltTextField, highlightedAltTextFieldset;
+		highlightedAltTextField, highlightedAltTextFieldset,
+		highlightedLinkField, highlightedLinkFieldset,
+		bulkCaptionField, bulkAltTextField, bulkLinkField;
 
 	// Parent method
 	ve.ui.MWGalleryDialog.super.prototype.initialize.call( this );
 
 	// States
 	this.highlightedItem = null;
+	this.anchorItem = null;
 	this.searchPanelVisible = false;
 	this.selectedFilenames = {};
 	this.initialImageData = [];
@@ -182,13 +242,18 @@ ve.ui.MWGalleryDialog.prototype.initialize = function () {
 		expanded: true,
 		scrollable: true
 	} );
+	this.bulkEditPanel = new OO.ui.PanelLayout( {
+		padded: true,
+		expanded: true,
+		scrollable: true
+	} ).toggle( false );
 	this.searchPanel = new OO.ui.PanelLayout( {
 		padded: true,
 		expanded: true,
 		scrollable: true
 	} ).toggle( false );
 	this.editSearchStack = new OO.ui.StackLayout( {
-		items: [ this.editPanel, this.searchPanel ]
+		items: [ this.editPanel, this.bulkEditPanel, this.searchPanel ]
 	} );
 	this.imageTabMenuLayout = new OO.ui.MenuLayout( {
 		menuPosition: this.isMobile ? 'top' : 'before',
@@ -235,6 +300,9 @@ ve.ui.MWGalleryDialog.prototype.initialize = function () {
 	this.highlightedAltTextInput = new OO.ui.TextInputWidget( {
 		placeholder: ve.msg( 'visualeditor-dialog-media-alttext-section' )
 	} );
+	this.highlightedLinkInput = new OO.ui.TextInputWidget( {
+		placeholder: ve.msg( 'visualeditor-mwgallerydialog-link-input-placeholder' )
+	} );
 	this.removeButton = new OO.ui.ButtonWidget( {
 		label: ve.msg( 'visualeditor-mwgallerydialog-remove-button-label' ),
 		icon: 'trash',
@@ -258,6 +326,54 @@ ve.ui.MWGalleryDialog.prototype.initialize = function () {
 	} );
 	highlightedAltTextFieldset.addItems( highlightedAltTextField );
 
+	highlightedLinkField = new OO.ui.FieldLayout( this.highlightedLinkInput, {
+		align: 'top'
+	} );
+	highlightedLinkFieldset = new OO.ui.FieldsetLayout( {
+		label: ve.msg( 'visualeditor-mwgallerydialog-link-section' )
+	} );
+	highlightedLinkFieldset.addItems( highlightedLinkField );
+
+	// Bulk edit panel
+	this.bulkEditFieldset = new OO.ui.FieldsetLayout( {
+		icon: 'image'
+	} );
+	this.bulkEditFieldset.$element.append(
+		$( '<p>' ).text( ve.msg( 'visualeditor-mwgallerydialog-bulk-help' ) )
+	);
+	this.bulkCaptionTarget = ve.init.target.createTargetWidget( {
+		includeCommands: this.constructor.static.includeCommands,
+		excludeCommands: this.constructor.static.excludeCommands,
+		importRules: this.constructor.static.getImportRules(),
+		multiline: false
+	} );
+	this.bulkAltTextInput = new OO.ui.TextInputWidget( {
+		placeholder: ve.msg( 'visualeditor-mwgallerydialog-bulk-unchanged-placeholder' )
+	} );
+	this.bulkLinkInput = new OO.ui.TextInputWidget( {
+		placeholder: ve.msg( 'visualeditor-mwgallerydialog-bulk-unchanged-placeholder' )
+	} );
+	this.bulkRemoveButton = new OO.ui.ButtonWidget( {
+		label: ve.msg( 'visualeditor-mwgallerydialog-remove-selected-button-label' ),
+		icon: 'trash',
+		flags: [ 'destructive' ],
+		classes: [ 've-ui-mwGalleryDialog-remove-button' ]
+	} );
+
+	bulkCaptionField = new OO.ui.FieldLayout( this.bulkCaptionTarget, {
+		label: ve.msg( 'visualeditor-dialog-media-content-section' ),
+		align: 'top'
+	} );
+	bulkAltTextField = new OO.ui.FieldLayout( this.bulkAltTextInput, {
+		label: ve.msg( 'visualeditor-dialog-media-alttext-section' ),
+		align: 'top'
+	} );
+	bulkLinkField = new OO.ui.FieldLayout( this.bulkLinkInput, {
+		label: ve.msg( 'visualeditor-mwgallerydialog-link-section' ),
+		align: 'top'
+	} );
+	this.bulkEditFieldset.addItems( [ bulkCaptionField, bulkAltTextField, bulkLinkField ] );
+
 	// Search panel
 	this.searchWidget = new mw.widgets.MediaSearchWidget( {
 		rowHeight: this.isMobile ? 100 : 150
@@ -323,6 +439,9 @@ ve.ui.MWGalleryDialog.prototype.initialize = function () {
 	this.showFilenameCheckbox = new OO.ui.CheckboxInputWidget( {
 		value: 'yes'
 	} );
+	this.showThumbnailsCheckbox = new OO.ui.CheckboxInputWidget( {
+		value: 'yes'
+	} );
 	this.classesInput = new OO.ui.TextInputWidget( {
 		placeholder: ve.msg( 'visualeditor-mwgallerydialog-classes-input-placeholder' )
 	} );
@@ -338,18 +457,24 @@ ve.ui.MWGalleryDialog.prototype.initialize = function () {
 		label: ve.msg( 'visualeditor-mwgallerydialog-caption-field-label' ),
 		align: this.isMobile ? 'top' : 'left'
 	} );
-	widthsField = new OO.ui.FieldLayout( this.widthsInput, {
-		label: ve.msg( 'visualeditor-mwgallerydialog-widths-field-label' )
-	} );
-	heightsField = new OO.ui.FieldLayout( this.heightsInput, {
-		label: ve.msg( 'visualeditor-mwgallerydialog-heights-field-label' )
-	} );
-	perrowField = new OO.ui.FieldLayout( this.perrowInput, {
-		label: ve.msg( 'visualeditor-mwgallerydialog-perrow-field-label' )
-	} );
-	showFilenameField = new OO.ui.FieldLayout( this.showFilenameCheckbox, {
-		label: ve.msg( 'visualeditor-mwgallerydialog-show-filename-field-label' )
-	} );
+	// Mode-specific fields, shown by #onModeDropdownChange
+	this.optionFields = {
+		widths: new OO.ui.FieldLayout( this.widthsInput, {
+			label: ve.msg( 'visualeditor-mwgallerydialog-widths-field-label' )
+		} ),
+		heights: new OO.ui.FieldLayout( this.heightsInput, {
+			label: ve.msg( 'visualeditor-mwgallerydialog-heights-field-label' )
+		} ),
+		perrow: new OO.ui.FieldLayout( this.perrowInput, {
+			label: ve.msg( 'visualeditor-mwgallerydialog-perrow-field-label' )
+		} ),
+		showfilename: new OO.ui.FieldLayout( this.showFilenameCheckbox, {
+			label: ve.msg( 'visualeditor-mwgallerydialog-show-filename-field-label' )
+		} ),
+		showthumbnails: new OO.ui.FieldLayout( this.showThumbnailsCheckbox, {
+			label: ve.msg( 'visualeditor-mwgallerydialog-show-thumbnails-field-label' )
+		} )
+	};
 	classesField = new OO.ui.FieldLayout( this.classesInput, {
 		label: ve.msg( 'visualeditor-mwgallerydialog-classes-field-label' )
 	} );
@@ -369,8 +494,13 @@ ve.ui.MWGalleryDialog.prototype.initialize = function () {
 		this.filenameFieldset.$element,
 		highlightedCaptionFieldset.$element,
 		highlightedAltTextFieldset.$element,
+		highlightedLinkFieldset.$element,
 		this.removeButton.$element
 	);
+	this.bulkEditPanel.$element.append(
+		this.bulkEditFieldset.$element,
+		this.bulkRemoveButton.$element
+	);
 	this.searchPanel.$element.append(
 		this.searchWidget.$element
 	);
@@ -380,10 +510,11 @@ ve.ui.MWGalleryDialog.prototype.initialize = function () {
 	optionsTabPanel.$element.append(
 		modeField.$element,
 		captionField.$element,
-		widthsField.$element,
-		heightsField.$element,
-		perrowField.$element,
-		showFilenameField.$element,
+		this.optionFields.widths.$element,
+		this.optionFields.heights.$element,
+		this.optionFields.perrow.$element,
+		this.optionFields.showfilename.$element,
+		this.optionFields.showthumbnails.$element,
 		classesField.$element,
 		stylesField.$element
 	);
@@ -403,7 +534,7 @@ ve.ui.MWGalleryDialog.prototype.getSetupProcess = function ( data ) {
 			var i, ilen, resourceTitle, resource, imageTitles,
 				image, imageCaptionNode,
 				mode, widths, heights, perrow,
-				showFilename, classes, styles,
+				showFilename, showThumbnails, classes, styles,
 				namespaceIds = mw.config.get( 'wgNamespaceIds' ),
 				dialog = this,
 				mwData = this.selectedNode && this.selectedNode.getAttribute( 'mw' ),
@@ -413,6 +544,7 @@ ve.ui.MWGalleryDialog.prototype.getSetupProcess = function ( data ) {
 				isReadOnly = this.isReadOnly();
 
 			this.anyItemModified = false;
+			this.resetBulkEdit();
 
 			// Images tab panel
 			// If editing an existing gallery, populate with the images...
@@ -435,7 +567,8 @@ ve.ui.MWGalleryDialog.prototype.getSetupProcess = function ( data ) {
 						height: image.getAttribute( 'height' ),
 						width: image.getAttribute( 'width' ),
 						captionDocument: dialog.createCaptionDocument( imageCaptionNode ),
-						tagName: image.getAttribute( 'tagName' )
+						tagName: image.getAttribute( 'tagName' ),
+						href: image.getAttribute( 'href' )
 					} );
 				}
 
@@ -461,6 +594,8 @@ ve.ui.MWGalleryDialog.prototype.getSetupProcess = function ( data ) {
 			heights = attributes && parseInt( attributes.heights ) || '';
 			perrow = attributes && attributes.perrow || '';
 			showFilename = attributes && attributes.showfilename === 'yes';
+			// Any value enables thumbnails, including an empty one
+			showThumbnails = !!attributes && attributes.showthumbnails !== undefined;
 			classes = attributes && attributes.class || '';
 			styles = attributes && attributes.style || '';
 			// Caption
@@ -472,6 +607,7 @@ ve.ui.MWGalleryDialog.prototype.getSetupProcess = function ( data ) {
 			this.heightsInput.setValue( heights );
 			this.perrowInput.setValue( perrow );
 			this.showFilenameCheckbox.setSelected( showFilename );
+			this.showThumbnailsCheckbox.setSelected( showThumbnails );
 			this.classesInput.setValue( classes );
 			this.stylesInput.setValue( styles );
 			// Caption
@@ -484,20 +620,25 @@ ve.ui.MWGalleryDialog.prototype.getSetupProcess = function ( data ) {
 			}
 
 			this.highlightedAltTextInput.setReadOnly( isReadOnly );
+			this.highlightedLinkInput.setReadOnly( isReadOnly );
+			this.bulkAltTextInput.setReadOnly( isReadOnly );
+			this.bulkLinkInput.setReadOnly( isReadOnly );
 			this.modeDropdown.setDisabled( isReadOnly );
 			this.widthsInput.setReadOnly( isReadOnly );
 			this.heightsInput.setReadOnly( isReadOnly );
 			this.perrowInput.setReadOnly( isReadOnly );
 			this.showFilenameCheckbox.setDisabled( isReadOnly );
+			this.showThumbnailsCheckbox.setDisabled( isReadOnly );
 			this.classesInput.setReadOnly( isReadOnly );
 			this.stylesInput.setReadOnly( isReadOnly );
 
 			this.showSearchPanelButton.setDisabled( isReadOnly );
 			this.removeButton.setDisabled( isReadOnly );
+			this.bulkRemoveButton.setDisabled( isReadOnly );
 
 			this.galleryGroup.toggleDraggable( !isReadOnly );
 
-			// Disable fields depending on mode
+			// Show fields depending on mode
 			this.onModeDropdownChange();
 
 			// Add event handlers
@@ -505,18 +646,25 @@ ve.ui.MWGalleryDialog.prototype.getSetupProcess = function ( data ) {
 			this.searchWidget.getResults().connect( this, { choose: 'onSearchResultsChoose' } );
 			this.showSearchPanelButton.connect( this, { click: 'onShowSearchPanelButtonClick' } );
 			this.galleryGroup.connect( this, { editItem: 'onHighlightItem' } );
+			this.galleryGroup.connect( this, { selectItem: 'onSelectItem' } );
 			this.galleryGroup.connect( this, { change: 'updateActions' } );
 			this.removeButton.connect( this, { click: 'onRemoveItem' } );
+			this.bulkRemoveButton.connect( this, { click: 'onRemoveSelectedItems' } );
 			this.modeDropdown.getMenu().connect( this, { choose: 'onModeDropdownChange' } );
 			this.widthsInput.connect( this, { change: 'updateActions' } );
 			this.heightsInput.connect( this, { change: 'updateActions' } );
 			this.perrowInput.connect( this, { change: 'updateActions' } );
 			this.showFilenameCheckbox.connect( this, { change: 'updateActions' } );
+			this.showThumbnailsCheckbox.connect( this, { change: 'updateActions' } );
 			this.classesInput.connect( this, { change: 'updateActions' } );
 			this.stylesInput.connect( this, { change: 'updateActions' } );
 			this.captionTarget.connect( this, { change: 'updateActions' } );
 			this.highlightedAltTextInput.connect( this, { change: 'updateActions' } );
 			this.highlightedCaptionTarget.connect( this, { change: 'updateActions' } );
+			this.highlightedLinkInput.connect( this, { change: 'updateActions' } );
+			this.bulkAltTextInput.connect( this, { change: 'updateActions' } );
+			this.bulkLinkInput.connect( this, { change: 'updateActions' } );
+			this.bulkCaptionTarget.connect( this, { change: 'updateActions' } );
 
 			return this.imagesPromise;
 		}, this );
@@ -570,6 +718,7 @@ ve.ui.MWGalleryDialog.prototype.getTeardownProcess = function ( data ) {
 
 			// States
 			this.highlightedItem = null;
+			this.anchorItem = null;
 			this.searchPanelVisible = false;
 			this.selectedFilenames = {};
 			this.initialImageData = [];
@@ -582,16 +731,22 @@ ve.ui.MWGalleryDialog.prototype.getTeardownProcess = function ( data ) {
 			this.showSearchPanelButton.disconnect( this );
 			this.galleryGroup.disconnect( this );
 			this.removeButton.disconnect( this );
+			this.bulkRemoveButton.disconnect( this );
 			this.modeDropdown.disconnect( this );
 			this.widthsInput.disconnect( this );
 			this.heightsInput.disconnect( this );
 			this.perrowInput.disconnect( this );
 			this.showFilenameCheckbox.disconnect( this );
+			this.showThumbnailsCheckbox.disconnect( this );
 			this.classesInput.disconnect( this );
 			this.stylesInput.disconnect( this );
 			this.highlightedAltTextInput.disconnect( this );
 			this.captionTarget.disconnect( this );
 			this.highlightedCaptionTarget.disconnect( this );
+			this.highlightedLinkInput.disconnect( this );
+			this.bulkAltTextInput.disconnect( this );
+			this.bulkLinkInput.disconnect( this );
+			this.bulkCaptionTarget.disconnect( this );
 
 		}, this );
 };
@@ -600,8 +755,9 @@ ve.ui.MWGalleryDialog.prototype.getActionProcess = function ( action ) {
 	return ve.ui.MWGalleryDialog.super.prototype.getActionProcess.call( this, action )
 		.next( function () {
 			if ( action === 'done' ) {
-				// Save the input values for the highlighted item
+				// Save the input values for the highlighted or selected items
 				this.updateHighlightedItem();
+				this.updateSelectedItems();
 
 				this.insertOrUpdateNode();
 				this.close( { action: 'done' } );
@@ -720,11 +876,61 @@ ve.ui.MWGalleryDialog.prototype.addNewImage = function ( title ) {
 ve.ui.MWGalleryDialog.prototype.updateHighlightedItem = function () {
 	this.anyItemModified = this.anyItemModified || this.isHighlightedItemModified();
 
-	// TODO: Support link, page and lang
+	// TODO: Support page and lang
 	if ( this.highlightedItem ) {
 		// No need to call setCaptionDocument(), the document object is updated on every change
 		this.highlightedItem.setAltText( this.highlightedAltTextInput.getValue() );
+		if ( this.isHighlightedLinkModified() ) {
+			this.highlightedItem.setHref(
+				this.constructor.static.getHrefFromLink( this.highlightedLinkInput.getValue() )
+			);
+		}
+	}
+};
+
+/**
+ * Update the selected images (ve.ui.MWGalleryItemWidget) with the values from the bulk edit
+ * inputs in this dialog, and clear the inputs.
+ *
+ * Inputs which were left empty don't change the images.
+ */
+ve.ui.MWGalleryDialog.prototype.updateSelectedItems = function () {
+	var altText = this.bulkAltTextInput.getValue(),
+		href = this.constructor.static.getHrefFromLink( this.bulkLinkInput.getValue() ),
+		captionDocument = this.bulkCaptionDocument,
+		hasCaption = captionDocument.data.hasContent();
+
+	if ( !altText && !href && !hasCaption ) {
+		return;
+	}
+	if ( this.isSelectedItemsModified() ) {
+		this.anyItemModified = true;
+		this.galleryGroup.getSelectedItems().forEach( function ( item ) {
+			if ( altText ) {
+				item.setAltText( altText );
+			}
+			if ( href ) {
+				item.setHref( href );
+			}
+			if ( hasCaption ) {
+				item.setCaptionDocument(
+					captionDocument.cloneFromRange( captionDocument.getDocumentRange() )
+				);
+			}
+		} );
 	}
+	this.resetBulkEdit();
+};
+
+/**
+ * Clear the bulk edit inputs
+ */
+ve.ui.MWGalleryDialog.prototype.resetBulkEdit = function () {
+	this.bulkAltTextInput.setValue( '' );
+	this.bulkLinkInput.setValue( '' );
+	this.bulkCaptionDocument = this.createCaptionDocument( null );
+	this.bulkCaptionTarget.setDocument( this.bulkCaptionDocument );
+	this.bulkCaptionTarget.setReadOnly( this.isReadOnly() );
 };
 
 /**
@@ -755,6 +961,71 @@ ve.ui.MWGalleryDialog.prototype.onRemoveItem = function () {
 	this.onHighlightItem();
 };
 
+/**
+ * Handle click event for the remove button of the bulk edit panel
+ */
+ve.ui.MWGalleryDialog.prototype.onRemoveSelectedItems = function () {
+	// Discard changes to the selected items
+	this.resetBulkEdit();
+	this.galleryGroup.removeItems( this.galleryGroup.getSelectedItems() );
+
+	// Highlight another item, or show the search panel if the gallery is now empty
+	this.onHighlightItem();
+};
+
+/**
+ * Handle clicking on an image in the menu with a modifier key
+ *
+ * Ctrl-clicking adds the image to the selection or removes it from the selection, shift-clicking
+ * selects all images between the one last clicked and this one. When several images are selected,
+ * they are edited together in the bulk edit panel.
+ *
+ * @param {ve.ui.MWGalleryItemWidget} item The item that was clicked on
+ * @param {boolean} range Select all items between the last one clicked and this one
+ */
+ve.ui.MWGalleryDialog.prototype.onSelectItem = function ( item, range ) {
+	var index, anchorIndex,
+		items = this.galleryGroup.items,
+		selectedItems = this.galleryGroup.getSelectedItems();
+
+	if ( !selectedItems.length && this.highlightedItem ) {
+		selectedItems = [ this.highlightedItem ];
+	}
+	anchorIndex = items.indexOf( this.anchorItem );
+	if ( range && anchorIndex !== -1 ) {
+		index = items.indexOf( item );
+		selectedItems = items.slice( Math.min( index, anchorIndex ), Math.max( index, anchorIndex ) + 1 );
+	} else {
+		index = selectedItems.indexOf( item );
+		if ( index === -1 ) {
+			selectedItems.push( item );
+		} else {
+			selectedItems.splice( index, 1 );
+		}
+		this.anchorItem = item;
+	}
+
+	if ( selectedItems.length < 2 ) {
+		// Edit the remaining image on its own
+		this.onHighlightItem( selectedItems[ 0 ] );
+		return;
+	}
+
+	// Save the input values for the highlighted item, or the previously selected items
+	this.updateHighlightedItem();
+	this.updateSelectedItems();
+	if ( this.highlightedItem ) {
+		this.highlightedItem.toggleHighlighted( false );
+		this.highlightedItem = null;
+	}
+
+	this.galleryGroup.selectItems( selectedItems );
+	this.bulkEditFieldset.setLabel(
+		ve.msg( 'visualeditor-mwgallerydialog-bulk-selected', selectedItems.length )
+	);
+	this.toggleSearchPanel( false );
+};
+
 /**
  * Handle clicking on an image in the menu
  *
@@ -763,6 +1034,10 @@ ve.ui.MWGalleryDialog.prototype.onRemoveItem = function () {
 ve.ui.MWGalleryDialog.prototype.onHighlightItem = function ( item ) {
 	var title;
 
+	// Save the input values for the selected items, and go back to editing one item at a time
+	this.updateSelectedItems();
+	this.galleryGroup.selectItems( [] );
+
 	// Unhighlight previous item
 	if ( this.highlightedItem ) {
 		this.highlightedItem.toggleHighlighted( false );
@@ -786,6 +1061,7 @@ ve.ui.MWGalleryDialog.prototype.onHighlightItem = function ( item ) {
 
 	item.toggleHighlighted( true );
 	this.highlightedItem = item;
+	this.anchorItem = item;
 
 	// Scroll item into view in menu
 	OO.ui.Element.static.scrollIntoView( item.$element[ 0 ] );
@@ -808,25 +1084,20 @@ ve.ui.MWGalleryDialog.prototype.onHighlightItem = function ( item ) {
 	this.highlightedCaptionTarget.setDocument( item.captionDocument );
 	this.highlightedCaptionTarget.setReadOnly( this.isReadOnly() );
 	this.highlightedAltTextInput.setValue( item.altText );
+	this.highlightedLinkInput.setValue( this.constructor.static.getLinkFromHref( item.href ) );
 };
 
 /**
  * Handle change event for this.modeDropdown
  */
 ve.ui.MWGalleryDialog.prototype.onModeDropdownChange = function () {
-	var mode = this.modeDropdown.getMenu().findSelectedItem().getData(),
-		disabled = (
-			mode === 'packed' ||
-			mode === 'packed-overlay' ||
-			mode === 'packed-hover' ||
-			mode === 'slideshow'
-		);
+	var name,
+		options = this.constructor.static.getModeOptions( this.getMode() );
 
-	this.widthsInput.setDisabled( disabled );
-	this.perrowInput.setDisabled( disabled );
-
-	// heights is only ignored in slideshow mode
-	this.heightsInput.setDisabled( mode === 'slideshow' );
+	// Only show the options which apply to this mode
+	for ( name in this.optionFields ) {
+		this.optionFields[ name ].toggle( options.indexOf( name ) !== -1 );
+	}
 
 	this.updateActions();
 };
@@ -846,20 +1117,26 @@ ve.ui.MWGalleryDialog.prototype.onShowSearchPanelButtonClick = function () {
 ve.ui.MWGalleryDialog.prototype.toggleSearchPanel = function ( visible ) {
 	visible = visible !== undefined ? visible : !this.searchPanelVisible;
 
-	// If currently visible panel is an edit panel, save the input values for the highlighted item
+	// If currently visible panel is an edit panel, save the input values for the highlighted item,
+	// or the selected items
 	if ( !this.searchPanelVisible ) {
 		this.updateHighlightedItem();
+		this.updateSelectedItems();
 	}
 
 	// Record the state of the search panel
 	this.searchPanelVisible = visible;
 
-	// Toggle the search panel, and do the opposite for the edit panel
-	this.editSearchStack.setItem( visible ? this.searchPanel : this.editPanel );
+	// Toggle the search panel, and do the opposite for the edit panel (or the bulk edit panel, if
+	// several items are selected)
+	this.editSearchStack.setItem( visible ? this.searchPanel : this.getEditPanel() );
 
 	// If the edit panel is visible, focus the caption target
 	if ( !visible ) {
-		this.highlightedCaptionTarget.focus();
+		( this.getEditPanel() === this.bulkEditPanel ?
+			this.bulkCaptionTarget :
+			this.highlightedCaptionTarget
+		).focus();
 	} else {
 		// Try to populate with user uploads
 		this.searchWidget.queryMediaQueue();
@@ -868,6 +1145,15 @@ ve.ui.MWGalleryDialog.prototype.toggleSearchPanel = function ( visible ) {
 	this.updateDialogSize();
 };
 
+/**
+ * Get the panel for editing the highlighted item, or the selected items
+ *
+ * @return {OO.ui.PanelLayout}
+ */
+ve.ui.MWGalleryDialog.prototype.getEditPanel = function () {
+	return this.galleryGroup.getSelectedItems().length > 1 ? this.bulkEditPanel : this.editPanel;
+};
+
 /**
  * Resize the dialog according to which panel is focused
  */
@@ -922,7 +1208,7 @@ ve.ui.MWGalleryDialog.prototype.isModified = function () {
 	}
 
 	// Check contents: each image's attributes and contents (caption)
-	if ( this.anyItemModified || this.isHighlightedItemModified() ) {
+	if ( this.anyItemModified || this.isHighlightedItemModified() || this.isSelectedItemsModified() ) {
 		return true;
 	}
 
@@ -955,10 +1241,38 @@ ve.ui.MWGalleryDialog.prototype.isHighlightedItemModified = function () {
 		if ( this.highlightedCaptionTarget.hasBeenModified() ) {
 			return true;
 		}
+		if ( this.isHighlightedLinkModified() ) {
+			return true;
+		}
 	}
 	return false;
 };
 
+/**
+ * Check if the link input has been changed from the currently highlighted item's link.
+ *
+ * @private
+ * @return {boolean}
+ */
+ve.ui.MWGalleryDialog.prototype.isHighlightedLinkModified = function () {
+	// Compare the text of the input, as converting it back doesn't give the same href
+	return this.highlightedLinkInput.getValue().trim() !==
+		this.constructor.static.getLinkFromHref( this.highlightedItem.href );
+};
+
+/**
+ * Check if the selected items' attributes or contents would be modified if changes were applied.
+ *
+ * @return {boolean}
+ */
+ve.ui.MWGalleryDialog.prototype.isSelectedItemsModified = function () {
+	return this.galleryGroup.getSelectedItems().length > 1 && (
+		!!this.bulkAltTextInput.getValue() ||
+		!!this.bulkLinkInput.getValue().trim() ||
+		this.bulkCaptionDocument.data.hasContent()
+	);
+};
+
 /**
  * Insert or update the node in the document model from the new values
  */
@@ -1000,6 +1314,9 @@ ve.ui.MWGalleryDialog.prototype.insertOrUpdateNode = function () {
 			width: size.width,
 			tagName: image.tagName
 		};
+		if ( image.href ) {
+			imageAttributes.href = image.href;
+		}
 
 		return [
 			{ type: 'mwGalleryImage', attributes: imageAttributes },
@@ -1095,6 +1412,16 @@ ve.ui.MWGalleryDialog.prototype.insertOrUpdateNode = function () {
 	}
 };
 
+/**
+ * Get the mode selected in the dialog
+ *
+ * @return {string|undefined} Gallery mode
+ */
+ve.ui.MWGalleryDialog.prototype.getMode = function () {
+	var item = this.modeDropdown.getMenu().findSelectedItem();
+	return item ? item.getData() : undefined;
+};
+
 /**
  * Update the 'mw' attribute with data from inputs in the dialog.
  *
@@ -1102,22 +1429,26 @@ ve.ui.MWGalleryDialog.prototype.insertOrUpdateNode = function () {
  * @private
  */
 ve.ui.MWGalleryDialog.prototype.updateMwData = function ( mwData ) {
-	var mode;
+	var mode = this.getMode(),
+		options = this.constructor.static.getModeOptions( mode );
+
+	function getOption( name, value ) {
+		// Drop options which don't apply to the mode, they would be ignored anyway
+		return options.indexOf( name ) !== -1 && value || undefined;
+	}
 
 	// Need to do this, otherwise mwData.body.extsrc will override all attribute changes
 	mwData.body = {};
 	// Need to do this, otherwise it will override the caption from the gallery caption node
 	delete mwData.attrs.caption;
 	// Update attributes
-	if ( this.modeDropdown.getMenu().findSelectedItem() ) {
-		mode = this.modeDropdown.getMenu().findSelectedItem().getData();
-	}
 	// Unset mode attribute if it is the same as the default
 	mwData.attrs.mode = mode === this.defaults.mode ? undefined : mode;
-	mwData.attrs.widths = this.widthsInput.getValue() || undefined;
-	mwData.attrs.heights = this.heightsInput.getValue() || undefined;
-	mwData.attrs.perrow = this.perrowInput.getValue() || undefined;
-	mwData.attrs.showfilename = this.showFilenameCheckbox.isSelected() ? 'yes' : undefined;
+	mwData.attrs.widths = getOption( 'widths', this.widthsInput.getValue() );
+	mwData.attrs.heights = getOption( 'heights', this.heightsInput.getValue() );
+	mwData.attrs.perrow = getOption( 'perrow', this.perrowInput.getValue() );
+	mwData.attrs.showfilename = getOption( 'showfilename', this.showFilenameCheckbox.isSelected() && 'yes' );
+	mwData.attrs.showthumbnails = getOption( 'showthumbnails', this.showThumbnailsCheckbox.isSelected() && 'yes' );
 	mwData.attrs.class = this.classesInput.getValue() || undefined;
 	mwData.attrs.style = this.stylesInput.getValue() || undefined;
 };
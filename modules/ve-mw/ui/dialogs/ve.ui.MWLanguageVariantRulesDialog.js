@@ -0,0 +1,744 @@
+/*!
+ * VisualEditor user interface MWLanguageVariantRulesDialog class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Dialog for managing all the language variant rules in a document at once.
+ *
+ * Rules are listed grouped by type, with duplicate and conflicting rules marked. The mappings
+ * of two-way and one-way rules can be edited in a grid, and a glossary of mappings can be
+ * applied to all of the matching text in the document. All of the changes are made in one
+ * transaction.
+ *
+ * @class
+ * @extends ve.ui.FragmentDialog
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWLanguageVariantRulesDialog = function VeUiMWLanguageVariantRulesDialog( config ) {
+	// Parent constructor
+	ve.ui.MWLanguageVariantRulesDialog.super.call( this, config );
+
+	// Properties
+	this.rows = [];
+	this.updateGlossaryMessageDebounced = ve.debounce( this.updateGlossaryMessage.bind( this ), 250 );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWLanguageVariantRulesDialog, ve.ui.FragmentDialog );
+
+/* Static Properties */
+
+ve.ui.MWLanguageVariantRulesDialog.static.name = 'languageVariantRules';
+
+ve.ui.MWLanguageVariantRulesDialog.static.title =
+	OO.ui.deferMsg( 'visualeditor-dialog-languagevariantrules-title' );
+
+ve.ui.MWLanguageVariantRulesDialog.static.size = 'larger';
+
+ve.ui.MWLanguageVariantRulesDialog.static.actions = [
+	{
+		action: 'apply',
+		label: OO.ui.deferMsg( 'visualeditor-dialog-action-apply' ),
+		flags: [ 'primary', 'progressive' ],
+		modes: [ 'edit' ]
+	},
+	{
+		label: OO.ui.deferMsg( 'visualeditor-dialog-action-cancel' ),
+		flags: [ 'safe', 'close' ],
+		modes: [ 'readonly', 'edit' ]
+	}
+];
+
+/**
+ * Rule types, in the order they are listed in
+ *
+ * @static
+ * @property {string[]}
+ */
+ve.ui.MWLanguageVariantRulesDialog.static.ruleTypes = [ 'twoway', 'oneway', 'filter', 'name', 'disabled', 'unknown' ];
+
+/* Static Methods */
+
+/**
+ * Get the text of an HTML string from a rule.
+ *
+ * @static
+ * @param {string} html HTML string
+ * @return {string} Text
+ */
+ve.ui.MWLanguageVariantRulesDialog.static.getText = function ( html ) {
+	return ve.createDocumentFromHtml( html ).body.textContent;
+};
+
+/**
+ * Get the text of an HTML string from a rule, if it has no markup.
+ *
+ * @static
+ * @param {string} html HTML string
+ * @return {string|null} Text, or null if the HTML can't be edited as plain text
+ */
+ve.ui.MWLanguageVariantRulesDialog.static.getPlainText = function ( html ) {
+	var body = ve.createDocumentFromHtml( html ).body;
+	return Array.prototype.every.call( body.childNodes, function ( node ) {
+		return node.nodeType === Node.TEXT_NODE;
+	} ) ? body.textContent : null;
+};
+
+/**
+ * Get the conversions a two-way or one-way rule makes.
+ *
+ * @static
+ * @param {Object} variantInfo Language variant information object
+ * @return {Object[]} Conversions, each with the `from` text, the `lang` it is converted for
+ *  and the `to` text
+ */
+ve.ui.MWLanguageVariantRulesDialog.static.getRuleMappings = function ( variantInfo ) {
+	var getText = this.getText,
+		mappings = [];
+
+	if ( variantInfo.twoway ) {
+		variantInfo.twoway.forEach( function ( from, i ) {
+			variantInfo.twoway.forEach( function ( to, j ) {
+				if ( i !== j ) {
+					mappings.push( { from: getText( from.t ), lang: to.l.toLowerCase(), to: getText( to.t ) } );
+				}
+			} );
+		} );
+	} else if ( variantInfo.oneway ) {
+		variantInfo.oneway.forEach( function ( item ) {
+			mappings.push( { from: getText( item.f ), lang: item.l.toLowerCase(), to: getText( item.t ) } );
+		} );
+	}
+	return mappings;
+};
+
+/**
+ * Find duplicate and conflicting rules.
+ *
+ * A rule is a duplicate of an earlier identical rule. Rules conflict if they convert the same
+ * text to different text for a variant.
+ *
+ * @static
+ * @param {Object[]} variantInfos Language variant information objects of the rules
+ * @return {Object[]} Problems of each rule, with the index of the rule it is a duplicate of
+ *  (`duplicateOf`, or null) and the indexes of the rules it `conflicts` with
+ */
+ve.ui.MWLanguageVariantRulesDialog.static.findProblems = function ( variantInfos ) {
+	var self = this,
+		hashes = [],
+		conversions = {},
+		problems = variantInfos.map( function () {
+			return { duplicateOf: null, conflicts: [] };
+		} );
+
+	function addConflict( index, otherIndex ) {
+		if ( problems[ index ].conflicts.indexOf( otherIndex ) === -1 ) {
+			problems[ index ].conflicts.push( otherIndex );
+		}
+	}
+
+	variantInfos.forEach( function ( variantInfo, index ) {
+		var hash = OO.getHash( variantInfo ),
+			duplicateOf = hashes.indexOf( hash );
+
+		hashes.push( hash );
+		if ( duplicateOf !== -1 ) {
+			// Conflicts are reported for the original rule
+			problems[ index ].duplicateOf = duplicateOf;
+			return;
+		}
+		self.getRuleMappings( variantInfo ).forEach( function ( mapping ) {
+			var key = JSON.stringify( [ mapping.lang, mapping.from ] ),
+				others = conversions[ key ] = conversions[ key ] || [];
+
+			others.forEach( function ( other ) {
+				if ( other.index !== index && other.to !== mapping.to ) {
+					addConflict( index, other.index );
+					addConflict( other.index, index );
+				}
+			} );
+			others.push( { index: index, to: mapping.to } );
+		} );
+	} );
+	problems.forEach( function ( problem ) {
+		problem.conflicts.sort( function ( a, b ) {
+			return a - b;
+		} );
+	} );
+	return problems;
+};
+
+/**
+ * Parse a glossary of mappings.
+ *
+ * Each line is a rule, in the syntax used inside `-{ }-` in wikitext: two-way mappings
+ * like `zh-hans:计算机;zh-hant:電腦` or one-way mappings like `计算机=>zh-tw:電腦`.
+ *
+ * @static
+ * @param {string} text Glossary text
+ * @return {Object} Glossary, with the language variant information objects of its `rules`
+ *  and the numbers of the `invalid` lines
+ */
+ve.ui.MWLanguageVariantRulesDialog.static.parseGlossary = function ( text ) {
+	var glossary = { rules: [], invalid: [] };
+
+	text.split( '\n' ).forEach( function ( line, i ) {
+		var valid = true,
+			twoway = [],
+			oneway = [];
+
+		if ( !line.trim() ) {
+			return;
+		}
+		line.split( ';' ).forEach( function ( segment ) {
+			var match = segment.match( /^(?:(.*?)=>)?\s*([a-z]+(?:-[a-z0-9]+)*)\s*:(.*)$/i );
+
+			if ( !segment.trim() ) {
+				return;
+			}
+			if ( !match || !match[ 3 ].trim() || ( match[ 1 ] !== undefined && !match[ 1 ].trim() ) ) {
+				valid = false;
+			} else if ( match[ 1 ] !== undefined ) {
+				oneway.push( {
+					f: ve.escapeHtml( match[ 1 ].trim() ),
+					l: match[ 2 ],
+					t: ve.escapeHtml( match[ 3 ].trim() )
+				} );
+			} else {
+				twoway.push( { l: match[ 2 ], t: ve.escapeHtml( match[ 3 ].trim() ) } );
+			}
+		} );
+		if ( valid && oneway.length && !twoway.length ) {
+			glossary.rules.push( { oneway: oneway } );
+		} else if ( valid && twoway.length > 1 && !oneway.length ) {
+			glossary.rules.push( { twoway: twoway } );
+		} else {
+			glossary.invalid.push( i + 1 );
+		}
+	} );
+	return glossary;
+};
+
+/**
+ * Find the text in a document which a glossary's rules apply to.
+ *
+ * Two-way rules match the text for any of their variants, one-way rules match their source
+ * texts. Where matches overlap, the longest is used.
+ *
+ * @static
+ * @param {ve.dm.Document} doc Document
+ * @param {Object[]} rules Language variant information objects, see #parseGlossary
+ * @return {Object[]} Matches in document order, each with the `range` of the text and the
+ *  `variantInfo` of the rule for it
+ */
+ve.ui.MWLanguageVariantRulesDialog.static.findGlossaryMatches = function ( doc, rules ) {
+	var getText = this.getText,
+		matches = [],
+		accepted = [];
+
+	rules.forEach( function ( variantInfo ) {
+		var terms = variantInfo.twoway ?
+			variantInfo.twoway.map( function ( item ) {
+				return getText( item.t );
+			} ) :
+			variantInfo.oneway.map( function ( item ) {
+				return getText( item.f );
+			} );
+
+		terms.forEach( function ( term, i ) {
+			if ( !term || terms.indexOf( term ) !== i ) {
+				return;
+			}
+			doc.findText( term, { caseSensitiveString: true, noOverlaps: true } ).forEach( function ( range ) {
+				matches.push( { range: range, variantInfo: variantInfo } );
+			} );
+		} );
+	} );
+
+	matches.sort( function ( a, b ) {
+		return b.range.getLength() - a.range.getLength() || a.range.start - b.range.start;
+	} );
+	matches.forEach( function ( match ) {
+		if ( !accepted.some( function ( other ) {
+			return other.range.start < match.range.end && match.range.start < other.range.end;
+		} ) ) {
+			accepted.push( match );
+		}
+	} );
+	return accepted.sort( function ( a, b ) {
+		return a.range.start - b.range.start;
+	} );
+};
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.getBodyHeight = function () {
+	return 500;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.initialize = function () {
+	// Parent method
+	ve.ui.MWLanguageVariantRulesDialog.super.prototype.initialize.call( this );
+
+	// Properties
+	this.panel = new OO.ui.PanelLayout( {
+		padded: true,
+		expanded: false
+	} );
+	this.problemsOnlyCheckbox = new OO.ui.CheckboxInputWidget();
+	this.emptyMessage = new OO.ui.MessageWidget( {
+		type: 'notice',
+		inline: true,
+		label: ve.msg( 'visualeditor-dialog-languagevariantrules-empty' )
+	} );
+	this.$groups = $( '<div>' ).addClass( 've-ui-mwLanguageVariantRulesDialog-groups' );
+	this.glossaryInput = new OO.ui.MultilineTextInputWidget( {
+		rows: 4,
+		autosize: true,
+		placeholder: 'zh-hans:计算机;zh-hant:電腦',
+		classes: [ 've-ui-mwLanguageVariantRulesDialog-glossary' ]
+	} );
+	this.glossaryMessage = new OO.ui.MessageWidget( { inline: true } );
+
+	// Events
+	this.problemsOnlyCheckbox.connect( this, { change: 'updateRowVisibility' } );
+	this.glossaryInput.connect( this, { change: this.updateGlossaryMessageDebounced } );
+
+	// Initialization
+	this.glossaryMessage.toggle( false );
+	this.panel.$element.append(
+		new OO.ui.FieldsetLayout( {
+			label: ve.msg( 'visualeditor-dialog-languagevariantrules-rules' ),
+			items: [
+				new OO.ui.FieldLayout( this.problemsOnlyCheckbox, {
+					label: ve.msg( 'visualeditor-dialog-languagevariantrules-problems-only' ),
+					align: 'inline'
+				} )
+			]
+		} ).$element.append( this.emptyMessage.$element, this.$groups ),
+		new OO.ui.FieldsetLayout( {
+			label: ve.msg( 'visualeditor-dialog-languagevariantrules-glossary' ),
+			items: [
+				new OO.ui.FieldLayout( this.glossaryInput, {
+					label: ve.msg( 'visualeditor-dialog-languagevariantrules-glossary-help' ),
+					align: 'top'
+				} )
+			]
+		} ).$element.append( this.glossaryMessage.$element )
+	);
+	this.$body.append( this.panel.$element );
+	this.$element.addClass( 've-ui-mwLanguageVariantRulesDialog' );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.getSetupProcess = function ( data ) {
+	return ve.ui.MWLanguageVariantRulesDialog.super.prototype.getSetupProcess.call( this, data )
+		.next( function () {
+			var dialog = this,
+				doc = this.getFragment().getDocument(),
+				nodes = [ 'mwLanguageVariantBlock', 'mwLanguageVariantInline', 'mwLanguageVariantHidden' ]
+					.reduce( function ( list, type ) {
+						return list.concat( doc.getNodesByType( type ) );
+					}, [] )
+					.sort( function ( a, b ) {
+						return a.getOffset() - b.getOffset();
+					} ),
+				problems = this.constructor.static.findProblems( nodes.map( function ( node ) {
+					return node.getVariantInfo();
+				} ) );
+
+			this.rows = nodes.map( function ( node, index ) {
+				return {
+					index: index,
+					node: node,
+					type: node.getRuleType(),
+					problems: problems[ index ],
+					$rows: $( [] )
+				};
+			} );
+			this.constructor.static.ruleTypes.forEach( function ( type ) {
+				var rows = dialog.rows.filter( function ( row ) {
+					return row.type === type;
+				} );
+				if ( rows.length ) {
+					dialog.$groups.append( dialog.createGroup( type, rows ) );
+				}
+			} );
+			this.emptyMessage.toggle( !this.rows.length );
+			this.problemsOnlyCheckbox.setSelected( false ).setDisabled( !this.rows.length );
+			this.glossaryInput.setValue( '' ).setReadOnly( this.isReadOnly() );
+			this.actions.setMode( this.isReadOnly() ? 'readonly' : 'edit' );
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.getTeardownProcess = function ( data ) {
+	return ve.ui.MWLanguageVariantRulesDialog.super.prototype.getTeardownProcess.call( this, data )
+		.next( function () {
+			this.$groups.empty();
+			this.rows = [];
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.getActionProcess = function ( action ) {
+	if ( action === 'apply' ) {
+		return new OO.ui.Process( function () {
+			this.applyChanges();
+			this.close( { action: action } );
+		}, this );
+	}
+	return ve.ui.MWLanguageVariantRulesDialog.super.prototype.getActionProcess.call( this, action );
+};
+
+/**
+ * Create the grid of rules of one type.
+ *
+ * Two-way rules have a column for each variant, one-way rules have a row for each mapping,
+ * and other rules can only be removed.
+ *
+ * @private
+ * @param {string} type Rule type
+ * @param {Object[]} rows Rows for the rules, see #getSetupProcess
+ * @return {jQuery} Group
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.createGroup = function ( type, rows ) {
+	var columns,
+		dialog = this,
+		$table = $( '<table>' ).addClass( 've-ui-mwLanguageVariantRulesDialog-grid' ),
+		$header = $( '<tr>' ).append( $( '<th>' ).text( ve.msg( 'visualeditor-dialog-languagevariantrules-column-rule' ) ) );
+
+	if ( type === 'twoway' ) {
+		columns = [];
+		rows.forEach( function ( row ) {
+			row.node.getVariantInfo().twoway.forEach( function ( item ) {
+				if ( columns.indexOf( item.l ) === -1 ) {
+					columns.push( item.l );
+				}
+			} );
+		} );
+		columns.sort();
+		$header.append( columns.map( function ( code ) {
+			return $( '<th>' )
+				.attr( 'title', code )
+				.text( ve.init.platform.getLanguageName( code.toLowerCase() ) );
+		} ) );
+	} else if ( type === 'oneway' ) {
+		$header.append(
+			$( '<th>' ).text( ve.msg( 'visualeditor-dialog-languagevariantrules-column-from' ) ),
+			$( '<th>' ).text( ve.msg( 'visualeditor-dialog-languagevariantrules-column-variant' ) ),
+			$( '<th>' ).text( ve.msg( 'visualeditor-dialog-languagevariantrules-column-to' ) )
+		);
+	} else {
+		$header.append( $( '<th>' ).text( ve.msg( 'visualeditor-dialog-languagevariantrules-column-rule-text' ) ) );
+	}
+	$header.append(
+		$( '<th>' ).text( ve.msg( 'visualeditor-dialog-languagevariantrules-column-problems' ) ),
+		$( '<th>' )
+	);
+
+	$table.append( $header, rows.map( function ( row ) {
+		var $rows;
+		if ( type === 'twoway' ) {
+			$rows = dialog.createTwoWayRow( row, columns );
+		} else if ( type === 'oneway' ) {
+			$rows = dialog.createOneWayRows( row );
+		} else {
+			$rows = $( '<tr>' ).append( $( '<td>' ).text( dialog.constructor.static.getText(
+				ve.dm.MWLanguageVariantNode.static.getPreviewHtml( row.node.getVariantInfo(), { describeAll: true } )
+			) ) );
+		}
+		return dialog.finishRow( row, $rows );
+	} ) );
+
+	return $( '<div>' ).addClass( 've-ui-mwLanguageVariantRulesDialog-group' ).append(
+		$( '<h3>' ).text( ve.msg(
+			'visualeditor-dialog-languagevariantrules-group',
+			// The following messages are used here:
+			// * visualeditor-mwlanguagevariantcontextitem-title-disabled
+			// * visualeditor-mwlanguagevariantcontextitem-title-filter
+			// * visualeditor-mwlanguagevariantcontextitem-title-name
+			// * visualeditor-mwlanguagevariantcontextitem-title-oneway
+			// * visualeditor-mwlanguagevariantcontextitem-title-twoway
+			// * visualeditor-mwlanguagevariantcontextitem-title-unknown
+			ve.msg( 'visualeditor-mwlanguagevariantcontextitem-title-' + type ),
+			rows.length
+		) ),
+		$table
+	);
+};
+
+/**
+ * Create an input for text from a rule.
+ *
+ * HTML with markup can't be edited in the grid, so its input is disabled.
+ *
+ * @private
+ * @param {string} html HTML string
+ * @return {OO.ui.TextInputWidget}
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.createTextInput = function ( html ) {
+	var text = this.constructor.static.getPlainText( html );
+	return new OO.ui.TextInputWidget( {
+		value: text === null ? this.constructor.static.getText( html ) : text,
+		disabled: text === null,
+		readOnly: this.isReadOnly()
+	} );
+};
+
+/**
+ * Create the grid row for a two-way rule.
+ *
+ * @private
+ * @param {Object} row Row, see #getSetupProcess
+ * @param {string[]} columns Variant codes of the grid's columns
+ * @return {jQuery} Table row
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.createTwoWayRow = function ( row, columns ) {
+	var dialog = this,
+		variantInfo = row.node.getVariantInfo();
+
+	row.inputs = {};
+	return $( '<tr>' ).append( columns.map( function ( code ) {
+		var item = variantInfo.twoway.filter( function ( i ) {
+			return i.l === code;
+		} )[ 0 ];
+		row.inputs[ code ] = dialog.createTextInput( item ? item.t : '' );
+		return $( '<td>' ).append( row.inputs[ code ].$element );
+	} ) );
+};
+
+/**
+ * Create the grid rows for a one-way rule, one for each mapping.
+ *
+ * @private
+ * @param {Object} row Row, see #getSetupProcess
+ * @return {jQuery} Table rows
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.createOneWayRows = function ( row ) {
+	var dialog = this;
+
+	row.inputs = [];
+	return $( row.node.getVariantInfo().oneway.map( function ( item ) {
+		var inputs = {
+			from: dialog.createTextInput( item.f ),
+			to: dialog.createTextInput( item.t )
+		};
+		row.inputs.push( inputs );
+		return $( '<tr>' ).append(
+			$( '<td>' ).append( inputs.from.$element ),
+			$( '<td>' ).attr( 'title', item.l ).text( ve.init.platform.getLanguageName( item.l.toLowerCase() ) ),
+			$( '<td>' ).append( inputs.to.$element )
+		)[ 0 ];
+	} ) );
+};
+
+/**
+ * Add the rule number, problems and remove button to a rule's grid rows.
+ *
+ * @private
+ * @param {Object} row Row, see #getSetupProcess
+ * @param {jQuery} $rows Table rows
+ * @return {jQuery} Table rows
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.finishRow = function ( row, $rows ) {
+	var problems = [];
+
+	if ( row.problems.duplicateOf !== null ) {
+		problems.push( ve.msg( 'visualeditor-dialog-languagevariantrules-duplicate', row.problems.duplicateOf + 1 ) );
+	}
+	if ( row.problems.conflicts.length ) {
+		problems.push( ve.msg(
+			'visualeditor-dialog-languagevariantrules-conflict',
+			mw.language.listToText( row.problems.conflicts.map( function ( index ) {
+				return String( index + 1 );
+			} ) ),
+			row.problems.conflicts.length
+		) );
+	}
+	row.removeButton = new OO.ui.ToggleButtonWidget( {
+		framed: false,
+		icon: 'trash',
+		title: ve.msg( 'visualeditor-dialog-languagevariantrules-remove' ),
+		disabled: this.isReadOnly()
+	} );
+	row.removeButton.connect( this, { change: [ 'onRemoveButtonChange', row ] } );
+
+	$rows.first()
+		.prepend( $( '<td>' ).attr( 'rowspan', $rows.length ).text( row.index + 1 ) )
+		.append(
+			$( '<td>' ).attr( 'rowspan', $rows.length )
+				.addClass( 've-ui-mwLanguageVariantRulesDialog-problems' )
+				.text( problems.join( ve.msg( 'comma-separator' ) ) ),
+			$( '<td>' ).attr( 'rowspan', $rows.length ).append( row.removeButton.$element )
+		);
+	row.$rows = $rows;
+	return $rows;
+};
+
+/**
+ * Handle change events from a rule's remove button.
+ *
+ * @param {Object} row Row, see #getSetupProcess
+ * @param {boolean} value The rule is to be removed
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.onRemoveButtonChange = function ( row, value ) {
+	row.$rows.toggleClass( 've-ui-mwLanguageVariantRulesDialog-removed', value );
+};
+
+/**
+ * Show only duplicate and conflicting rules, if chosen.
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.updateRowVisibility = function () {
+	var problemsOnly = this.problemsOnlyCheckbox.isSelected();
+	this.rows.forEach( function ( row ) {
+		row.$rows.toggleClass(
+			'oo-ui-element-hidden',
+			problemsOnly && row.problems.duplicateOf === null && !row.problems.conflicts.length
+		);
+	} );
+};
+
+/**
+ * Show how much of the document the glossary applies to, or which lines are invalid.
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.updateGlossaryMessage = function () {
+	var matches,
+		glossary = this.constructor.static.parseGlossary( this.glossaryInput.getValue() );
+
+	if ( glossary.invalid.length ) {
+		this.glossaryMessage.setType( 'warning' ).setLabel( ve.msg(
+			'visualeditor-dialog-languagevariantrules-glossary-invalid',
+			mw.language.listToText( glossary.invalid.map( String ) ),
+			glossary.invalid.length
+		) );
+	} else if ( glossary.rules.length ) {
+		matches = this.constructor.static.findGlossaryMatches( this.getFragment().getDocument(), glossary.rules );
+		this.glossaryMessage.setType( 'notice' ).setLabel( ve.msg(
+			'visualeditor-dialog-languagevariantrules-glossary-matches',
+			mw.language.convertNumber( matches.length ),
+			matches.length
+		) );
+	}
+	this.glossaryMessage.toggle( !!( glossary.invalid.length || glossary.rules.length ) );
+};
+
+/**
+ * Get a rule's language variant information as edited in the grid.
+ *
+ * @private
+ * @param {Object} row Row, see #getSetupProcess
+ * @return {Object|null} Language variant information object, or null if the rule is to be removed
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.getRowVariantInfo = function ( row ) {
+	var variantInfo = ve.copy( row.node.getVariantInfo() );
+
+	function getHtml( input, html ) {
+		// Inputs are disabled for HTML with markup, which is kept as it is
+		return input.isDisabled() ? html : ve.escapeHtml( input.getValue().trim() );
+	}
+
+	if ( row.removeButton.getValue() ) {
+		return null;
+	}
+	if ( row.type === 'twoway' ) {
+		variantInfo.twoway = variantInfo.twoway.map( function ( item ) {
+			return { l: item.l, t: getHtml( row.inputs[ item.l ], item.t ) };
+		} );
+		Object.keys( row.inputs ).forEach( function ( code ) {
+			if ( !variantInfo.twoway.some( function ( item ) {
+				return item.l === code;
+			} ) ) {
+				variantInfo.twoway.push( { l: code, t: getHtml( row.inputs[ code ], '' ) } );
+			}
+		} );
+		variantInfo.twoway = variantInfo.twoway.filter( function ( item ) {
+			return item.t;
+		} );
+		return variantInfo.twoway.length ? variantInfo : null;
+	}
+	if ( row.type === 'oneway' ) {
+		variantInfo.oneway = variantInfo.oneway.map( function ( item, i ) {
+			return ve.extendObject( {}, item, {
+				f: getHtml( row.inputs[ i ].from, item.f ),
+				t: getHtml( row.inputs[ i ].to, item.t )
+			} );
+		} ).filter( function ( item ) {
+			return item.f && item.t;
+		} );
+		return variantInfo.oneway.length ? variantInfo : null;
+	}
+	return variantInfo;
+};
+
+/**
+ * Apply the changes made in the grid and the glossary to the document.
+ *
+ * All of the changes are made in one transaction.
+ */
+ve.ui.MWLanguageVariantRulesDialog.prototype.applyChanges = function () {
+	var dialog = this,
+		surfaceModel = this.getFragment().getSurface(),
+		doc = surfaceModel.getDocument(),
+		glossary = this.constructor.static.parseGlossary( this.glossaryInput.getValue() ),
+		// Fragments are kept up to date as the rest of the document changes
+		changes = this.rows.map( function ( row ) {
+			return {
+				fragment: surfaceModel.getLinearFragment( row.node.getOuterRange(), true ),
+				oldVariantInfo: row.node.getVariantInfo(),
+				variantInfo: dialog.getRowVariantInfo( row )
+			};
+		} ).filter( function ( change ) {
+			return !ve.compare( change.oldVariantInfo, change.variantInfo );
+		} ),
+		insertions = this.constructor.static.findGlossaryMatches( doc, glossary.rules ).map( function ( match ) {
+			return {
+				fragment: surfaceModel.getLinearFragment( match.range, true ),
+				variantInfo: match.variantInfo
+			};
+		} );
+
+	if ( !changes.length && !insertions.length ) {
+		return;
+	}
+	surfaceModel.pushStaging();
+	changes.forEach( function ( change ) {
+		if ( change.variantInfo ) {
+			change.fragment.changeAttributes( { variantInfo: change.variantInfo } );
+		} else {
+			change.fragment.removeContent();
+		}
+	} );
+	insertions.forEach( function ( insertion ) {
+		insertion.fragment.insertContent( [
+			{
+				type: 'mwLanguageVariantInline',
+				attributes: { variantInfo: ve.copy( insertion.variantInfo ) }
+			},
+			{ type: '/mwLanguageVariantInline' }
+		], true );
+	} );
+	surfaceModel.applyStaging();
+};
+
+/* Registration */
+
+ve.ui.windowFactory.register( ve.ui.MWLanguageVariantRulesDialog );
@@ -0,0 +1,508 @@
+/*!
+ * VisualEditor user interface MWLinkReportDialog class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Dialog listing the internal links of a document that might need fixing, grouped by their
+ * status (see #static-statuses), to bypass redirects or remove links in bulk.
+ *
+ * @class
+ * @extends ve.ui.FragmentDialog
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWLinkReportDialog = function VeUiMWLinkReportDialog( config ) {
+	// Parent constructor
+	ve.ui.MWLinkReportDialog.super.call( this, config );
+
+	// Properties
+	this.items = [];
+	this.checkPromise = null;
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWLinkReportDialog, ve.ui.FragmentDialog );
+
+/* Static Properties */
+
+ve.ui.MWLinkReportDialog.static.name = 'linkReport';
+
+ve.ui.MWLinkReportDialog.static.title =
+	OO.ui.deferMsg( 'visualeditor-dialog-linkreport-title' );
+
+ve.ui.MWLinkReportDialog.static.size = 'large';
+
+ve.ui.MWLinkReportDialog.static.actions = [
+	{
+		action: 'bypass',
+		label: OO.ui.deferMsg( 'visualeditor-dialog-linkreport-action-bypass' ),
+		flags: [ 'primary', 'progressive' ],
+		modes: [ 'edit' ]
+	},
+	{
+		action: 'unlink',
+		label: OO.ui.deferMsg( 'visualeditor-dialog-linkreport-action-unlink' ),
+		flags: [ 'destructive' ],
+		modes: [ 'edit' ]
+	},
+	{
+		label: OO.ui.deferMsg( 'visualeditor-dialog-action-cancel' ),
+		flags: [ 'safe', 'close' ],
+		modes: [ 'readonly', 'edit' ]
+	}
+];
+
+/**
+ * Statuses of links that might need fixing, in the order they are listed in
+ *
+ * - `missing`: Link to a page that doesn't exist
+ * - `redirect`: Link to a redirect
+ * - `disambiguation`: Link to a disambiguation page
+ * - `selfLink`: Link to the page itself, without a fragment
+ * - `missingSection`: Link to a fragment that isn't a section of the page
+ *
+ * @static
+ * @property {string[]}
+ * @inheritable
+ */
+ve.ui.MWLinkReportDialog.static.statuses = [ 'missing', 'redirect', 'disambiguation', 'selfLink', 'missingSection' ];
+
+/* Static Methods */
+
+/**
+ * Find the internal links in a document
+ *
+ * Links generated by templates or extensions can't be found this way.
+ *
+ * @static
+ * @param {ve.dm.Document} doc Document to search
+ * @return {Object[]} List of objects with the `range` and the `annotation` of each link
+ */
+ve.ui.MWLinkReportDialog.static.findLinks = function ( doc ) {
+	var data = doc.data,
+		links = [];
+
+	for ( var i = 0, len = data.getLength(); i < len; i++ ) {
+		var annotation = data.getAnnotationsFromOffset( i ).get().filter( function ( ann ) {
+			return ann instanceof ve.dm.MWInternalLinkAnnotation;
+		} )[ 0 ];
+		if ( annotation ) {
+			var range = data.getAnnotatedRangeFromOffset( i, annotation );
+			links.push( { range: range, annotation: annotation } );
+			// Continue after the link
+			i = range.end - 1;
+		}
+	}
+	return links;
+};
+
+/**
+ * Get the status of a link
+ *
+ * @static
+ * @param {ve.dm.MWInternalLinkAnnotation} annotation Link
+ * @param {Object} linkData Data about the link's page, see ve.init.mw.LinkCache#static-processPage
+ * @param {string[]|null} anchors Anchors of the link's page, null if they are unknown, see
+ *  ve.ui.MWInternalLinkAnnotationWidget#static-getAnchors
+ * @param {string} pageName Name of the page the link is on
+ * @return {string|null} Status, see #static-statuses, null if the link is fine
+ */
+ve.ui.MWLinkReportDialog.static.getLinkStatus = function ( annotation, linkData, anchors, pageName ) {
+	var fragment = annotation.getFragment();
+
+	if ( linkData.missing && !linkData.known ) {
+		return 'missing';
+	}
+	if (
+		!fragment &&
+		annotation.getAttribute( 'lookupTitle' ) === ve.dm.MWInternalLinkAnnotation.static.getLookupTitle( pageName )
+	) {
+		return 'selfLink';
+	}
+	if ( linkData.redirect ) {
+		return 'redirect';
+	}
+	if ( linkData.disambiguation ) {
+		return 'disambiguation';
+	}
+	if ( fragment && anchors && !ve.ui.MWInternalLinkAnnotationWidget.static.hasAnchor( anchors, fragment ) ) {
+		return 'missingSection';
+	}
+	return null;
+};
+
+/**
+ * Get the title a link to a redirect is changed to when bypassing the redirect
+ *
+ * The link's own fragment is kept, otherwise the redirect's fragment is used.
+ *
+ * @static
+ * @param {ve.dm.MWInternalLinkAnnotation} annotation Link to a redirect
+ * @param {Object} redirect Redirect, as listed in the API's `redirects`
+ * @param {string} redirect.to Target of the redirect
+ * @param {string} [redirect.tofragment] Fragment of the redirect's target
+ * @return {mw.Title|null} Title, null if the target is invalid
+ */
+ve.ui.MWLinkReportDialog.static.getBypassTitle = function ( annotation, redirect ) {
+	var fragment = annotation.getFragment() || redirect.tofragment;
+	return mw.Title.newFromText( redirect.to + ( fragment ? '#' + fragment : '' ) );
+};
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLinkReportDialog.prototype.getBodyHeight = function () {
+	return 400;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLinkReportDialog.prototype.initialize = function () {
+	// Parent method
+	ve.ui.MWLinkReportDialog.super.prototype.initialize.call( this );
+
+	// Properties
+	this.panel = new OO.ui.PanelLayout( {
+		padded: true,
+		expanded: false
+	} );
+	this.helpLabel = new OO.ui.LabelWidget( {
+		label: ve.msg( 'visualeditor-dialog-linkreport-help' ),
+		classes: [ 've-ui-mwLinkReportDialog-help' ]
+	} );
+	this.progressBar = new OO.ui.ProgressBarWidget();
+	this.emptyMessage = new OO.ui.MessageWidget( {
+		type: 'success',
+		inline: true,
+		label: ve.msg( 'visualeditor-dialog-linkreport-empty' )
+	} );
+	this.errorMessage = new OO.ui.MessageWidget( {
+		type: 'warning',
+		inline: true,
+		label: ve.msg( 'visualeditor-dialog-linkreport-error' )
+	} );
+	this.$groups = $( '<div>' ).addClass( 've-ui-mwLinkReportDialog-groups' );
+
+	// Initialization
+	this.panel.$element.append(
+		this.helpLabel.$element,
+		this.progressBar.$element,
+		this.errorMessage.$element,
+		this.emptyMessage.$element,
+		this.$groups
+	);
+	this.$body.append( this.panel.$element );
+	this.$element.addClass( 've-ui-mwLinkReportDialog' );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLinkReportDialog.prototype.getSetupProcess = function ( data ) {
+	return ve.ui.MWLinkReportDialog.super.prototype.getSetupProcess.call( this, data )
+		.next( function () {
+			var dialog = this,
+				promise = this.checkLinks();
+
+			this.checkPromise = promise;
+			this.progressBar.toggle( true );
+			this.errorMessage.toggle( false );
+			this.emptyMessage.toggle( false );
+			this.actions.setMode( this.isReadOnly() ? 'readonly' : 'edit' );
+			this.updateActions();
+
+			promise.then( function ( result ) {
+				if ( dialog.checkPromise !== promise ) {
+					return;
+				}
+				dialog.progressBar.toggle( false );
+				dialog.errorMessage.toggle( result.failed );
+				dialog.emptyMessage.toggle( !result.links.length && !result.failed );
+				dialog.showLinks( result.links );
+			} );
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLinkReportDialog.prototype.getTeardownProcess = function ( data ) {
+	return ve.ui.MWLinkReportDialog.super.prototype.getTeardownProcess.call( this, data )
+		.next( function () {
+			this.checkPromise = null;
+			this.$groups.empty();
+			this.items = [];
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLinkReportDialog.prototype.getActionProcess = function ( action ) {
+	var selected = this.items.filter( function ( item ) {
+		return item.checkbox.isSelected();
+	} );
+
+	if ( action === 'bypass' ) {
+		return new OO.ui.Process( function () {
+			return this.bypassRedirects( selected.filter( function ( item ) {
+				return item.status === 'redirect';
+			} ) ).then( this.close.bind( this, { action: action } ) );
+		}, this );
+	}
+	if ( action === 'unlink' ) {
+		return new OO.ui.Process( function () {
+			this.unlink( selected );
+			this.close( { action: action } );
+		}, this );
+	}
+	return ve.ui.MWLinkReportDialog.super.prototype.getActionProcess.call( this, action );
+};
+
+/**
+ * Check the status of each internal link in the document
+ *
+ * @private
+ * @return {jQuery.Promise} Promise resolved with an object with the `links` that might need
+ *  fixing, with their `range`, `annotation` and `status`, and whether checking any links `failed`
+ */
+ve.ui.MWLinkReportDialog.prototype.checkLinks = function () {
+	var doc = this.getFragment().getDocument(),
+		pageName = ve.init.target.getPageName( doc ),
+		failed = false,
+		dialog = this;
+
+	return ve.promiseAll( this.constructor.static.findLinks( doc ).map( function ( link ) {
+		var annotation = link.annotation;
+
+		return ve.init.platform.linkCache.get( annotation.getAttribute( 'lookupTitle' ) ).then( function ( linkData ) {
+			var status = dialog.constructor.static.getLinkStatus( annotation, linkData, null, pageName );
+			if ( status || !annotation.getFragment() ) {
+				return status;
+			}
+			return ve.ui.MWInternalLinkAnnotationWidget.static.getAnchors(
+				annotation.getAttribute( 'lookupTitle' ), doc
+			).then( function ( anchors ) {
+				return dialog.constructor.static.getLinkStatus( annotation, linkData, anchors, pageName );
+			} );
+		} ).then( function ( status ) {
+			return ve.extendObject( { status: status }, link );
+		}, function () {
+			failed = true;
+			return ve.createDeferred().resolve( ve.extendObject( { status: null }, link ) ).promise();
+		} );
+	} ) ).then( function () {
+		return {
+			links: Array.prototype.filter.call( arguments, function ( link ) {
+				return link.status;
+			} ),
+			failed: failed
+		};
+	} );
+};
+
+/**
+ * List the links that might need fixing, grouped by status
+ *
+ * @private
+ * @param {Object[]} links Links, see #checkLinks
+ */
+ve.ui.MWLinkReportDialog.prototype.showLinks = function ( links ) {
+	var dialog = this;
+
+	this.constructor.static.statuses.forEach( function ( status ) {
+		var groupItems = links.filter( function ( link ) {
+				return link.status === status;
+			} ).map( function ( link ) {
+				return dialog.createItem( link );
+			} ),
+			selectAll = new OO.ui.CheckboxInputWidget( { disabled: dialog.isReadOnly() } );
+
+		if ( !groupItems.length ) {
+			return;
+		}
+		selectAll.on( 'change', function ( selected ) {
+			groupItems.forEach( function ( item ) {
+				item.checkbox.setSelected( selected );
+			} );
+		} );
+
+		dialog.items = dialog.items.concat( groupItems );
+		dialog.$groups.append(
+			$( '<div>' ).addClass( 've-ui-mwLinkReportDialog-group' ).append(
+				new OO.ui.FieldLayout( selectAll, {
+					// The following messages are used here:
+					// * visualeditor-dialog-linkreport-status-missing
+					// * visualeditor-dialog-linkreport-status-redirect
+					// * visualeditor-dialog-linkreport-status-disambiguation
+					// * visualeditor-dialog-linkreport-status-selflink
+					// * visualeditor-dialog-linkreport-status-missingsection
+					label: ve.msg( 'visualeditor-dialog-linkreport-status-' + status.toLowerCase(), groupItems.length ),
+					align: 'inline',
+					classes: [ 've-ui-mwLinkReportDialog-group-header' ]
+				} ).$element,
+				groupItems.map( function ( item ) {
+					return item.layout.$element;
+				} )
+			)
+		);
+	} );
+};
+
+/**
+ * Create the row for a link, to select it for fixing or show it in the document
+ *
+ * @private
+ * @param {Object} link Link, see #checkLinks
+ * @return {Object} Item, with the link's `range`, `annotation` and `status`, the `checkbox`
+ *  to select it and the row's `layout`
+ */
+ve.ui.MWLinkReportDialog.prototype.createItem = function ( link ) {
+	var item = ve.extendObject( {}, link ),
+		showButton = new OO.ui.ButtonWidget( {
+			framed: false,
+			flags: [ 'progressive' ],
+			label: ve.msg( 'visualeditor-dialog-linkreport-show' )
+		} );
+
+	item.checkbox = new OO.ui.CheckboxInputWidget( { disabled: this.isReadOnly() } );
+	item.layout = new OO.ui.HorizontalLayout( {
+		items: [
+			new OO.ui.FieldLayout( item.checkbox, {
+				label: this.getFragment().getDocument().data.getText( true, link.range ),
+				align: 'inline'
+			} ),
+			new OO.ui.LabelWidget( {
+				label: link.annotation.getDisplayTitle(),
+				classes: [ 've-ui-mwLinkReportDialog-item-target' ]
+			} ),
+			showButton
+		],
+		classes: [ 've-ui-mwLinkReportDialog-item' ]
+	} );
+
+	item.checkbox.connect( this, { change: 'updateActions' } );
+	showButton.connect( this, { click: [ 'showItem', item ] } );
+	return item;
+};
+
+/**
+ * Close the dialog and select a link in the document
+ *
+ * @param {Object} item Item, see #createItem
+ */
+ve.ui.MWLinkReportDialog.prototype.showItem = function ( item ) {
+	var surfaceModel = this.getFragment().getSurface();
+
+	this.close( { action: 'show' } ).closed.then( function () {
+		surfaceModel.setLinearSelection( item.range );
+	} );
+};
+
+/**
+ * Enable the actions that apply to the selected links
+ */
+ve.ui.MWLinkReportDialog.prototype.updateActions = function () {
+	var selected = this.items.filter( function ( item ) {
+		return item.checkbox.isSelected();
+	} );
+
+	this.actions.setAbilities( {
+		bypass: selected.some( function ( item ) {
+			return item.status === 'redirect';
+		} ),
+		unlink: selected.length > 0
+	} );
+};
+
+/**
+ * Look up the targets of redirects
+ *
+ * @private
+ * @param {string[]} titles Redirects
+ * @return {jQuery.Promise} Promise resolved with redirects as listed in the API's `redirects`,
+ *  keyed by title
+ */
+ve.ui.MWLinkReportDialog.prototype.getRedirects = function ( titles ) {
+	var batches = [],
+		api = ve.init.target.getContentApi( this.getFragment().getDocument() );
+
+	for ( var i = 0; i < titles.length; i += 50 ) {
+		batches.push( titles.slice( i, i + 50 ) );
+	}
+	return ve.promiseAll( batches.map( function ( batch ) {
+		return api.get( {
+			action: 'query',
+			titles: batch,
+			redirects: true
+		} );
+	} ) ).then( function () {
+		var redirects = {};
+		Array.prototype.forEach.call( arguments, function ( response ) {
+			( ve.getProp( response, 'query', 'redirects' ) || [] ).forEach( function ( redirect ) {
+				redirects[ redirect.from ] = redirect;
+			} );
+		} );
+		return redirects;
+	} );
+};
+
+/**
+ * Change links to redirects into links to the redirects' targets
+ *
+ * All of the links are changed in one change. The link texts are kept.
+ *
+ * @param {Object[]} items Items of links to redirects, see #createItem
+ * @return {jQuery.Promise} Promise resolved when the links are changed
+ */
+ve.ui.MWLinkReportDialog.prototype.bypassRedirects = function ( items ) {
+	var dialog = this,
+		surfaceModel = this.getFragment().getSurface(),
+		titles = OO.unique( items.map( function ( item ) {
+			return item.annotation.getAttribute( 'lookupTitle' );
+		} ) );
+
+	return this.getRedirects( titles ).then( function ( redirects ) {
+		surfaceModel.pushStaging();
+		items.forEach( function ( item ) {
+			var redirect = redirects[ item.annotation.getAttribute( 'lookupTitle' ) ],
+				title = redirect && dialog.constructor.static.getBypassTitle( item.annotation, redirect );
+
+			if ( title ) {
+				surfaceModel.getLinearFragment( item.range, true )
+					.annotateContent( 'clear', item.annotation )
+					.annotateContent( 'set', ve.dm.MWInternalLinkAnnotation.static.newFromTitle( title ) );
+			}
+		} );
+		surfaceModel.applyStaging();
+	} );
+};
+
+/**
+ * Remove links, keeping their texts
+ *
+ * All of the links are removed in one change.
+ *
+ * @param {Object[]} items Items of links, see #createItem
+ */
+ve.ui.MWLinkReportDialog.prototype.unlink = function ( items ) {
+	var surfaceModel = this.getFragment().getSurface();
+
+	surfaceModel.pushStaging();
+	items.forEach( function ( item ) {
+		surfaceModel.getLinearFragment( item.range, true ).annotateContent( 'clear', item.annotation );
+	} );
+	surfaceModel.applyStaging();
+};
+
+/* Registration */
+
+ve.ui.windowFactory.register( ve.ui.MWLinkReportDialog );
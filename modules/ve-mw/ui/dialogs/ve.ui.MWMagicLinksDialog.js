@@ -0,0 +1,333 @@
+/*!
+ * VisualEditor user interface MWMagicLinksDialog class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Dialog for converting all the magic links in a document (RFC/ISBN/PMID) to templates or links.
+ *
+ * The templates to convert to are configured per magic link type with
+ * `$wgVisualEditorMagicLinkTemplates`. They are given the magic link's number as their first
+ * parameter.
+ *
+ * @class
+ * @extends ve.ui.FragmentDialog
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWMagicLinksDialog = function VeUiMWMagicLinksDialog( config ) {
+	// Parent constructor
+	ve.ui.MWMagicLinksDialog.super.call( this, config );
+
+	// Properties
+	this.items = [];
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWMagicLinksDialog, ve.ui.FragmentDialog );
+
+/* Static Properties */
+
+ve.ui.MWMagicLinksDialog.static.name = 'magicLinks';
+
+ve.ui.MWMagicLinksDialog.static.title =
+	OO.ui.deferMsg( 'visualeditor-dialog-magiclinks-title' );
+
+ve.ui.MWMagicLinksDialog.static.size = 'large';
+
+ve.ui.MWMagicLinksDialog.static.actions = [
+	{
+		action: 'convert',
+		label: OO.ui.deferMsg( 'visualeditor-dialog-magiclinks-action-convert' ),
+		flags: [ 'primary', 'progressive' ],
+		modes: [ 'edit' ]
+	},
+	{
+		label: OO.ui.deferMsg( 'visualeditor-dialog-action-cancel' ),
+		flags: [ 'safe', 'close' ],
+		modes: [ 'readonly', 'edit' ]
+	}
+];
+
+/* Static Methods */
+
+/**
+ * Get the templates to convert magic links to.
+ *
+ * @static
+ * @return {Object.<string,string>} Template names, keyed by magic link type
+ */
+ve.ui.MWMagicLinksDialog.static.getTemplates = function () {
+	return mw.config.get( 'wgVisualEditorConfig' ).magicLinkTemplates || {};
+};
+
+/**
+ * Get the transclusion data for replacing a magic link with a template.
+ *
+ * @static
+ * @param {string} content Content of the magic link, e.g. 'ISBN 0-306-40615-2'
+ * @param {string} template Template name
+ * @return {Object|null} Transclusion data, or null if the content isn't a magic link or the
+ *  template name is invalid
+ */
+ve.ui.MWMagicLinksDialog.static.getTemplateData = function ( content, template ) {
+	var type = ve.dm.MWMagicLinkType.static.fromContent( content ),
+		title = mw.Title.newFromText( template, mw.config.get( 'wgNamespaceIds' ).template );
+
+	if ( !type || !title ) {
+		return null;
+	}
+	return {
+		parts: [ {
+			template: {
+				target: { href: title.getPrefixedText(), wt: template },
+				// Keep the number as written, e.g. with dashes in ISBNs
+				params: { 1: { wt: content.slice( type.type.length ).trim() } }
+			}
+		} ]
+	};
+};
+
+/**
+ * Get the wikitext a magic link would be replaced with.
+ *
+ * @static
+ * @param {string} content Content of the magic link
+ * @param {string|null} template Template name, or null to replace it with a link
+ * @return {string} Wikitext
+ */
+ve.ui.MWMagicLinksDialog.static.getReplacementWikitext = function ( content, template ) {
+	var annotation;
+	if ( template ) {
+		return ve.dm.MWTransclusionNode.static.getWikitext( this.getTemplateData( content, template ) );
+	}
+	annotation = ve.dm.MWMagicLinkNode.static.annotationFromContent( content );
+	if ( annotation instanceof ve.dm.MWInternalLinkAnnotation ) {
+		return '[[' + annotation.getAttribute( 'normalizedTitle' ) + '|' + content + ']]';
+	}
+	return '[' + annotation.getHref() + ' ' + content + ']';
+};
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWMagicLinksDialog.prototype.getBodyHeight = function () {
+	return 400;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWMagicLinksDialog.prototype.initialize = function () {
+	// Parent method
+	ve.ui.MWMagicLinksDialog.super.prototype.initialize.call( this );
+
+	// Properties
+	this.panel = new OO.ui.PanelLayout( {
+		padded: true,
+		expanded: false
+	} );
+	this.helpLabel = new OO.ui.LabelWidget( {
+		label: ve.msg( 'visualeditor-dialog-magiclinks-help' ),
+		classes: [ 've-ui-mwMagicLinksDialog-help' ]
+	} );
+	this.emptyMessage = new OO.ui.MessageWidget( {
+		type: 'notice',
+		inline: true,
+		label: ve.msg( 'visualeditor-dialog-magiclinks-empty' )
+	} );
+	this.$items = $( '<div>' ).addClass( 've-ui-mwMagicLinksDialog-items' );
+
+	// Initialization
+	this.panel.$element.append( this.helpLabel.$element, this.emptyMessage.$element, this.$items );
+	this.$body.append( this.panel.$element );
+	this.$element.addClass( 've-ui-mwMagicLinksDialog' );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWMagicLinksDialog.prototype.getSetupProcess = function ( data ) {
+	return ve.ui.MWMagicLinksDialog.super.prototype.getSetupProcess.call( this, data )
+		.next( function () {
+			var dialog = this,
+				templates = this.constructor.static.getTemplates(),
+				nodes = this.getFragment().getDocument().getNodesByType( 'link/mwMagic', true );
+
+			this.items = nodes.map( function ( node ) {
+				return dialog.createItem( node, templates[ node.getMagicType() ] || null );
+			} );
+			this.$items.append( this.items.map( function ( item ) {
+				return item.layout.$element;
+			} ) );
+			this.emptyMessage.toggle( !this.items.length );
+			this.actions.setMode( this.isReadOnly() ? 'readonly' : 'edit' );
+			this.updateActions();
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWMagicLinksDialog.prototype.getTeardownProcess = function ( data ) {
+	return ve.ui.MWMagicLinksDialog.super.prototype.getTeardownProcess.call( this, data )
+		.next( function () {
+			this.$items.empty();
+			this.items = [];
+		}, this );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWMagicLinksDialog.prototype.getActionProcess = function ( action ) {
+	if ( action === 'convert' ) {
+		return new OO.ui.Process( function () {
+			return this.convertItems( this.items.filter( function ( item ) {
+				return item.checkbox.isSelected();
+			} ) ).then( this.close.bind( this, { action: action } ) );
+		}, this );
+	}
+	return ve.ui.MWMagicLinksDialog.super.prototype.getActionProcess.call( this, action );
+};
+
+/**
+ * Create the row for a magic link, to choose whether and how to convert it.
+ *
+ * @private
+ * @param {ve.dm.MWMagicLinkNode} node Magic link node
+ * @param {string|null} template Template to convert magic links of this type to, if any
+ * @return {Object} Item, with the `node`, the `checkbox` to accept or reject the conversion,
+ *  the `dropdown` to choose the conversion, the `preview` label and the row's `layout`
+ */
+ve.ui.MWMagicLinksDialog.prototype.createItem = function ( node, template ) {
+	var options = [],
+		content = node.getAttribute( 'content' ),
+		item = { node: node };
+
+	if ( template && this.constructor.static.getTemplateData( content, template ) ) {
+		options.push( {
+			data: template,
+			label: ve.msg( 'visualeditor-dialog-magiclinks-option-template', template )
+		} );
+	}
+	options.push( {
+		data: '',
+		label: ve.msg( 'visualeditor-dialog-magiclinks-option-link' )
+	} );
+
+	item.checkbox = new OO.ui.CheckboxInputWidget( {
+		selected: true,
+		disabled: this.isReadOnly()
+	} );
+	item.dropdown = new OO.ui.DropdownInputWidget( {
+		options: options,
+		$overlay: this.$overlay,
+		disabled: this.isReadOnly(),
+		classes: [ 've-ui-mwMagicLinksDialog-item-conversion' ]
+	} );
+	item.preview = new OO.ui.LabelWidget( {
+		classes: [ 've-ui-mwMagicLinksDialog-item-preview' ]
+	} );
+	item.layout = new OO.ui.HorizontalLayout( {
+		items: [
+			new OO.ui.FieldLayout( item.checkbox, {
+				label: content,
+				align: 'inline'
+			} ),
+			item.dropdown,
+			item.preview
+		],
+		classes: [ 've-ui-mwMagicLinksDialog-item' ]
+	} );
+
+	item.checkbox.connect( this, { change: 'updateActions' } );
+	item.dropdown.connect( this, { change: [ 'updatePreview', item ] } );
+	this.updatePreview( item );
+	return item;
+};
+
+/**
+ * Show the wikitext a magic link will be converted to.
+ *
+ * @private
+ * @param {Object} item Item, see #createItem
+ */
+ve.ui.MWMagicLinksDialog.prototype.updatePreview = function ( item ) {
+	item.preview.setLabel( this.constructor.static.getReplacementWikitext(
+		item.node.getAttribute( 'content' ),
+		item.dropdown.getValue() || null
+	) );
+};
+
+/**
+ * Enable the convert action if any magic links are to be converted.
+ */
+ve.ui.MWMagicLinksDialog.prototype.updateActions = function () {
+	this.actions.setAbilities( {
+		convert: this.items.some( function ( item ) {
+			return item.checkbox.isSelected();
+		} )
+	} );
+};
+
+/**
+ * Convert magic links in the document.
+ *
+ * All of the magic links are converted in one change, once the templates' specs are loaded.
+ *
+ * @param {Object[]} items Items to convert, see #createItem
+ * @return {jQuery.Promise} Promise resolved when the magic links are converted
+ */
+ve.ui.MWMagicLinksDialog.prototype.convertItems = function ( items ) {
+	var dialog = this,
+		surfaceModel = this.getFragment().getSurface(),
+		doc = surfaceModel.getDocument();
+
+	return ve.promiseAll( items.map( function ( item ) {
+		var transclusion,
+			content = item.node.getAttribute( 'content' ),
+			template = item.dropdown.getValue(),
+			// Fragments are kept up to date as the other magic links are converted
+			conversion = {
+				fragment: surfaceModel.getLinearFragment( item.node.getOuterRange(), true ),
+				content: content
+			};
+
+		if ( !template ) {
+			conversion.annotation = ve.dm.MWMagicLinkNode.static.annotationFromContent( content );
+			return ve.createDeferred().resolve( conversion ).promise();
+		}
+		transclusion = new ve.dm.MWTransclusionModel( doc );
+		conversion.transclusion = transclusion;
+		return transclusion.load( dialog.constructor.static.getTemplateData( content, template ) )
+			.then( function () {
+				return conversion;
+			} );
+	} ) ).then( function () {
+		var conversions = Array.prototype.slice.call( arguments );
+
+		surfaceModel.pushStaging();
+		conversions.forEach( function ( conversion ) {
+			if ( conversion.transclusion ) {
+				// Magic links are always inline
+				conversion.transclusion.insertTransclusionNode( conversion.fragment, 'inline' );
+			} else {
+				conversion.fragment
+					.insertContent( conversion.content, true )
+					.annotateContent( 'set', conversion.annotation );
+			}
+		} );
+		surfaceModel.applyStaging();
+	} );
+};
+
+/* Registration */
+
+ve.ui.windowFactory.register( ve.ui.MWMagicLinksDialog );
@@ -142,6 +142,8 @@ ve.ui.MWMetaDialog.prototype.extractValue = function ( field ) {
 		return {
 			value: field.value,
 			sortKey: field.sortKey };
+	} else if ( field instanceof ve.ui.MWLanguageLinkWidget ) {
+		return field.getValue();
 	} else {
 		throw new Error( 'Unhandled widget type', field );
 	}
@@ -243,10 +245,11 @@ ve.ui.MWMetaDialog.prototype.getSetupProcess = function ( data ) {
 				isReadOnly: this.isReadOnly()
 			};
 
-			// Let each page set itself up ('languages' page doesn't need this yet)
+			// Let each page set itself up
 			promises.push( this.categoriesPage.setup( surfaceModel.metaList, config ) );
 			promises.push( this.settingsPage.setup( surfaceModel.metaList, config ) );
 			promises.push( this.advancedSettingsPage.setup( surfaceModel.metaList, config ) );
+			promises.push( this.languagesPage.setup( surfaceModel.metaList, config ) );
 			return ve.promiseAll( promises );
 		}, this )
 		.next( function () {
@@ -290,10 +293,11 @@ ve.ui.MWMetaDialog.prototype.getTeardownProcess = function ( data ) {
 	data = data || {};
 	return ve.ui.MWMetaDialog.super.prototype.getTeardownProcess.call( this, data )
 		.first( function () {
-			// Let each page tear itself down ('languages' page doesn't need this yet)
+			// Let each page tear itself down
 			this.categoriesPage.teardown( { action: data.action } );
 			this.settingsPage.teardown( { action: data.action } );
 			this.advancedSettingsPage.teardown( { action: data.action } );
+			this.languagesPage.teardown( { action: data.action } );
 
 			this.bookletLayout.setPage( 'categories' );
 			this.bookletLayout.resetScroll();
@@ -34,6 +34,8 @@ ve.ui.MWSaveDialog = function VeUiMwSaveDialog( config ) {
 	this.diffElement = null;
 	this.diffElementPromise = null;
 	this.getDiffElementPromise = null;
+	this.diffNavigator = null;
+	this.templateIssuesPromise = null;
 
 	// Initialization
 	this.$element.addClass( 've-ui-mwSaveDialog' );
@@ -127,6 +129,17 @@ ve.ui.MWSaveDialog.static.actions = [
  * Emitted when the user clicks the retry/continue save button after an error.
  */
 
+/**
+ * @event jump
+ * @param {ve.Range} range Range in the document to select
+ * Emitted when the user asks to go to a certain place in the document, e.g. to fix a problem
+ */
+
+/**
+ * @event revert
+ * Emitted when the user has reverted a change from the review panel, so the diff needs updating
+ */
+
 /* Methods */
 
 /**
@@ -151,6 +164,18 @@ ve.ui.MWSaveDialog.prototype.setDiffAndReview = function ( wikitextDiffPromise,
 		// Run styles so links render with their appropriate classes
 		ve.init.platform.linkCache.styleParsoidElements( diffElement.$document, baseDoc );
 		mw.libs.ve.fixFragmentLinks( diffElement.$document[ 0 ], mw.Title.newFromText( ve.init.target.getPageName() ), 'mw-save-visualdiff-' );
+		var surfaceModel = ve.init.target.getSurface().getModel(),
+			// In source mode the new document is parsed from the wikitext,
+			// so changes can't be shown
+			isLive = visualDiff.newDoc === surfaceModel.getDocument();
+		dialog.diffNavigator = new ve.ui.MWDiffNavigatorWidget( diffElement, visualDiff, {
+			jumpable: isLive,
+			reverter: isLive ? new ve.dm.MWChangeReverter( surfaceModel ) : null
+		} );
+		dialog.diffNavigator.connect( dialog, {
+			jump: [ 'emit', 'jump' ],
+			revert: 'onDiffNavigatorRevert'
+		} );
 		return diffElement;
 	}
 
@@ -332,6 +357,17 @@ ve.ui.MWSaveDialog.prototype.clearDiff = function () {
 	this.diffElement = null;
 	this.diffElementPromise = null;
 	this.getDiffElementPromise = null;
+	this.diffNavigator = null;
+};
+
+/**
+ * Handle revert events from the diff navigator.
+ *
+ * @fires revert
+ */
+ve.ui.MWSaveDialog.prototype.onDiffNavigatorRevert = function () {
+	ve.track( 'activity.' + this.constructor.static.name, { action: 'review-revert-change' } );
+	this.emit( 'revert' );
 };
 
 /**
@@ -529,6 +565,64 @@ ve.ui.MWSaveDialog.prototype.clearAllMessages = function () {
 	this.messages = {};
 };
 
+/**
+ * Show problems found in templates on the page, replacing any previously shown.
+ *
+ * @param {Object[]|null} issues Problems, see ve.dm.MWTransclusionValidator#validate, null if
+ *  the templates couldn't be checked
+ * @param {string} issues.type Type of problem, e.g. "required"
+ * @param {ve.dm.MWTransclusionNode} issues.node Node the template is in
+ * @param {ve.dm.MWTemplateModel} issues.template Template with the problem
+ * @param {string} issues.name Name of the parameter with the problem
+ */
+ve.ui.MWSaveDialog.prototype.setTemplateIssues = function ( issues ) {
+	var dialog = this;
+
+	this.$templateIssues.empty();
+	if ( !issues ) {
+		this.$templateIssues.append(
+			new OO.ui.MessageWidget( {
+				type: 'notice',
+				inline: true,
+				label: ve.msg( 'visualeditor-savedialog-template-issues-failed' )
+			} ).$element
+		);
+	} else if ( issues.length ) {
+		var $list = $( '<ul>' );
+		issues.forEach( function ( issue ) {
+			var spec = issue.template.getSpec(),
+				button = new OO.ui.ButtonWidget( {
+					framed: false,
+					flags: [ 'progressive' ],
+					// The following messages are used here:
+					// * visualeditor-savedialog-template-issue-deprecated
+					// * visualeditor-savedialog-template-issue-required
+					// * visualeditor-savedialog-template-issue-suggestedvalue
+					// * visualeditor-savedialog-template-issue-unknown
+					label: ve.msg(
+						'visualeditor-savedialog-template-issue-' + issue.type,
+						spec.getLabel(),
+						spec.getParameterLabel( issue.name )
+					)
+				} );
+			button.on( 'click', function () {
+				dialog.emit( 'jump', issue.node.getOuterRange() );
+			} );
+			$list.append( $( '<li>' ).append( button.$element ) );
+		} );
+		this.$templateIssues.append(
+			new OO.ui.MessageWidget( {
+				type: 'warning',
+				inline: true,
+				label: ve.msg( 'visualeditor-savedialog-template-issues', issues.length )
+			} ).$element,
+			$list
+		);
+	}
+	this.$templateIssues.toggleClass( 'oo-ui-element-hidden', !!issues && !issues.length );
+	this.updateSize();
+};
+
 /**
  * Reset the fields of the save dialog.
  */
@@ -633,16 +727,33 @@ ve.ui.MWSaveDialog.prototype.initialize = function () {
 		}
 
 		dialog.updateOptionsBar();
+		dialog.updateSnippetButton();
 	} );
+	this.editSummaryInput.connect( this, { snippetsChange: 'updateSnippetButton' } );
+
+	// Save the edit summary as a snippet for later
+	this.snippetButton = new OO.ui.ButtonWidget( {
+		framed: false,
+		icon: 'unStar',
+		classes: [ 've-ui-mwSaveDialog-snippetButton' ]
+	} );
+	this.snippetButton.toggle( !mw.user.isAnon() );
+	this.snippetButton.on( 'click', function () {
+		dialog.editSummaryInput.toggleSnippet( dialog.editSummaryInput.getValue() );
+	} );
+	this.updateSnippetButton();
 
 	this.$saveCheckboxes = $( '<div>' ).addClass( 've-ui-mwSaveDialog-checkboxes' );
 	this.$saveOptions = $( '<div>' ).addClass( 've-ui-mwSaveDialog-options' ).append(
 		this.$saveCheckboxes,
+		this.snippetButton.$element,
 		this.editSummaryCountLabel.$element
 	);
 	this.$license = $( '<p>' ).addClass( 've-ui-mwSaveDialog-license' )
 		.html( ve.init.platform.getParsedMessage( 'copyrightwarning' ) );
 	this.$saveMessages = $( '<div>' ).addClass( 've-ui-mwSaveDialog-messages' );
+	this.$templateIssues = $( '<div>' )
+		.addClass( 've-ui-mwSaveDialog-templateIssues oo-ui-element-hidden' );
 	this.$saveFoot = $( '<div>' ).addClass( 've-ui-mwSaveDialog-foot' ).append( this.$license );
 	ve.targetLinksToNewWindow( this.$saveFoot[ 0 ] );
 	this.savePanel.$element.append(
@@ -650,6 +761,7 @@ ve.ui.MWSaveDialog.prototype.initialize = function () {
 		this.editSummaryInput.$element,
 		this.$saveOptions,
 		this.$saveMessages,
+		this.$templateIssues,
 		this.$saveFoot
 	);
 
@@ -732,7 +844,8 @@ ve.ui.MWSaveDialog.prototype.initialize = function () {
 };
 
 ve.ui.MWSaveDialog.prototype.updateOptionsBar = function () {
-	var showOptions = !!this.editSummaryCountLabel.getLabel() || !this.$saveCheckboxes.is( ':empty' );
+	var showOptions = !!this.editSummaryCountLabel.getLabel() || !this.$saveCheckboxes.is( ':empty' ) ||
+		this.snippetButton.isVisible();
 	if ( showOptions !== this.showOptions ) {
 		this.savePanel.$element.toggleClass( 've-ui-mwSaveDialog-withOptions', showOptions );
 		this.showOptions = showOptions;
@@ -773,7 +886,9 @@ ve.ui.MWSaveDialog.prototype.updateReviewMode = function () {
 			if ( !this.diffElementPromise ) {
 				this.diffElementPromise = this.getDiffElementPromise().then( function ( diffElement ) {
 					dialog.diffElement = diffElement;
-					dialog.$reviewVisualDiff.empty().append( diffElement.$element );
+					dialog.$reviewVisualDiff.empty().append(
+						dialog.diffNavigator.$element, diffElement.$element
+					);
 					dialog.positionDiffElement();
 				} );
 			}
@@ -835,6 +950,25 @@ ve.ui.MWSaveDialog.prototype.positionDiffElement = function () {
 	}
 };
 
+/**
+ * Update the state of the button to save the edit summary as a snippet
+ *
+ * @private
+ */
+ve.ui.MWSaveDialog.prototype.updateSnippetButton = function () {
+	var summary = this.editSummaryInput.getValue(),
+		isEmpty = !this.editSummaryInput.constructor.static.splitSummary( summary ).comment.trim(),
+		isSaved = !isEmpty && this.editSummaryInput.hasSnippet( summary );
+
+	this.snippetButton
+		.setDisabled( isEmpty )
+		.setIcon( isSaved ? 'star' : 'unStar' )
+		.setTitle( ve.msg( isSaved ?
+			'visualeditor-editsummary-snippet-remove' :
+			'visualeditor-editsummary-snippet-save'
+		) );
+};
+
 /**
  * @inheritdoc
  * @param {Object} [data]
@@ -844,7 +978,10 @@ ve.ui.MWSaveDialog.prototype.positionDiffElement = function () {
  * @param {Object} [data.checkboxesByName] Checkbox widgets, indexed by name
  * @param {string} [data.sectionTitle] Section title, if in new section mode
  * @param {string} [data.editSummary] Edit summary
+ * @param {string} [data.autoSummary] Automatic summary of the changes, suggested as edit summary
  * @param {string} [data.initialPanel='save'] Initial panel to show
+ * @param {jQuery.Promise|null} [data.templateIssuesPromise] Promise resolved with problems found
+ *  in templates on the page, see #setTemplateIssues
  * @param {jQuery|string|OO.ui.HtmlSnippet|Function|null} [data.saveButtonLabel] Label for the save button
  */
 ve.ui.MWSaveDialog.prototype.getSetupProcess = function ( data ) {
@@ -868,6 +1005,7 @@ ve.ui.MWSaveDialog.prototype.getSetupProcess = function ( data ) {
 				this.checkboxesByName[ name ].$element.off( '.mwSave' ).on( 'click.mwSave', trackCheckbox.bind( this, name ) );
 			}
 
+			this.editSummaryInput.setAutoSummary( data.autoSummary || '' );
 			if ( data.sectionTitle ) {
 				this.setEditSummary( ve.msg( 'newsectionsummary', data.sectionTitle ) );
 				this.editSummaryInput.setDisabled( true );
@@ -887,6 +1025,23 @@ ve.ui.MWSaveDialog.prototype.getSetupProcess = function ( data ) {
 
 			// Old messages should not persist
 			this.clearAllMessages();
+			this.setTemplateIssues( [] );
+			var dialog = this,
+				templateIssuesPromise = data.templateIssuesPromise || null;
+			this.templateIssuesPromise = templateIssuesPromise;
+			if ( templateIssuesPromise ) {
+				templateIssuesPromise.then( function ( issues ) {
+					// Ignore results from a previous opening of the dialog
+					if ( dialog.templateIssuesPromise === templateIssuesPromise ) {
+						dialog.setTemplateIssues( issues );
+					}
+				}, function () {
+					// Saving doesn't depend on the check, just let the user know it wasn't done
+					if ( dialog.templateIssuesPromise === templateIssuesPromise ) {
+						dialog.setTemplateIssues( null );
+					}
+				} );
+			}
 			// Don't focus during setup to prevent scroll jumping (T153010)
 			this.swapPanel( data.initialPanel || 'save', true );
 			// Update save button label
@@ -16,6 +16,9 @@
 ve.ui.MWTableDialog = function VeUiMWTableDialog( config ) {
 	// Parent constructor
 	ve.ui.MWTableDialog.super.call( this, config );
+
+	// Properties
+	this.columns = [];
 };
 
 /* Inheritance */
@@ -34,10 +37,37 @@ ve.ui.MWTableDialog.prototype.getValues = function () {
 		wikitable: this.wikitableToggle.getValue(),
 		sortable: this.sortableToggle.getValue(),
 		collapsible: this.collapsibleToggle.getValue(),
-		collapsed: this.collapsedToggle.getValue()
+		collapsed: this.collapsedToggle.getValue(),
+		columnSortTypes: this.columns.map( function ( column ) {
+			return column.input.getValue();
+		} ),
+		sortValue: this.sortValueInput.getValue()
 	} );
 };
 
+/**
+ * Get the value of a column's sort type dropdown for a header cell
+ *
+ * @param {ve.dm.TableCellNode} cell Header cell
+ * @return {string} Sort type, 'unsortable', or '' for automatic detection
+ */
+ve.ui.MWTableDialog.prototype.getColumnSortType = function ( cell ) {
+	return cell.getAttribute( 'unsortable' ) ? 'unsortable' : cell.getAttribute( 'sortType' ) || '';
+};
+
+/**
+ * Get the cells selected in the table
+ *
+ * @return {ve.dm.TableCellNode[]}
+ */
+ve.ui.MWTableDialog.prototype.getSelectedCells = function () {
+	var fragment = this.getFragment(),
+		matrixCells = fragment.getSelection().getMatrixCells( fragment.getDocument() );
+	return OO.unique( matrixCells.map( function ( matrixCell ) {
+		return matrixCell.node;
+	} ) );
+};
+
 /**
  * @inheritdoc
  */
@@ -71,11 +101,35 @@ ve.ui.MWTableDialog.prototype.initialize = function () {
 	} );
 
 	this.wikitableToggle.connect( this, { change: 'updateActions' } );
-	this.sortableToggle.connect( this, { change: 'updateActions' } );
 	this.collapsibleToggle.connect( this, { change: 'onCollapsibleChange' } );
 	this.collapsedToggle.connect( this, { change: 'updateActions' } );
 
-	this.panel.$element.append( wikitableField.$element, sortableField.$element, collapsibleField.$element, collapsedField.$element );
+	this.sortingFieldset = new OO.ui.FieldsetLayout( {
+		label: ve.msg( 'visualeditor-dialog-table-sorting' )
+	} );
+	this.columnsFieldset = new OO.ui.FieldsetLayout( {
+		help: ve.msg( 'visualeditor-dialog-table-sorting-columns-help' ),
+		helpInline: true
+	} );
+	this.sortValueInput = new OO.ui.TextInputWidget();
+	this.sortValueField = new OO.ui.FieldLayout( this.sortValueInput, {
+		align: 'left',
+		label: ve.msg( 'visualeditor-dialog-table-sorting-sortvalue' ),
+		help: ve.msg( 'visualeditor-dialog-table-sorting-sortvalue-help' )
+	} );
+	this.sortingFieldset.$element.append( this.columnsFieldset.$element );
+	this.sortingFieldset.addItems( [ this.sortValueField ] );
+
+	this.sortableToggle.connect( this, { change: 'onSortableChange' } );
+	this.sortValueInput.connect( this, { change: 'updateActions' } );
+
+	this.panel.$element.append(
+		wikitableField.$element,
+		sortableField.$element,
+		collapsibleField.$element,
+		collapsedField.$element,
+		this.sortingFieldset.$element
+	);
 };
 
 /**
@@ -91,6 +145,11 @@ ve.ui.MWTableDialog.prototype.getSetupProcess = function ( data ) {
 				sortable = !!tableNode.getAttribute( 'sortable' ),
 				collapsible = !!tableNode.getAttribute( 'collapsible' ),
 				collapsed = !!tableNode.getAttribute( 'collapsed' ),
+				headerCells = tableNode.getTablesorterHeaderCells ?
+					tableNode.getTablesorterHeaderCells() : [],
+				sortValues = OO.unique( this.getSelectedCells().map( function ( cell ) {
+					return cell.getAttribute( 'sortValue' ) || '';
+				} ) ),
 				isReadOnly = this.isReadOnly();
 
 			this.wikitableToggle.setValue( wikitable ).setDisabled( isReadOnly );
@@ -98,14 +157,60 @@ ve.ui.MWTableDialog.prototype.getSetupProcess = function ( data ) {
 			this.collapsibleToggle.setValue( collapsible ).setDisabled( isReadOnly );
 			this.collapsedToggle.setValue( collapsed ).setDisabled( isReadOnly );
 
+			this.columns = headerCells.map( function ( cell, i ) {
+				var documentData = this.getFragment().getDocument().data,
+					text = documentData.getText( true, cell.getRange() ).trim(),
+					input = new OO.ui.DropdownInputWidget( {
+						options: [ '' ].concat( ve.dm.MWTableCellNode.static.sortTypes, 'unsortable' ).map( function ( type ) {
+							return {
+								data: type,
+								// The following messages are used here:
+								// * visualeditor-dialog-table-sorttype-auto
+								// * visualeditor-dialog-table-sorttype-number
+								// * visualeditor-dialog-table-sorttype-date
+								// * visualeditor-dialog-table-sorttype-isodate
+								// * visualeditor-dialog-table-sorttype-currency
+								// * visualeditor-dialog-table-sorttype-text
+								// * visualeditor-dialog-table-sorttype-unsortable
+								label: ve.msg( 'visualeditor-dialog-table-sorttype-' + ( type.toLowerCase() || 'auto' ) )
+							};
+						} ),
+						value: this.getColumnSortType( cell ),
+						$overlay: this.$overlay,
+						disabled: isReadOnly
+					} );
+				input.connect( this, { change: 'updateActions' } );
+				return {
+					input: input,
+					field: new OO.ui.FieldLayout( input, {
+						align: 'left',
+						label: ve.graphemeSafeSubstring( text, 0, 30, true ) + ( text.length > 30 ? '…' : '' ) ||
+							ve.msg( 'visualeditor-dialog-table-sorting-column', i + 1 )
+					} )
+				};
+			}, this );
+			this.columnsFieldset.clearItems().addItems( this.columns.map( function ( column ) {
+				return column.field;
+			} ) );
+			this.columnsFieldset.toggle( !!this.columns.length );
+			// Only offer to change the sort value if all selected cells have the same one
+			this.sortValueInput
+				.setValue( sortValues.length === 1 ? sortValues[ 0 ] : '' )
+				.setDisabled( isReadOnly || sortValues.length !== 1 );
+
 			ve.extendObject( this.initialValues, {
 				wikitable: wikitable,
 				sortable: sortable,
 				collapsible: collapsible,
-				collapsed: collapsed
+				collapsed: collapsed,
+				columnSortTypes: this.columns.map( function ( column ) {
+					return column.input.getValue();
+				} ),
+				sortValue: this.sortValueInput.getValue()
 			} );
 
 			this.onCollapsibleChange( collapsible );
+			this.onSortableChange( sortable );
 		}, this );
 };
 
@@ -125,10 +230,83 @@ ve.ui.MWTableDialog.prototype.getActionProcess = function ( action ) {
 					collapsible: this.collapsibleToggle.getValue(),
 					collapsed: this.collapsedToggle.getValue()
 				} );
+				if ( this.sortableToggle.getValue() ) {
+					this.applySortAttributes();
+				}
 			}
 		}, this );
 };
 
+/**
+ * @inheritdoc
+ */
+ve.ui.MWTableDialog.prototype.getTeardownProcess = function ( data ) {
+	return ve.ui.MWTableDialog.super.prototype.getTeardownProcess.call( this, data )
+		.next( function () {
+			this.columnsFieldset.clearItems();
+			this.columns = [];
+		}, this );
+};
+
+/**
+ * Apply the sort types of columns and the sort value of selected cells to the table
+ */
+ve.ui.MWTableDialog.prototype.applySortAttributes = function () {
+	var dialog = this,
+		surfaceModel = this.getFragment().getSurface(),
+		doc = surfaceModel.getDocument(),
+		tableNode = this.getFragment().getSelection().getTableNode( doc ),
+		headerCells = tableNode.getTablesorterHeaderCells ?
+			tableNode.getTablesorterHeaderCells() : [],
+		sortValue = this.sortValueInput.getValue();
+
+	function changeAttributes( cell, attributes ) {
+		var key,
+			changes = {};
+
+		for ( key in attributes ) {
+			if ( cell.getAttribute( key ) !== attributes[ key ] ) {
+				changes[ key ] = attributes[ key ];
+			}
+		}
+		if ( !ve.isEmptyObject( changes ) ) {
+			surfaceModel.change(
+				ve.dm.TransactionBuilder.static.newFromAttributeChanges(
+					doc, cell.getOffset(), changes
+				)
+			);
+		}
+	}
+
+	headerCells.forEach( function ( cell, i ) {
+		var sortType = dialog.columns[ i ] && dialog.columns[ i ].input.getValue();
+		if ( sortType === undefined || sortType === dialog.getColumnSortType( cell ) ) {
+			return;
+		}
+		changeAttributes( cell, {
+			unsortable: sortType === 'unsortable' || undefined,
+			sortType: sortType && sortType !== 'unsortable' ? sortType : undefined
+		} );
+	} );
+
+	if ( !this.sortValueInput.isDisabled() && sortValue !== this.initialValues.sortValue ) {
+		this.getSelectedCells().forEach( function ( cell ) {
+			changeAttributes( cell, { sortValue: sortValue || undefined } );
+		} );
+	}
+};
+
+/**
+ * Handle change events from the sortable toggle
+ *
+ * @param {boolean} sortable New toggle value
+ */
+ve.ui.MWTableDialog.prototype.onSortableChange = function ( sortable ) {
+	this.sortingFieldset.toggle( sortable );
+	this.updateSize();
+	this.updateActions();
+};
+
 /**
  * Handle change events from the collapsible toggle
  *
@@ -169,6 +169,39 @@ ve.ui.MWLinkAnnotationInspector.prototype.onLabelInputChange = function () {
  */
 ve.ui.MWLinkAnnotationInspector.prototype.onInternalLinkChange = function () {
 	this.updateActions();
+	this.updateFragmentWarning();
+};
+
+/**
+ * Warn if the internal link points to a section that doesn't exist
+ */
+ve.ui.MWLinkAnnotationInspector.prototype.updateFragmentWarning = function () {
+	var inspector = this,
+		annotation = this.internalAnnotationInput.getAnnotation(),
+		fragment = annotation && annotation.getFragment(),
+		surface = ve.init.target.getSurface();
+
+	this.internalAnnotationField.setWarnings( [] );
+	this.updateSize();
+	if ( !fragment ) {
+		return;
+	}
+
+	ve.ui.MWInternalLinkAnnotationWidget.static.getAnchors(
+		annotation.getAttribute( 'normalizedTitle' ),
+		// Source mode documents have no headings to get the current page's anchors from
+		surface && surface.getMode() === 'visual' ? surface.getModel().getDocument() : undefined
+	).done( function ( anchors ) {
+		if (
+			inspector.internalAnnotationInput.getAnnotation() === annotation &&
+			anchors && !ve.ui.MWInternalLinkAnnotationWidget.static.hasAnchor( anchors, fragment )
+		) {
+			inspector.internalAnnotationField.setWarnings( [
+				ve.msg( 'visualeditor-linkinspector-missing-section', fragment )
+			] );
+			inspector.updateSize();
+		}
+	} );
 };
 
 /**
@@ -52,10 +52,27 @@ ve.ui.MWMagicLinkNodeInspector.prototype.initialize = function () {
 	this.targetInput = new OO.ui.TextInputWidget( {
 		validate: this.validate.bind( this )
 	} );
+	this.checksumWarning = new OO.ui.MessageWidget( {
+		type: 'warning',
+		inline: true,
+		label: ve.msg( 'visualeditor-magiclinknodeinspector-checksum-warning' ),
+		classes: [ 've-ui-mwMagicLinkNodeInspector-checksumWarning' ]
+	} );
+	this.normalizeButton = new OO.ui.ButtonWidget( {
+		framed: false,
+		flags: [ 'progressive' ],
+		label: ve.msg( 'visualeditor-magiclinknodeinspector-convert-isbn13' ),
+		classes: [ 've-ui-mwMagicLinkNodeInspector-normalizeButton' ]
+	} );
 	this.targetInput.on( 'change', this.onChange.bind( this ) );
+	this.normalizeButton.connect( this, { click: 'onNormalizeButtonClick' } );
 
 	// Initialization
-	this.form.$element.append( this.targetInput.$element );
+	this.form.$element.append(
+		this.targetInput.$element,
+		this.checksumWarning.$element,
+		this.normalizeButton.$element
+	);
 };
 
 /**
@@ -79,6 +96,35 @@ ve.ui.MWMagicLinkNodeInspector.prototype.onChange = function ( value ) {
 			action.setDisabled( !isValid );
 		}
 	} );
+	this.updateChecksum( value );
+};
+
+/**
+ * Warn about a wrong check digit, and offer to normalize the magic link, e.g. convert an ISBN-10
+ * to an ISBN-13.
+ *
+ * Mistyped numbers are only warned about, as the number might be printed that way in the work.
+ *
+ * @private
+ * @param {string} value Content of the magic link
+ */
+ve.ui.MWMagicLinkNodeInspector.prototype.updateChecksum = function ( value ) {
+	var isValid = this.validate( value );
+	this.checksumWarning.toggle( isValid && !ve.dm.MWMagicLinkNode.static.validateChecksum( value ) );
+	this.normalizeButton.toggle(
+		isValid && !this.isReadOnly() && ve.dm.MWMagicLinkNode.static.normalizeContent( value ) !== null
+	);
+	this.updateSize();
+};
+
+/**
+ * Handle click events from the normalize button.
+ */
+ve.ui.MWMagicLinkNodeInspector.prototype.onNormalizeButtonClick = function () {
+	var normalized = ve.dm.MWMagicLinkNode.static.normalizeContent( this.targetInput.getValue() );
+	if ( normalized !== null ) {
+		this.targetInput.setValue( normalized ).focus();
+	}
 };
 
 /**
@@ -125,6 +171,7 @@ ve.ui.MWMagicLinkNodeInspector.prototype.getSetupProcess = function ( data ) {
 			this.targetInput.setValue(
 				this.selectedNode ? this.selectedNode.getAttribute( 'content' ) : ''
 			).setReadOnly( this.isReadOnly() );
+			this.updateChecksum( this.targetInput.getValue() );
 		}, this );
 };
 
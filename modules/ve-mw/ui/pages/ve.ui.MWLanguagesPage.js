@@ -16,30 +16,138 @@
  * @param {Object} [config] Configuration options
  * @cfg {jQuery} [$overlay] Overlay to render dropdowns in
  */
-ve.ui.MWLanguagesPage = function VeUiMWLanguagesPage() {
+ve.ui.MWLanguagesPage = function VeUiMWLanguagesPage( name, config ) {
 	// Parent constructor
 	ve.ui.MWLanguagesPage.super.apply( this, arguments );
 
 	// Properties
+	this.metaList = null;
+	this.metaItems = [];
 	this.languagesFieldset = new OO.ui.FieldsetLayout( {
 		label: ve.msg( 'visualeditor-dialog-meta-languages-label' ),
 		icon: 'textLanguage'
 	} );
+	this.linksWidget = new ve.ui.MWLanguageLinksWidget( { $overlay: config && config.$overlay } );
+	this.$otherLanguages = $( '<div>' ).addClass( 've-ui-mwLanguagesPage-other' );
 
 	// Initialization
-	this.languagesFieldset.$element.append(
-		$( '<span>' )
-			.text( ve.msg( 'visualeditor-dialog-meta-languages-readonlynote' ) )
-	);
+	this.languagesFieldset.addItems( [
+		new OO.ui.FieldLayout( this.linksWidget, {
+			align: 'top',
+			label: ve.msg( 'visualeditor-dialog-meta-languages-local-label' ),
+			help: ve.msg( 'visualeditor-dialog-meta-languages-local-help' ),
+			helpInline: true
+		} )
+	] );
+	this.languagesFieldset.$element.append( this.$otherLanguages );
 	this.$element.append( this.languagesFieldset.$element );
-
-	this.getAllLanguageItems().done( this.onLoadLanguageData.bind( this ) );
 };
 
 /* Inheritance */
 
 OO.inheritClass( ve.ui.MWLanguagesPage, OO.ui.PageLayout );
 
+/* Static Properties */
+
+/**
+ * Promise for the language interwikis of this wiki, see #getLanguageInterwikis
+ *
+ * @static
+ * @property {jQuery.Promise|null}
+ */
+ve.ui.MWLanguagesPage.static.interwikisPromise = null;
+
+/* Static Methods */
+
+/**
+ * Get the interwiki prefixes which can be used for interlanguage links.
+ *
+ * @static
+ * @return {jQuery.Promise} Promise resolving with interwikis from the interwiki map, keyed by
+ *  language code, each with the `url` of the wiki (containing `$1` for the title) and possibly its
+ *  `api` URL. Resolves with an empty object if the interwiki map can't be loaded, in which
+ *  case it is loaded again on the next call.
+ */
+ve.ui.MWLanguagesPage.static.getLanguageInterwikis = function () {
+	var page = this;
+
+	if ( !this.interwikisPromise ) {
+		this.interwikisPromise = ve.init.target.getContentApi().get( {
+			action: 'query',
+			meta: 'siteinfo',
+			siprop: 'interwikimap',
+			formatversion: 2
+		} ).then( function ( response ) {
+			var interwikis = {};
+			( ve.getProp( response, 'query', 'interwikimap' ) || [] ).forEach( function ( interwiki ) {
+				if ( interwiki.language ) {
+					interwikis[ interwiki.prefix ] = interwiki;
+				}
+			} );
+			return interwikis;
+		}, function () {
+			// Try again next time
+			page.interwikisPromise = null;
+			return ve.createDeferred().resolve( {} ).promise();
+		} );
+	}
+	return this.interwikisPromise;
+};
+
+/**
+ * Get the language and title an interlanguage link points to.
+ *
+ * @static
+ * @param {string} href URL of the link, as provided by Parsoid
+ * @param {Object.<string,Object>} interwikis Language interwikis, see #getLanguageInterwikis
+ * @return {Object|null} Object with the `lang` code and the `title`, or null if the link doesn't
+ *  match any language interwiki
+ */
+ve.ui.MWLanguagesPage.static.getLanguageItemFromHref = function ( href, interwikis ) {
+	var lang, parts, title;
+
+	function stripProtocol( url ) {
+		return url.replace( /^[a-z]+:(?=\/\/)/i, '' );
+	}
+
+	href = stripProtocol( href );
+	for ( lang in interwikis ) {
+		parts = stripProtocol( interwikis[ lang ].url ).split( '$1' );
+		if (
+			parts.length === 2 &&
+			href.length > parts[ 0 ].length + parts[ 1 ].length &&
+			href.indexOf( parts[ 0 ] ) === 0 &&
+			href.slice( href.length - parts[ 1 ].length ) === parts[ 1 ]
+		) {
+			title = href.slice( parts[ 0 ].length, href.length - parts[ 1 ].length );
+			try {
+				title = decodeURIComponent( title );
+			} catch ( e ) {}
+			return {
+				lang: lang,
+				title: title.replace( /_/g, ' ' )
+			};
+		}
+	}
+	return null;
+};
+
+/**
+ * Get the URL of an interlanguage link.
+ *
+ * @static
+ * @param {Object} item Object with the `lang` code and the `title`
+ * @param {Object.<string,Object>} interwikis Language interwikis, see #getLanguageInterwikis
+ * @return {string|null} URL of the link, or null if the language has no interwiki
+ */
+ve.ui.MWLanguagesPage.static.getHrefFromLanguageItem = function ( item, interwikis ) {
+	var interwiki = interwikis[ item.lang ];
+	if ( !interwiki ) {
+		return null;
+	}
+	return interwiki.url.replace( '$1', mw.util.wikiUrlencode( item.title.trim().replace( / /g, '_' ) ) );
+};
+
 /* Methods */
 
 /**
@@ -56,10 +164,30 @@ ve.ui.MWLanguagesPage.prototype.setOutlineItem = function () {
 	}
 };
 
+/**
+ * Show the interlanguage links which aren't stored in the page, e.g. those from Wikidata.
+ *
+ * @param {Object[]} languages Language items from the API, including local ones
+ */
 ve.ui.MWLanguagesPage.prototype.onLoadLanguageData = function ( languages ) {
-	var i,
+	var i, languageslength,
 		$languagesTable = $( '<table>' ),
-		languageslength = languages.length;
+		local = this.linksWidget.items.map( function ( item ) {
+			var value = item.getValue();
+			return value.lang + ':' + value.title;
+		} );
+
+	if ( !this.metaList ) {
+		// The dialog was closed in the meantime
+		return;
+	}
+	languages = languages.filter( function ( language ) {
+		return local.indexOf( language.lang + ':' + language.title ) === -1;
+	} );
+	languageslength = languages.length;
+	if ( !languageslength ) {
+		return;
+	}
 
 	$languagesTable
 		.addClass( 've-ui-mwLanguagesPage-languages-table' )
@@ -99,7 +227,10 @@ ve.ui.MWLanguagesPage.prototype.onLoadLanguageData = function ( languages ) {
 		);
 	}
 
-	this.languagesFieldset.$element.append( $languagesTable );
+	this.$otherLanguages.append(
+		$( '<span>' ).text( ve.msg( 'visualeditor-dialog-meta-languages-othernote' ) ),
+		$languagesTable
+	);
 };
 
 /**
@@ -128,35 +259,32 @@ ve.ui.MWLanguagesPage.prototype.onAllLanguageItemsSuccess = function ( deferred,
  * Gets language item from meta list item
  *
  * @param {ve.dm.MWLanguageMetaItem} metaItem
+ * @param {Object.<string,Object>} interwikis Language interwikis, see #getLanguageInterwikis
  * @return {Object} item
  */
-ve.ui.MWLanguagesPage.prototype.getLanguageItemFromMetaListItem = function ( metaItem ) {
-	// TODO: get real values from metaItem once Parsoid actually provides them - T50970
-	return {
-		lang: 'lang',
-		langname: 'langname',
-		title: 'title',
-		metaItem: metaItem
-	};
+ve.ui.MWLanguagesPage.prototype.getLanguageItemFromMetaListItem = function (
+	metaItem, interwikis
+) {
+	var href = metaItem.getAttribute( 'href' );
+
+	return ve.extendObject(
+		// Links to unknown wikis are kept as they are, and can only be removed
+		{ lang: '', title: href },
+		this.constructor.static.getLanguageItemFromHref( href, interwikis ),
+		{ metaItem: metaItem }
+	);
 };
 
 /**
  * Get array of language items from meta list
  *
+ * @param {Object.<string,Object>} interwikis Language interwikis, see #getLanguageInterwikis
  * @return {Object[]} items
  */
-ve.ui.MWLanguagesPage.prototype.getLocalLanguageItems = function () {
-	var i,
-		items = [],
-		languages = this.metaList.getItemsInGroup( 'mwLanguage' ),
-		languageslength = languages.length;
-
-	// Loop through MWLanguages and build out items
-
-	for ( i = 0; i < languageslength; i++ ) {
-		items.push( this.getLanguageItemFromMetaListItem( languages[ i ] ) );
-	}
-	return items;
+ve.ui.MWLanguagesPage.prototype.getLocalLanguageItems = function ( interwikis ) {
+	return this.metaItems.map( function ( metaItem ) {
+		return this.getLanguageItemFromMetaListItem( metaItem, interwikis );
+	}, this );
 };
 
 /**
@@ -186,6 +314,82 @@ ve.ui.MWLanguagesPage.prototype.getAllLanguageItems = function () {
  */
 ve.ui.MWLanguagesPage.prototype.onAllLanguageItemsError = function () {};
 
+/**
+ * Setup languages page.
+ *
+ * @param {ve.dm.MetaList} metaList Meta list
+ * @param {Object} [config] Configuration options
+ * @param {boolean} [config.isReadOnly] Dialog is in read-only mode
+ * @return {jQuery.Promise}
+ */
+ve.ui.MWLanguagesPage.prototype.setup = function ( metaList, config ) {
+	var page = this;
+
+	this.metaList = metaList;
+	this.metaItems = metaList.getItemsInGroup( 'mwLanguage' );
+	this.$otherLanguages.empty();
+
+	return this.constructor.static.getLanguageInterwikis().then( function ( interwikis ) {
+		var languages = ve.init.platform.getLanguageCodes().filter( function ( code ) {
+			return Object.prototype.hasOwnProperty.call( interwikis, code );
+		} ).sort();
+
+		page.interwikis = interwikis;
+		page.linksWidget.setLanguages( languages, interwikis );
+		page.linksWidget.addLinks( page.getLocalLanguageItems( interwikis ) );
+		page.linksWidget.setDisabled( config.isReadOnly || !languages.length );
+		page.getAllLanguageItems().done( page.onLoadLanguageData.bind( page ) );
+	} );
+};
+
+/**
+ * Tear down the page. This is called when the MWMetaDialog is torn down.
+ *
+ * Changed links replace their meta items, new links are inserted at the end of the meta list.
+ * Links without a title are discarded.
+ *
+ * @param {Object} [data] Dialog tear down data
+ */
+ve.ui.MWLanguagesPage.prototype.teardown = function ( data ) {
+	var page = this;
+
+	if ( data && data.action === 'done' ) {
+		this.linksWidget.getRemovedMetaItems( this.metaItems ).forEach( function ( metaItem ) {
+			metaItem.remove();
+		} );
+		this.linksWidget.items.forEach( function ( item ) {
+			var oldValue,
+				value = item.getValue(),
+				metaItem = item.getMetaItem(),
+				href = value.title &&
+					page.constructor.static.getHrefFromLanguageItem( value, page.interwikis );
+
+			if ( !metaItem ) {
+				if ( href ) {
+					page.metaList.insertMeta( { type: 'mwLanguage', attributes: { href: href } } );
+				}
+				return;
+			}
+			if ( !value.title ) {
+				metaItem.remove();
+				return;
+			}
+			oldValue = page.getLanguageItemFromMetaListItem( metaItem, page.interwikis );
+			if ( href && ( oldValue.lang !== value.lang || oldValue.title !== value.title ) ) {
+				metaItem.replaceWith(
+					ve.extendObject( true, {}, metaItem.getElement(), {
+						attributes: { href: href }
+					} )
+				);
+			}
+		} );
+	}
+
+	this.linksWidget.clearItems();
+	this.metaList = null;
+	this.metaItems = [];
+};
+
 ve.ui.MWLanguagesPage.prototype.getFieldsets = function () {
 	return [
 		this.languagesFieldset
@@ -38,6 +38,7 @@ ve.ui.MWParameterPage = function VeUiMWParameterPage( parameter, name, config )
 	this.defaultValue = parameter.getDefaultValue();
 	this.exampleValue = parameter.getExampleValue();
 
+	this.$overlay = config.$overlay;
 	this.$info = $( '<div>' );
 	this.$actions = $( '<div>' );
 	this.$labelElement = $( '<div>' );
@@ -51,7 +52,10 @@ ve.ui.MWParameterPage = function VeUiMWParameterPage( parameter, name, config )
 	// Note: Calling createValueInput() sets some properties we rely on later in this function
 	this.valueInput = this.createValueInput()
 		.setValue( this.parameter.getValue() )
-		.connect( this, { change: 'onValueInputChange' } );
+		.connect( this, {
+			change: 'onValueInputChange',
+			validityChange: 'updateWarningMessage'
+		} );
 
 	if ( config.readOnly && this.valueInput.setReadOnly ) {
 		this.valueInput.setReadOnly( true );
@@ -201,7 +205,10 @@ ve.ui.MWParameterPage = function VeUiMWParameterPage( parameter, name, config )
 		this.$labelElement.after( undocumentedLabel.$element );
 	}
 
-	if ( this.useSuggestedValues && this.parameter.getSuggestedValues().length ) {
+	if (
+		( this.useSuggestedValues && this.parameter.getSuggestedValues().length ) ||
+		this.isTypedValueInput()
+	) {
 		this.warningMessage = new OO.ui.MessageWidget( {
 			inline: true,
 			classes: [ 've-ui-mwParameterPage-warning' ]
@@ -294,8 +301,6 @@ ve.ui.MWParameterPage.prototype.createValueInput = function () {
 	delete valueInputConfig.validate;
 
 	// TODO:
-	// * date - T100206
-	// * number - T124850
 	// * unbalanced-wikitext/content - T106242
 	// * string? - T124917
 	if (
@@ -335,6 +340,20 @@ ve.ui.MWParameterPage.prototype.createValueInput = function () {
 		}, valueInputConfig, {
 			namespace: mw.config.get( 'wgNamespaceIds' ).template
 		} ) );
+	} else if (
+		type === 'date' &&
+		( value === '' || ve.ui.MWParameterDateInputWidget.static.detectFormat( value ) )
+	) {
+		return new ve.ui.MWParameterDateInputWidget( {
+			required: valueInputConfig.required,
+			$overlay: this.$overlay
+		} );
+	} else if (
+		type === 'number' &&
+		( value === '' || !isNaN( ve.init.platform.parseNumber( value.trim() ) ) ) &&
+		!( this.useSuggestedValues && this.parameter.getSuggestedValues().length )
+	) {
+		return new ve.ui.MWParameterNumberInputWidget( valueInputConfig );
 	} else if ( type === 'boolean' && ( value === '1' || value === '0' ) ) {
 		return new ve.ui.MWParameterCheckboxInputWidget( valueInputConfig );
 	} else if (
@@ -379,6 +398,57 @@ ve.ui.MWParameterPage.prototype.isSuggestedValueType = function ( type ) {
 	return [ 'unknown', 'content', 'line', 'string', 'number', 'unbalanced-wikitext' ].indexOf( type ) > -1;
 };
 
+/**
+ * Whether the value input only accepts values of a certain type, e.g. a date or a number
+ *
+ * @private
+ * @return {boolean}
+ */
+ve.ui.MWParameterPage.prototype.isTypedValueInput = function () {
+	return this.valueInput instanceof ve.ui.MWParameterDateInputWidget ||
+		this.valueInput instanceof ve.ui.MWParameterNumberInputWidget;
+};
+
+/**
+ * Get a warning about the current value, if any
+ *
+ * @private
+ * @param {string} value Current value
+ * @return {string|null} Warning message, null if the value is fine
+ */
+ve.ui.MWParameterPage.prototype.getValueWarning = function ( value ) {
+	if ( this.isTypedValueInput() && !this.valueInput.isValid() ) {
+		return ve.msg(
+			this.valueInput instanceof ve.ui.MWParameterDateInputWidget ?
+				'visualeditor-dialog-transclusion-date-warning' :
+				'visualeditor-dialog-transclusion-number-warning'
+		);
+	}
+	if (
+		this.useSuggestedValues &&
+		value &&
+		this.parameter.getSuggestedValues().length > 0 &&
+		this.parameter.getSuggestedValues().indexOf( value ) === -1
+	) {
+		return ve.msg( 'visualeditor-dialog-transclusion-suggestedvalues-warning' );
+	}
+	return null;
+};
+
+/**
+ * Show or hide the warning message for the current value
+ */
+ve.ui.MWParameterPage.prototype.updateWarningMessage = function () {
+	if ( !this.warningMessage ) {
+		return;
+	}
+	var warning = this.getValueWarning( this.valueInput.getValue() );
+	if ( warning ) {
+		this.warningMessage.setLabel( warning );
+	}
+	this.warningMessage.toggle( !!warning );
+};
+
 /**
  * @private
  * @return {boolean} True if there is either user-provided input or a default value
@@ -407,15 +477,7 @@ ve.ui.MWParameterPage.prototype.onValueInputChange = function () {
 		this.outlineItem.setFlags( { empty: !this.containsSomeValue() } );
 	}
 
-	if ( this.warningMessage ) {
-		var isNotSuggestedValue = value &&
-			this.parameter.getSuggestedValues().length > 0 &&
-			this.parameter.getSuggestedValues().indexOf( value ) === -1;
-		if ( isNotSuggestedValue ) {
-			this.warningMessage.setLabel( ve.msg( 'visualeditor-dialog-transclusion-suggestedvalues-warning' ) );
-		}
-		this.warningMessage.toggle( isNotSuggestedValue );
-	}
+	this.updateWarningMessage();
 };
 
 /**
@@ -439,8 +501,12 @@ ve.ui.MWParameterPage.prototype.onRawFallbackButtonClick = function () {
 		this.valueInput.$input.addClass( 've-ui-mwParameter-wikitextFallbackInput' );
 		this.rawValueInput = true;
 	}
-	this.valueInput.connect( this, { change: 'onValueInputChange' } );
-	this.$field.append( this.valueInput.$element );
+	this.valueInput.connect( this, {
+		change: 'onValueInputChange',
+		validityChange: 'updateWarningMessage'
+	} );
+	this.$field.prepend( this.valueInput.$element );
+	this.updateWarningMessage();
 };
 
 /**
@@ -33,6 +33,7 @@ ve.ui.MWTemplatePage = function VeUiMWTemplatePage( template, name, config ) {
 	// Properties
 	this.template = template;
 	this.spec = template.getSpec();
+	this.$overlay = config.$overlay;
 	this.$description = $( '<div>' )
 		.addClass( 've-ui-mwTemplatePage-description' );
 	this.infoFieldset = new OO.ui.FieldsetLayout( {
@@ -118,6 +119,20 @@ ve.ui.MWTemplatePage = function VeUiMWTemplatePage( template, name, config ) {
 		.append( this.infoFieldset.$element );
 
 	if ( !config.isReadOnly ) {
+		var sets = this.spec.getParameterSets(),
+			mapNames = Object.keys( this.spec.getMaps() );
+		if ( sets.length || mapNames.length ) {
+			var $tools = $( '<div>' )
+				.addClass( 've-ui-mwTemplatePage-tools' )
+				.appendTo( this.infoFieldset.$element );
+			if ( sets.length ) {
+				$tools.append( this.createParameterSetButton( sets ).$element );
+			}
+			if ( mapNames.length ) {
+				$tools.append( this.createParameterMapButton( mapNames ).$element );
+			}
+		}
+
 		if ( !veConfig.transclusionDialogBackButton &&
 			!veConfig.transclusionDialogNewSidebar
 		) {
@@ -173,6 +188,120 @@ ve.ui.MWTemplatePage.prototype.setOutlineItem = function () {
 	}
 };
 
+/**
+ * @private
+ * @param {Object[]} sets Parameter sets as returned by
+ *  {@see ve.dm.MWTemplateSpecModel#getParameterSets}
+ * @return {OO.ui.ButtonMenuSelectWidget}
+ */
+ve.ui.MWTemplatePage.prototype.createParameterSetButton = function ( sets ) {
+	var spec = this.spec,
+		button = new OO.ui.ButtonMenuSelectWidget( {
+			framed: false,
+			icon: 'parameter',
+			label: ve.msg( 'visualeditor-dialog-transclusion-add-parameter-set' ),
+			$overlay: this.$overlay,
+			menu: {
+				items: sets.map( function ( set, index ) {
+					return new OO.ui.MenuOptionWidget( {
+						data: index,
+						label: spec.getParameterSetLabel( set )
+					} );
+				} )
+			}
+		} );
+
+	button.getMenu().connect( this, { choose: 'onParameterSetChoose' } );
+	return button;
+};
+
+/**
+ * @private
+ * @param {string[]} mapNames Names of the maps as used in {@see ve.dm.MWTemplateSpecModel#getMaps}
+ * @return {OO.ui.PopupButtonWidget}
+ */
+ve.ui.MWTemplatePage.prototype.createParameterMapButton = function ( mapNames ) {
+	this.mapDropdown = new OO.ui.DropdownInputWidget( {
+		options: mapNames.map( function ( name ) {
+			return { data: name };
+		} ),
+		$overlay: this.$overlay
+	} );
+	this.mapSourceInput = new OO.ui.MultilineTextInputWidget( {
+		rows: 6,
+		classes: [ 've-ui-mwTemplatePage-mapSource' ]
+	} );
+	this.mapSourceField = new OO.ui.FieldLayout( this.mapSourceInput, {
+		align: 'top',
+		label: ve.msg( 'visualeditor-dialog-transclusion-fill-from-map-source' )
+	} );
+	var mapField = new OO.ui.FieldLayout( this.mapDropdown, {
+			align: 'top',
+			label: ve.msg( 'visualeditor-dialog-transclusion-fill-from-map-map' )
+		} ),
+		applyButton = new OO.ui.ButtonWidget( {
+			label: ve.msg( 'visualeditor-dialog-transclusion-fill-from-map-apply' ),
+			flags: [ 'progressive' ]
+		} );
+
+	applyButton.connect( this, { click: 'onParameterMapApply' } );
+	// Choosing between maps is pointless when there is only one
+	mapField.toggle( mapNames.length > 1 );
+
+	this.mapButton = new OO.ui.PopupButtonWidget( {
+		framed: false,
+		icon: 'edit',
+		label: ve.msg( 'visualeditor-dialog-transclusion-fill-from-map' ),
+		$overlay: this.$overlay,
+		popup: {
+			padded: true,
+			width: 350,
+			$content: $( '<div>' ).append(
+				mapField.$element,
+				this.mapSourceField.$element,
+				applyButton.$element
+			)
+		}
+	} );
+	return this.mapButton;
+};
+
+/**
+ * @private
+ * @param {OO.ui.MenuOptionWidget} item Chosen parameter set
+ */
+ve.ui.MWTemplatePage.prototype.onParameterSetChoose = function ( item ) {
+	// Allow the same set to be chosen again, e.g. after removing some of its parameters
+	item.getElementGroup().selectItem();
+	this.template.addParameterSet( item.getData() );
+	ve.track( 'activity.transclusion', { action: 'add-parameter-set' } );
+};
+
+/**
+ * @private
+ */
+ve.ui.MWTemplatePage.prototype.onParameterMapApply = function () {
+	var source;
+
+	try {
+		source = JSON.parse( this.mapSourceInput.getValue() );
+	} catch ( e ) {}
+
+	if ( !ve.isPlainObject( source ) ) {
+		this.mapSourceField.setErrors( [ ve.msg( 'visualeditor-dialog-transclusion-fill-from-map-invalid' ) ] );
+		return;
+	}
+	if ( !this.template.applyParameterMap( this.mapDropdown.getValue(), source ) ) {
+		this.mapSourceField.setErrors( [ ve.msg( 'visualeditor-dialog-transclusion-fill-from-map-no-match' ) ] );
+		return;
+	}
+
+	this.mapSourceField.setErrors( [] );
+	this.mapSourceInput.setValue( '' );
+	this.mapButton.getPopup().toggle( false );
+	ve.track( 'activity.transclusion', { action: 'fill-from-map' } );
+};
+
 ve.ui.MWTemplatePage.prototype.onRemoveButtonClick = function () {
 	this.template.remove();
 };
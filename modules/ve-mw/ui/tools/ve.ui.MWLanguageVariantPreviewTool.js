@@ -0,0 +1,107 @@
+/*!
+ * VisualEditor MediaWiki UserInterface language variant preview tool class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * MediaWiki UserInterface language variant preview tool.
+ *
+ * Toggles the target between editing the page and viewing it as it reads in
+ * a language variant, see ve.init.mw.ArticleTarget#setPreviewVariant.
+ *
+ * @class
+ * @extends ve.ui.Tool
+ *
+ * @constructor
+ * @param {OO.ui.ToolGroup} toolGroup
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWLanguageVariantPreviewTool = function VeUiMWLanguageVariantPreviewTool() {
+	// Parent constructor
+	ve.ui.MWLanguageVariantPreviewTool.super.apply( this, arguments );
+
+	// Events
+	this.toolbar.getTarget().connect( this, { previewVariant: 'onPreviewVariant' } );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWLanguageVariantPreviewTool, ve.ui.Tool );
+
+/* Static Properties */
+
+ve.ui.MWLanguageVariantPreviewTool.static.name = 'languageVariantPreview';
+ve.ui.MWLanguageVariantPreviewTool.static.group = 'utility';
+ve.ui.MWLanguageVariantPreviewTool.static.icon = 'language';
+ve.ui.MWLanguageVariantPreviewTool.static.title =
+	OO.ui.deferMsg( 'visualeditor-mwlanguagevariant-preview-tool' );
+ve.ui.MWLanguageVariantPreviewTool.static.autoAddToCatchall = false;
+ve.ui.MWLanguageVariantPreviewTool.static.autoAddToGroup = false;
+ve.ui.MWLanguageVariantPreviewTool.static.deactivateOnSelect = false;
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageVariantPreviewTool.prototype.onUpdateState = function () {
+	var target = this.toolbar.getTarget(),
+		surface = this.toolbar.getSurface();
+
+	// Parent method
+	ve.ui.MWLanguageVariantPreviewTool.super.prototype.onUpdateState.apply( this, arguments );
+
+	this.setActive( !!target.getPreviewVariant() );
+	// Variants can only be previewed in the visual mode, on wikis with variants
+	this.setDisabled(
+		!surface || surface.getMode() === 'source' ||
+		ve.ui.MWLanguageVariantPreviewWidget.static.getVariants().length < 2
+	);
+};
+
+/**
+ * Handle previewVariant events from the target.
+ *
+ * @param {string|null} variant Variant being previewed, if any
+ */
+ve.ui.MWLanguageVariantPreviewTool.prototype.onPreviewVariant = function ( variant ) {
+	this.setActive( !!variant );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageVariantPreviewTool.prototype.onSelect = function () {
+	var variants, userVariant,
+		target = this.toolbar.getTarget();
+
+	// Parent method
+	ve.ui.MWLanguageVariantPreviewTool.super.prototype.onSelect.apply( this, arguments );
+
+	if ( target.getPreviewVariant() ) {
+		target.setPreviewVariant( null );
+	} else {
+		variants = ve.ui.MWLanguageVariantPreviewWidget.static.getVariants();
+		userVariant = mw.config.get( 'wgUserVariant' );
+		// Start with a variant other than the one the page is being edited in
+		target.setPreviewVariant( variants.filter( function ( variant ) {
+			return variant !== userVariant;
+		} )[ 0 ] || variants[ 0 ] );
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageVariantPreviewTool.prototype.destroy = function () {
+	this.toolbar.getTarget().disconnect( this );
+
+	// Parent method
+	ve.ui.MWLanguageVariantPreviewTool.super.prototype.destroy.apply( this, arguments );
+};
+
+/* Registration */
+
+ve.ui.toolFactory.register( ve.ui.MWLanguageVariantPreviewTool );
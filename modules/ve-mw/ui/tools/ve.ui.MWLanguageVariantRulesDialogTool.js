@@ -0,0 +1,60 @@
+/*!
+ * VisualEditor MediaWiki UserInterface language variant rules dialog tool class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * MediaWiki UserInterface language variant rules dialog tool.
+ *
+ * @class
+ * @extends ve.ui.WindowTool
+ *
+ * @constructor
+ * @param {OO.ui.ToolGroup} toolGroup
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWLanguageVariantRulesDialogTool = function VeUiMWLanguageVariantRulesDialogTool() {
+	// Parent constructor
+	ve.ui.MWLanguageVariantRulesDialogTool.super.apply( this, arguments );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWLanguageVariantRulesDialogTool, ve.ui.WindowTool );
+
+/* Static Properties */
+
+ve.ui.MWLanguageVariantRulesDialogTool.static.name = 'languageVariantRules';
+ve.ui.MWLanguageVariantRulesDialogTool.static.group = 'utility';
+ve.ui.MWLanguageVariantRulesDialogTool.static.icon = 'language';
+ve.ui.MWLanguageVariantRulesDialogTool.static.title =
+	OO.ui.deferMsg( 'visualeditor-languagevariantrules-tool' );
+ve.ui.MWLanguageVariantRulesDialogTool.static.commandName = 'languageVariantRules';
+ve.ui.MWLanguageVariantRulesDialogTool.static.autoAddToCatchall = false;
+ve.ui.MWLanguageVariantRulesDialogTool.static.autoAddToGroup = false;
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageVariantRulesDialogTool.prototype.onUpdateState = function () {
+	// Parent method
+	ve.ui.MWLanguageVariantRulesDialogTool.super.prototype.onUpdateState.apply( this, arguments );
+
+	// Rules are only found in the visual mode's document
+	this.setDisabled( !this.toolbar.getSurface() || this.toolbar.getSurface().getMode() === 'source' );
+};
+
+/* Registration */
+
+ve.ui.toolFactory.register( ve.ui.MWLanguageVariantRulesDialogTool );
+
+ve.ui.commandRegistry.register(
+	new ve.ui.Command(
+		'languageVariantRules', 'window', 'open',
+		{ args: [ 'languageVariantRules' ] }
+	)
+);
@@ -0,0 +1,60 @@
+/*!
+ * VisualEditor MediaWiki UserInterface MWLinkReportDialogTool class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * MediaWiki UserInterface link report dialog tool.
+ *
+ * @class
+ * @extends ve.ui.WindowTool
+ *
+ * @constructor
+ * @param {OO.ui.ToolGroup} toolGroup
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWLinkReportDialogTool = function VeUiMWLinkReportDialogTool() {
+	// Parent constructor
+	ve.ui.MWLinkReportDialogTool.super.apply( this, arguments );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWLinkReportDialogTool, ve.ui.WindowTool );
+
+/* Static Properties */
+
+ve.ui.MWLinkReportDialogTool.static.name = 'linkReport';
+ve.ui.MWLinkReportDialogTool.static.group = 'utility';
+ve.ui.MWLinkReportDialogTool.static.icon = 'articleCheck';
+ve.ui.MWLinkReportDialogTool.static.title =
+	OO.ui.deferMsg( 'visualeditor-linkreport-tool' );
+ve.ui.MWLinkReportDialogTool.static.commandName = 'linkReport';
+ve.ui.MWLinkReportDialogTool.static.autoAddToCatchall = false;
+ve.ui.MWLinkReportDialogTool.static.autoAddToGroup = false;
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLinkReportDialogTool.prototype.onUpdateState = function () {
+	// Parent method
+	ve.ui.MWLinkReportDialogTool.super.prototype.onUpdateState.apply( this, arguments );
+
+	// Links are only found in the visual mode's document
+	this.setDisabled( !this.toolbar.getSurface() || this.toolbar.getSurface().getMode() === 'source' );
+};
+
+/* Registration */
+
+ve.ui.toolFactory.register( ve.ui.MWLinkReportDialogTool );
+
+ve.ui.commandRegistry.register(
+	new ve.ui.Command(
+		'linkReport', 'window', 'open',
+		{ args: [ 'linkReport' ] }
+	)
+);
@@ -0,0 +1,60 @@
+/*!
+ * VisualEditor MediaWiki UserInterface MWMagicLinksDialogTool class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * MediaWiki UserInterface magic links dialog tool.
+ *
+ * @class
+ * @extends ve.ui.WindowTool
+ *
+ * @constructor
+ * @param {OO.ui.ToolGroup} toolGroup
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWMagicLinksDialogTool = function VeUiMWMagicLinksDialogTool() {
+	// Parent constructor
+	ve.ui.MWMagicLinksDialogTool.super.apply( this, arguments );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWMagicLinksDialogTool, ve.ui.WindowTool );
+
+/* Static Properties */
+
+ve.ui.MWMagicLinksDialogTool.static.name = 'magicLinks';
+ve.ui.MWMagicLinksDialogTool.static.group = 'utility';
+ve.ui.MWMagicLinksDialogTool.static.icon = 'link';
+ve.ui.MWMagicLinksDialogTool.static.title =
+	OO.ui.deferMsg( 'visualeditor-magiclinks-tool' );
+ve.ui.MWMagicLinksDialogTool.static.commandName = 'magicLinks';
+ve.ui.MWMagicLinksDialogTool.static.autoAddToCatchall = false;
+ve.ui.MWMagicLinksDialogTool.static.autoAddToGroup = false;
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWMagicLinksDialogTool.prototype.onUpdateState = function () {
+	// Parent method
+	ve.ui.MWMagicLinksDialogTool.super.prototype.onUpdateState.apply( this, arguments );
+
+	// Magic links are only found in the visual mode's document
+	this.setDisabled( !this.toolbar.getSurface() || this.toolbar.getSurface().getMode() === 'source' );
+};
+
+/* Registration */
+
+ve.ui.toolFactory.register( ve.ui.MWMagicLinksDialogTool );
+
+ve.ui.commandRegistry.register(
+	new ve.ui.Command(
+		'magicLinks', 'window', 'open',
+		{ args: [ 'magicLinks' ] }
+	)
+);
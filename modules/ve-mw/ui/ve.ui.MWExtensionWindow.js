@@ -59,6 +59,18 @@ ve.ui.MWExtensionWindow.static.selfCloseEmptyBody = false;
  */
 ve.ui.MWExtensionWindow.static.dir = null;
 
+/**
+ * Check the structure of the extension's content, see ve.ui.MWAceEditorWidget.static#getStructureErrors
+ *
+ * Content with errors can't be applied. If the content input is a ve.ui.MWAceEditorWidget, the
+ * errors are also shown in its gutter.
+ *
+ * @static
+ * @property {string|null}
+ * @inheritable
+ */
+ve.ui.MWExtensionWindow.static.structureCheck = null;
+
 /* Methods */
 
 /**
@@ -109,6 +121,9 @@ ve.ui.MWExtensionWindow.prototype.getSetupProcess = function ( data, process ) {
 		dir = this.constructor.static.dir || data.dir;
 		this.input.setDir( dir );
 		this.input.setReadOnly( this.isReadOnly() );
+		if ( this.input instanceof ve.ui.MWAceEditorWidget && this.constructor.static.structureCheck ) {
+			this.input.setStructureCheck( this.constructor.static.structureCheck );
+		}
 
 		this.actions.setAbilities( { done: false } );
 		this.input.connect( this, { change: 'onChangeHandler' } );
@@ -138,7 +153,15 @@ ve.ui.MWExtensionWindow.prototype.getTeardownProcess = function ( data, process
  */
 ve.ui.MWExtensionWindow.prototype.getActionProcess = function ( action, process ) {
 	return process.first( function () {
+		var errors;
 		if ( action === 'done' ) {
+			errors = this.getInputErrors();
+			if ( errors.length ) {
+				return new OO.ui.Error(
+					ve.msg( 'visualeditor-extension-error-invalid', errors[ 0 ].message ),
+					{ recoverable: false }
+				);
+			}
 			if ( this.constructor.static.allowedEmpty || this.input.getValue() !== '' ) {
 				this.insertOrUpdateNode();
 			} else if ( this.selectedNode && !this.constructor.static.allowedEmpty ) {
@@ -150,6 +173,22 @@ ve.ui.MWExtensionWindow.prototype.getActionProcess = function ( action, process
 	}, this );
 };
 
+/**
+ * Get structural errors in the content input
+ *
+ * @return {Object[]} Errors, see ve.ui.MWAceEditorWidget.static#getStructureErrors
+ */
+ve.ui.MWExtensionWindow.prototype.getInputErrors = function () {
+	if ( this.input instanceof ve.ui.MWAceEditorWidget ) {
+		// The widget may have been configured with its own check
+		return this.input.getStructureErrors();
+	}
+	return ve.ui.MWAceEditorWidget.static.getStructureErrors(
+		this.input.getValue(),
+		this.constructor.static.structureCheck
+	);
+};
+
 /**
  * Handle change event.
  */
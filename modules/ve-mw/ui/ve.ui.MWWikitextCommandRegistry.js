@@ -216,6 +216,14 @@ ve.ui.wikitextCommandRegistry.register(
 		)
 	);
 
+	// Uses the same triggers as indenting lists in the visual editor
+	ve.ui.wikitextCommandRegistry.register(
+		new ve.ui.Command( 'indent', 'mwWikitext', 'indentLines', { supportedSelections: [ 'linear' ] } )
+	);
+	ve.ui.wikitextCommandRegistry.register(
+		new ve.ui.Command( 'outdent', 'mwWikitext', 'outdentLines', { supportedSelections: [ 'linear' ] } )
+	);
+
 }() );
 
 ve.ui.wikitextCommandRegistry.register(
@@ -247,6 +255,32 @@ ve.ui.wikitextCommandRegistry.register(
 	)
 );
 
+ve.ui.wikitextCommandRegistry.register(
+	new ve.ui.Command(
+		'mwWikitextTable', 'mwWikitext', 'convertToTable',
+		{ args: [ true ], supportedSelections: [ 'linear' ] }
+	)
+);
+ve.ui.triggerRegistry.register(
+	'mwWikitextTable', {
+		mac: new ve.ui.Trigger( 'cmd+alt+t' ),
+		pc: new ve.ui.Trigger( 'ctrl+alt+t' )
+	}
+);
+
+ve.ui.wikitextCommandRegistry.register(
+	new ve.ui.Command(
+		'mwWikitextTemplate', 'mwWikitext', 'wrapTemplate',
+		{ supportedSelections: [ 'linear' ] }
+	)
+);
+ve.ui.triggerRegistry.register(
+	'mwWikitextTemplate', {
+		mac: new ve.ui.Trigger( 'cmd+alt+shift+t' ),
+		pc: new ve.ui.Trigger( 'ctrl+alt+shift+t' )
+	}
+);
+
 ve.ui.wikitextCommandRegistry.register(
 	new ve.ui.Command( 'mwNonBreakingSpace', 'content', 'insert', {
 		args: [
@@ -29,6 +29,15 @@
  * 'live' (shows a list of suggestions as the user types)
  * @cfg {Array} [autocompleteWordList=null] List of words to
  * autocomplete to
+ * @cfg {boolean} [wikitextAutocomplete=false] Autocomplete page titles
+ * after `[[`, template names after `{{` and the parameters of templates
+ * inside template calls. Only works if autocomplete is enabled.
+ * @cfg {string|null} [structureCheck=null] Check the structure of the
+ * content and show errors in the gutter: 'json' for JSON syntax errors,
+ * 'wikitext' for unbalanced brackets and braces
+ * @cfg {boolean} [folding=false] Show widgets to fold blocks. Language
+ * modes without their own folding rules fold bracketed blocks, e.g.
+ * templates and links in wikitext.
  */
 ve.ui.MWAceEditorWidget = function VeUiMWAceEditorWidget( config ) {
 	// Configuration
@@ -36,6 +45,12 @@ ve.ui.MWAceEditorWidget = function VeUiMWAceEditorWidget( config ) {
 
 	this.autocomplete = config.autocomplete || 'none';
 	this.autocompleteWordList = config.autocompleteWordList || null;
+	this.wikitextAutocomplete = !!config.wikitextAutocomplete;
+	this.completionCache = {};
+	this.structureCheck = config.structureCheck || null;
+	this.folding = !!config.folding;
+	this.bracketFoldMode = null;
+	this.updateAnnotationsDebounced = ve.debounce( this.updateAnnotations.bind( this ), 250 );
 
 	this.$ace = $( '<div>' ).attr( 'dir', 'ltr' );
 	this.editor = null;
@@ -59,6 +74,222 @@ ve.ui.MWAceEditorWidget = function VeUiMWAceEditorWidget( config ) {
 
 OO.inheritClass( ve.ui.MWAceEditorWidget, ve.ui.WhitespacePreservingTextInputWidget );
 
+/* Static Methods */
+
+/**
+ * Find what can be autocompleted in wikitext at the end of some text
+ *
+ * @static
+ * @param {string} text Text before the cursor
+ * @return {Object|null} Context, or null if nothing can be completed
+ * @return {string} return.type Type of completion: 'link', 'template' or 'parameter'
+ * @return {string} return.prefix Text typed so far, which completions replace
+ * @return {string} [return.template] Template name, for parameters
+ * @return {string[]} [return.parameters] Names of parameters already used in the template call,
+ *  for parameters
+ */
+ve.ui.MWAceEditorWidget.static.getWikitextCompletionContext = function ( text ) {
+	var i, depth, start, content, segments, segment, matches;
+
+	if ( ( matches = text.match( /\[\[([^[\]{}|<>#\n]*)$/ ) ) ) {
+		return { type: 'link', prefix: matches[ 1 ] };
+	}
+	if ( ( matches = text.match( /(^|[^{])\{\{([^{}|<>#\n]*)$/ ) ) ) {
+		return { type: 'template', prefix: matches[ 2 ] };
+	}
+
+	// Find the start of the innermost template call which isn't closed yet
+	depth = 0;
+	start = -1;
+	for ( i = text.length - 2; i >= 0; i-- ) {
+		if ( text.slice( i, i + 2 ) === '}}' ) {
+			depth++;
+			i--;
+		} else if ( text.slice( i, i + 2 ) === '{{' ) {
+			if ( depth === 0 ) {
+				start = i;
+				break;
+			}
+			depth--;
+			i--;
+		}
+	}
+	// Skip template parameters, e.g. '{{{1|'
+	if ( start === -1 || text.charAt( start - 1 ) === '{' ) {
+		return null;
+	}
+
+	// Split the call into its name and parameters, ignoring pipes in nested links and templates
+	content = text.slice( start + 2 );
+	segments = [ '' ];
+	depth = 0;
+	for ( i = 0; i < content.length; i++ ) {
+		if ( content.slice( i, i + 2 ) === '{{' || content.slice( i, i + 2 ) === '[[' ) {
+			depth++;
+		} else if ( content.slice( i, i + 2 ) === '}}' || content.slice( i, i + 2 ) === ']]' ) {
+			depth--;
+		}
+		if ( content.charAt( i ) === '|' && depth <= 0 ) {
+			segments.push( '' );
+		} else {
+			segments[ segments.length - 1 ] += content.charAt( i );
+		}
+		if ( content.slice( i, i + 2 ) === '{{' || content.slice( i, i + 2 ) === '[[' ||
+			content.slice( i, i + 2 ) === '}}' || content.slice( i, i + 2 ) === ']]'
+		) {
+			segments[ segments.length - 1 ] += content.charAt( i + 1 );
+			i++;
+		}
+	}
+
+	segment = segments.pop().replace( /^\s+/, '' );
+	// Nothing to complete in parameter values
+	if ( segments.length === 0 || /[=\n{}[\]]/.test( segment ) ) {
+		return null;
+	}
+	return {
+		type: 'parameter',
+		prefix: segment,
+		template: segments[ 0 ].trim(),
+		parameters: segments.slice( 1 ).map( function ( parameter ) {
+			var index = parameter.indexOf( '=' );
+			return index === -1 ? null : parameter.slice( 0, index ).trim();
+		} ).filter( function ( name ) {
+			return name;
+		} )
+	};
+};
+
+/**
+ * Find the brackets and braces in wikitext, and which of them are paired
+ *
+ * Only double square brackets (links), double braces (templates) and triple braces (template
+ * parameters) are considered. Comments, nowiki and pre tags are skipped.
+ *
+ * @static
+ * @param {string} text Wikitext
+ * @return {Object} Brackets
+ * @return {Object[]} return.pairs Matching brackets, with the `bracket` and the `open` and `close`
+ *  offsets. Inner pairs come before the pairs containing them.
+ * @return {Object[]} return.unclosed Opening brackets which aren't closed, with the `bracket` and
+ *  its `offset`
+ * @return {Object[]} return.unopened Closing brackets which weren't opened, with the `bracket` and
+ *  its `offset`
+ */
+ve.ui.MWAceEditorWidget.static.scanBrackets = function ( text ) {
+	var i, c, length, size, remaining, top, offset,
+		closers = { '}': '{', ']': '[' },
+		stack = [],
+		pairs = [],
+		unopened = [];
+
+	// Blank out ignored text, so offsets stay the same
+	text = text.replace(
+		/<!--[\s\S]*?(-->|$)|<(nowiki|pre)(\s[^>/]*)?>[\s\S]*?(<\/\2\s*>|$)/gi,
+		function ( match ) {
+			return match.replace( /[^\n]/g, ' ' );
+		}
+	);
+
+	for ( i = 0; i < text.length; i += length ) {
+		c = text.charAt( i );
+		length = 1;
+		while ( text.charAt( i + length ) === c ) {
+			length++;
+		}
+		if ( c === '{' || c === '[' ) {
+			remaining = length;
+			offset = i;
+			// Single brackets are external links or plain text, and aren't checked
+			while ( remaining >= 2 ) {
+				// Triple braces are innermost, e.g. '{{{{{1}}}}}' is a template call of a parameter
+				size = c === '{' && remaining % 2 === 1 && remaining <= 3 ? 3 : 2;
+				stack.push( { bracket: new Array( size + 1 ).join( c ), offset: offset } );
+				offset += size;
+				remaining -= size;
+			}
+		} else if ( closers[ c ] ) {
+			remaining = length;
+			offset = i;
+			while ( remaining >= 2 ) {
+				top = stack[ stack.length - 1 ];
+				if ( !top || top.bracket.charAt( 0 ) !== closers[ c ] || top.bracket.length > remaining ) {
+					break;
+				}
+				stack.pop();
+				pairs.push( { bracket: top.bracket, open: top.offset, close: offset } );
+				offset += top.bracket.length;
+				remaining -= top.bracket.length;
+			}
+			if ( remaining >= 2 ) {
+				unopened.push( { bracket: text.slice( offset, offset + remaining ), offset: offset } );
+			}
+		}
+	}
+
+	return {
+		pairs: pairs,
+		unclosed: stack,
+		unopened: unopened
+	};
+};
+
+/**
+ * Find structural errors in text
+ *
+ * @static
+ * @param {string} text Text
+ * @param {string|null} type Type of check: 'json' for JSON syntax errors, 'wikitext' for unbalanced
+ *  brackets and braces
+ * @return {Object[]} Errors, with the `offset` they were found at and a `message`, in order
+ */
+ve.ui.MWAceEditorWidget.static.getStructureErrors = function ( text, type ) {
+	var brackets, errors, matches, offset;
+
+	if ( type === 'json' ) {
+		// Empty content is handled by the windows using the widget
+		if ( !text.trim() ) {
+			return [];
+		}
+		try {
+			JSON.parse( text );
+			return [];
+		} catch ( e ) {
+			// Browsers describe where the error is in different ways
+			if ( ( matches = e.message.match( /position (\d+)/ ) ) ) {
+				offset = +matches[ 1 ];
+			} else if ( ( matches = e.message.match( /line (\d+) column (\d+)/ ) ) ) {
+				offset = text.split( '\n' ).slice( 0, matches[ 1 ] - 1 ).join( '\n' ).length +
+					( matches[ 1 ] > 1 ? 1 : 0 ) + ( matches[ 2 ] - 1 );
+			} else {
+				offset = text.length;
+			}
+			return [ {
+				offset: Math.min( offset, text.length ),
+				message: ve.msg( 'visualeditor-aceeditor-error-json', e.message )
+			} ];
+		}
+	}
+	if ( type === 'wikitext' ) {
+		brackets = this.scanBrackets( text );
+		errors = brackets.unclosed.map( function ( bracket ) {
+			return {
+				offset: bracket.offset,
+				message: ve.msg( 'visualeditor-aceeditor-error-unclosed', bracket.bracket )
+			};
+		} ).concat( brackets.unopened.map( function ( bracket ) {
+			return {
+				offset: bracket.offset,
+				message: ve.msg( 'visualeditor-aceeditor-error-unopened', bracket.bracket )
+			};
+		} ) );
+		return errors.sort( function ( a, b ) {
+			return a.offset - b.offset;
+		} );
+	}
+	return [];
+};
+
 /* Events */
 
 /**
@@ -103,7 +334,8 @@ ve.ui.MWAceEditorWidget.prototype.teardown = function () {
  * @fires resize
  */
 ve.ui.MWAceEditorWidget.prototype.setupEditor = function () {
-	var completer, widget = this,
+	var langTools, widget = this,
+		completers = [],
 		basePath = mw.config.get( 'wgExtensionAssetsPath', '' );
 
 	if ( basePath.slice( 0, 2 ) === '//' ) {
@@ -122,7 +354,7 @@ ve.ui.MWAceEditorWidget.prototype.setupEditor = function () {
 		enableLiveAutocompletion: this.autocomplete === 'live'
 	} );
 	if ( this.autocompleteWordList ) {
-		completer = {
+		completers.push( {
 			getCompletions: function ( editor, session, pos, prefix, callback ) {
 				var wordList = widget.autocompleteWordList;
 				callback( null, wordList.map( function ( word ) {
@@ -133,13 +365,29 @@ ve.ui.MWAceEditorWidget.prototype.setupEditor = function () {
 					};
 				} ) );
 			}
-		};
-		ace.require( 'ace/ext/language_tools' ).addCompleter( completer );
+		} );
+	}
+	if ( this.wikitextAutocomplete ) {
+		completers.push( this.getWikitextCompleter() );
 	}
+	if ( completers.length ) {
+		langTools = ace.require( 'ace/ext/language_tools' );
+		// Only set the completers for this editor, langTools#addCompleter would add them to all editors
+		this.editor.completers = completers.concat( langTools.textCompleter, langTools.keyWordCompleter );
+	}
+
+	// Structure checks replace the language mode's own checks, which run in a worker
+	this.editor.setOptions( {
+		useWorker: !this.structureCheck,
+		showFoldWidgets: this.folding
+	} );
 
 	this.editor.getSession().on( 'change', this.onEditorChange.bind( this ) );
+	this.editor.getSession().on( 'changeMode', this.onEditorChangeMode.bind( this ) );
 	this.editor.renderer.on( 'resize', this.onEditorResize.bind( this ) );
 	this.setEditorValue( this.getValue() );
+	this.onEditorChangeMode();
+	this.updateAnnotations();
 	this.editor.resize();
 };
 
@@ -154,7 +402,7 @@ ve.ui.MWAceEditorWidget.prototype.setAutocomplete = function ( mode ) {
 	var widget = this;
 	this.autocomplete = mode;
 	this.loadingPromise.done( function () {
-		widget.editor.renderer.setOptions( {
+		widget.editor.setOptions( {
 			enableBasicAutocompletion: widget.autocomplete !== 'none',
 			enableLiveAutocompletion: widget.autocomplete === 'live'
 		} );
@@ -162,6 +410,280 @@ ve.ui.MWAceEditorWidget.prototype.setAutocomplete = function ( mode ) {
 	return this;
 };
 
+/**
+ * Get an Ace completer for page titles, template names and template parameters
+ *
+ * @private
+ * @return {Object} Ace completer
+ */
+ve.ui.MWAceEditorWidget.prototype.getWikitextCompleter = function () {
+	var completer,
+		widget = this,
+		Range = ace.require( 'ace/range' ).Range;
+
+	function getContext( session, pos ) {
+		return widget.constructor.static.getWikitextCompletionContext(
+			session.getTextRange( new Range( 0, 0, pos.row, pos.column ) )
+		);
+	}
+
+	completer = {
+		getCompletions: function ( editor, session, pos, prefix, callback ) {
+			var context = getContext( session, pos );
+			if ( !context ) {
+				callback( null, [] );
+				return;
+			}
+			widget.getWikitextCompletions( context ).then( function ( completions ) {
+				callback( null, completions.map( function ( completion ) {
+					return ve.extendObject( { completer: completer }, completion );
+				} ) );
+			}, function () {
+				callback( null, [] );
+			} );
+		},
+		insertMatch: function ( editor, data ) {
+			var pos = editor.getCursorPosition(),
+				context = getContext( editor.getSession(), pos ),
+				// Completions replace all of the text typed so far, not just the last word
+				length = context ? context.prefix.length : 0;
+			editor.getSession().replace(
+				new Range( pos.row, pos.column - length, pos.row, pos.column ),
+				data.value
+			);
+		}
+	};
+	return completer;
+};
+
+/**
+ * Get completions for the text typed so far in wikitext
+ *
+ * @param {Object} context Completion context, see #getWikitextCompletionContext
+ * @return {jQuery.Promise} Promise resolved with a list of Ace completions
+ */
+ve.ui.MWAceEditorWidget.prototype.getWikitextCompletions = function ( context ) {
+	var key = JSON.stringify( context ),
+		cache = this.completionCache;
+
+	if ( !cache[ key ] ) {
+		if ( context.type === 'parameter' ) {
+			cache[ key ] = this.getParameterCompletions( context.template, context.parameters );
+		} else {
+			cache[ key ] = this.getTitleCompletions( context.type, context.prefix );
+		}
+		cache[ key ].fail( function () {
+			delete cache[ key ];
+		} );
+	}
+	return cache[ key ];
+};
+
+/**
+ * Get completions for page titles or template names
+ *
+ * @private
+ * @param {string} type 'link' or 'template'
+ * @param {string} prefix Beginning of the title
+ * @return {jQuery.Promise} Promise resolved with a list of Ace completions
+ */
+ve.ui.MWAceEditorWidget.prototype.getTitleCompletions = function ( type, prefix ) {
+	var templateNs = mw.config.get( 'wgNamespaceIds' ).template,
+		// Links to categories and files start with a colon
+		colon = type === 'link' && prefix.charAt( 0 ) === ':' ? ':' : '',
+		search = prefix.slice( colon.length ).trim();
+
+	if ( !search ) {
+		return ve.createDeferred().resolve( [] ).promise();
+	}
+	return ve.init.target.getContentApi().get( {
+		action: 'query',
+		list: 'prefixsearch',
+		pssearch: search,
+		psnamespace: type === 'template' ? templateNs : undefined,
+		pslimit: 10
+	} ).then( function ( response ) {
+		var pages = ve.getProp( response, 'query', 'prefixsearch' ) || [];
+		return pages.map( function ( page, i ) {
+			var title = mw.Title.newFromText( page.title );
+			return {
+				caption: page.title,
+				value: type === 'template' && title && title.getNamespaceId() === templateNs ?
+					title.getMainText() :
+					colon + page.title,
+				// The following messages are used here:
+				// * visualeditor-aceeditor-completion-link
+				// * visualeditor-aceeditor-completion-template
+				meta: ve.msg( 'visualeditor-aceeditor-completion-' + type ),
+				// Keep the order of the search results
+				score: pages.length - i
+			};
+		} );
+	} );
+};
+
+/**
+ * Get completions for the parameters of a template, from its TemplateData
+ *
+ * @private
+ * @param {string} name Template name
+ * @param {string[]} usedParameters Parameters already used in the template call, which aren't
+ *  suggested again
+ * @return {jQuery.Promise} Promise resolved with a list of Ace completions
+ */
+ve.ui.MWAceEditorWidget.prototype.getParameterCompletions = function ( name, usedParameters ) {
+	return mw.loader.using( 'ext.visualEditor.mwtransclusion' ).then( function () {
+		var transclusion = new ve.dm.MWTransclusionModel(),
+			template = ve.dm.MWTemplateModel.newFromName( transclusion, name );
+
+		if ( !template ) {
+			return [];
+		}
+		// Adding the template fetches its TemplateData
+		return transclusion.addPart( template ).then( function () {
+			var spec = template.getSpec(),
+				names = spec.getCanonicalParameterOrder();
+
+			return names.filter( function ( parameter ) {
+				return usedParameters.every( function ( used ) {
+					return spec.getPrimaryParameterName( used ) !== parameter;
+				} ) && !spec.isParameterDeprecated( parameter );
+			} ).map( function ( parameter, i ) {
+				var required = spec.isParameterRequired( parameter ),
+					label = spec.getParameterLabel( parameter ),
+					description = spec.getParameterDescription( parameter );
+				return {
+					caption: parameter,
+					value: parameter + '=',
+					// The following messages are used here:
+					// * visualeditor-aceeditor-completion-parameter
+					// * visualeditor-aceeditor-completion-parameter-required
+					meta: ve.msg( 'visualeditor-aceeditor-completion-parameter' + ( required ? '-required' : '' ) ),
+					docText: [ label !== parameter ? label : '', description || '' ].join( '\n\n' ).trim() ||
+						undefined,
+					// Suggest required parameters first, then in the documented order
+					score: ( required ? 2 : 1 ) * names.length - i
+				};
+			} );
+		} );
+	} );
+};
+
+/**
+ * Set the structure check
+ *
+ * @param {string|null} type Type of check, see #getStructureErrors
+ * @return {ve.ui.MWAceEditorWidget}
+ * @chainable
+ */
+ve.ui.MWAceEditorWidget.prototype.setStructureCheck = function ( type ) {
+	var widget = this;
+	this.structureCheck = type;
+	this.loadingPromise.done( function () {
+		widget.editor.setOption( 'useWorker', !widget.structureCheck );
+		widget.updateAnnotations();
+	} );
+	return this;
+};
+
+/**
+ * Get structural errors in the content, using the configured structure check
+ *
+ * @return {Object[]} Errors, see ve.ui.MWAceEditorWidget.static#getStructureErrors
+ */
+ve.ui.MWAceEditorWidget.prototype.getStructureErrors = function () {
+	return this.constructor.static.getStructureErrors( this.getValue(), this.structureCheck );
+};
+
+/**
+ * Show the structural errors in the content as annotations in the gutter
+ */
+ve.ui.MWAceEditorWidget.prototype.updateAnnotations = function () {
+	var session;
+	if ( !this.editor ) {
+		// Torn down before a debounced update
+		return;
+	}
+	session = this.editor.getSession();
+	session.setAnnotations( this.getStructureErrors().map( function ( error ) {
+		var pos = session.getDocument().indexToPosition( error.offset );
+		return {
+			row: pos.row,
+			column: pos.column,
+			text: error.message,
+			type: 'error'
+		};
+	} ) );
+};
+
+/**
+ * Get an Ace fold mode for folding blocks between brackets
+ *
+ * @private
+ * @return {Object} Ace fold mode
+ */
+ve.ui.MWAceEditorWidget.prototype.getBracketFoldMode = function () {
+	var value, blocks,
+		widget = this,
+		Range = ace.require( 'ace/range' ).Range;
+
+	function getBlocks( session ) {
+		var doc = session.getDocument();
+		if ( session.getValue() !== value ) {
+			value = session.getValue();
+			// Outer blocks come first, so they are folded from lines where several blocks start
+			blocks = widget.constructor.static.scanBrackets( value ).pairs.reverse().map( function ( pair ) {
+				return {
+					start: doc.indexToPosition( pair.open + pair.bracket.length ),
+					end: doc.indexToPosition( pair.close )
+				};
+			} ).filter( function ( block ) {
+				return block.end.row > block.start.row;
+			} );
+		}
+		return blocks;
+	}
+
+	function getBlock( session, row ) {
+		var i, allBlocks = getBlocks( session );
+		for ( i = 0; i < allBlocks.length; i++ ) {
+			if ( allBlocks[ i ].start.row === row ) {
+				return allBlocks[ i ];
+			}
+		}
+		return null;
+	}
+
+	return {
+		getFoldWidget: function ( session, foldStyle, row ) {
+			return getBlock( session, row ) ? 'start' : '';
+		},
+		getFoldWidgetRange: function ( session, foldStyle, row ) {
+			var block = getBlock( session, row );
+			return block ?
+				new Range( block.start.row, block.start.column, block.end.row, block.end.column ) :
+				null;
+		}
+	};
+};
+
+/**
+ * Toggle the fold widgets
+ *
+ * @param {boolean} folding
+ * @return {ve.ui.MWAceEditorWidget}
+ * @chainable
+ */
+ve.ui.MWAceEditorWidget.prototype.toggleFolding = function ( folding ) {
+	var widget = this;
+	this.folding = folding;
+	this.loadingPromise.done( function () {
+		widget.editor.setOption( 'showFoldWidgets', folding );
+		widget.onEditorChangeMode();
+	} );
+	return this;
+};
+
 /**
  * @inheritdoc
  */
@@ -312,6 +834,23 @@ ve.ui.MWAceEditorWidget.prototype.selectRange = function ( from, to ) {
 ve.ui.MWAceEditorWidget.prototype.onEditorChange = function () {
 	// Call setValue on the parent to keep the value property in sync with the editor
 	ve.ui.MWAceEditorWidget.super.prototype.setValue.call( this, this.editor.getValue() );
+	if ( this.structureCheck ) {
+		this.updateAnnotationsDebounced();
+	}
+};
+
+/**
+ * Handle changeMode events from the Ace editor's session
+ */
+ve.ui.MWAceEditorWidget.prototype.onEditorChangeMode = function () {
+	var session = this.editor.getSession();
+	if ( this.folding && !session.getMode().foldingRules ) {
+		if ( !this.bracketFoldMode ) {
+			this.bracketFoldMode = this.getBracketFoldMode();
+		}
+		// Ace has no public method for setting folding rules other than the mode's
+		session.$setFolding( this.bracketFoldMode );
+	}
 };
 
 /**
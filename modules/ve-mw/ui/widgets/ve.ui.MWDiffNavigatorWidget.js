@@ -0,0 +1,445 @@
+/*!
+ * VisualEditor UserInterface MWDiffNavigatorWidget class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Navigator for the changes in a visual diff.
+ *
+ * Lists the sections of the new document which contain changes, and allows to step through the
+ * changes one by one. Changes are mapped back to the ranges of the new document the diff found
+ * them in, so that they can be shown in the editing surface when the new document is the one being
+ * edited, and reverted if a reverter is given.
+ *
+ * @class
+ * @extends OO.ui.Widget
+ *
+ * @constructor
+ * @param {ve.ui.DiffElement} diffElement Rendered visual diff
+ * @param {ve.dm.VisualDiff} visualDiff Visual diff rendered by the diff element
+ * @param {Object} [config] Configuration options
+ * @cfg {boolean} [jumpable=false] The new document is the one being edited, so changes can be
+ *  shown there
+ * @cfg {ve.dm.MWChangeReverter} [reverter] Reverter for the document being edited, to allow
+ *  reverting individual changes
+ */
+ve.ui.MWDiffNavigatorWidget = function VeUiMWDiffNavigatorWidget(
+	diffElement, visualDiff, config
+) {
+	var navigator = this,
+		doc = visualDiff.newDoc;
+
+	config = config || {};
+
+	// Parent constructor
+	ve.ui.MWDiffNavigatorWidget.super.call( this, config );
+
+	// Properties
+	this.diffElement = diffElement;
+	this.doc = doc;
+	this.jumpable = !!config.jumpable;
+	this.reverter = config.reverter || null;
+	this.$changes = this.constructor.static.getChangeElements( diffElement.$document );
+	this.changes = this.constructor.static.getChanges(
+		doc,
+		this.$changes.toArray(),
+		diffElement.$document.children( '.ve-ui-diffElement-doc-child-change' ).toArray(),
+		this.constructor.static.getDiffRanges( visualDiff )
+	);
+	this.sections = this.constructor.static.getSections( this.changes );
+	this.currentIndex = -1;
+
+	this.previousButton = new OO.ui.ButtonWidget( {
+		icon: 'collapse',
+		title: ve.msg( 'visualeditor-diffnavigator-previous' )
+	} );
+	this.nextButton = new OO.ui.ButtonWidget( {
+		icon: 'expand',
+		title: ve.msg( 'visualeditor-diffnavigator-next' )
+	} );
+	this.revertButton = new OO.ui.ButtonWidget( {
+		icon: 'undo',
+		label: ve.msg( 'visualeditor-diffnavigator-revert' ),
+		title: ve.msg( 'visualeditor-diffnavigator-revert-tooltip' )
+	} ).toggle( !!this.reverter );
+	this.revertFailedMessage = new OO.ui.MessageWidget( {
+		type: 'warning',
+		inline: true,
+		label: ve.msg( 'visualeditor-diffnavigator-revert-failed' )
+	} ).toggle( false );
+	this.positionLabel = new OO.ui.LabelWidget( {
+		classes: [ 've-ui-mwDiffNavigatorWidget-position' ]
+	} );
+	this.$sections = $( '<ul>' ).addClass( 've-ui-mwDiffNavigatorWidget-sections' );
+
+	// Events
+	this.previousButton.connect( this, { click: [ 'selectRelativeChange', -1 ] } );
+	this.nextButton.connect( this, { click: [ 'selectRelativeChange', 1 ] } );
+	this.revertButton.connect( this, { click: 'onRevertClick' } );
+	diffElement.$document.on( 'click', this.onDocumentClick.bind( this ) );
+
+	// Initialization
+	this.sections.forEach( function ( section ) {
+		var button = new OO.ui.ButtonWidget( {
+			framed: false,
+			flags: [ 'progressive' ],
+			label: section.heading ?
+				doc.data.getText( false, section.heading.getRange() ).trim() :
+				ve.msg( 'visualeditor-diffnavigator-lead' )
+		} );
+		button.on( 'click', function () {
+			navigator.selectChange( section.changes[ 0 ] );
+		} );
+		section.$item = $( '<li>' ).append(
+			button.$element,
+			$( '<span>' )
+				.addClass( 've-ui-mwDiffNavigatorWidget-count' )
+				.text( ve.msg( 'visualeditor-diffnavigator-changes', section.changes.length ) )
+		);
+		navigator.$sections.append( section.$item );
+	} );
+	if ( this.jumpable ) {
+		this.changes.forEach( function ( change ) {
+			if ( navigator.getJumpRange( change ) ) {
+				$( change.element )
+					.addClass( 've-ui-mwDiffNavigatorWidget-jumpable' )
+					.attr( 'title', ve.msg( 'visualeditor-diffnavigator-jump' ) );
+			}
+		} );
+	}
+	this.$element
+		.addClass( 've-ui-mwDiffNavigatorWidget' )
+		.append(
+			$( '<div>' ).addClass( 've-ui-mwDiffNavigatorWidget-bar' ).append(
+				this.previousButton.$element,
+				this.nextButton.$element,
+				this.positionLabel.$element,
+				this.revertButton.$element,
+				this.revertFailedMessage.$element
+			),
+			this.$sections
+		);
+	this.toggle( this.changes.length > 0 );
+	this.updateState();
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWDiffNavigatorWidget, OO.ui.Widget );
+
+/* Events */
+
+/**
+ * @event jump
+ * @param {ve.Range} range Range in the new document to select
+ * Emitted when the user asks to see a change in the document being edited
+ */
+
+/**
+ * @event revert
+ * Emitted when a change has been reverted in the document being edited
+ */
+
+/* Static Methods */
+
+/**
+ * Get the elements marking changes in a rendered diff
+ *
+ * Changes nested within other changes are not included, and changes to inline content are
+ * represented by the block containing them.
+ *
+ * @static
+ * @param {jQuery} $document Rendered diff, see ve.ui.DiffElement#$document
+ * @return {jQuery} Change elements in document order
+ */
+ve.ui.MWDiffNavigatorWidget.static.getChangeElements = function ( $document ) {
+	var selector = '[data-diff-action]:not([data-diff-action="none"])',
+		elements = [];
+
+	$document.find( selector ).each( function () {
+		var node = this;
+		if ( $( node.parentNode ).closest( selector ).length ) {
+			return;
+		}
+		while ( !ve.isBlockElement( node ) && node.parentNode !== $document[ 0 ] ) {
+			node = node.parentNode;
+		}
+		if ( elements.indexOf( node ) === -1 ) {
+			elements.push( node );
+		}
+	} );
+	return $( elements );
+};
+
+/**
+ * Get the ranges in the new document of the changed children of the document node
+ *
+ * Removed children are given a collapsed range where they used to be.
+ *
+ * @static
+ * @param {ve.dm.VisualDiff} visualDiff Visual diff
+ * @return {ve.Range[]} Ranges, in the order the changes are rendered in
+ */
+ve.ui.MWDiffNavigatorWidget.static.getDiffRanges = function ( visualDiff ) {
+	var oldIndex = 0,
+		docDiff = visualDiff.diff.docDiff,
+		removed = docDiff.remove.slice().sort( function ( a, b ) {
+			return a - b;
+		} ),
+		newChildren = visualDiff.newDocChildren,
+		ranges = [];
+
+	function addRemovals( untilIndex, offset ) {
+		removed.forEach( function ( index ) {
+			if ( index >= oldIndex && index < untilIndex ) {
+				ranges.push( new ve.Range( offset ) );
+			}
+		} );
+	}
+
+	newChildren.forEach( function ( node, newIndex ) {
+		var match = docDiff.newToOld[ newIndex ],
+			range = node.getOuterRange();
+
+		if ( !match ) {
+			ranges.push( range );
+			return;
+		}
+		addRemovals( match.node, range.start );
+		// Moved children can be matched out of order
+		oldIndex = Math.max( oldIndex, match.node + 1 );
+		if ( docDiff.oldToNew[ match.node ].diff ) {
+			ranges.push( range );
+		}
+	} );
+	addRemovals(
+		Infinity,
+		newChildren.length ? newChildren[ newChildren.length - 1 ].getOuterRange().end : 0
+	);
+
+	return ranges;
+};
+
+/**
+ * Find changes in the new document, and the headings of the sections they are in
+ *
+ * Each changed child of the document node is rendered in its own wrapper, so change elements
+ * are given the range of the child rendered in theirs. Changes which don't
+ * belong to a child of the document node, e.g. changes to references, are assumed to be in the
+ * same section as the previous change (or the next one, if there is none).
+ *
+ * @static
+ * @param {ve.dm.Document} doc New document of the diff
+ * @param {HTMLElement[]} elements Change elements, see #getChangeElements
+ * @param {HTMLElement[]} wrappers Wrappers of the changed children of the document node
+ * @param {ve.Range[]} ranges Ranges of the changed children of the document node, see
+ *  #getDiffRanges
+ * @return {Object[]} Changes, with the `element`, the `range` in the document (or null if not
+ *  known), and the `heading` node of the section (or null for the lead section)
+ */
+ve.ui.MWDiffNavigatorWidget.static.getChanges = function ( doc, elements, wrappers, ranges ) {
+	var headings = doc.getNodesByType( 'mwHeading' ).sort( function ( a, b ) {
+		return a.getOuterRange().start - b.getOuterRange().start;
+	} );
+
+	function findHeading( range ) {
+		var heading = null;
+		headings.some( function ( node ) {
+			if ( node.getOuterRange().start > range.start ) {
+				return true;
+			}
+			heading = node;
+			return false;
+		} );
+		return heading;
+	}
+
+	var changes = elements.map( function ( element ) {
+		var index = wrappers.indexOf( $( element ).closest( $( wrappers ) )[ 0 ] ),
+			range = ranges[ index ] || null;
+		return {
+			element: element,
+			range: range,
+			heading: range ? findHeading( range ) : null
+		};
+	} );
+
+	var lastFound = null;
+	changes.forEach( function ( change ) {
+		if ( change.range ) {
+			lastFound = change;
+		} else if ( lastFound ) {
+			change.heading = lastFound.heading;
+		}
+	} );
+	lastFound = null;
+	changes.slice().reverse().forEach( function ( change ) {
+		if ( change.range ) {
+			lastFound = change;
+		} else if ( lastFound && !change.heading ) {
+			change.heading = lastFound.heading;
+		}
+	} );
+
+	return changes;
+};
+
+/**
+ * Group changes by section
+ *
+ * @static
+ * @param {Object[]} changes Changes, see #getChanges
+ * @return {Object[]} Sections in order of their first change, with the `heading` node (or null for
+ *  the lead section) and the indexes of their `changes`
+ */
+ve.ui.MWDiffNavigatorWidget.static.getSections = function ( changes ) {
+	var sections = [];
+
+	changes.forEach( function ( change, index ) {
+		var section = sections.filter( function ( s ) {
+			return s.heading === change.heading;
+		} )[ 0 ];
+		if ( !section ) {
+			section = { heading: change.heading, changes: [] };
+			sections.push( section );
+		}
+		section.changes.push( index );
+	} );
+
+	return sections;
+};
+
+/* Methods */
+
+/**
+ * Get the range to select in the document being edited to show a change
+ *
+ * @param {Object} change Change, see #getChanges
+ * @return {ve.Range|null} Range of the change, or of its section heading if it isn't known
+ */
+ve.ui.MWDiffNavigatorWidget.prototype.getJumpRange = function ( change ) {
+	var offset = -1;
+
+	if ( !this.jumpable ) {
+		return null;
+	}
+	if ( change.range && !change.range.isCollapsed() ) {
+		return change.range;
+	}
+	if ( change.range ) {
+		// Removed content, show where it used to be
+		offset = this.doc.data.getNearestContentOffset( change.range.start );
+	}
+	return offset !== -1 ? new ve.Range( offset ) :
+		( change.heading && change.heading.getOuterRange() ) || null;
+};
+
+/**
+ * Get the transactions which made a change
+ *
+ * @param {Object} change Change, see #getChanges
+ * @return {number[]} Indexes of the transactions, see ve.dm.MWChangeReverter#findTransactions
+ */
+ve.ui.MWDiffNavigatorWidget.prototype.getRevertTransactions = function ( change ) {
+	if ( !this.reverter ) {
+		return [];
+	}
+	if ( !change.transactions ) {
+		change.transactions = this.reverter.findTransactions( change.range );
+	}
+	return change.transactions;
+};
+
+/**
+ * Handle click events on the revert button
+ *
+ * @fires revert
+ */
+ve.ui.MWDiffNavigatorWidget.prototype.onRevertClick = function () {
+	var change = this.changes[ this.currentIndex ];
+
+	if ( this.reverter.revert( this.getRevertTransactions( change ) ) ) {
+		this.emit( 'revert' );
+	} else {
+		this.revertButton.setDisabled( true );
+		this.revertFailedMessage.toggle( true );
+	}
+};
+
+/**
+ * Handle click events on the rendered diff
+ *
+ * @param {jQuery.Event} e Click event
+ * @fires jump
+ */
+ve.ui.MWDiffNavigatorWidget.prototype.onDocumentClick = function ( e ) {
+	// Links open in a new window, leave them alone
+	if ( $( e.target ).closest( 'a' ).length ) {
+		return;
+	}
+	var index = this.$changes.index( $( e.target ).closest( this.$changes ) );
+	if ( index === -1 ) {
+		return;
+	}
+	this.selectChange( index, true );
+	var range = this.getJumpRange( this.changes[ index ] );
+	if ( range ) {
+		this.emit( 'jump', range );
+	}
+};
+
+/**
+ * Select the change before or after the current one
+ *
+ * @param {number} offset -1 for the previous change, 1 for the next one
+ */
+ve.ui.MWDiffNavigatorWidget.prototype.selectRelativeChange = function ( offset ) {
+	this.selectChange( Math.max( 0, this.currentIndex + offset ) );
+};
+
+/**
+ * Select a change and scroll it into view
+ *
+ * @param {number} index Index of the change
+ * @param {boolean} [noScroll] Don't scroll, e.g. because the change was clicked
+ */
+ve.ui.MWDiffNavigatorWidget.prototype.selectChange = function ( index, noScroll ) {
+	if ( index < 0 || index >= this.changes.length ) {
+		return;
+	}
+	if ( this.currentIndex !== -1 ) {
+		this.$changes.eq( this.currentIndex ).removeClass( 've-ui-mwDiffNavigatorWidget-current' );
+	}
+	this.currentIndex = index;
+	this.$changes.eq( index ).addClass( 've-ui-mwDiffNavigatorWidget-current' );
+	if ( !noScroll ) {
+		OO.ui.Element.static.scrollIntoView( this.changes[ index ].element, {
+			padding: { top: 60 }
+		} );
+	}
+	this.updateState();
+};
+
+/**
+ * Update the buttons and labels for the current change
+ */
+ve.ui.MWDiffNavigatorWidget.prototype.updateState = function () {
+	var current = this.changes[ this.currentIndex ];
+
+	this.previousButton.setDisabled( this.currentIndex <= 0 );
+	this.nextButton.setDisabled( this.currentIndex >= this.changes.length - 1 );
+	this.revertButton.setDisabled( !current || !this.getRevertTransactions( current ).length );
+	this.revertFailedMessage.toggle( false );
+	this.positionLabel.setLabel( current ?
+		ve.msg( 'visualeditor-diffnavigator-position', this.currentIndex + 1, this.changes.length ) :
+		ve.msg( 'visualeditor-diffnavigator-changes', this.changes.length )
+	);
+	this.sections.forEach( function ( section ) {
+		section.$item.toggleClass(
+			've-ui-mwDiffNavigatorWidget-currentSection',
+			!!current && section.heading === current.heading
+		);
+	} );
+};
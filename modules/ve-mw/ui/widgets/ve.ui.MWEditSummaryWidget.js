@@ -6,7 +6,10 @@
 
 /**
  * Multi line text input for edit summary, with auto completion based on
- * the user's previous edit summaries.
+ * the user's previous edit summaries and saved summary snippets.
+ *
+ * When the input is empty, an automatic summary of the changes (see #setAutoSummary) and the
+ * saved snippets are suggested.
  *
  * @class
  * @extends OO.ui.MultilineTextInputWidget
@@ -30,12 +33,13 @@ ve.ui.MWEditSummaryWidget = function VeUiMWEditSummaryWidget( config ) {
 	// Mixin method
 	OO.ui.mixin.LookupElement.call( this, ve.extendObject( {
 		showPendingRequest: false,
-		showSuggestionsOnFocus: false,
-		allowSuggestionsWhenEmpty: false,
+		showSuggestionsOnFocus: true,
+		allowSuggestionsWhenEmpty: true,
 		highlightFirst: false
 	}, config ) );
 
 	this.limit = config.limit || 6;
+	this.autoSummary = '';
 };
 
 /* Inheritance */
@@ -44,10 +48,34 @@ OO.inheritClass( ve.ui.MWEditSummaryWidget, OO.ui.MultilineTextInputWidget );
 
 OO.mixinClass( ve.ui.MWEditSummaryWidget, OO.ui.mixin.LookupElement );
 
+/* Events */
+
+/**
+ * The saved summary snippets changed
+ *
+ * @event snippetsChange
+ */
+
 /* Static properties */
 
 ve.ui.MWEditSummaryWidget.static.summarySplitter = /^(\/\*.*?\*\/\s*)?(.*)$/;
 
+/**
+ * User config key the saved summary snippets are stored under
+ *
+ * @static
+ * @property {string}
+ */
+ve.ui.MWEditSummaryWidget.static.snippetsConfigKey = 'visualeditor-summarysnippets';
+
+/**
+ * Maximum number of saved summary snippets, the oldest ones are dropped first
+ *
+ * @static
+ * @property {number}
+ */
+ve.ui.MWEditSummaryWidget.static.maxSnippets = 20;
+
 /* Static methods */
 
 /**
@@ -160,21 +188,95 @@ ve.ui.MWEditSummaryWidget.prototype.getSummaries = function () {
 	return this.getSummariesPromise;
 };
 
+/**
+ * Set the automatic summary of the changes, to be suggested when the input is empty
+ *
+ * @param {string} autoSummary Summary, or empty string to suggest none
+ */
+ve.ui.MWEditSummaryWidget.prototype.setAutoSummary = function ( autoSummary ) {
+	this.autoSummary = autoSummary;
+	this.lookupCache = {};
+};
+
+/**
+ * Get the saved summary snippets of the logged in user
+ *
+ * @return {string[]} Summary snippets, most recently saved last
+ */
+ve.ui.MWEditSummaryWidget.prototype.getSnippets = function () {
+	var snippets = ve.init.platform.getUserConfig( this.constructor.static.snippetsConfigKey );
+	return Array.isArray( snippets ) ? snippets : [];
+};
+
+/**
+ * Check if a summary is saved as a snippet
+ *
+ * @param {string} summary Summary, a section prefix is ignored
+ * @return {boolean}
+ */
+ve.ui.MWEditSummaryWidget.prototype.hasSnippet = function ( summary ) {
+	var comment = this.constructor.static.splitSummary( summary ).comment.trim();
+	return this.getSnippets().indexOf( comment ) !== -1;
+};
+
+/**
+ * Save or remove a summary snippet
+ *
+ * @param {string} summary Summary, a section prefix is ignored
+ * @param {boolean} [save] Save the snippet, remove it if false. Toggles if omitted.
+ * @fires snippetsChange
+ */
+ve.ui.MWEditSummaryWidget.prototype.toggleSnippet = function ( summary, save ) {
+	var comment = this.constructor.static.splitSummary( summary ).comment.trim(),
+		snippets = this.getSnippets().filter( function ( snippet ) {
+			return snippet !== comment;
+		} );
+
+	if ( !comment ) {
+		return;
+	}
+	if ( save === undefined ) {
+		save = !this.hasSnippet( comment );
+	}
+	if ( save ) {
+		snippets.push( comment );
+		snippets = snippets.slice( -this.constructor.static.maxSnippets );
+	}
+	ve.init.platform.setUserConfig( this.constructor.static.snippetsConfigKey, snippets );
+	this.lookupCache = {};
+	this.emit( 'snippetsChange' );
+};
+
 /**
  * @inheritdoc
  */
 ve.ui.MWEditSummaryWidget.prototype.getLookupRequest = function () {
 	var query = this.constructor.static.splitSummary( this.value ),
 		limit = this.limit,
+		autoSummary = this.autoSummary,
+		snippets = this.getSnippets().slice().reverse(),
 		widget = this;
 
+	if ( !query.comment.trim() ) {
+		return ve.createDeferred().resolve( {
+			auto: autoSummary ? [ autoSummary ] : [],
+			snippets: snippets.slice( 0, limit ),
+			summaries: [],
+			section: query.section
+		} ).promise( { abort: function () {} } );
+	}
+
 	return this.getSummaries().then( function ( allSummaries ) {
-		var matchingSummaries = widget.constructor.static.getMatchingSummaries( allSummaries, query.comment );
-		if ( matchingSummaries.length > limit ) {
+		var getMatchingSummaries = widget.constructor.static.getMatchingSummaries,
+			matchingSnippets = getMatchingSummaries( snippets, query.comment ).slice( 0, limit ),
+			matchingSummaries = getMatchingSummaries( allSummaries, query.comment ).filter( function ( summary ) {
+				return matchingSnippets.indexOf( summary ) === -1;
+			} );
+		if ( matchingSummaries.length > limit - matchingSnippets.length ) {
 			// Quick in-place truncate
-			matchingSummaries.length = limit;
+			matchingSummaries.length = limit - matchingSnippets.length;
 		}
-		return { summaries: matchingSummaries, section: query.section };
+		return { auto: [], snippets: matchingSnippets, summaries: matchingSummaries, section: query.section };
 	} ).promise( { abort: function () {} } ); // don't abort, the actual request will be the same anyway
 };
 
@@ -189,10 +291,26 @@ ve.ui.MWEditSummaryWidget.prototype.getLookupCacheDataFromResponse = function (
  * @inheritdoc
  */
 ve.ui.MWEditSummaryWidget.prototype.getLookupMenuOptionsFromData = function ( data ) {
-	return data.summaries.map( function ( item ) {
-		return new OO.ui.MenuOptionWidget( {
-			label: item,
-			data: data.section + item
+	var items = [],
+		hasHeaders = data.auto.length || data.snippets.length;
+
+	function addItems( summaries, sectionLabel ) {
+		if ( !summaries.length ) {
+			return;
+		}
+		if ( hasHeaders ) {
+			items.push( new OO.ui.MenuSectionOptionWidget( { label: sectionLabel } ) );
+		}
+		summaries.forEach( function ( item ) {
+			items.push( new OO.ui.MenuOptionWidget( {
+				label: item,
+				data: data.section + item
+			} ) );
 		} );
-	} );
+	}
+
+	addItems( data.auto, ve.msg( 'visualeditor-editsummary-suggestions-auto' ) );
+	addItems( data.snippets, ve.msg( 'visualeditor-editsummary-suggestions-snippets' ) );
+	addItems( data.summaries, ve.msg( 'visualeditor-editsummary-suggestions-recent' ) );
+	return items;
 };
@@ -27,7 +27,8 @@ ve.ui.MWGalleryGroupWidget = function VeUiMWGalleryGroupWidget( config ) {
 
 	// Events
 	this.aggregate( {
-		edit: 'editItem'
+		edit: 'editItem',
+		select: 'selectItem'
 	} );
 };
 
@@ -42,3 +43,51 @@ OO.mixinClass( ve.ui.MWGalleryGroupWidget, OO.ui.mixin.DraggableGroupElement );
 /**
  * @event editItem
  */
+
+/**
+ * @event selectItem
+ * @param {ve.ui.MWGalleryItemWidget} item
+ * @param {boolean} range
+ */
+
+/* Methods */
+
+/**
+ * Get the selected items
+ *
+ * @return {ve.ui.MWGalleryItemWidget[]} Selected items, in gallery order
+ */
+ve.ui.MWGalleryGroupWidget.prototype.getSelectedItems = function () {
+	return this.items.filter( function ( item ) {
+		return item.selected;
+	} );
+};
+
+/**
+ * Select items, and deselect all others
+ *
+ * @param {ve.ui.MWGalleryItemWidget[]} items Items to select
+ */
+ve.ui.MWGalleryGroupWidget.prototype.selectItems = function ( items ) {
+	this.items.forEach( function ( item ) {
+		item.toggleSelected( items.indexOf( item ) !== -1 );
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWGalleryGroupWidget.prototype.reorder = function ( item, newIndex ) {
+	var index,
+		selectedItems = this.getSelectedItems();
+
+	// Mixin method
+	OO.ui.mixin.DraggableGroupElement.prototype.reorder.call( this, item, newIndex );
+
+	if ( item.selected && selectedItems.length > 1 ) {
+		// Move the other selected items along with the dragged one, keeping their order
+		index = selectedItems.indexOf( item );
+		this.addItems( selectedItems.slice( 0, index ), this.items.indexOf( item ) );
+		this.addItems( selectedItems.slice( index + 1 ), this.items.indexOf( item ) + 1 );
+	}
+};
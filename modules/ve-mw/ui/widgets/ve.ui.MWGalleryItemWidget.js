@@ -24,7 +24,9 @@ ve.ui.MWGalleryItemWidget = function VeUiMWGalleryItemWidget( imageInfo, config
 	this.width = imageInfo.width;
 	this.thumbUrl = imageInfo.thumbUrl;
 	this.captionDocument = imageInfo.captionDocument;
+	this.href = imageInfo.href || null;
 	this.highlighted = false;
+	this.selected = false;
 	this.tagName = imageInfo.tagName;
 
 	// Configuration initialization
@@ -64,13 +66,29 @@ OO.mixinClass( ve.ui.MWGalleryItemWidget, OO.ui.mixin.TabIndexedElement );
  * @event edit
  */
 
+/**
+ * The item was clicked with a modifier key, to add it to or remove it from the selection
+ *
+ * @event select
+ * @param {ve.ui.MWGalleryItemWidget} item
+ * @param {boolean} range Select all items between the last one clicked and this one
+ */
+
 /* Methods */
 
 /**
  * Handle clicking on an item
+ *
+ * @param {jQuery.Event} e Click event
+ * @fires edit
+ * @fires select
  */
-ve.ui.MWGalleryItemWidget.prototype.onItemClick = function () {
-	this.emit( 'edit', this );
+ve.ui.MWGalleryItemWidget.prototype.onItemClick = function ( e ) {
+	if ( e.ctrlKey || e.metaKey || e.shiftKey ) {
+		this.emit( 'select', this, e.shiftKey );
+	} else {
+		this.emit( 'edit', this );
+	}
 };
 
 /**
@@ -81,7 +99,7 @@ ve.ui.MWGalleryItemWidget.prototype.onItemClick = function () {
  */
 ve.ui.MWGalleryItemWidget.prototype.onItemKeyPress = function ( e ) {
 	if ( e.which === OO.ui.Keys.ENTER ) {
-		this.emit( 'edit', this );
+		this.onItemClick( e );
 		return false;
 	}
 };
@@ -104,6 +122,15 @@ ve.ui.MWGalleryItemWidget.prototype.setAltText = function ( altText ) {
 	this.altText = altText;
 };
 
+/**
+ * Set the href property
+ *
+ * @param {string|null} href Link target, or null to link to the file description page
+ */
+ve.ui.MWGalleryItemWidget.prototype.setHref = function ( href ) {
+	this.href = href;
+};
+
 /**
  * Toggle highlighted class
  *
@@ -113,3 +140,13 @@ ve.ui.MWGalleryItemWidget.prototype.toggleHighlighted = function ( highlighted )
 	highlighted = highlighted !== undefined ? highlighted : !this.highlighted;
 	this.$element.toggleClass( 've-ui-mwGalleryDialog-image-container-highlighted', !!highlighted );
 };
+
+/**
+ * Toggle selected class
+ *
+ * @param {boolean} [selected] The item is selected
+ */
+ve.ui.MWGalleryItemWidget.prototype.toggleSelected = function ( selected ) {
+	this.selected = selected !== undefined ? !!selected : !this.selected;
+	this.$element.toggleClass( 've-ui-mwGalleryDialog-image-container-selected', this.selected );
+};
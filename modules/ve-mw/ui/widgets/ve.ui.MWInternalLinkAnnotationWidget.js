@@ -45,16 +45,54 @@ ve.ui.MWInternalLinkAnnotationWidget.static.getTextFromAnnotation = function ( a
 	return annotation ? annotation.getAttribute( 'normalizedTitle' ) : '';
 };
 
+/**
+ * Get the section anchors of the page a link points to
+ *
+ * @static
+ * @param {string} title Title of the page, with or without a fragment, empty for the current page
+ * @param {ve.dm.Document} [doc] Current document, to get the anchors of links to the current
+ *  page from, as its sections might have been edited
+ * @return {jQuery.Promise} Promise resolved with the anchors in the parser's format (see
+ *  ve.init.mw.SectionCache), or null if the page doesn't exist or its anchors are unknown
+ */
+ve.ui.MWInternalLinkAnnotationWidget.static.getAnchors = function ( title, doc ) {
+	var getLookupTitle = ve.dm.MWInternalLinkAnnotation.static.getLookupTitle,
+		pageName = ve.init.target.getPageName( doc ),
+		lookupTitle = getLookupTitle( title.replace( /#.*$/, '' ).trim() || pageName );
+
+	if ( doc && lookupTitle === getLookupTitle( pageName ) ) {
+		return ve.createDeferred().resolve(
+			ve.dm.MWInternalLinkAnnotation.static.getDocumentAnchors( doc )
+		).promise();
+	}
+	return ve.init.platform.sectionCache.get( lookupTitle ).then( function ( data ) {
+		return data.missing ? null : data.anchors;
+	} );
+};
+
+/**
+ * Check if a fragment is one of a page's anchors
+ *
+ * @static
+ * @param {string[]} anchors Anchors, see #static-getAnchors
+ * @param {string} fragment Fragment of a link
+ * @return {boolean}
+ */
+ve.ui.MWInternalLinkAnnotationWidget.static.hasAnchor = function ( anchors, fragment ) {
+	var normalizeAnchor = ve.init.mw.SectionCache.static.normalizeAnchor;
+	return anchors.map( normalizeAnchor ).indexOf( normalizeAnchor( fragment ) ) !== -1;
+};
+
 /* Methods */
 
 /**
  * Create a text input widget to be used by the annotation widget
  *
  * @param {Object} [config] Configuration options
- * @return {OO.ui.TextInputWidget} Text input widget
+ * @return {ve.ui.MWLinkTitleSearchWidget} Text input widget
  */
 ve.ui.MWInternalLinkAnnotationWidget.prototype.createInputWidget = function ( config ) {
-	var input = new mw.widgets.TitleSearchWidget( ve.extendObject( {
+	var input = new ve.ui.MWLinkTitleSearchWidget( ve.extendObject( {
 		icon: 'search',
 		excludeCurrentPage: true,
 		showImages: mw.config.get( 'wgVisualEditorConfig' ).usePageImages,
@@ -0,0 +1,206 @@
+/*!
+ * VisualEditor UserInterface MWLanguageLinkWidget class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Widget for editing a single local interlanguage link.
+ *
+ * @class
+ * @extends OO.ui.Widget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {Object} [item] Language item, with the `lang` code, the `title` of the linked page and the
+ *  `metaItem` it was loaded from, if any
+ * @cfg {string[]} [languages] Language codes to choose from
+ * @cfg {Object.<string,Object>} [interwikis] Language interwikis from the interwiki map, keyed by
+ *  language code, used to check the linked page exists on the target wiki
+ * @cfg {jQuery} [$overlay] Overlay to render the language dropdown in
+ */
+ve.ui.MWLanguageLinkWidget = function VeUiMWLanguageLinkWidget( config ) {
+	var item, languages;
+
+	config = config || {};
+	item = config.item || {};
+	languages = config.languages || [];
+	if ( item.lang && languages.indexOf( item.lang ) === -1 ) {
+		// The link might be to a language that isn't offered
+		languages = [ item.lang ].concat( languages );
+	}
+
+	// Parent constructor
+	ve.ui.MWLanguageLinkWidget.super.call( this, config );
+
+	// Properties
+	this.metaItem = item.metaItem || null;
+	// Links to wikis which aren't in the interwiki map can only be removed
+	this.isUnknown = !!this.metaItem && !item.lang;
+	this.interwikis = config.interwikis || {};
+	this.languageInput = new OO.ui.DropdownInputWidget( {
+		options: languages.map( function ( code ) {
+			return {
+				data: code,
+				label: ve.msg(
+					'visualeditor-dialog-meta-languages-option',
+					code,
+					ve.init.platform.getLanguageName( code )
+				)
+			};
+		} ),
+		$overlay: config.$overlay,
+		classes: [ 've-ui-mwLanguageLinkWidget-language' ]
+	} );
+	this.titleInput = new OO.ui.TextInputWidget( {
+		placeholder: ve.msg( 'visualeditor-dialog-meta-languages-link-placeholder' ),
+		validate: this.validateTitle.bind( this ),
+		classes: [ 've-ui-mwLanguageLinkWidget-title' ]
+	} );
+	// The title input validates itself when it changes, but needs to be validated again
+	// when the wiki to check it on changes
+	this.setTitleValidityFlagDebounced = ve.debounce(
+		this.titleInput.setValidityFlag.bind( this.titleInput ), 250
+	);
+	this.removeButton = new OO.ui.ButtonWidget( {
+		framed: false,
+		icon: 'trash',
+		title: ve.msg( 'visualeditor-dialog-meta-languages-remove' ),
+		flags: [ 'destructive' ],
+		classes: [ 've-ui-mwLanguageLinkWidget-remove' ]
+	} );
+
+	// Events
+	this.languageInput.connect( this, { change: 'onLanguageChange' } );
+	this.titleInput.connect( this, { change: [ 'emit', 'change' ] } );
+	this.removeButton.connect( this, { click: [ 'emit', 'remove', this ] } );
+
+	// Initialization
+	if ( item.lang ) {
+		this.languageInput.setValue( item.lang );
+	}
+	this.titleInput.setValue( item.title || '' );
+	this.setDisabled( this.isDisabled() );
+	this.$element
+		.addClass( 've-ui-mwLanguageLinkWidget' )
+		.append(
+			this.languageInput.$element,
+			this.titleInput.$element,
+			this.removeButton.$element
+		);
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWLanguageLinkWidget, OO.ui.Widget );
+
+/* Events */
+
+/**
+ * The language or title has changed
+ *
+ * @event change
+ */
+
+/**
+ * The remove button was clicked
+ *
+ * @event remove
+ * @param {ve.ui.MWLanguageLinkWidget} widget
+ */
+
+/* Methods */
+
+/**
+ * Handle change events from the language input.
+ *
+ * @fires change
+ */
+ve.ui.MWLanguageLinkWidget.prototype.onLanguageChange = function () {
+	this.setTitleValidityFlagDebounced();
+	this.emit( 'change' );
+};
+
+/**
+ * Check the title is valid, and exists on the wiki of the selected language if it can be queried.
+ *
+ * @param {string} value Title
+ * @return {boolean|jQuery.Promise} The title is valid, or a promise resolving with that
+ */
+ve.ui.MWLanguageLinkWidget.prototype.validateTitle = function ( value ) {
+	var interwiki = this.interwikis[ this.languageInput.getValue() ];
+
+	if ( !value.trim() ) {
+		// Empty links are discarded when the dialog closes
+		return true;
+	}
+	// Foreign titles can't be fully validated locally, but these characters are never allowed
+	if ( /[#<>[\]|{}]/.test( value ) ) {
+		return false;
+	}
+	if ( !interwiki || !interwiki.api ) {
+		return true;
+	}
+	return new mw.ForeignApi( interwiki.api, { anonymous: true } ).get( {
+		action: 'query',
+		titles: value.trim(),
+		formatversion: 2
+	} ).then( function ( response ) {
+		var page = ve.getProp( response, 'query', 'pages', 0 );
+		return !!page && !page.missing && !page.invalid;
+	}, function () {
+		// Don't complain about titles we couldn't check
+		return ve.createDeferred().resolve( true ).promise();
+	} );
+};
+
+/**
+ * Get the link's language code and title.
+ *
+ * @return {Object} Language item, with the `lang` code and the `title` of the linked page
+ */
+ve.ui.MWLanguageLinkWidget.prototype.getValue = function () {
+	if ( this.isUnknown ) {
+		return {
+			lang: '',
+			title: this.titleInput.getValue()
+		};
+	}
+	return {
+		lang: this.languageInput.getValue(),
+		title: this.titleInput.getValue().trim()
+	};
+};
+
+/**
+ * Get the meta item the link was loaded from.
+ *
+ * @return {ve.dm.MWLanguageMetaItem|null}
+ */
+ve.ui.MWLanguageLinkWidget.prototype.getMetaItem = function () {
+	return this.metaItem;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageLinkWidget.prototype.setDisabled = function ( disabled ) {
+	// Parent method
+	ve.ui.MWLanguageLinkWidget.super.prototype.setDisabled.call( this, disabled );
+
+	if ( this.languageInput ) {
+		this.languageInput.setDisabled( this.isDisabled() || this.isUnknown );
+		this.titleInput.setDisabled( this.isDisabled() || this.isUnknown );
+		this.removeButton.setDisabled( this.isDisabled() );
+	}
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageLinkWidget.prototype.focus = function () {
+	this.titleInput.focus();
+	return this;
+};
@@ -0,0 +1,153 @@
+/*!
+ * VisualEditor UserInterface MWLanguageLinksWidget class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Widget for editing the local interlanguage links of a page.
+ *
+ * @class
+ * @extends OO.ui.Widget
+ * @mixins OO.ui.mixin.GroupElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {jQuery} [$overlay] Overlay to render dropdowns in
+ */
+ve.ui.MWLanguageLinksWidget = function VeUiMWLanguageLinksWidget( config ) {
+	config = config || {};
+
+	// Parent constructor
+	ve.ui.MWLanguageLinksWidget.super.call( this, config );
+
+	// Mixin constructors
+	OO.ui.mixin.GroupElement.call( this, config );
+
+	// Properties
+	this.$overlay = config.$overlay;
+	this.languages = [];
+	this.interwikis = {};
+	this.addButton = new OO.ui.ButtonWidget( {
+		framed: false,
+		icon: 'add',
+		flags: [ 'progressive' ],
+		label: ve.msg( 'visualeditor-dialog-meta-languages-add' )
+	} );
+
+	// Events
+	this.aggregate( {
+		change: 'itemChange',
+		remove: 'itemRemove'
+	} );
+	this.connect( this, {
+		itemChange: [ 'emit', 'change' ],
+		itemRemove: 'onItemRemove'
+	} );
+	this.addButton.connect( this, { click: 'onAddButtonClick' } );
+
+	// Initialization
+	this.$element
+		.addClass( 've-ui-mwLanguageLinksWidget' )
+		.append( this.$group, this.addButton.$element );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWLanguageLinksWidget, OO.ui.Widget );
+
+OO.mixinClass( ve.ui.MWLanguageLinksWidget, OO.ui.mixin.GroupElement );
+
+/* Events */
+
+/**
+ * A link was added, removed or changed
+ *
+ * @event change
+ */
+
+/* Methods */
+
+/**
+ * Set the languages which can be linked to.
+ *
+ * @param {string[]} languages Language codes
+ * @param {Object.<string,Object>} interwikis Language interwikis from the interwiki map, keyed by
+ *  language code
+ */
+ve.ui.MWLanguageLinksWidget.prototype.setLanguages = function ( languages, interwikis ) {
+	this.languages = languages;
+	this.interwikis = interwikis;
+};
+
+/**
+ * Add links.
+ *
+ * @param {Object[]} items Language items, see ve.ui.MWLanguageLinkWidget
+ * @fires change
+ */
+ve.ui.MWLanguageLinksWidget.prototype.addLinks = function ( items ) {
+	this.addItems( items.map( function ( item ) {
+		return new ve.ui.MWLanguageLinkWidget( {
+			item: item,
+			languages: this.languages,
+			interwikis: this.interwikis,
+			$overlay: this.$overlay,
+			disabled: this.isDisabled()
+		} );
+	}, this ) );
+	this.emit( 'change' );
+};
+
+/**
+ * Handle click events from the add button.
+ *
+ * @fires change
+ */
+ve.ui.MWLanguageLinksWidget.prototype.onAddButtonClick = function () {
+	this.addLinks( [ {} ] );
+	this.items[ this.items.length - 1 ].focus();
+};
+
+/**
+ * Handle remove events from links.
+ *
+ * @param {ve.ui.MWLanguageLinkWidget} item
+ * @fires change
+ */
+ve.ui.MWLanguageLinksWidget.prototype.onItemRemove = function ( item ) {
+	this.removeItems( [ item ] );
+	this.emit( 'change' );
+};
+
+/**
+ * Get the meta items of links which were removed.
+ *
+ * @param {ve.dm.MWLanguageMetaItem[]} metaItems Meta items the links were loaded from
+ * @return {ve.dm.MWLanguageMetaItem[]}
+ */
+ve.ui.MWLanguageLinksWidget.prototype.getRemovedMetaItems = function ( metaItems ) {
+	var remaining = this.items.map( function ( item ) {
+		return item.getMetaItem();
+	} );
+	return metaItems.filter( function ( metaItem ) {
+		return remaining.indexOf( metaItem ) === -1;
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLanguageLinksWidget.prototype.setDisabled = function ( disabled ) {
+	// Parent method
+	ve.ui.MWLanguageLinksWidget.super.prototype.setDisabled.call( this, disabled );
+
+	if ( this.addButton ) {
+		this.addButton.setDisabled( this.isDisabled() );
+		this.items.forEach( function ( item ) {
+			item.setDisabled( this.isDisabled() );
+		}, this );
+	}
+	return this;
+};
@@ -0,0 +1,140 @@
+/*!
+ * VisualEditor UserInterface MWLanguageVariantPreviewWidget class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Widget showing a document as it reads in a language variant.
+ *
+ * All of the document's language variant rules are applied for the chosen
+ * variant, see ve.dm.MWLanguageVariantNode#convertToVariant.
+ *
+ * @class
+ * @extends OO.ui.Widget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {string[]} [variants] Variant codes to choose from, defaults to the page's variants
+ */
+ve.ui.MWLanguageVariantPreviewWidget = function VeUiMWLanguageVariantPreviewWidget( config ) {
+	config = config || {};
+
+	// Parent constructor
+	ve.ui.MWLanguageVariantPreviewWidget.super.call( this, config );
+
+	// Properties
+	this.variant = null;
+	this.variantInput = new OO.ui.DropdownInputWidget( {
+		options: ( config.variants || this.constructor.static.getVariants() ).map( function ( code ) {
+			return {
+				data: code,
+				label: ve.init.platform.getLanguageName( code.toLowerCase() )
+			};
+		} ),
+		classes: [ 've-ui-mwLanguageVariantPreviewWidget-variant' ]
+	} );
+	this.closeButton = new OO.ui.ButtonWidget( {
+		icon: 'close',
+		label: ve.msg( 'visualeditor-mwlanguagevariant-preview-close' )
+	} );
+	this.$content = $( '<div>' )
+		.addClass( 've-ui-mwLanguageVariantPreviewWidget-content mw-body-content mw-parser-output' );
+
+	// Events
+	this.variantInput.connect( this, { change: 'onVariantInputChange' } );
+	this.closeButton.connect( this, { click: [ 'emit', 'close' ] } );
+
+	// Initialization
+	this.$element
+		.addClass( 've-ui-mwLanguageVariantPreviewWidget' )
+		.append(
+			$( '<div>' ).addClass( 've-ui-mwLanguageVariantPreviewWidget-bar' ).append(
+				new OO.ui.FieldLayout( this.variantInput, {
+					label: ve.msg( 'visualeditor-mwlanguagevariant-preview-label' ),
+					align: 'left'
+				} ).$element,
+				this.closeButton.$element
+			),
+			this.$content
+		);
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWLanguageVariantPreviewWidget, OO.ui.Widget );
+
+/* Events */
+
+/**
+ * A different variant was chosen
+ *
+ * @event variant
+ * @param {string} variant Variant code
+ */
+
+/**
+ * The close button was clicked
+ *
+ * @event close
+ */
+
+/* Static Methods */
+
+/**
+ * Get the variants of the page's language.
+ *
+ * @static
+ * @return {string[]} Variant codes
+ */
+ve.ui.MWLanguageVariantPreviewWidget.static.getVariants = function () {
+	return Object.keys( mw.config.get( 'wgVisualEditor' ).pageVariants || {} );
+};
+
+/* Methods */
+
+/**
+ * Handle change events from the variant input.
+ *
+ * @param {string} value Variant code
+ * @fires variant
+ */
+ve.ui.MWLanguageVariantPreviewWidget.prototype.onVariantInputChange = function ( value ) {
+	if ( value !== this.variant ) {
+		this.emit( 'variant', value );
+	}
+};
+
+/**
+ * Show a document as it reads in a variant.
+ *
+ * @param {ve.dm.Document} doc Document
+ * @param {string} variant Variant code
+ */
+ve.ui.MWLanguageVariantPreviewWidget.prototype.render = function ( doc, variant ) {
+	var htmlDoc = ve.dm.converter.getDomFromModel( doc, ve.dm.Converter.static.PREVIEW_MODE ),
+		body = htmlDoc.body;
+
+	this.variant = variant;
+	this.variantInput.setValue( variant );
+
+	ve.dm.MWLanguageVariantNode.static.convertToVariant( body, variant );
+	// Import body to current document, then resolve attributes against the original document
+	document.adoptNode( body );
+	ve.resolveAttributes( body, doc.getHtmlDocument(), ve.dm.Converter.static.computedAttributes );
+
+	this.$content
+		// The following classes are used here:
+		// * mw-content-ltr
+		// * mw-content-rtl
+		.removeClass( 'mw-content-ltr mw-content-rtl' )
+		.addClass( 'mw-content-' + doc.getDir() )
+		.attr( 'lang', variant )
+		.empty()
+		.append( body.childNodes );
+
+	ve.targetLinksToNewWindow( this.$content[ 0 ] );
+	// Add styles so links render with their appropriate classes
+	ve.init.platform.linkCache.styleParsoidElements( this.$content, doc.getHtmlDocument() );
+};
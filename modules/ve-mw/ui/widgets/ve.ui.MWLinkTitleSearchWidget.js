@@ -0,0 +1,129 @@
+/*!
+ * VisualEditor UserInterface MWLinkTitleSearchWidget class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Title search widget for internal link targets.
+ *
+ * Once a `#` is typed, the sections of the page before it are suggested instead of titles,
+ * or those of the current document if no page is given.
+ *
+ * @class
+ * @extends mw.widgets.TitleSearchWidget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWLinkTitleSearchWidget = function VeUiMWLinkTitleSearchWidget() {
+	// Parent constructor
+	ve.ui.MWLinkTitleSearchWidget.super.apply( this, arguments );
+
+	// Properties
+	this.anchorsPromise = null;
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWLinkTitleSearchWidget, mw.widgets.TitleSearchWidget );
+
+/* Static Methods */
+
+/**
+ * Split a link target into the title and the fragment
+ *
+ * @static
+ * @param {string} value Link target, e.g. 'Foo#Bar'
+ * @return {Object|null} Object with the `title` (empty for the current page) and the `fragment`,
+ *  null if the value has no fragment
+ */
+ve.ui.MWLinkTitleSearchWidget.static.splitFragment = function ( value ) {
+	var index = value.indexOf( '#' );
+	if ( index === -1 ) {
+		return null;
+	}
+	return {
+		title: value.slice( 0, index ).trim(),
+		fragment: value.slice( index + 1 )
+	};
+};
+
+/**
+ * Get the anchors to suggest for a partially typed fragment
+ *
+ * Anchors starting with the fragment are suggested first, then those containing it.
+ *
+ * @static
+ * @param {string[]} anchors Anchors of the page, see
+ *  ve.ui.MWInternalLinkAnnotationWidget#static-getAnchors
+ * @param {string} fragment Partially typed fragment
+ * @param {number} limit Maximum number of suggestions
+ * @return {string[]} Anchors, normalized with ve.init.mw.SectionCache#static-normalizeAnchor
+ */
+ve.ui.MWLinkTitleSearchWidget.static.getAnchorSuggestions = function ( anchors, fragment, limit ) {
+	var normalizeAnchor = ve.init.mw.SectionCache.static.normalizeAnchor,
+		query = normalizeAnchor( fragment ).toLowerCase(),
+		prefixMatches = [],
+		otherMatches = [];
+
+	OO.unique( anchors.map( normalizeAnchor ) ).forEach( function ( anchor ) {
+		var index = anchor.toLowerCase().indexOf( query );
+		if ( index === 0 ) {
+			prefixMatches.push( anchor );
+		} else if ( index !== -1 ) {
+			otherMatches.push( anchor );
+		}
+	} );
+	return prefixMatches.concat( otherMatches ).slice( 0, limit );
+};
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWLinkTitleSearchWidget.prototype.onQueryChange = function () {
+	var surface, promise, pageTitle,
+		widget = this,
+		value = this.getQuery().getValue(),
+		parts = this.constructor.static.splitFragment( value );
+
+	this.anchorsPromise = null;
+	if ( !parts ) {
+		// Parent method
+		ve.ui.MWLinkTitleSearchWidget.super.prototype.onQueryChange.apply( this, arguments );
+		return;
+	}
+
+	this.results.clearItems();
+	if ( parts.title && !mw.Title.newFromText( parts.title ) ) {
+		return;
+	}
+	pageTitle = mw.Title.newFromText( parts.title || ve.init.target.getPageName() );
+	surface = ve.init.target.getSurface();
+	promise = ve.ui.MWInternalLinkAnnotationWidget.static.getAnchors(
+		parts.title,
+		// Source mode documents have no headings to get the current page's anchors from
+		surface && surface.getMode() === 'visual' ? surface.getModel().getDocument() : undefined
+	);
+	this.anchorsPromise = promise;
+	promise.done( function ( anchors ) {
+		if ( widget.anchorsPromise !== promise || !anchors ) {
+			return;
+		}
+		widget.results.addItems(
+			widget.constructor.static.getAnchorSuggestions( anchors, parts.fragment, widget.limit )
+				.map( function ( anchor ) {
+					var target = parts.title + '#' + anchor;
+					return widget.createOptionWidget( {
+						data: target,
+						label: target,
+						url: pageTitle.getUrl() + '#' + mw.util.escapeIdForLink( anchor ),
+						missing: false
+					} );
+				} )
+		);
+	} );
+};
@@ -0,0 +1,221 @@
+/*!
+ * VisualEditor UserInterface MWParameterDateInputWidget class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/* global moment */
+
+/**
+ * Date input for template parameters of type "date".
+ *
+ * Wraps a mw.widgets.DateInputWidget, but reads and writes the parameter value in whatever
+ * format the existing value was written in, e.g. "15 March 2020" stays in that format after
+ * picking a different date. Empty values are written in ISO 8601 format.
+ *
+ * @class
+ * @extends OO.ui.Widget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {boolean} [required=false] Mark the input as required
+ * @cfg {jQuery} [$overlay] Overlay to render the calendar in
+ */
+ve.ui.MWParameterDateInputWidget = function VeUiMWParameterDateInputWidget( config ) {
+	config = config || {};
+
+	// Parent constructor
+	ve.ui.MWParameterDateInputWidget.super.call( this, config );
+
+	// Properties
+	this.format = this.constructor.static.defaultFormat;
+	this.locale = 'en';
+	this.originalValue = null;
+	this.originalIsoValue = null;
+	this.valid = true;
+	this.dateInput = new mw.widgets.DateInputWidget( {
+		required: !!config.required,
+		$overlay: config.$overlay
+	} );
+
+	// Events
+	this.dateInput.connect( this, { change: 'onDateInputChange' } );
+	this.dateInput.textInput.connect( this, { change: 'onTextInputChange' } );
+
+	// Initialization
+	this.$element
+		.addClass( 've-ui-mwParameterDateInputWidget' )
+		.append( this.dateInput.$element );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWParameterDateInputWidget, OO.ui.Widget );
+
+/* Events */
+
+/**
+ * @event change
+ * @param {string} value The new value, in the detected format
+ */
+
+/* Static Properties */
+
+/**
+ * Format used for values that don't have a format yet
+ *
+ * @static
+ * @property {string}
+ */
+ve.ui.MWParameterDateInputWidget.static.defaultFormat = 'YYYY-MM-DD';
+
+/**
+ * Moment.js formats recognized in existing values, most specific first
+ *
+ * @static
+ * @property {string[]}
+ */
+ve.ui.MWParameterDateInputWidget.static.formats = [
+	'YYYY-MM-DD',
+	'D MMMM YYYY',
+	'MMMM D, YYYY',
+	'D MMM YYYY',
+	'MMM D, YYYY',
+	'DD.MM.YYYY',
+	'D.M.YYYY',
+	'YYYY/MM/DD'
+];
+
+/* Static Methods */
+
+/**
+ * Detect the format a date value is written in.
+ *
+ * Values are matched strictly, first in the current user language and then in English, as
+ * many wikis write English month names regardless of the interface language.
+ *
+ * @static
+ * @param {string} value Date as written in wikitext
+ * @return {Object|null} Object with `format` and `locale` properties, or null if the value is
+ *  not a date in any known format
+ */
+ve.ui.MWParameterDateInputWidget.static.detectFormat = function ( value ) {
+	var formats = this.formats,
+		locales = OO.unique( [ moment.locale(), 'en' ] );
+
+	value = value.trim();
+	for ( var i = 0; i < locales.length; i++ ) {
+		for ( var j = 0; j < formats.length; j++ ) {
+			if ( moment( value, formats[ j ], locales[ i ], true ).isValid() ) {
+				return { format: formats[ j ], locale: locales[ i ] };
+			}
+		}
+	}
+	return null;
+};
+
+/* Methods */
+
+/**
+ * Handle change events from the date input
+ *
+ * @fires change
+ */
+ve.ui.MWParameterDateInputWidget.prototype.onDateInputChange = function () {
+	this.emit( 'change', this.getValue() );
+};
+
+/**
+ * Handle change events from the text input of the date input
+ *
+ * @fires validityChange
+ */
+ve.ui.MWParameterDateInputWidget.prototype.onTextInputChange = function () {
+	var valid = this.isValid();
+	if ( valid !== this.valid ) {
+		this.valid = valid;
+		this.emit( 'validityChange', valid );
+	}
+};
+
+/**
+ * Get the value in the detected format.
+ *
+ * If the date wasn't changed, the original value is returned verbatim, so that merely opening
+ * the dialog never rewrites e.g. "05 March 2020" as "5 March 2020".
+ *
+ * @return {string}
+ */
+ve.ui.MWParameterDateInputWidget.prototype.getValue = function () {
+	var isoValue = this.dateInput.getValue();
+
+	if ( !isoValue ) {
+		return '';
+	}
+	if ( this.originalValue !== null && isoValue === this.originalIsoValue ) {
+		return this.originalValue;
+	}
+	return moment( isoValue, 'YYYY-MM-DD' ).locale( this.locale ).format( this.format );
+};
+
+/**
+ * Set the value, detecting the format it is written in.
+ *
+ * @param {string} value
+ * @chainable
+ * @return {ve.ui.MWParameterDateInputWidget}
+ */
+ve.ui.MWParameterDateInputWidget.prototype.setValue = function ( value ) {
+	var detected = value ? this.constructor.static.detectFormat( value ) : null;
+
+	if ( detected ) {
+		this.format = detected.format;
+		this.locale = detected.locale;
+		this.originalValue = value;
+		this.originalIsoValue = moment( value.trim(), detected.format, detected.locale, true )
+			.format( 'YYYY-MM-DD' );
+		this.dateInput.setValue( this.originalIsoValue );
+	} else {
+		this.originalValue = null;
+		this.originalIsoValue = null;
+		this.dateInput.setValue( '' );
+	}
+	return this;
+};
+
+/**
+ * Check if the text typed into the date input is a valid date.
+ *
+ * @return {boolean} The typed text is empty or a valid date
+ */
+ve.ui.MWParameterDateInputWidget.prototype.isValid = function () {
+	var text = this.dateInput.textInput.getValue();
+	return text === '' || this.dateInput.isValidDate( text );
+};
+
+/**
+ * @param {boolean} readOnly
+ * @chainable
+ * @return {ve.ui.MWParameterDateInputWidget}
+ */
+ve.ui.MWParameterDateInputWidget.prototype.setReadOnly = function ( readOnly ) {
+	this.dateInput.setReadOnly( readOnly );
+	return this;
+};
+
+/**
+ * @chainable
+ * @return {ve.ui.MWParameterDateInputWidget}
+ */
+ve.ui.MWParameterDateInputWidget.prototype.focus = function () {
+	this.dateInput.focus();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWParameterDateInputWidget.prototype.simulateLabelClick = function () {
+	this.focus();
+};
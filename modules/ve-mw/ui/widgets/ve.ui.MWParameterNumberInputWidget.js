@@ -0,0 +1,54 @@
+/*!
+ * VisualEditor UserInterface MWParameterNumberInputWidget class.
+ *
+ * @copyright 2011-2020 VisualEditor Team and others; see AUTHORS.txt
+ * @license The MIT License (MIT); see LICENSE.txt
+ */
+
+/**
+ * Number input for template parameters of type "number".
+ *
+ * Unlike OO.ui.NumberInputWidget this keeps the value exactly as typed, and accepts numbers
+ * written with the separators and digits of the content language.
+ *
+ * @class
+ * @extends OO.ui.TextInputWidget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWParameterNumberInputWidget = function VeUiMWParameterNumberInputWidget( config ) {
+	// Parent constructor
+	ve.ui.MWParameterNumberInputWidget.super.call( this, ve.extendObject( {}, config, {
+		validate: this.isValidValue.bind( this )
+	} ) );
+
+	// Initialization
+	this.$element.addClass( 've-ui-mwParameterNumberInputWidget' );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWParameterNumberInputWidget, OO.ui.TextInputWidget );
+
+/* Methods */
+
+/**
+ * Check if a value can be parsed as a number.
+ *
+ * @param {string} value
+ * @return {boolean} The value is empty or a number
+ */
+ve.ui.MWParameterNumberInputWidget.prototype.isValidValue = function ( value ) {
+	value = value.trim();
+	return value === '' || !isNaN( ve.init.platform.parseNumber( value ) );
+};
+
+/**
+ * Check if the current value can be parsed as a number.
+ *
+ * @return {boolean} The value is empty or a number
+ */
+ve.ui.MWParameterNumberInputWidget.prototype.isValid = function () {
+	return this.isValidValue( this.getValue() );
+};